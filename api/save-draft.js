@@ -1,5 +1,7 @@
 #!/usr/bin/env node
 
+import { isSurveyFileName } from '../src/constants/surveys.js'
+
 async function getStorage() {
   const mod = await import('@google-cloud/storage')
   return mod.Storage
@@ -37,14 +39,7 @@ export default async function handler(req, res) {
     if (!fileName || !json || typeof json !== 'object') {
       return res.status(400).json({ error: 'Missing fileName or json' })
     }
-    const allowedFiles = new Set([
-      'child_survey.json',
-      'parent_survey_family.json',
-      'parent_survey_child.json',
-      'teacher_survey_general.json',
-      'teacher_survey_classroom.json'
-    ])
-    if (!allowedFiles.has(fileName)) {
+    if (!isSurveyFileName(fileName, 'draft')) {
       return res.status(400).json({ error: 'Invalid fileName' })
     }
 
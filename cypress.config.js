@@ -1,4 +1,72 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync } from 'child_process'
 import { defineConfig } from 'cypress'
+import { SCENARIO_EXTENSIONS } from './src/helpers/surveyScenarios.js'
+
+// Answer scenarios live in scenarios/<survey name>/; specs cannot list directories themselves
+const readScenarioFiles = () => {
+  const root = path.resolve('scenarios')
+  if (!fs.existsSync(root)) return []
+  return fs.readdirSync(root, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .flatMap(dir => fs.readdirSync(path.join(root, dir.name))
+      .filter(name => SCENARIO_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+      .sort()
+      .map(name => ({
+        survey: dir.name,
+        file: `scenarios/${dir.name}/${name}`,
+        text: fs.readFileSync(path.join(root, dir.name, name), 'utf8')
+      })))
+}
+
+// Scripts that name a bucket run against a temporary LEVANTE_STORAGE=local root
+// (see scripts/storage-utils.js); objects are given and returned by object name
+const createLocalBucket = ({ bucket, objects }) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'levante-bucket-'))
+  for (const [name, content] of Object.entries(objects)) {
+    const file = path.join(root, bucket, ...name.split('/'))
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    fs.writeFileSync(file, content)
+  }
+  return root
+}
+
+const readLocalBucket = ({ root, bucket }) => {
+  const base = path.join(root, bucket)
+  const objects = {}
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const file = path.join(dir, entry.name)
+      if (entry.isDirectory()) {
+        walk(file)
+        continue
+      }
+      const content = fs.readFileSync(file)
+      objects[path.relative(base, file).split(path.sep).join('/')] = {
+        content: content.toString('utf8'),
+        md5: crypto.createHash('md5').update(content).digest('base64')
+      }
+    }
+  }
+  walk(base)
+  return objects
+}
+
+const removeLocalBucket = (root) => {
+  fs.rmSync(root, { recursive: true, force: true })
+  return null
+}
+
+const runScript = ({ script, args = [], root }) => {
+  const res = spawnSync(process.execPath, [script, ...args], {
+    encoding: 'utf8',
+    env: { ...process.env, LEVANTE_STORAGE: 'local', LEVANTE_STORAGE_ROOT: root }
+  })
+  return { code: res.status, stdout: res.stdout, stderr: res.stderr }
+}
 
 export default defineConfig({
   e2e: {
@@ -9,8 +77,8 @@ export default defineConfig({
     viewportHeight: 720,
     video: false,
     screenshotOnRunFailure: true,
-    setupNodeEvents(/* on, config */) {
-      // implement node event listeners here
+    setupNodeEvents(on) {
+      on('task', { readScenarioFiles, createLocalBucket, readLocalBucket, removeLocalBucket, runScript })
     },
   },
   component: {
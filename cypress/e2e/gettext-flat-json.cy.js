@@ -0,0 +1,71 @@
+/**
+ * Gettext PO and Flat JSON Tests
+ *
+ * These tests check that every survey is rebuilt exactly from its Gettext
+ * PO and flat JSON files.
+ */
+
+import { getSurveyFileNames } from '../../src/constants/surveys.js'
+import { flatJsonToUnits, surveyToFlatJson } from '../../src/helpers/flatJson.js'
+import { buildPo, parsePo, poEntriesToUnits, surveyToPoEntries } from '../../src/helpers/gettext.js'
+import { collectMultilingualNodes } from '../../src/helpers/surveyTranslations.js'
+import { applyXliff2Units } from '../../src/helpers/xliff2.js'
+import { stripTranslations, translationLocales } from '../support/surveyFixtures.js'
+
+describe('PO and Flat JSON', () => {
+  it('should escape and parse PO strings, review flags and previous English', () => {
+    const entry = {
+      context: 'child_survey/page1.q.intro.html',
+      msgid: 'Say "hi"\\there\nand\ttab',
+      msgstr: 'Sag "hallo"\n',
+      comments: [],
+      extracted: ['Question: intro'],
+      references: ['pages[0].elements[0].html'],
+      flags: ['fuzzy'],
+      previousMsgid: 'Say hi\nthere'
+    }
+    const po = buildPo({ project: 'child_survey', language: 'de', entries: [entry] })
+    expect(po).to.contain('msgid ""\n"Say \\"hi\\"\\\\there\\n"\n"and\\ttab"')
+    expect(po).to.contain('#| msgid ""\n#| "Say hi\\n"\n#| "there"')
+
+    const doc = parsePo(po)
+    expect(doc.headers.Language).to.equal('de')
+    expect(doc.entries).to.deep.equal([entry])
+    // Fuzzy translations are not imported until reviewed
+    expect(poEntriesToUnits(doc.entries)).to.deep.equal({ units: [], fuzzy: 1, surveys: ['child_survey'] })
+  })
+
+  it('should flatten nested JSON written back by translation tools', () => {
+    expect(flatJsonToUnits({ page1: { q: { name: { title: 'Name', description: '' } } } }))
+      .to.deep.equal([{ id: 'page1.q.name.title', name: 'page1.q.name.title', source: '', target: 'Name' }])
+  })
+
+  getSurveyFileNames().forEach((surveyFile) => {
+    const surveyName = surveyFile.replace(/\.json$/, '')
+
+    it(`should rebuild ${surveyFile} losslessly from its PO files`, () => {
+      cy.fixture(surveyFile).then((surveyData) => {
+        const stripped = stripTranslations(surveyData)
+        translationLocales(surveyData).forEach((locale) => {
+          const po = buildPo({ project: surveyName, language: locale, entries: surveyToPoEntries(surveyData, { surveyName, locale }) })
+          const doc = parsePo(po)
+          const { units } = poEntriesToUnits(doc.entries)
+          expect(applyXliff2Units(stripped, units, doc.headers.Language).unmatched, `Unmatched entries for ${locale}`).to.have.length(0)
+        })
+        expect(stripped).to.deep.equal(surveyData)
+      })
+    })
+
+    it(`should rebuild ${surveyFile} losslessly from its flat JSON files`, () => {
+      cy.fixture(surveyFile).then((surveyData) => {
+        const stripped = stripTranslations(surveyData)
+        translationLocales(surveyData).forEach((locale) => {
+          const flat = JSON.parse(JSON.stringify(surveyToFlatJson(surveyData, { locale })))
+          expect(Object.keys(flat), `One key per string for ${locale}`).to.have.length(collectMultilingualNodes(surveyData).length)
+          expect(applyXliff2Units(stripped, flatJsonToUnits(flat), locale).unmatched, `Unmatched keys for ${locale}`).to.have.length(0)
+        })
+        expect(stripped).to.deep.equal(surveyData)
+      })
+    })
+  })
+})
@@ -0,0 +1,71 @@
+/**
+ * Language Identifier Tests
+ *
+ * These tests check the offline language identification and the list of
+ * translations that read as the wrong language.
+ */
+
+import { SUPPORTED_LANGUAGES, checkTextLanguage, findLanguageMismatches, identifyLanguage, languageOfLocale } from '../../src/helpers/languageIdentifier.js'
+
+const SENTENCES = {
+  en: 'How often do you read books at home with your family?',
+  de: 'Wie oft liest du zu Hause mit deiner Familie Bücher?',
+  es: '¿Con qué frecuencia lees libros en casa con tu familia?',
+  fr: 'À quelle fréquence lis-tu des livres à la maison avec ta famille ?',
+  nl: 'Hoe vaak lees je thuis boeken met je familie?'
+}
+
+describe('Language Identifier', () => {
+  it('should identify each supported language', () => {
+    expect(SUPPORTED_LANGUAGES).to.deep.equal(Object.keys(SENTENCES))
+    for (const [language, text] of Object.entries(SENTENCES)) {
+      const guess = identifyLanguage(text)
+      expect(guess.language).to.equal(language)
+      expect(guess.confidence).to.be.above(0.9)
+      expect(guess.reliable).to.equal(true)
+    }
+  })
+
+  it('should not rely on short strings or text without words', () => {
+    const short = identifyLanguage('Yes')
+    expect([short.words, short.reliable]).to.deep.equal([1, false])
+    // Tags, {placeholders}, URLs and numbers are not words
+    expect(identifyLanguage('<p>{name}</p> https://levante-network.org 12')).to.deep.equal({ language: null, confidence: 0, scores: {}, words: 0, reliable: false })
+    expect(identifyLanguage(SENTENCES.de, { languages: ['en', 'nl'] }).scores).to.have.property('nl')
+    expect(identifyLanguage(SENTENCES.de, { languages: ['it'] }).language).to.equal(null)
+  })
+
+  it('should map locale keys to languages', () => {
+    expect(languageOfLocale('default')).to.equal('en')
+    expect(languageOfLocale('en-GH')).to.equal('en')
+    expect(languageOfLocale('es_CO')).to.equal('es')
+    expect(languageOfLocale('de')).to.equal('de')
+  })
+
+  it('should flag translations in another language than their locale key', () => {
+    expect(checkTextLanguage(SENTENCES.en, 'de-CH')).to.deep.include({ expected: 'de', detected: 'en' })
+    expect(checkTextLanguage(SENTENCES.de, 'de-CH')).to.equal(null)
+    // Too short to tell, a language without a profile, or below the confidence threshold
+    expect(checkTextLanguage('Yes', 'de')).to.equal(null)
+    expect(checkTextLanguage(SENTENCES.en, 'it')).to.equal(null)
+    expect(checkTextLanguage(SENTENCES.en, 'de', { minConfidence: 1.01 })).to.equal(null)
+  })
+
+  it('should list every mismatched translation in a survey, whatever the key spelling', () => {
+    const survey = {
+      pages: [{
+        name: 'page1',
+        elements: [{
+          type: 'text',
+          name: 'Reading',
+          title: { default: SENTENCES.en, de: SENTENCES.en, es_CO: SENTENCES.en, 'en-GH': SENTENCES.es, fr: SENTENCES.fr, it: SENTENCES.en }
+        }]
+      }]
+    }
+    const mismatches = findLanguageMismatches(survey)
+    expect(mismatches.map(m => `${m.locale} ${m.expected} → ${m.detected}`)).to.deep.equal(['de de → en', 'es_CO es → en', 'en-GH en → es'])
+    expect(mismatches[0]).to.deep.include({ id: 'page1.q.reading.title', path: 'pages[0].elements[0].title', elementName: 'Reading', text: SENTENCES.en })
+
+    expect(findLanguageMismatches(survey, { locales: ['es-CO'] }).map(m => m.locale)).to.deep.equal(['es_CO'])
+  })
+})
@@ -0,0 +1,61 @@
+/**
+ * Locale Fallback Tests
+ *
+ * These tests check the locale fallback chains, and pruning and
+ * materializing the regional variant strings they cover.
+ */
+
+import { LOCALE_FALLBACKS, getFallbackChain } from '../../src/constants/languages.js'
+import { materializeFallbacks, pruneInheritedTranslations, resolveTranslation } from '../../src/helpers/localeFallbacks.js'
+import { computeSurveyCoverage, getLocaleCoverage } from '../../src/helpers/translationCoverage.js'
+
+describe('Locale Fallbacks', () => {
+  const variants = {
+    title: { default: 'How are you?', 'es-CO': '¿Cómo estás?', 'es-AR': '¿Cómo estás?', de: 'Wie geht es dir?', 'de-CH': 'Wie geht es dir?' },
+    pages: [{
+      name: 'page1',
+      elements: [{
+        type: 'radiogroup',
+        name: 'q1',
+        title: { default: 'Do you like school?', 'es-CO': '¿Te gusta la escuela?', 'es-AR': '¿Te gusta el colegio?', 'en-US': 'Do you like school?', 'en-GH': '' },
+        choices: [{ value: 'yes', text: { default: 'Yes', 'es-CO': 'Sí', de: 'Ja' } }]
+      }]
+    }]
+  }
+
+  it('should follow the declared chains, never through base es', () => {
+    expect(getFallbackChain('es-AR')).to.deep.equal(['es-AR', 'es-CO', 'default'])
+    expect(getFallbackChain('de')).to.deep.equal(['de', 'default'])
+    expect(getFallbackChain('default')).to.deep.equal(['default'])
+    expect(getFallbackChain('a', { a: 'b', b: 'a' })).to.deep.equal(['a', 'b', 'default'])
+    Object.keys(LOCALE_FALLBACKS).forEach(locale => expect(getFallbackChain(locale)).not.to.include('es'))
+
+    const text = variants.pages[0].elements[0].choices[0].text
+    expect(resolveTranslation(text, 'es-AR')).to.deep.equal({ text: 'Sí', from: 'es-CO' })
+    expect(resolveTranslation(text, 'en-GH')).to.deep.equal({ text: 'Yes', from: 'default' })
+  })
+
+  it('should prune inherited strings and materialize them back', () => {
+    const pruned = structuredClone(variants)
+    expect(pruneInheritedTranslations(pruned)).to.deep.equal({ removed: 2, removedByLocale: { 'es-AR': 1, 'de-CH': 1 } })
+    expect(pruned.title).to.deep.equal({ default: 'How are you?', 'es-CO': '¿Cómo estás?', de: 'Wie geht es dir?' })
+
+    const { survey, filled } = materializeFallbacks(pruned)
+    expect(filled).to.deep.equal({ 'de-CH': 2, 'en-GH': 1, 'es-AR': 2 })
+    expect(survey.title).to.deep.equal(variants.title)
+    expect(survey.pages[0].elements[0].title['en-GH']).to.equal('Do you like school?')
+    expect(pruned.pages[0].elements[0].choices[0].text['es-AR']).to.equal(undefined)
+  })
+
+  it('should count inherited strings as covered', () => {
+    const pruned = structuredClone(variants)
+    pruneInheritedTranslations(pruned)
+    const withFallbacks = computeSurveyCoverage(pruned, { locales: ['es-AR', 'de-CH'] })
+    expect(getLocaleCoverage(withFallbacks, 'es-AR').inherited).to.equal(2)
+    expect(getLocaleCoverage(withFallbacks, 'es-AR').percent).to.equal(100)
+    expect(getLocaleCoverage(withFallbacks, 'de-CH').percent).to.equal(Math.floor(2 / 3 * 1000) / 10)
+
+    const stored = computeSurveyCoverage(pruned, { locales: ['es-AR'], fallbacks: null })
+    expect(getLocaleCoverage(stored, 'es-AR').missing).to.equal(2)
+  })
+})
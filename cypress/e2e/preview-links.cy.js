@@ -0,0 +1,57 @@
+/**
+ * Preview Link Tests
+ *
+ * These tests check that a preview link reopens the state it was copied
+ * from, and that unknown or malformed query parameters are ignored.
+ */
+
+import { PREVIEW_DEFAULTS, buildPreviewQuery, decodeAnswers, encodeAnswers, parsePreviewQuery } from '../../src/helpers/previewLinkState.js'
+
+describe('Preview Links', () => {
+  const options = { buckets: ['dev', 'current-prod'], surveys: ['parent_survey_child'], themes: ['default-light', 'sharp-dark'], tabs: ['preview', 'qa'] }
+
+  it('should reopen the linked bucket, survey, locale, page, answers and theme', () => {
+    const state = {
+      bucket: 'current-prod',
+      survey: 'parent_survey_child',
+      locale: 'fr-CA',
+      pageNo: 6,
+      answers: { ChildAge: 7, Comments: 'Très bien — ça va 👍', Languages: ['fr', 'en'] },
+      theme: 'sharp-dark',
+      tab: 'qa'
+    }
+    const query = buildPreviewQuery(state)
+    expect(query.page).to.equal('7')
+    expect(query.answers).to.match(/^[A-Za-z0-9_-]+$/)
+    expect(parsePreviewQuery(query, options)).to.deep.equal({ state, ignored: [] })
+  })
+
+  it('should leave defaults out of the query', () => {
+    expect(buildPreviewQuery({ ...PREVIEW_DEFAULTS, answers: {} })).to.deep.equal({})
+    expect(buildPreviewQuery({ ...PREVIEW_DEFAULTS, survey: 'parent_survey_child' })).to.deep.equal({ survey: 'parent_survey_child' })
+    // Locale and page mean nothing without a survey
+    expect(buildPreviewQuery({ ...PREVIEW_DEFAULTS, locale: 'de', pageNo: 3 })).to.deep.equal({})
+  })
+
+  it('should accept backups and legacy locale codes', () => {
+    const { state } = parsePreviewQuery({ bucket: 'backup:backup_2025-08-31_15-12-17', locale: 'es_co' }, options)
+    expect(state.bucket).to.equal('backup:backup_2025-08-31_15-12-17')
+    expect(state.locale).to.equal('es-CO')
+    expect(parsePreviewQuery({ locale: 'en' }, options).state.locale).to.equal('default')
+  })
+
+  it('should ignore unknown and malformed parameters', () => {
+    const { state, ignored } = parsePreviewQuery({
+      bucket: 'somewhere-else',
+      survey: 'no_such_survey',
+      locale: '<script>',
+      page: '0',
+      answers: encodeAnswers({ q: 1 }).slice(0, -2) + '!!',
+      theme: 'neon',
+      tab: ['qa', 'preview']
+    }, options)
+    expect(ignored).to.deep.equal(['bucket', 'survey', 'locale', 'page', 'answers', 'theme'])
+    expect(state).to.deep.equal({ ...PREVIEW_DEFAULTS, tab: 'qa' })
+    expect(decodeAnswers(encodeAnswers(['not', 'an', 'object']))).to.equal(undefined)
+  })
+})
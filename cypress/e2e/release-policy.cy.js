@@ -0,0 +1,102 @@
+/**
+ * Release Policy Tests
+ *
+ * These tests check the release gate that deploy-surveys runs before
+ * uploading, including the --force override.
+ */
+
+import { decideRelease, evaluateReleaseReadiness, getEnvironmentPolicy, normalizeReleasePolicy } from '../../src/helpers/releasePolicy.js'
+import { surveyOf } from '../support/surveyFixtures.js'
+
+const policy = normalizeReleasePolicy({
+  environments: {
+    dev: { maxLintErrors: 0, forbiddenLocales: ['es'] },
+    PROD: { blocking: true, allowForce: false, maxLintErrors: 0, forbiddenLocales: ['es'], coverage: { es_co: 100 } },
+    STAGING: { blocking: true, allowForce: true, coverage: { 'es-CO': 100 } }
+  }
+})
+
+const translated = {
+  name: 'translated',
+  survey: {
+    title: { default: 'Welcome', 'es-CO': 'Bienvenido' },
+    ...surveyOf({ type: 'text', name: 'Name', title: { default: 'Your name', 'es-CO': 'Tu nombre' } })
+  }
+}
+
+const unfinished = {
+  name: 'unfinished',
+  survey: {
+    title: { default: 'Welcome', es: 'Bienvenido' },
+    ...surveyOf(
+      { type: 'text', name: 'Name', title: { default: 'Your name', 'es-CO': 'Tu nombre' } },
+      { type: 'text', name: 'Name', title: { default: 'Your name again' } }
+    )
+  }
+}
+
+describe('Release Policy', () => {
+  it('should fill in defaults and reject malformed policies', () => {
+    expect(getEnvironmentPolicy(policy, 'Prod').coverage).to.deep.equal({ 'es-CO': 100 })
+    expect(getEnvironmentPolicy(policy, 'DEV')).to.deep.equal({ blocking: false, allowForce: true, maxLintErrors: 0, forbiddenLocales: ['es'], coverage: {} })
+    // Environments the policy does not mention are not gated
+    expect(evaluateReleaseReadiness([unfinished], getEnvironmentPolicy(policy, 'QA')).checks).to.deep.equal([])
+
+    expect(() => normalizeReleasePolicy({})).to.throw('must be an object with an "environments" object')
+    expect(() => normalizeReleasePolicy({ environments: { PROD: { blocking: 'yes' } } })).to.throw('"blocking" and "allowForce" must be booleans')
+    expect(() => normalizeReleasePolicy({ environments: { PROD: { maxLintErrors: -1 } } })).to.throw('"maxLintErrors" must be a non-negative integer or null')
+    expect(() => normalizeReleasePolicy({ environments: { PROD: { coverage: { de: 120 } } } })).to.throw('coverage for de must be a number between 0 and 100')
+  })
+
+  it('should pass a release that meets every check', () => {
+    const evaluation = evaluateReleaseReadiness([translated], getEnvironmentPolicy(policy, 'PROD'), { environment: 'PROD' })
+    expect(evaluation.passed).to.equal(true)
+    expect(evaluation.checks.map(c => `${c.check} ${c.message}`)).to.deep.equal([
+      'coverage es-CO coverage 100% (requires 100%)',
+      'lint 0 lint error(s) (allows 0)',
+      'forbidden-locale no "es" keys'
+    ])
+    expect(decideRelease(evaluation)).to.deep.equal({ outcome: 'passed', proceed: true, reason: 'All 3 release checks passed' })
+  })
+
+  it('should block a release that fails a blocking gate, even with --force when the policy forbids it', () => {
+    const evaluation = evaluateReleaseReadiness([translated, unfinished], getEnvironmentPolicy(policy, 'PROD'))
+    expect(evaluation.passed).to.equal(false)
+    expect(evaluation.checks.filter(c => !c.passed).map(c => `${c.survey} ${c.check} ${c.message}`)).to.deep.equal([
+      'unfinished coverage es-CO coverage 33.3% (requires 100%)',
+      'unfinished lint 2 lint error(s) (allows 0)',
+      'unfinished forbidden-locale contains forbidden locale "es"'
+    ])
+
+    expect(decideRelease(evaluation)).to.deep.equal({ outcome: 'blocked', proceed: false, reason: '3 release check(s) failed' })
+    expect(decideRelease(evaluation, { force: true, signedOffBy: 'Jane Doe' })).to.deep.equal({
+      outcome: 'blocked',
+      proceed: false,
+      reason: '3 release check(s) failed and the policy does not allow --force'
+    })
+  })
+
+  it('should only warn when the gate is not blocking', () => {
+    const evaluation = evaluateReleaseReadiness([unfinished], getEnvironmentPolicy(policy, 'DEV'))
+    expect(evaluation.checks.map(c => c.passed)).to.deep.equal([false, false])
+    expect(decideRelease(evaluation)).to.deep.equal({ outcome: 'warned', proceed: true, reason: '2 release check(s) failed (not blocking)' })
+  })
+
+  it('should let --force override a gate that allows it, only with a sign-off', () => {
+    const evaluation = evaluateReleaseReadiness([unfinished], getEnvironmentPolicy(policy, 'STAGING'))
+    expect(evaluation.passed).to.equal(false)
+
+    expect(decideRelease(evaluation, { force: true })).to.deep.equal({
+      outcome: 'blocked',
+      proceed: false,
+      reason: '1 release check(s) failed; overriding with --force needs --signed-off-by=<name>'
+    })
+    expect(decideRelease(evaluation, { force: true, signedOffBy: 'Jane Doe' })).to.deep.equal({
+      outcome: 'overridden',
+      proceed: true,
+      reason: '1 release check(s) failed; overridden with --force, signed off by Jane Doe'
+    })
+    // A sign-off without --force changes nothing
+    expect(decideRelease(evaluation, { signedOffBy: 'Jane Doe' }).outcome).to.equal('blocked')
+  })
+})
@@ -0,0 +1,53 @@
+/**
+ * Response History Tests
+ *
+ * These tests check the CSV and JSON downloads of saved preview responses.
+ */
+
+import { parseCsvRecords } from '../../src/helpers/csv.js'
+import { RESPONSE_CSV_COLUMNS, responseFileName, responsesToCsv, responsesToJson } from '../../src/helpers/responseHistory.js'
+
+describe('Response Downloads', () => {
+  const responses = [
+    {
+      id: 2,
+      survey: 'parent_survey_child',
+      version: '1.4.0',
+      bucket: 'dev',
+      locale: 'de-CH',
+      completedAt: '2026-10-19T14:05:00.000Z',
+      data: { ChildAgeYears: 7, Comments: 'Grüezi, "alles gut"\nzweite Zeile', ChildLanguages: ['de', 'fr'] }
+    },
+    {
+      id: 1,
+      survey: 'parent_survey_child',
+      version: null,
+      bucket: 'backup:backup_2026-10-01_09-00-00',
+      locale: 'default',
+      completedAt: '2026-10-18T09:30:00.000Z',
+      data: { ChildAgeYears: 3, ChildPhone: 'No' }
+    }
+  ]
+
+  it('should write one CSV row per response that reads back to its answers', () => {
+    const csv = responsesToCsv(responses)
+    expect(csv.startsWith('\uFEFF')).to.equal(true)
+    const { header, records, malformed } = parseCsvRecords(csv.slice(1))
+    expect(header).to.deep.equal([...RESPONSE_CSV_COLUMNS, 'ChildAgeYears', 'Comments', 'ChildLanguages', 'ChildPhone'])
+    expect(malformed).to.deep.equal([])
+    expect(records[0].Comments).to.equal(responses[0].data.Comments)
+    expect(JSON.parse(records[0].ChildLanguages)).to.deep.equal(['de', 'fr'])
+    expect(records[1].version).to.equal('')
+    expect(records[1].ChildPhone).to.equal('No')
+    expect(records[1].Comments).to.equal('')
+  })
+
+  it('should write JSON that parses back to the responses', () => {
+    expect(JSON.parse(responsesToJson(responses))).to.deep.equal(responses)
+  })
+
+  it('should name downloads after the survey and time', () => {
+    expect(responseFileName('parent_survey_child', 'csv', new Date('2026-10-19T14:05:09.123Z')))
+      .to.equal('parent_survey_child-responses-2026-10-19T14-05-09.csv')
+  })
+})
@@ -0,0 +1,61 @@
+/**
+ * Review Workbook Tests
+ *
+ * These tests check that only approved review sheet rows are imported,
+ * and that edits made since the export are reported as conflicts.
+ */
+
+import { getSurveyFileNames } from '../../src/constants/surveys.js'
+import { applyReviewSheet, surveyToReviewSheet } from '../../src/helpers/reviewWorkbook.js'
+import { stripTranslations } from '../support/surveyFixtures.js'
+
+describe('Review Workbook', () => {
+  const survey = () => ({
+    pages: [{
+      name: 'page1',
+      elements: [{
+        type: 'radiogroup',
+        name: 'color',
+        title: { default: 'Your <b>favorite</b> color, please', de: 'Deine <b>Lieblingsfarbe</b>, bitte' },
+        choices: [{ value: 'red', text: { default: 'Red', de: 'Rot' } }, { value: 'blue', text: { default: 'Blue' } }]
+      }]
+    }]
+  })
+  const approve = (sheet, key, locale, text) => {
+    const row = sheet.rows.find(r => r[0] === key)
+    row[sheet.header.indexOf(locale)] = text
+    row[sheet.header.indexOf(`${locale} status`)] = 'approved'
+  }
+
+  it('should apply approved cells only and report conflicts with the current JSON', () => {
+    const exported = surveyToReviewSheet(survey())
+    expect(exported.header).to.deep.equal(['Key', 'Question', 'Context', 'English', 'de', 'de status', 'Comments'])
+    expect(exported.rows[1].slice(0, 4)).to.deep.equal(['page1.q.color.choice.red.text', 'color', 'Your <b>favorite</b> color, please', 'Red'])
+
+    const current = survey()
+    current.pages[0].elements[0].choices[0].text.de = 'Rot (neu)'
+    approve(exported, 'page1.q.color.title', 'de', 'Deine <b>Lieblingsfarbe</b>, bitte!')
+    approve(exported, 'page1.q.color.choice.red.text', 'de', 'Rot!')
+    exported.rows.find(r => r[0] === 'page1.q.color.choice.blue.text')[4] = 'Blau'
+    const result = applyReviewSheet(current, exported, { baseline: exported.baseline })
+
+    expect(result.applied).to.deep.equal([{ key: 'page1.q.color.title', locale: 'de', text: 'Deine <b>Lieblingsfarbe</b>, bitte!' }])
+    expect(result.conflicts.map(c => `${c.key} ${c.reason}`)).to.deep.equal(['page1.q.color.choice.red.text changed'])
+    expect(current.pages[0].elements[0].choices[1].text).to.deep.equal({ default: 'Blue' })
+  })
+
+  getSurveyFileNames().forEach((surveyFile) => {
+    it(`should rebuild ${surveyFile} losslessly from approved review rows`, () => {
+      cy.fixture(surveyFile).then((surveyData) => {
+        const sheet = surveyToReviewSheet(surveyData)
+        sheet.header.forEach((label, i) => {
+          if (!label.endsWith(' status')) return
+          sheet.rows.forEach(row => { if (row[i - 1] !== '') row[i] = 'approved' })
+        })
+        const stripped = stripTranslations(surveyData)
+        expect(applyReviewSheet(stripped, sheet).conflicts).to.have.length(0)
+        expect(stripped).to.deep.equal(surveyData)
+      })
+    })
+  })
+})
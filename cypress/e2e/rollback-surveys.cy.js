@@ -0,0 +1,165 @@
+/**
+ * Survey Rollback Tests
+ *
+ * These tests run rollback-surveys against a temporary local bucket.
+ */
+
+import { RELEASE_MANIFEST_FILE, buildReleaseManifest, stampSurveyRelease } from '../../src/helpers/surveyRelease.js'
+import { surveyOf } from '../support/surveyFixtures.js'
+
+const BUCKET = 'levante-assets-dev'
+const SCRIPT = 'scripts/rollback-surveys.js'
+const LATEST = 'backup_2026-10-01_12-00-00'
+const OLDEST = 'backup_2026-09-01_12-00-00'
+
+const releaseOf = (version) => ({ version, contentHash: `hash-${version}`, releasedAt: '2026-10-01T12:00:00.000Z', previousVersion: null })
+
+// Published survey file with one text question per name
+const publishedOf = (version, ...names) => JSON.stringify(stampSurveyRelease(
+  surveyOf(...names.map(name => ({ type: 'text', name, title: { default: name, de: name } }))),
+  releaseOf(version)
+), null, 2)
+
+const manifestOf = (childVersion, familyVersion) => JSON.stringify(buildReleaseManifest([
+  { name: 'child_survey', fileName: 'child_survey.json', version: childVersion, previousVersion: null, level: 'minor', contentHash: `hash-${childVersion}` },
+  { name: 'parent_survey_family', fileName: 'parent_survey_family.json', version: familyVersion, previousVersion: null, level: 'minor', contentHash: `hash-${familyVersion}` }
+], { environment: 'DEV', releasedAt: '2026-10-01T12:00:00.000Z' }), null, 2)
+
+const objects = {
+  'surveys/child_survey.json': publishedOf('1.1.0', 'Age', 'Grade'),
+  'surveys/parent_survey_family.json': publishedOf('2.1.0', 'Income'),
+  [`surveys/${RELEASE_MANIFEST_FILE}`]: manifestOf('1.1.0', '2.1.0'),
+  [`surveys/${LATEST}/child_survey.json`]: publishedOf('1.0.0', 'Age'),
+  [`surveys/${LATEST}/parent_survey_family.json`]: publishedOf('2.0.0', 'Income'),
+  [`surveys/${LATEST}/${RELEASE_MANIFEST_FILE}`]: manifestOf('1.0.0', '2.0.0'),
+  [`surveys/${OLDEST}/child_survey.json`]: '{ "pages": ['
+}
+
+describe('Survey Rollback', () => {
+  let root
+
+  const rollback = (...args) => cy.task('runScript', { script: SCRIPT, args, root })
+  const bucket = () => cy.task('readLocalBucket', { root, bucket: BUCKET })
+
+  beforeEach(() => {
+    cy.task('createLocalBucket', { bucket: BUCKET, objects }).then((dir) => {
+      root = dir
+    })
+  })
+
+  afterEach(() => {
+    cy.task('removeLocalBucket', root)
+  })
+
+  it('should list backups newest first with their survey versions', () => {
+    rollback('list').then(({ code, stdout }) => {
+      expect(code).to.equal(0)
+      expect(stdout).to.contain('2 backup(s)')
+      expect(stdout).to.contain(`${LATEST}  (2026-10-01T12:00:00.000Z)  child_survey@1.0.0, parent_survey_family@2.0.0`)
+      expect(stdout.indexOf(LATEST)).to.be.below(stdout.indexOf(OLDEST))
+    })
+  })
+
+  it('should diff the published survey against a backup', () => {
+    rollback('diff', 'latest', '--surveys=child_survey').then(({ code, stdout }) => {
+      expect(code).to.equal(0)
+      expect(stdout).to.contain(`Current → ${LATEST}`)
+      expect(stdout).to.contain('- Grade (text) from page1')
+      expect(stdout).not.to.contain('parent_survey_family')
+    })
+  })
+
+  it('should only preview a restore without --yes', () => {
+    rollback('restore', 'latest', '--surveys=child_survey', '--dry-run').then(({ code, stdout }) => {
+      expect(code).to.equal(0)
+      expect(stdout).to.contain('child_survey.json: 1.1.0 → 1.0.0 (0 added, 1 removed, 0 logic, 0 English)')
+      expect(stdout).to.contain(`${RELEASE_MANIFEST_FILE}: entries rewritten for the restored surveys`)
+      expect(stdout).to.contain('DRY RUN: nothing was changed')
+    })
+    rollback('restore', 'latest', '--surveys=child_survey').then(({ code }) => {
+      expect(code).to.equal(1)
+    })
+    bucket().then((after) => {
+      expect(Object.keys(after).sort()).to.deep.equal(Object.keys(objects).sort())
+    })
+  })
+
+  it('should restore one survey with MD5 verification, rewrite the manifest and write an audit entry', () => {
+    bucket().then((before) => {
+      rollback('restore', 'latest', '--surveys=child_survey', '--yes', '--actor=Jane Doe').then(({ code, stdout }) => {
+        expect(code).to.equal(0)
+        expect(stdout).to.contain(`Rolled back 1 file(s) to ${LATEST}`)
+      })
+
+      bucket().then((after) => {
+        const source = after[`surveys/${LATEST}/child_survey.json`]
+        expect(after['surveys/child_survey.json'].md5).to.equal(source.md5)
+        expect(after['surveys/parent_survey_family.json'].md5).to.equal(before['surveys/parent_survey_family.json'].md5)
+
+        // The pre-rollback backup holds what was published, manifest included
+        const preRollback = Object.keys(after)
+          .filter(name => name.startsWith('surveys/backup_') && !name.startsWith(`surveys/${LATEST}/`) && !name.startsWith(`surveys/${OLDEST}/`))
+          .sort()
+        expect(preRollback.map(name => name.split('/').pop())).to.deep.equal(['child_survey.json', RELEASE_MANIFEST_FILE])
+        expect(after[preRollback[0]].md5).to.equal(before['surveys/child_survey.json'].md5)
+
+        const manifest = JSON.parse(after[`surveys/${RELEASE_MANIFEST_FILE}`].content)
+        expect(manifest.surveys.map(s => [s.name, s.version, s.previousVersion, s.change])).to.deep.equal([
+          ['child_survey', '1.0.0', '1.1.0', 'rollback'],
+          ['parent_survey_family', '2.1.0', null, 'minor']
+        ])
+        expect(manifest.rollback.backup).to.equal(LATEST)
+        expect(manifest.rollback.surveys).to.deep.equal(['child_survey'])
+
+        const auditName = Object.keys(after).find(name => name.startsWith('surveys/audit/rollback_'))
+        const audit = JSON.parse(after[auditName].content)
+        expect(audit).to.deep.include({ action: 'rollback', actor: 'Jane Doe', backup: LATEST, status: 'success', error: null })
+        expect(audit.files).to.deep.equal([{
+          name: 'surveys/child_survey.json',
+          source: `surveys/${LATEST}/child_survey.json`,
+          md5Before: before['surveys/child_survey.json'].md5,
+          md5After: source.md5
+        }])
+        expect(audit.manifest).to.deep.equal({
+          name: `surveys/${RELEASE_MANIFEST_FILE}`,
+          action: 'rewritten',
+          md5Before: before[`surveys/${RELEASE_MANIFEST_FILE}`].md5,
+          md5After: after[`surveys/${RELEASE_MANIFEST_FILE}`].md5,
+          surveys: [{ name: 'child_survey', version: '1.0.0', previousVersion: '1.1.0' }]
+        })
+      })
+    })
+  })
+
+  it('should restore the manifest from the backup when every survey is rolled back', () => {
+    const complete = { ...objects }
+    for (const name of ['parent_survey_child', 'teacher_survey_general', 'teacher_survey_classroom']) {
+      complete[`surveys/${name}.json`] = publishedOf('1.0.1', 'Q')
+      complete[`surveys/${LATEST}/${name}.json`] = publishedOf('1.0.0', 'Q')
+    }
+    cy.task('createLocalBucket', { bucket: BUCKET, objects: complete }).then((dir) => {
+      cy.task('runScript', { script: SCRIPT, args: ['restore', 'latest', '--yes'], root: dir }).then(({ code, stdout }) => {
+        expect(code).to.equal(0)
+        expect(stdout).to.contain(`Rolled back 6 file(s) to ${LATEST}`)
+      })
+      cy.task('readLocalBucket', { root: dir, bucket: BUCKET }).then((after) => {
+        expect(after[`surveys/${RELEASE_MANIFEST_FILE}`].md5).to.equal(after[`surveys/${LATEST}/${RELEASE_MANIFEST_FILE}`].md5)
+        const auditName = Object.keys(after).find(name => name.startsWith('surveys/audit/rollback_'))
+        expect(JSON.parse(after[auditName].content).manifest).to.deep.equal({ name: `surveys/${RELEASE_MANIFEST_FILE}`, action: 'restored' })
+      })
+      cy.task('removeLocalBucket', dir)
+    })
+  })
+
+  it('should refuse to restore a backup file that is not valid JSON', () => {
+    bucket().then((before) => {
+      rollback('restore', OLDEST, '--surveys=child_survey', '--yes').then(({ code, stderr }) => {
+        expect(code).to.equal(1)
+        expect(stderr).to.contain(`surveys/${OLDEST}/child_survey.json is not valid JSON; refusing to restore it`)
+      })
+      bucket().then((after) => {
+        expect(after).to.deep.equal(before)
+      })
+    })
+  })
+})
@@ -0,0 +1,103 @@
+/**
+ * String Id Tests
+ *
+ * These tests check that stable string ids follow their strings across
+ * survey versions.
+ */
+
+import { createStringId, createStringIdMap, hashString, indexStringIds, syncStringIds } from '../../src/helpers/stringIds.js'
+import { surveyOfPages } from '../support/surveyFixtures.js'
+
+const textOf = (name, title) => ({ type: 'text', name, title })
+
+// Versions of a survey titled 'School survey', one list of elements per page
+const schoolSurveyOf = (...pages) => ({ title: { default: 'School survey' }, ...surveyOfPages(...pages) })
+
+const first = schoolSurveyOf(
+  [textOf('Age', { default: 'How old are you?', de: 'Wie alt bist du?' }), textOf('Grade', { default: 'Which grade are you in?' })],
+  [{ type: 'radiogroup', name: 'Pet', title: 'Which pet?', choices: [{ value: 'dog', text: { default: 'Dog' } }] }]
+)
+
+describe('String Ids', () => {
+  it('should hash new ids from the survey and semantic id, avoiding taken ones', () => {
+    // 32-bit FNV-1a reference values
+    expect(hashString('')).to.equal('811c9dc5')
+    expect(hashString('a')).to.equal('e40c292c')
+
+    const taken = new Set()
+    const id = createStringId('child_survey', 'page1.q.age.title', taken)
+    expect(id).to.equal(`s_${hashString('child_survey:page1.q.age.title')}`)
+    const again = createStringId('child_survey', 'page1.q.age.title', taken)
+    expect(again).to.equal(`s_${hashString('child_survey:page1.q.age.title#2')}`)
+    expect([...taken]).to.deep.equal([id, again])
+
+    expect(createStringIdMap('child_survey')).to.deep.equal({ version: 1, survey: 'child_survey', strings: {} })
+  })
+
+  it('should give every multilingual string an id on the first sync', () => {
+    const { map, changes } = syncStringIds(first, 'inline')
+    expect(Object.values(map.strings).map(entry => [entry.semanticId, entry.path, entry.source])).to.deep.equal([
+      ['title', 'title', 'School survey'],
+      ['page1.q.age.title', 'pages[0].elements[0].title', 'How old are you?'],
+      ['page1.q.grade.title', 'pages[0].elements[1].title', 'Which grade are you in?'],
+      ['page2.q.pet.choice.dog.text', 'pages[1].elements[0].choices[0].text', 'Dog']
+    ])
+    expect(changes.added).to.deep.equal(Object.keys(map.strings))
+    expect(changes.added[1]).to.equal(`s_${hashString('inline:page1.q.age.title')}`)
+    expect(changes.kept).to.equal(0)
+
+    // Nothing changed: every id is kept as it is
+    const again = syncStringIds(first, 'inline', map)
+    expect(again.map).to.deep.equal(map)
+    expect(again.changes).to.deep.equal({ kept: 4, moved: [], renamed: [], added: [], retired: [], edited: [] })
+  })
+
+  it('should carry ids to moved and renamed questions and report English edits', () => {
+    const { map: previous } = syncStringIds(first, 'inline')
+    const [, ageId, gradeId] = Object.keys(previous.strings)
+
+    const next = schoolSurveyOf(
+      [textOf('SchoolGrade', { default: 'Which  grade are you in?' })],
+      [textOf('Age', { default: 'How old are you now?', de: 'Wie alt bist du?' }), first.pages[1].elements[0]]
+    )
+    const { map, changes } = syncStringIds(next, 'inline', previous)
+    expect(changes.kept).to.equal(2)
+    expect(changes.moved).to.deep.equal([{ id: ageId, from: 'page1.q.age.title', to: 'page2.q.age.title' }])
+    // Found by its English, whitespace aside
+    expect(changes.renamed).to.deep.equal([{ id: gradeId, from: 'page1.q.grade.title', to: 'page1.q.schoolgrade.title' }])
+    expect(changes.edited).to.deep.equal([{ id: ageId, semanticId: 'page2.q.age.title', previousSource: 'How old are you?', source: 'How old are you now?' }])
+    expect(map.strings[ageId]).to.deep.include({ semanticId: 'page2.q.age.title', aliases: ['page1.q.age.title'] })
+
+    // Moving back drops the current id from the aliases instead of repeating it
+    const { map: back } = syncStringIds(first, 'inline', map)
+    expect(back.strings[ageId].aliases).to.deep.equal(['page2.q.age.title'])
+  })
+
+  it('should retire ids of removed strings and keep review flags', () => {
+    const { map: previous } = syncStringIds(first, 'inline')
+    const [, ageId, gradeId] = Object.keys(previous.strings)
+    previous.strings[ageId].review = { previousSource: 'Your age?', since: '2026-10-01T12:00:00.000Z', targets: { de: 'Wie alt bist du?' } }
+
+    const next = schoolSurveyOf([first.pages[0].elements[0], textOf('Town', { default: 'Where do you live?' })])
+    const { map, changes } = syncStringIds(next, 'inline', previous)
+    expect(changes.retired).to.deep.equal([gradeId, Object.keys(previous.strings)[3]])
+    expect(changes.added).to.deep.equal([`s_${hashString('inline:page1.q.town.title')}`])
+    expect(map.strings[ageId].review).to.deep.equal(previous.strings[ageId].review)
+  })
+
+  it('should look strings up by stable id, semantic id or former semantic id', () => {
+    const { map: previous } = syncStringIds(first, 'inline')
+    const next = schoolSurveyOf(
+      [textOf('Grade', { default: 'Which grade are you in?' })],
+      [textOf('Age', { default: 'How old are you?' }), first.pages[1].elements[0]]
+    )
+    const { map } = syncStringIds(next, 'inline', previous)
+    const index = indexStringIds(map)
+    const ageId = Object.keys(previous.strings)[1]
+    expect(index.get(ageId)).to.equal('page2.q.age.title')
+    expect(index.get('page2.q.age.title')).to.equal('page2.q.age.title')
+    expect(index.get('page1.q.age.title')).to.equal('page2.q.age.title')
+    expect(index.get('page1.q.grade.title')).to.equal('page1.q.grade.title')
+    expect(indexStringIds(null).size).to.equal(0)
+  })
+})
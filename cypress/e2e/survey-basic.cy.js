@@ -61,4 +61,52 @@ describe('Survey Test Page Basic Verification', () => {
       expect(q.title).to.contain('What is your name?')
     })
   })
+
+  it('should keep answers in sync across side-by-side locales', () => {
+    // The tabs only show for a survey picked in the sidebar, so serve one in place of the bucket file
+    cy.intercept('GET', /\/child_survey\.json/, {
+      body: {
+        pages: [
+          {
+            name: 'page1',
+            elements: [
+              { type: 'text', name: 'question1', title: { default: 'What is your name?', de: 'Wie heißt du?' } }
+            ]
+          }
+        ]
+      }
+    })
+    cy.visit('/survey-test')
+    cy.get('#survey-select').select('child_survey')
+
+    cy.contains('.view-tab', 'Side by side').click()
+    cy.get('.side-by-side .pane').should('have.length', 2)
+    cy.get('.side-by-side .pane').eq(1).should('contain', 'Wie heißt du?')
+
+    cy.get('.side-by-side .pane').eq(0).find('input[type="text"]').type('Ada').blur()
+    cy.get('.side-by-side .pane').eq(1).find('input[type="text"]').should('have.value', 'Ada')
+  })
+
+  it('should save completed responses and load them back into the preview', () => {
+    cy.intercept('GET', /\/child_survey\.json/, {
+      body: { pages: [{ name: 'page1', elements: [{ type: 'text', name: 'question1' }] }] }
+    })
+    cy.visit('/survey-test')
+    cy.get('#survey-select').select('child_survey')
+    cy.window().then((win) => win.indexedDB.deleteDatabase('levante-survey-preview'))
+
+    cy.contains('.view-tab', 'Results').click()
+    cy.window().then((win) => {
+      win.testSurvey.setValue('question1', 'Ada')
+    })
+    cy.get('[data-testid="live-data"]').should('contain', '"question1": "Ada"')
+    cy.window().then((win) => {
+      win.testSurvey.doComplete()
+    })
+    cy.get('.results-panel .history-item').should('have.length', 1)
+
+    cy.contains('.history-item .control-btn', 'Load in preview').click()
+    cy.get('.view-tab.active').should('contain', 'Preview')
+    cy.window().its('testSurvey.data').should('deep.equal', { question1: 'Ada' })
+  })
 })
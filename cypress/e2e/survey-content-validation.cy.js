@@ -6,14 +6,10 @@
  * and checking for proper translations.
  */
 
+import { getSurveyFileNames } from '../../src/constants/surveys.js'
+
 describe('Survey Content Validation', () => {
-  const surveys = [
-    'child_survey.json',
-    'parent_survey_family.json',
-    'parent_survey_child.json',
-    'teacher_survey_general.json',
-    'teacher_survey_classroom.json'
-  ]
+  const surveys = getSurveyFileNames()
 
   // Locales we expect to have meaningful content (not just fallbacks)
   const supportedLocales = [
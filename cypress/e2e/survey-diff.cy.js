@@ -0,0 +1,151 @@
+/**
+ * Semantic Survey Diff Tests
+ *
+ * These tests check the semantic diff between two versions of a small
+ * inline survey.
+ */
+
+import { diffSurveys, formatSurveyDiff, hasChanges } from '../../src/helpers/surveyDiff.js'
+
+const before = {
+  title: { default: 'School survey', de: 'Schulumfrage' },
+  pages: [
+    {
+      name: 'intro',
+      elements: [
+        { type: 'html', name: 'Welcome', html: { default: '<p>Welcome</p>', de: '<p>Willkommen</p>', fr: '<p>Bienvenue</p>' } },
+        { type: 'text', name: 'Age', inputType: 'number', title: { default: 'How old are you?', de: 'Wie alt bist du?' } },
+        {
+          type: 'radiogroup',
+          name: 'Pet',
+          title: 'Which pet do you have?',
+          choices: [{ value: 'dog', text: { default: 'Dog', de: 'Hund' } }, { value: 'cat', text: 'Cat' }]
+        },
+        { type: 'text', name: 'PetName', title: 'What is its name?' }
+      ]
+    },
+    { name: 'extra', elements: [{ type: 'comment', name: 'Feedback', title: { default: 'Anything else?', de: 'Sonst noch etwas?' } }] }
+  ]
+}
+
+const after = {
+  title: { default: 'School survey', de: 'Schulumfrage' },
+  levanteRelease: { version: 3 },
+  pages: [
+    {
+      name: 'intro',
+      elements: [
+        { type: 'html', name: 'Welcome', html: { default: '<p>Welcome!</p>', de: '<p>Willkommen</p>', fr: '<p>Bienvenue !</p>' } },
+        // Inserted before Age: Age and Pet keep their order among shared siblings
+        { type: 'text', name: 'Grade', title: { default: 'Which grade are you in?', de: 'Welche Klasse?' } },
+        { type: 'text', name: 'Age', inputType: 'number', title: { default: 'How old are you?', de: 'Wie alt bist du denn?', it: 'Quanti anni hai?' } },
+        {
+          type: 'radiogroup',
+          name: 'Pet',
+          title: 'Which pet do you have?',
+          visibleIf: '{Age} > 5',
+          choices: [{ value: 'cat', text: 'Cat' }, { value: 'dog', text: { default: 'Dog', de: 'Hund' } }, { value: 'bird', text: 'Bird' }]
+        }
+      ]
+    },
+    { name: 'pets', elements: [{ type: 'text', name: 'PetName', title: 'What is its name?' }] }
+  ]
+}
+
+describe('Semantic Survey Diff', () => {
+  it('should report pages and elements added, removed and moved', () => {
+    const diff = diffSurveys(before, after)
+    expect(diff.pages).to.deep.equal({ added: ['pets'], removed: ['extra'] })
+    expect(diff.elements.added).to.deep.equal([{ name: 'Grade', type: 'text', path: 'pages[0].elements[1]', page: 'intro' }])
+    expect(diff.elements.removed).to.deep.equal([{ name: 'Feedback', type: 'comment', path: 'pages[1].elements[0]', page: 'extra' }])
+    expect(diff.elements.moved).to.deep.equal([{
+      name: 'PetName',
+      from: { page: 'intro', parent: null, index: 3 },
+      to: { page: 'pets', parent: null, index: 0 }
+    }])
+  })
+
+  it('should report logic changes and compare choices by value', () => {
+    expect(diffSurveys(before, after).logic).to.deep.equal([
+      { name: 'Pet', property: 'visibleIf', before: undefined, after: '{Age} > 5' },
+      { name: 'Pet', property: 'choices added', before: null, after: ['bird'] },
+      { name: 'Pet', property: 'choices order', before: ['dog', 'cat'], after: ['cat', 'dog'] }
+    ])
+  })
+
+  it('should report English and per-locale text changes by element, not index', () => {
+    const diff = diffSurveys(before, after)
+    // Text of the added and removed elements is covered by the element change,
+    // and PetName keeps its string keys when it moves to another page
+    expect(diff.english).to.deep.equal([
+      { key: 'q.welcome.html', elementName: 'Welcome', path: 'pages[0].elements[0].html', change: 'changed', before: '<p>Welcome</p>', after: '<p>Welcome!</p>' },
+      { key: 'q.pet.choice.bird.text', elementName: 'Pet', path: 'pages[0].elements[3].choices[2].text', change: 'added', after: 'Bird' }
+    ])
+    expect(Object.keys(diff.translations).sort()).to.deep.equal(['de', 'fr', 'it'])
+    expect(diff.translations.de.map(c => `${c.change} ${c.key}`)).to.deep.equal(['changed q.age.title'])
+    expect(diff.translations.it).to.deep.equal([
+      { key: 'q.age.title', elementName: 'Age', path: 'pages[0].elements[2].title', change: 'added', after: 'Quanti anni hai?' }
+    ])
+    expect(diff.summary).to.deep.equal({
+      pagesAdded: 1,
+      pagesRemoved: 1,
+      elementsAdded: 1,
+      elementsRemoved: 1,
+      elementsMoved: 1,
+      logicChanges: 3,
+      englishChanges: 2,
+      translationChanges: { de: 1, fr: 1, it: 1 }
+    })
+
+    const filtered = diffSurveys(before, after, { locales: ['IT', 'es_co'] })
+    expect(Object.keys(filtered.translations)).to.deep.equal(['it'])
+    expect(filtered.english).to.have.length(2)
+  })
+
+  it('should compare plain-string text like translated text', () => {
+    const plain = { pages: [{ name: 'intro', elements: [{ type: 'text', name: 'PetName', title: 'Its name?' }] }] }
+    const reworded = { pages: [{ name: 'intro', elements: [{ type: 'text', name: 'PetName', title: 'What is its name?' }] }] }
+    expect(diffSurveys(plain, reworded).english.map(c => `${c.change} ${c.key}: ${c.before} → ${c.after}`)).to.deep.equal([
+      'changed q.petname.title: Its name? → What is its name?'
+    ])
+    // Translating a plain string keeps its English and key
+    const translated = { pages: [{ name: 'intro', elements: [{ type: 'text', name: 'PetName', title: { default: 'Its name?', de: 'Sein Name?' } }] }] }
+    const diff = diffSurveys(plain, translated)
+    expect(diff.english).to.deep.equal([])
+    expect(diff.translations.de.map(c => `${c.change} ${c.key}`)).to.deep.equal(['added q.petname.title'])
+  })
+
+  it('should ignore release metadata and report identical surveys as unchanged', () => {
+    const stamped = { ...before, levanteRelease: { version: 7, contentHash: 'abc' } }
+    const diff = diffSurveys(before, stamped)
+    expect(hasChanges(diff)).to.equal(false)
+    expect(formatSurveyDiff(diff)).to.equal('No changes')
+    expect(hasChanges(diffSurveys(before, after))).to.equal(true)
+  })
+
+  it('should format a readable report', () => {
+    const lines = formatSurveyDiff(diffSurveys(before, after, { locales: ['it'] })).split('\n')
+    expect(lines).to.deep.equal([
+      'Pages',
+      '  + pets',
+      '  - extra',
+      '',
+      'Elements',
+      '  + Grade (text) on intro',
+      '  - Feedback (comment) from extra',
+      '  ~ PetName: intro #4 → pets #1',
+      '',
+      'Logic',
+      '  Pet.visibleIf: ∅ → {Age} > 5',
+      '  Pet.choices added: null → ["bird"]',
+      '  Pet.choices order: ["dog","cat"] → ["cat","dog"]',
+      '',
+      'English',
+      '  changed q.welcome.html: <p>Welcome</p> → <p>Welcome!</p>',
+      '  added   q.pet.choice.bird.text: ∅ → Bird',
+      '',
+      'Translations (it)',
+      '  added   q.age.title: ∅ → Quanti anni hai?'
+    ])
+  })
+})
@@ -5,14 +5,10 @@
  * the Vue component to work properly.
  */
 
+import { getSurveyFileNames } from '../../src/constants/surveys.js'
+
 describe('Survey JSON File Validation', () => {
-  const surveys = [
-    'child_survey.json',
-    'parent_survey_family.json', 
-    'parent_survey_child.json',
-    'teacher_survey_general.json',
-    'teacher_survey_classroom.json'
-  ]
+  const surveys = getSurveyFileNames()
 
   surveys.forEach((surveyFile) => {
     describe(`${surveyFile} JSON Validation`, () => {
@@ -0,0 +1,177 @@
+/**
+ * Survey Lint Tests
+ *
+ * These tests check what each lint rule reports for small inline surveys,
+ * and the severity overrides and SARIF output.
+ */
+
+import { LINT_RULES, lintSurvey, resolveRuleSeverities, toSarif } from '../../src/helpers/surveyLint.js'
+import { surveyOf } from '../support/surveyFixtures.js'
+
+// Findings of one rule as `path: message`
+const findingsOf = (survey, ruleId) => lintSurvey(survey).findings
+  .filter(finding => finding.ruleId === ruleId)
+  .map(finding => `${finding.path}: ${finding.message}`)
+
+describe('Survey Lint', () => {
+  it('should report duplicate names, nested panels included', () => {
+    const survey = surveyOf(
+      { type: 'text', name: 'Age' },
+      { type: 'panel', name: 'Details', elements: [{ type: 'text', name: 'Age' }] },
+      { type: 'paneldynamic', name: 'Siblings', templateElements: [{ type: 'text', name: 'Details' }] },
+      { type: 'html', name: '', html: 'Unnamed' },
+      { type: 'html', name: '', html: 'Also unnamed' }
+    )
+    expect(findingsOf(survey, 'duplicate-name')).to.deep.equal([
+      'pages[0].elements[1].elements[0]: Duplicate name "Age" (first defined at pages[0].elements[0])',
+      'pages[0].elements[2].templateElements[0]: Duplicate name "Details" (first defined at pages[0].elements[1])'
+    ])
+  })
+
+  it('should report visibleIf references to unknown questions only', () => {
+    const survey = {
+      calculatedValues: [{ name: 'isTeen', expression: '{Age} > 12' }],
+      pages: [{
+        name: 'page1',
+        elements: [
+          { type: 'text', name: 'Age', inputType: 'number' },
+          { type: 'text', name: 'School', visibleIf: '{Age} > 5 and {isTeen} = true and {locale} = \'de\'' },
+          { type: 'matrixdynamic', name: 'Pets', columns: [{ name: 'kind', visibleIf: '{row.kind} notempty' }], visibleIf: '{Age.years} > 1' },
+          { type: 'text', name: 'Job', visibleIf: '{Agee} > 18 or {Career[0].title} notempty' }
+        ]
+      }]
+    }
+    expect(findingsOf(survey, 'visible-if-unknown-reference')).to.deep.equal([
+      'pages[0].elements[3].visibleIf: visibleIf references unknown question "{Agee}"',
+      'pages[0].elements[3].visibleIf: visibleIf references unknown question "{Career[0].title}"'
+    ])
+  })
+
+  it('should report choicesFromQuestion pointing at a missing question or itself', () => {
+    const survey = surveyOf(
+      { type: 'checkbox', name: 'Degrees', choices: ['BA', 'MA'] },
+      { type: 'radiogroup', name: 'HighestDegree', choicesFromQuestion: 'Degrees' },
+      { type: 'radiogroup', name: 'FirstDegree', choicesFromQuestion: 'Degree' },
+      { type: 'radiogroup', name: 'Loop', choicesFromQuestion: 'Loop' }
+    )
+    expect(findingsOf(survey, 'choices-from-missing-question')).to.deep.equal([
+      'pages[0].elements[2].choicesFromQuestion: choicesFromQuestion points at missing question "Degree"',
+      'pages[0].elements[3].choicesFromQuestion: choicesFromQuestion points at the question itself'
+    ])
+  })
+
+  it('should report matrix rows and columns without text', () => {
+    const survey = surveyOf(
+      {
+        type: 'matrix',
+        name: 'Feelings',
+        rows: [{ value: 'happy', text: { default: 'Happy', de: 'Glücklich' } }, { value: 'sad', text: { default: ' ' } }, 'bored'],
+        columns: [{ value: 1, text: 'Never' }, { value: 2 }]
+      },
+      // matrixdropdown columns are cell editors and are not checked
+      { type: 'matrixdropdown', name: 'Subjects', rows: [{ value: 'math', text: 'Math' }], columns: [{ name: 'grade' }] }
+    )
+    expect(findingsOf(survey, 'matrix-item-without-text')).to.deep.equal([
+      'pages[0].elements[0].rows[1]: Matrix row "sad" has no text',
+      'pages[0].elements[0].rows[2]: Matrix row "bored" is a bare value with no translatable text',
+      'pages[0].elements[0].columns[1]: Matrix column "2" has no text'
+    ])
+  })
+
+  it('should report boolean value pairs that are incomplete, equal or differ from the survey majority', () => {
+    const survey = surveyOf(
+      { type: 'boolean', name: 'LikesSchool', valueTrue: 'Yes', valueFalse: 'No' },
+      { type: 'boolean', name: 'LikesSports', valueTrue: 'Yes', valueFalse: 'No' },
+      { type: 'boolean', name: 'LikesMusic', valueTrue: 'yes', valueFalse: 'no' },
+      { type: 'boolean', name: 'LikesArt' },
+      { type: 'boolean', name: 'Score', valueTrue: '1', valueFalse: '0' },
+      { type: 'boolean', name: 'OnlyTrue', valueTrue: 'Yes' },
+      { type: 'boolean', name: 'Same', valueTrue: 'Yes', valueFalse: 'Yes' }
+    )
+    expect(findingsOf(survey, 'boolean-value-mismatch')).to.deep.equal([
+      'pages[0].elements[5]: Boolean sets only one of valueTrue/valueFalse (valueTrue: "Yes", valueFalse: unset)',
+      'pages[0].elements[6]: Boolean valueTrue and valueFalse are both "Yes"',
+      'pages[0].elements[2]: Boolean uses "yes"/"no" while other booleans use "Yes"/"No"',
+      'pages[0].elements[3]: Boolean uses true/false while other booleans use "Yes"/"No"'
+    ])
+    // Without label pairs there is no majority to compare against
+    expect(findingsOf(surveyOf({ type: 'boolean', name: 'A' }, { type: 'boolean', name: 'B', valueTrue: 1, valueFalse: 0 }), 'boolean-value-mismatch')).to.deep.equal([])
+  })
+
+  it('should report html elements without content or without English', () => {
+    const survey = surveyOf(
+      { type: 'html', name: 'Intro', html: { default: '<p>Welcome</p>', de: '<p>Willkommen</p>' } },
+      { type: 'html', name: 'Empty', html: '  ' },
+      { type: 'html', name: 'Missing' },
+      { type: 'html', name: 'GermanOnly', html: { default: '', de: '<p>Nur Deutsch</p>' } }
+    )
+    expect(findingsOf(survey, 'empty-html')).to.deep.equal([
+      'pages[0].elements[1]: html element has no content',
+      'pages[0].elements[2]: html element has no content',
+      'pages[0].elements[3].html: html element has no default (English) content'
+    ])
+  })
+
+  it('should report base "es" keys but not regional ones', () => {
+    const survey = surveyOf({
+      type: 'radiogroup',
+      name: 'Pet',
+      title: { default: 'Do you have a pet?', es: '¿Tienes mascota?', 'es-CO': '¿Tienes mascota?' },
+      choices: [{ value: 'yes', text: { default: 'Yes', 'es-AR': 'Sí' } }]
+    })
+    expect(findingsOf(survey, 'no-base-es')).to.deep.equal(['pages[0].elements[0].title: Base "es" key found'])
+  })
+
+  it('should apply severity overrides and reject unknown rules and severities', () => {
+    const survey = surveyOf({ type: 'html', name: 'Intro' }, { type: 'html', name: 'Intro', html: 'Hi' })
+    expect(lintSurvey(survey).errorCount).to.equal(2)
+
+    const result = lintSurvey(survey, { rules: { 'duplicate-name': 'warning', 'empty-html': 'off' }, file: 'surveys/inline.json' })
+    expect(result.file).to.equal('surveys/inline.json')
+    expect(result.findings.map(f => `${f.ruleId} ${f.severity}`)).to.deep.equal(['duplicate-name warning'])
+    expect(result.errorCount).to.equal(0)
+    expect(result.warningCount).to.equal(1)
+
+    expect(Object.keys(resolveRuleSeverities())).to.deep.equal(LINT_RULES.map(rule => rule.id))
+    expect(() => resolveRuleSeverities({ 'no-such-rule': 'error' })).to.throw('Unknown survey lint rule: no-such-rule')
+    expect(() => resolveRuleSeverities({ 'empty-html': 'fatal' })).to.throw('Invalid severity "fatal" for rule empty-html')
+  })
+
+  it('should write findings as a SARIF 2.1.0 log', () => {
+    const rules = { 'boolean-value-mismatch': 'off' }
+    const results = [
+      lintSurvey(surveyOf({ type: 'html', name: 'Intro' }), { rules, file: 'surveys/a.json' }),
+      lintSurvey(surveyOf({ type: 'text', name: 'Q', visibleIf: '{Missing} = 1' }), { rules, file: 'surveys/b.json' })
+    ]
+    const sarif = toSarif(results, { rules })
+
+    expect(sarif.version).to.equal('2.1.0')
+    expect(sarif.runs).to.have.length(1)
+    const { driver } = sarif.runs[0].tool
+    expect(driver.name).to.equal('levante-survey-lint')
+    expect(driver.rules.map(rule => rule.id)).to.deep.equal(LINT_RULES.map(rule => rule.id))
+    expect(driver.rules.find(rule => rule.id === 'boolean-value-mismatch').defaultConfiguration).to.deep.equal({ level: 'none' })
+    expect(driver.rules.find(rule => rule.id === 'empty-html').defaultConfiguration).to.deep.equal({ level: 'error' })
+
+    expect(sarif.runs[0].results).to.deep.equal([
+      {
+        ruleId: 'empty-html',
+        level: 'error',
+        message: { text: 'Intro: html element has no content' },
+        locations: [{
+          physicalLocation: { artifactLocation: { uri: 'surveys/a.json' } },
+          logicalLocations: [{ fullyQualifiedName: 'pages[0].elements[0]', kind: 'member' }]
+        }]
+      },
+      {
+        ruleId: 'visible-if-unknown-reference',
+        level: 'error',
+        message: { text: 'Q: visibleIf references unknown question "{Missing}"' },
+        locations: [{
+          physicalLocation: { artifactLocation: { uri: 'surveys/b.json' } },
+          logicalLocations: [{ fullyQualifiedName: 'pages[0].elements[0].visibleIf', kind: 'member' }]
+        }]
+      }
+    ])
+  })
+})
@@ -8,14 +8,10 @@
  * - Translation completeness
  */
 
+import { getSurveyFileNames } from '../../src/constants/surveys.js'
+
 describe('Survey Locales Comprehensive Tests', () => {
-  const surveys = [
-    'child_survey.json',
-    'parent_survey_family.json',
-    'parent_survey_child.json',
-    'teacher_survey_general.json',
-    'teacher_survey_classroom.json'
-  ]
+  const surveys = getSurveyFileNames()
 
     // Actually supported locales (verified to exist in survey data)
   const actuallySupported = [
@@ -0,0 +1,122 @@
+/**
+ * Survey Release Tests
+ *
+ * These tests check survey versioning: version bumps, the embedded release
+ * block, and the release manifest and changelog.
+ */
+
+import {
+  buildReleaseManifest,
+  canonicalSurveyJson,
+  formatReleaseChangelog,
+  getSurveyRelease,
+  planSurveyRelease,
+  stampSurveyRelease
+} from '../../src/helpers/surveyRelease.js'
+
+const release = { version: '2.1.0', contentHash: 'abc', releasedAt: '2026-09-01T12:00:00.000Z', previousVersion: '2.0.3' }
+
+const published = stampSurveyRelease({
+  pages: [{
+    name: 'page1',
+    elements: [
+      { type: 'radiogroup', name: 'Pet', title: { default: 'Which pet?', de: 'Welches Haustier?' }, choices: ['dog', 'cat'] },
+      { type: 'text', name: 'PetName', title: 'Its name?' }
+    ]
+  }]
+}, release)
+
+// The published survey with one change applied to its first page
+const changed = (change) => {
+  const survey = JSON.parse(JSON.stringify(published))
+  delete survey.levanteRelease
+  change(survey.pages[0].elements)
+  return survey
+}
+
+const plan = (next, contentHash = 'new') => planSurveyRelease(published, next, { contentHash })
+
+describe('Survey Release', () => {
+  it('should embed the release block first and leave it out of the content hash input', () => {
+    const survey = { title: 'T', pages: [] }
+    const stamped = stampSurveyRelease(survey, release)
+    expect(Object.keys(stamped)).to.deep.equal(['levanteRelease', 'title', 'pages'])
+    expect(getSurveyRelease(stamped)).to.deep.equal(release)
+    // Restamping replaces the block instead of nesting it
+    expect(stampSurveyRelease(stamped, { ...release, version: '3.0.0' }).levanteRelease.version).to.equal('3.0.0')
+    expect(survey).to.deep.equal({ title: 'T', pages: [] })
+
+    expect(getSurveyRelease(survey)).to.equal(null)
+    expect(getSurveyRelease({ levanteRelease: { version: 2 } })).to.equal(null)
+
+    expect(canonicalSurveyJson(stamped)).to.equal('{"pages":[],"title":"T"}')
+    expect(canonicalSurveyJson({ b: { d: 1, c: [{ f: 1, e: 2 }] }, a: 0 })).to.equal('{"a":0,"b":{"c":[{"e":2,"f":1}],"d":1}}')
+  })
+
+  it('should bump the version by the level of the change', () => {
+    const major = plan(changed(elements => elements.pop()))
+    expect([major.level, major.version, major.previousVersion]).to.deep.equal(['major', '3.0.0', '2.1.0'])
+    expect(plan(changed(elements => { elements[0].choices = ['dog'] })).level).to.equal('major')
+    expect(plan(changed(elements => { elements[1].type = 'comment' })).level).to.equal('major')
+
+    const minor = plan(changed(elements => elements.push({ type: 'text', name: 'Age' })))
+    expect([minor.level, minor.version]).to.deep.equal(['minor', '2.2.0'])
+    expect(plan(changed(elements => { elements[1].visibleIf = '{Pet} notempty' })).level).to.equal('minor')
+    expect(plan(changed(elements => { elements[1].title = 'What is its name?' })).level).to.equal('minor')
+
+    const patch = plan(changed(elements => { elements[0].title.fr = 'Quel animal ?' }))
+    expect([patch.level, patch.version]).to.deep.equal(['patch', '2.1.1'])
+    expect(plan(changed(elements => elements.reverse())).level).to.equal('patch')
+  })
+
+  it('should keep the version when nothing changed and start unversioned surveys at 1.0.0', () => {
+    const same = changed(() => {})
+    expect(plan(same, 'abc')).to.deep.include({ level: null, version: '2.1.0', previousVersion: '2.1.0' })
+    // Same content but another hash (e.g. key order the diff ignores) is still a patch
+    expect(plan(same, 'other')).to.deep.include({ level: 'patch', version: '2.1.1' })
+
+    expect(planSurveyRelease(null, same, { contentHash: 'x' })).to.deep.equal({ version: '1.0.0', previousVersion: null, level: 'initial', diff: null })
+    const unversioned = planSurveyRelease(changed(() => {}), same, { contentHash: 'x' })
+    expect([unversioned.level, unversioned.version, unversioned.previousVersion]).to.deep.equal(['initial', '1.0.0', null])
+  })
+
+  it('should list every survey in the manifest and the changed ones in the changelog', () => {
+    const context = { environment: 'DEV', releasedAt: '2026-10-19T08:00:00.000Z', gitCommit: 'deadbeef' }
+    const next = changed(elements => {
+      elements.pop()
+      elements[0].title.fr = 'Quel animal ?'
+    })
+    const surveys = [
+      { name: 'child', fileName: 'child_survey.json', contentHash: 'h1', ...plan(next, 'h1') },
+      { name: 'teacher', fileName: 'teacher_survey_general.json', contentHash: 'h2', version: '1.4.0', previousVersion: '1.4.0', level: null, diff: null },
+      { name: 'family', fileName: 'parent_survey_family.json', contentHash: 'h3', ...planSurveyRelease(null, next, { contentHash: 'h3' }) }
+    ].map(survey => ({ ...survey, summary: survey.diff ? survey.diff.summary : undefined }))
+
+    const manifest = buildReleaseManifest(surveys, context)
+    expect(manifest).to.deep.include({ manifestVersion: 1, environment: 'DEV', releasedAt: context.releasedAt, gitCommit: 'deadbeef' })
+    expect(manifest.surveys.map(s => [s.name, s.fileName, s.version, s.previousVersion, s.change, s.contentHash])).to.deep.equal([
+      ['child', 'child_survey.json', '3.0.0', '2.1.0', 'major', 'h1'],
+      ['teacher', 'teacher_survey_general.json', '1.4.0', '1.4.0', 'unchanged', 'h2'],
+      ['family', 'parent_survey_family.json', '1.0.0', null, 'initial', 'h3']
+    ])
+    expect(manifest.surveys[0].summary).to.deep.include({ elementsRemoved: 1, translationChanges: { fr: 1 } })
+    expect('summary' in manifest.surveys[1]).to.equal(false)
+    expect(buildReleaseManifest([], { environment: 'PROD', releasedAt: context.releasedAt }).gitCommit).to.equal(null)
+
+    expect(formatReleaseChangelog(surveys, context).split('\n')).to.deep.equal([
+      '## 2026-10-19 — DEV',
+      '',
+      '### child 3.0.0 (from 2.1.0, major)',
+      '',
+      '- Questions removed: `PetName`',
+      '- Translations updated: fr (1)',
+      '',
+      '### teacher 1.4.0 (unchanged)',
+      '',
+      '### family 1.0.0 (initial release)',
+      '',
+      '- First versioned release',
+      ''
+    ])
+  })
+})
@@ -0,0 +1,102 @@
+/**
+ * Answer Scenario Tests
+ *
+ * These tests run every answer scenario in scenarios/ against the preview
+ * and check its expect block, including the scenarios generated by the
+ * branch coverage explorer.
+ */
+
+import { exploreBranches } from '../../src/helpers/branchCoverage.js'
+import { parseScenario, runScenario } from '../../src/helpers/surveyScenarios.js'
+
+describe('Survey Answer Scenarios', () => {
+  it('should meet the expectations of every scenario', () => {
+    cy.task('readScenarioFiles').then((files) => {
+      expect(files.length, 'scenario files').to.be.above(0)
+      files.forEach(({ survey, file, text }) => {
+        cy.request(`/surveys/${survey}.json`).then(({ body }) => {
+          const result = runScenario(body, parseScenario(text, file))
+          cy.log(`${file}: ${result.visiblePages.length} pages visible, ${result.cleared.length} answer(s) cleared`)
+          expect(result.unknownQuestions, `${file} answers to unknown questions`).to.deep.equal([])
+          expect(result.failures, `${file} unmet expectations`).to.deep.equal([])
+        })
+      })
+    })
+  })
+
+  it('should report answers cleared because their question is hidden', () => {
+    const survey = {
+      pages: [
+        {
+          name: 'page1',
+          elements: [
+            { type: 'boolean', name: 'HasPet', valueTrue: 'Yes', valueFalse: 'No' },
+            { type: 'text', name: 'PetName', visibleIf: "{HasPet} = 'Yes'" }
+          ]
+        },
+        { name: 'page2', visibleIf: "{HasPet} = 'Yes'", elements: [{ type: 'comment', name: 'PetStory' }] }
+      ]
+    }
+    const result = runScenario(survey, parseScenario('name: No pet\nanswers:\n  HasPet: "No"\n  PetName: Rex\n  Typo: 1\n', 'no-pet.yaml'))
+    expect(result.visiblePages).to.deep.equal(['page1'])
+    expect(result.hiddenQuestions).to.deep.equal(['PetName', 'PetStory'])
+    expect(result.cleared).to.deep.equal([{ name: 'PetName', value: 'Rex', on: 'complete' }])
+    expect(result.unknownQuestions).to.deep.equal(['Typo'])
+    expect(result.data).to.deep.equal({ HasPet: 'No', Typo: 1 })
+  })
+
+  it('should reject malformed scenario files', () => {
+    expect(() => parseScenario('{"answers": {}}', 'unnamed.json')).to.throw('"name" must be a non-empty string')
+    expect(() => parseScenario('name: x\nanswers: [1]', 'list.yaml')).to.throw('"answers" must map question names')
+    expect(() => parseScenario('name: x\nanswers: {}\nexpect:\n  shown: [a]', 'typo.yaml')).to.throw('unknown expectation "shown"')
+  })
+})
+
+describe('Branch Coverage Explorer', () => {
+  const survey = {
+    pages: [
+      {
+        name: 'page1',
+        elements: [
+          { type: 'boolean', name: 'HasPet', valueTrue: 'Yes', valueFalse: 'No' },
+          { type: 'text', name: 'PetName', visibleIf: "{HasPet} = 'Yes'" },
+          { type: 'comment', name: 'NoPetReason', visibleIf: "{HasPet} = 'No'" },
+          { type: 'text', name: 'Age', inputType: 'number', min: 1, max: 15 },
+          { type: 'radiogroup', name: 'TeenClub', choices: ['a', 'b'], visibleIf: '{Age} > 12' },
+          { type: 'text', name: 'AdultJob', visibleIf: '{Age} > 20' }
+        ]
+      },
+      { name: 'page2', visibleIf: "{HasPet} = 'Yes'", elements: [{ type: 'comment', name: 'PetStory' }] }
+    ]
+  }
+
+  it('should cover every conditional element with scenarios that behave as predicted', () => {
+    const coverage = exploreBranches(survey)
+    expect(coverage.conditional).to.deep.equal(['page:page2', 'PetName', 'NoPetReason', 'TeenClub'])
+    expect(coverage.scenarios).to.have.length(2)
+    expect(coverage.scenarios[0].answers).to.deep.equal({ HasPet: 'Yes', Age: 15 })
+    expect(coverage.scenarios[1].answers).to.deep.equal({ HasPet: 'No' })
+    expect(coverage.scenarios.flatMap(s => s.covers).sort()).to.deep.equal([...coverage.conditional].sort())
+    expect(coverage.uncovered).to.deep.equal([])
+    coverage.scenarios.forEach(scenario => {
+      expect(runScenario(survey, scenario).failures, scenario.name).to.deep.equal([])
+    })
+  })
+
+  it('should report elements that are never visible, using numeric bounds', () => {
+    const { neverVisible, scenarios } = exploreBranches(survey)
+    expect(neverVisible.map(e => e.id)).to.deep.equal(['AdultJob'])
+    expect(neverVisible[0].reason).to.include('{Age} > 20')
+    expect(scenarios.some(s => s.covers.includes('AdultJob'))).to.equal(false)
+  })
+
+  it('should generate scenarios that hold for a catalog survey', () => {
+    cy.request('/surveys/parent_survey_child.json').then(({ body }) => {
+      const coverage = exploreBranches(body)
+      expect(coverage.uncovered, 'conditional elements no scenario reaches').to.deep.equal([])
+      coverage.scenarios.forEach(scenario => {
+        expect(runScenario(body, scenario).failures, scenario.name).to.deep.equal([])
+      })
+    })
+  })
+})
@@ -0,0 +1,46 @@
+/**
+ * Survey Translation Core Tests
+ *
+ * These tests check what the shared translation core treats as
+ * translatable text.
+ */
+
+import { collectMultilingualNodes, isLanguageKey, isMultilingualObject } from '../../src/helpers/surveyTranslations.js'
+
+describe('Survey Translation Core', () => {
+  it('should only treat objects whose keys are all language keys as multilingual', () => {
+    expect(isMultilingualObject({ default: 'Yes', 'es-CO': 'Sí', de_ch: 'Ja' })).to.equal(true)
+    expect(isMultilingualObject({ de: 'Ja' })).to.equal(true)
+
+    // Two-letter property names look like language codes on their own
+    expect(isLanguageKey('id')).to.equal(true)
+    // Mixed keys: a survey object with some language-like properties is not a translation
+    expect(isMultilingualObject({ default: 'Yes', value: 'yes' })).to.equal(false)
+    expect(isMultilingualObject({ id: 'q1', title: { default: 'Name' } })).to.equal(false)
+    expect(isMultilingualObject({ en: 'Name', visibleIf: '{age} > 3' })).to.equal(false)
+
+    expect(isMultilingualObject({})).to.equal(false)
+    expect(isMultilingualObject(['default'])).to.equal(false)
+    expect(isMultilingualObject('Yes')).to.equal(false)
+  })
+
+  it('should collect the translations inside mixed-key objects, not the objects', () => {
+    const survey = {
+      pages: [{
+        name: 'page1',
+        elements: [{
+          type: 'radiogroup',
+          name: 'likes_school',
+          id: 'q1',
+          title: { default: 'Do you like school?', de: 'Magst du die Schule?' },
+          choices: [{ value: 'no', default: 'No', text: { default: 'No', de: 'Nein' } }]
+        }]
+      }]
+    }
+
+    expect(collectMultilingualNodes(survey).map(({ id, path }) => ({ id, path }))).to.deep.equal([
+      { id: 'page1.q.likes_school.title', path: 'pages[0].elements[0].title' },
+      { id: 'page1.q.likes_school.choice.no.text', path: 'pages[0].elements[0].choices[0].text' }
+    ])
+  })
+})
@@ -5,14 +5,10 @@
  * with SurveyJS and that translations are properly applied.
  */
 
+import { getSurveyFileNames } from '../../src/constants/surveys.js'
+
 describe('Survey JSON Files E2E Tests', () => {
-  const surveys = [
-    'child_survey.json',
-    'parent_survey_family.json',
-    'parent_survey_child.json',
-    'teacher_survey_general.json',
-    'teacher_survey_classroom.json'
-  ]
+  const surveys = getSurveyFileNames()
 
   beforeEach(() => {
     // Visit the survey testing page
@@ -0,0 +1,116 @@
+/**
+ * Translation Coverage Tests
+ *
+ * These tests check the translation coverage counts for a small inline
+ * survey and the reports written from them.
+ */
+
+import { parseCsv } from '../../src/helpers/csv.js'
+import {
+  buildCoverageMatrix,
+  classifyTranslation,
+  computeSurveyCoverage,
+  getLocaleCoverage,
+  toCoverageCsv,
+  toCoverageHtml
+} from '../../src/helpers/translationCoverage.js'
+
+const survey = {
+  title: { default: 'School survey', de: 'Schulumfrage', fr: 'Enquête scolaire' },
+  pages: [{
+    name: 'page1',
+    elements: [
+      { type: 'html', name: 'Intro', html: { default: '<p>Welcome!</p>', de: '<p>Welcome!</p>', fr: '<p>Bienvenue !</p>' } },
+      {
+        type: 'radiogroup',
+        name: 'Grade',
+        title: { default: 'Which grade are you in?', de: '   ', 'en-GH': 'Which grade are you in?' },
+        choices: [
+          { value: 1, text: { default: '1', de: '1' } },
+          { value: 'other', text: { default: 'Other', de: 'Andere', fr: 'Autre' } }
+        ]
+      },
+      // No English: not counted
+      { type: 'text', name: 'Note', title: { default: '', de: 'Notiz' } }
+    ]
+  }]
+}
+
+describe('Translation Coverage', () => {
+  it('should classify translations against the English', () => {
+    expect(classifyTranslation('Yes', undefined, 'de')).to.equal('missing')
+    expect(classifyTranslation('Yes', ' &nbsp; ', 'de')).to.equal('empty')
+    expect(classifyTranslation('Yes', ' Yes ', 'de')).to.equal('identical')
+    expect(classifyTranslation('Yes', 'Ja', 'de')).to.equal('translated')
+    // English variants and strings without letters are expected to match
+    expect(classifyTranslation('Yes', 'Yes', 'en-GH')).to.equal('translated')
+    expect(classifyTranslation('<b>1</b>', '<b>1</b>', 'de')).to.equal('translated')
+  })
+
+  it('should count every status per locale and list the untranslated strings', () => {
+    const report = computeSurveyCoverage(survey, { survey: 'inline', fallbacks: null })
+    expect(report.survey).to.equal('inline')
+    expect(report.total).to.equal(5)
+    expect(report.locales.map(l => l.locale)).to.deep.equal(['de', 'en-GH', 'fr'])
+
+    const de = getLocaleCoverage(report, 'de')
+    expect([de.translated, de.missing, de.empty, de.identical, de.percent]).to.deep.equal([3, 0, 1, 1, 60])
+    expect(de.issues).to.deep.equal([
+      { id: 'page1.q.intro.html', path: 'pages[0].elements[0].html', elementName: 'Intro', status: 'identical', english: '<p>Welcome!</p>', text: '<p>Welcome!</p>' },
+      { id: 'page1.q.grade.title', path: 'pages[0].elements[1].title', elementName: 'Grade', status: 'empty', english: 'Which grade are you in?', text: '   ' }
+    ])
+
+    const fr = getLocaleCoverage(report, 'fr')
+    expect([fr.translated, fr.missing, fr.percent]).to.deep.equal([3, 2, 60])
+    expect(fr.issues.map(issue => `${issue.status} ${issue.path}`)).to.deep.equal([
+      'missing pages[0].elements[1].title',
+      'missing pages[0].elements[1].choices[0].text'
+    ])
+    expect(getLocaleCoverage(report, 'en_gh').percent).to.equal(20)
+  })
+
+  it('should only report the requested locales', () => {
+    const report = computeSurveyCoverage(survey, { locales: ['DE', 'es_co'] })
+    expect(report.locales.map(l => [l.locale, l.percent])).to.deep.equal([['de', 60], ['es-CO', 0]])
+    // A survey without English strings is complete
+    expect(computeSurveyCoverage({ pages: [] }, { locales: ['de'] }).locales[0].percent).to.equal(100)
+  })
+
+  it('should build the survey × locale matrix and CSV reports', () => {
+    const reports = [
+      computeSurveyCoverage(survey, { survey: 'inline', fallbacks: null }),
+      computeSurveyCoverage({ title: { default: 'Other survey', it: 'Altro sondaggio' } }, { survey: 'other' })
+    ]
+    expect(buildCoverageMatrix(reports)).to.deep.equal({
+      locales: ['de', 'en-GH', 'fr', 'it'],
+      rows: [
+        { survey: 'inline', total: 5, percents: { de: 60, 'en-GH': 20, fr: 60, it: 0 } },
+        { survey: 'other', total: 1, percents: { de: 0, 'en-GH': 0, fr: 0, it: 100 } }
+      ]
+    })
+
+    const summary = parseCsv(toCoverageCsv(reports))
+    expect(summary[0]).to.deep.equal(['survey', 'locale', 'total', 'translated', 'inherited', 'missing', 'empty', 'identical', 'percent'])
+    expect(summary.slice(1).map(row => row.join(' '))).to.deep.equal([
+      'inline de 5 3 0 0 1 1 60',
+      'inline en-GH 5 1 0 4 0 0 20',
+      'inline fr 5 3 0 2 0 0 60',
+      'other it 1 1 0 0 0 0 100'
+    ])
+
+    const details = parseCsv(toCoverageCsv(reports, { details: true }))
+    expect(details[0]).to.deep.equal(['survey', 'locale', 'status', 'elementName', 'path', 'id', 'english', 'text'])
+    expect(details[1]).to.deep.equal(['inline', 'de', 'identical', 'Intro', 'pages[0].elements[0].html', 'page1.q.intro.html', '<p>Welcome!</p>', '<p>Welcome!</p>'])
+    expect(details).to.have.length(1 + 2 + 4 + 2)
+  })
+
+  it('should escape survey text in the HTML report', () => {
+    const html = toCoverageHtml([computeSurveyCoverage(survey, { survey: 'inline', fallbacks: null })], { title: 'Coverage <dev>', generatedAt: '2026-10-19' })
+    expect(html).to.contain('<title>Coverage &lt;dev&gt;</title>')
+    expect(html).to.contain('<p>Generated 2026-10-19</p>')
+    expect(html).to.contain('<td class="incomplete">60%</td>')
+    expect(html).to.contain('<td>&lt;p&gt;Welcome!&lt;/p&gt;</td>')
+    expect(html).to.contain('de — 60% (0 missing, 1 empty, 1 identical)')
+    expect(html).not.to.contain('<p>Welcome!</p>')
+  })
+})
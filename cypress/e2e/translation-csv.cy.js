@@ -0,0 +1,52 @@
+/**
+ * Translation CSV Tests
+ *
+ * These tests check parsing and writing of translation CSV files.
+ */
+
+import { getSurveyFileNames } from '../../src/constants/surveys.js'
+import { createCsvParser, parseCsv, parseCsvRecords, stringifyCsv, validateTranslationCsvHeader } from '../../src/helpers/csv.js'
+import { collectMultilingualNodes, discoverLanguages } from '../../src/helpers/surveyTranslations.js'
+
+describe('Translation CSV', () => {
+  it('should parse quoted fields, escaped quotes, line breaks and a byte order mark', () => {
+    const text = '\uFEFFidentifier,labels,source\r\nq1,child_survey,"Say ""hi"", then\nwave"\r\n\r\nq2,child_survey,"<b>A</b>, B"\n'
+    expect(parseCsv(text)).to.deep.equal([
+      ['identifier', 'labels', 'source'],
+      ['q1', 'child_survey', 'Say "hi", then\nwave'],
+      ['q2', 'child_survey', '<b>A</b>, B']
+    ])
+    expect(parseCsv('a;"b;c"\rd;e', { delimiter: ';' })).to.deep.equal([['a', 'b;c'], ['d', 'e']])
+
+    // Chunks may end anywhere, even between CR and LF or the two quotes of `""`
+    const rows = []
+    const parser = createCsvParser(row => rows.push(row))
+    text.match(/[\s\S]{1,3}/g).forEach(chunk => parser.write(chunk))
+    parser.end()
+    expect(rows).to.deep.equal(parseCsv(text))
+  })
+
+  it('should report unclosed quotes, ragged rows and header problems', () => {
+    expect(() => parseCsv('identifier,source\nq1,"open\nq2,closed\n')).to.throw('starting on line 2')
+    const { malformed } = parseCsvRecords('identifier,labels,source\nq1,child_survey\n')
+    expect(malformed).to.deep.equal([{ line: 2, expected: 3, found: 2 }])
+
+    const check = validateTranslationCsvHeader(['identifier', 'labels', 'es-CO', 'de', 'de', 'notes', 'source'])
+    expect(check.locales).to.deep.equal(['es-CO', 'de', 'de'])
+    expect(check.sourceColumn).to.equal('source')
+    expect(check.errors).to.deep.equal(['Duplicate column "de"', 'Unknown column "notes"'])
+    expect(validateTranslationCsvHeader(['identifier', 'es']).errors).to.deep.equal(['Missing required column "labels"', 'No English column ("source", "text" or "en")'])
+  })
+
+  getSurveyFileNames().forEach((surveyFile) => {
+    it(`should read back every ${surveyFile} translation written to CSV`, () => {
+      cy.fixture(surveyFile).then((surveyData) => {
+        const locales = discoverLanguages(surveyData)
+        const rows = [['identifier', 'labels', ...locales], ...collectMultilingualNodes(surveyData).map(({ id, value }) => (
+          [id, surveyFile, ...locales.map(locale => (typeof value[locale] === 'string' ? value[locale] : ''))]
+        ))]
+        expect(parseCsv(stringifyCsv(rows, { newline: '\r\n', bom: true }))).to.deep.equal(rows)
+      })
+    })
+  })
+})
@@ -0,0 +1,123 @@
+/**
+ * Translation Memory Tests
+ *
+ * These tests check translation memory lookups, reapplying translations,
+ * and the review flags kept after an English edit.
+ */
+
+import { syncStringIds } from '../../src/helpers/stringIds.js'
+import {
+  applyTranslationMemory,
+  approveReview,
+  createTranslationMemory,
+  findFuzzyMatches,
+  harvestTranslations,
+  lookupTranslation,
+  markNeedsReview,
+  normalizeSourceText,
+  rememberTranslation,
+  resolveReviews,
+  serializeMemoryLocale
+} from '../../src/helpers/translationMemory.js'
+import { surveyOf } from '../support/surveyFixtures.js'
+
+const ageOf = (title) => ({ type: 'text', name: 'Age', title })
+
+// Memory with one German pair for stable id s_age and another, newer one for s_other
+const memoryOf = () => {
+  const memory = createTranslationMemory()
+  rememberTranslation(memory, 'de', { source: '<p>How old are you?</p>', target: 'Wie alt bist du?', stringId: 's_age', survey: 'child_survey', updatedAt: '2026-01-01T00:00:00.000Z' })
+  rememberTranslation(memory, 'de', { source: 'How old are you?', target: 'Wie alt sind Sie?', stringId: 's_other', survey: 'parent_survey_family', updatedAt: '2026-02-01T00:00:00.000Z' })
+  return memory
+}
+
+describe('Translation Memory', () => {
+  it('should normalize English for matching', () => {
+    expect(normalizeSourceText('<p>Hello&nbsp; <b>world</b><br/>&amp; &#233;&#x41;</p>')).to.equal('Hello world & éA')
+    expect(normalizeSourceText(null)).to.equal('')
+  })
+
+  it('should record pairs per stable id and skip empty or untranslated targets', () => {
+    const memory = memoryOf()
+    expect(rememberTranslation(memory, 'de', { source: 'How old are you?', target: 'Wie alt bist du?', stringId: 's_age' })).to.equal('unchanged')
+    expect(rememberTranslation(memory, 'de', { source: 'How old are you?', target: 'Wie alt bist du denn?', stringId: 's_age', updatedAt: '2026-03-01T00:00:00.000Z' })).to.equal('updated')
+    expect(rememberTranslation(memory, 'de', { source: 'Your name', target: '  ' })).to.equal('skipped')
+    expect(rememberTranslation(memory, 'de', { source: 'Your name', target: '<b>Your name</b>' })).to.equal('skipped')
+    // Locale keys are normalized
+    expect(rememberTranslation(memory, 'es_CO', { source: 'Your name', target: 'Tu nombre' })).to.equal('added')
+    expect(Object.keys(memory)).to.deep.equal(['de', 'es-CO'])
+
+    expect(serializeMemoryLocale(memory, 'de')).to.deep.equal({
+      version: 1,
+      locale: 'de',
+      entries: [
+        { source: 'How old are you?', target: 'Wie alt bist du denn?', stringId: 's_age', survey: 'child_survey', updatedAt: '2026-03-01T00:00:00.000Z' },
+        { source: 'How old are you?', target: 'Wie alt sind Sie?', stringId: 's_other', survey: 'parent_survey_family', updatedAt: '2026-02-01T00:00:00.000Z' }
+      ]
+    })
+  })
+
+  it('should prefer the pair of the same string, then the latest one with the same English', () => {
+    const memory = memoryOf()
+    expect(lookupTranslation(memory, 'de', 'How  old are&nbsp;you?', 's_age')).to.deep.include({ target: 'Wie alt bist du?', match: 'id' })
+    expect(lookupTranslation(memory, 'de', 'How old are you?', 's_new')).to.deep.include({ target: 'Wie alt sind Sie?', match: 'source' })
+    expect(lookupTranslation(memory, 'de', 'How old are you?')).to.deep.include({ target: 'Wie alt sind Sie?', match: 'source' })
+    expect(lookupTranslation(memory, 'fr', 'How old are you?')).to.equal(null)
+    expect(lookupTranslation(memory, 'de', '')).to.equal(null)
+  })
+
+  it('should propose fuzzy matches for similar English, best and latest first', () => {
+    const memory = memoryOf()
+    rememberTranslation(memory, 'de', { source: 'Which grade are you in?', target: 'In welcher Klasse bist du?' })
+    const matches = findFuzzyMatches(memory, 'de', 'How old are you now?')
+    expect(matches.map(match => [match.target, match.score])).to.deep.equal([['Wie alt sind Sie?', 0.8], ['Wie alt bist du?', 0.8]])
+    expect(findFuzzyMatches(memory, 'de', 'How old are you now?', { limit: 1 })).to.have.length(1)
+    expect(findFuzzyMatches(memory, 'de', 'How old are you now?', { minScore: 0.9 })).to.deep.equal([])
+  })
+
+  it('should harvest a survey and fill only missing translations in its own locales', () => {
+    const source = surveyOf(ageOf({ default: 'How old are you?', de: 'Wie alt bist du?', fr: 'Quel âge as-tu ?' }))
+    const { map } = syncStringIds(source, 'child_survey')
+    const memory = createTranslationMemory()
+    expect(harvestTranslations(memory, source, { surveyName: 'child_survey', stringIds: map })).to.deep.equal({ added: 2, updated: 0 })
+    expect(memory.de[0]).to.deep.include({ stringId: Object.keys(map.strings)[0], survey: 'child_survey' })
+
+    // Reformatted English, German dropped, French changed; no Dutch in the survey
+    const next = surveyOf(ageOf({ default: '<p>How old are you?</p>', de: '', fr: 'Ton âge ?' }))
+    expect(applyTranslationMemory(next, memory, { stringIds: map })).to.deep.equal([
+      { id: 'page1.q.age.title', stringId: Object.keys(map.strings)[0], locale: 'de', target: 'Wie alt bist du?', match: 'id' }
+    ])
+    expect(next.pages[0].elements[0].title).to.deep.equal({ default: '<p>How old are you?</p>', de: 'Wie alt bist du?', fr: 'Ton âge ?' })
+
+    expect(applyTranslationMemory(next, memory, { overwrite: true }).map(a => [a.locale, a.target, a.match])).to.deep.equal([['fr', 'Quel âge as-tu ?', 'source']])
+  })
+
+  it('should keep translations of edited English flagged until they are reviewed', () => {
+    const before = surveyOf(ageOf({ default: 'How old are you?', de: 'Wie alt bist du?', fr: 'Quel âge as-tu ?' }))
+    const { map: previous } = syncStringIds(before, 'child_survey')
+    const memory = createTranslationMemory()
+    harvestTranslations(memory, before, { stringIds: previous })
+
+    // The export dropped the French along with the English edit
+    const survey = surveyOf(ageOf({ default: 'How old are you now?', de: 'Wie alt bist du?', fr: '' }))
+    const { map, changes } = syncStringIds(survey, 'child_survey', previous)
+    const [stringId] = Object.keys(map.strings)
+    const flags = markNeedsReview(survey, map, changes.edited, { memory, since: '2026-10-19T08:00:00.000Z' })
+    expect(flags.map(flag => [flag.locale, flag.target, flag.restored])).to.deep.equal([['de', 'Wie alt bist du?', false], ['fr', 'Quel âge as-tu ?', true]])
+    expect(survey.pages[0].elements[0].title.fr).to.equal('Quel âge as-tu ?')
+    expect(map.strings[stringId].review).to.deep.equal({
+      previousSource: 'How old are you?',
+      since: '2026-10-19T08:00:00.000Z',
+      targets: { de: 'Wie alt bist du?', fr: 'Quel âge as-tu ?' }
+    })
+
+    // Flagged targets translate the previous English, so they are not remembered for the new one
+    expect(harvestTranslations(memory, survey, { stringIds: map })).to.deep.equal({ added: 0, updated: 0 })
+
+    survey.pages[0].elements[0].title.de = 'Wie alt bist du jetzt?'
+    expect(resolveReviews(survey, map)).to.deep.equal([{ id: 'page1.q.age.title', stringId, locale: 'de' }])
+    expect(approveReview(map, 'page1.q.age.title', 'de')).to.equal(false)
+    expect(approveReview(map, 'page1.q.age.title', 'fr')).to.equal(true)
+    expect('review' in map.strings[stringId]).to.equal(false)
+  })
+})
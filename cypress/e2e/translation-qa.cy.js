@@ -0,0 +1,102 @@
+/**
+ * Translation QA Tests
+ *
+ * These tests check each translation QA check and the per-locale report.
+ */
+
+import { parseCsv } from '../../src/helpers/csv.js'
+import { QA_CHECKS, checkTranslation, extractPlaceholders, runTranslationQa, toQaCsv } from '../../src/helpers/translationQa.js'
+
+// Issues of one check as `message`
+const issuesOf = (english, text, locale, check) => checkTranslation(english, text, locale, { checks: [check] }).map(issue => issue.message)
+
+describe('Translation QA', () => {
+  it('should report untranslated text except in English variants', () => {
+    expect(issuesOf('Which grade are you in?', 'Which grade are you in?', 'de', 'untranslated')).to.deep.equal(['Identical to the English'])
+    expect(issuesOf('Which grade are you in?', 'Which grade are you in?', 'en-GH', 'untranslated')).to.deep.equal([])
+    expect(issuesOf('Which grade are you in?', 'In welcher Klasse bist du?', 'de', 'untranslated')).to.deep.equal([])
+  })
+
+  it('should report placeholders and HTML tags that were dropped or added', () => {
+    expect(extractPlaceholders('Hi { name }, you are {age} ({age})')).to.deep.equal(['{name}', '{age}', '{age}'])
+    expect(issuesOf('Hi {name}, you are {age} ({age})', 'Hallo {name}, du bist {age} ({alter})', 'de', 'placeholders'))
+      .to.deep.equal(['missing {age}; extra {alter}'])
+    expect(issuesOf('Hi {name}', 'Hallo { name }', 'de', 'placeholders')).to.deep.equal([])
+
+    expect(issuesOf('<p>Read <b>carefully</b></p>', '<p>Lies genau</p>', 'de', 'markup')).to.deep.equal(['missing <b>, </b>'])
+    expect(issuesOf('<p>Read <b>carefully</b></p>', '<p>Lies <b>genau</b></p>', 'de', 'markup')).to.deep.equal([])
+  })
+
+  it('should report whitespace, length and doubled spaces the English does not have', () => {
+    expect(issuesOf('Your name', ' Dein Name ', 'de', 'whitespace')).to.deep.equal([
+      'starts with whitespace, the English does not; ends with whitespace, the English does not'
+    ])
+    expect(issuesOf('How many books do you have at home?', 'Bücher?', 'de', 'length-ratio')).to.deep.equal(['only 20% of the English length'])
+    expect(issuesOf('How many books?', 'Wie viele Bücher hast du zu Hause in deinem Regal stehen?', 'de', 'length-ratio')).to.deep.equal(['3.8× the English length'])
+    // Short English is not compared, and the thresholds can be changed
+    expect(issuesOf('Yes', 'Jawohl, sehr gerne', 'de', 'length-ratio')).to.deep.equal([])
+    expect(checkTranslation('How many books?', 'Wie viele Bücher hast du zu Hause in deinem Regal stehen?', 'de', { checks: ['length-ratio'], maxLengthRatio: 4 })).to.deep.equal([])
+
+    expect(issuesOf('Your name', 'Dein  Name', 'de', 'double-space')).to.deep.equal(['1 doubled space(s) ("Dein  Name")'])
+    expect(issuesOf('Your  name', 'Dein  Name', 'de', 'double-space')).to.deep.equal([])
+  })
+
+  it('should report letters outside the script of the locale', () => {
+    expect(issuesOf('Your name', 'Ваше имя', 'de', 'wrong-script')).to.deep.equal(['letters outside Latin: В а ш е и м я'])
+    expect(issuesOf('Your name', 'Ваше имя', 'ru', 'wrong-script')).to.deep.equal([])
+    // Latin is accepted everywhere (names, acronyms)
+    expect(issuesOf('Your LEVANTE ID', 'Ваш ID LEVANTE', 'ru-RU', 'wrong-script')).to.deep.equal([])
+  })
+
+  it('should check question marks, with the Spanish opening ¿ and other scripts\' marks', () => {
+    expect(issuesOf('How old are you?', 'Wie alt bist du', 'de', 'question-mark')).to.deep.equal(['the English asks a question, the translation has no question mark'])
+    expect(issuesOf('Your age', 'Dein Alter?', 'de', 'question-mark')).to.deep.equal(['question mark the English does not have'])
+    expect(issuesOf('How old are you?', '¿Cuántos años tienes?', 'es-CO', 'question-mark')).to.deep.equal([])
+    expect(issuesOf('How old are you?', 'Cuántos años tienes?', 'es-CO', 'question-mark')).to.deep.equal(['0 ¿ for 1 ?'])
+    expect(issuesOf('How old are you?', 'كم عمرك؟', 'ar', 'question-mark')).to.deep.equal([])
+  })
+
+  it('should run every check by default and reject unknown ones', () => {
+    // Not identical to the English, so only the dropped placeholder is reported
+    const issues = checkTranslation('How old are you, {name}?', 'How old are you?', 'de')
+    expect(issues.map(issue => `${issue.check} ${issue.severity}`)).to.deep.equal(['placeholders error'])
+    expect(QA_CHECKS.map(check => check.id)).to.deep.equal(['untranslated', 'placeholders', 'markup', 'whitespace', 'length-ratio', 'wrong-script', 'double-space', 'question-mark'])
+    expect(() => checkTranslation('Yes', 'Ja', 'de', { checks: ['spelling'] })).to.throw('Unknown translation QA check: spelling')
+  })
+
+  it('should run every check on a survey per locale and write a CSV report', () => {
+    const survey = {
+      title: { default: 'School survey', de: 'Schulumfrage', 'es-CO': 'Encuesta escolar' },
+      pages: [{
+        name: 'page1',
+        elements: [
+          { type: 'text', name: 'Age', title: { default: 'How old are you, {name}?', de: 'Wie alt bist du?', 'es-CO': '¿Cuántos años tienes, {name}?' } },
+          // Missing and empty translations are the coverage report's job
+          { type: 'text', name: 'School', title: { default: 'Which school do you go to?', de: '  ' } }
+        ]
+      }]
+    }
+    const report = runTranslationQa(survey, { survey: 'inline' })
+    expect(report.total).to.equal(3)
+    expect(report.locales.map(l => [l.locale, l.checked, l.errors, l.warnings])).to.deep.equal([['de', 2, 1, 0], ['es-CO', 2, 0, 0]])
+    expect(report.locales[0].counts).to.deep.equal({ placeholders: 1 })
+    expect(report.locales[0].findings[0]).to.deep.equal({
+      check: 'placeholders',
+      severity: 'error',
+      message: 'missing {name}',
+      id: 'page1.q.age.title',
+      path: 'pages[0].elements[0].title',
+      elementName: 'Age',
+      locale: 'de',
+      english: 'How old are you, {name}?',
+      text: 'Wie alt bist du?'
+    })
+    expect(runTranslationQa(survey, { locales: ['es_co'] }).locales.map(l => l.locale)).to.deep.equal(['es-CO'])
+
+    const rows = parseCsv(toQaCsv([report]))
+    expect(rows[0]).to.deep.equal(['survey', 'locale', 'check', 'severity', 'elementName', 'path', 'id', 'message', 'english', 'text'])
+    expect(rows.slice(1)).to.deep.equal([
+      ['inline', 'de', 'placeholders', 'error', 'Age', 'pages[0].elements[0].title', 'page1.q.age.title', 'missing {name}', 'How old are you, {name}?', 'Wie alt bist du?']
+    ])
+  })
+})
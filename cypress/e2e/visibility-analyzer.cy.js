@@ -0,0 +1,147 @@
+/**
+ * visibleIf Analyzer Tests
+ *
+ * These tests check what the visibleIf analyzer reports for small
+ * inline surveys.
+ */
+
+import { analyzeVisibility, getAnswerValues, layoutDependencyGraph, toDot, toMermaid } from '../../src/helpers/visibilityAnalyzer.js'
+import { surveyOf } from '../support/surveyFixtures.js'
+
+// Findings as `type nodeId`, optionally of one type only
+const findingsOf = (survey, type = null, options = {}) => analyzeVisibility(survey, options).findings
+  .filter(finding => !type || finding.type === type)
+  .map(finding => `${finding.type} ${finding.nodeId}`)
+
+describe('visibleIf Analyzer', () => {
+  it('should report unknown references and conditions that do not parse', () => {
+    const survey = surveyOf(
+      { type: 'text', name: 'Age', inputType: 'number' },
+      { type: 'text', name: 'School', visibleIf: '{Age} > 5 and {Agee} < 18' },
+      { type: 'text', name: 'Job', visibleIf: '{Age} >' }
+    )
+    // A question that does not exist is never answered
+    expect(findingsOf(survey)).to.deep.equal(['unknown-reference School', 'parse-error Job', 'unreachable School'])
+  })
+
+  it('should report comparisons with values the question cannot produce', () => {
+    const survey = surveyOf(
+      { type: 'radiogroup', name: 'Pet', choices: ['dog', { value: 'cat', text: 'Cat' }], showOtherItem: true },
+      { type: 'boolean', name: 'Likes', valueTrue: 'Yes', valueFalse: 'No' },
+      { type: 'rating', name: 'Mood', rateMax: 3 },
+      { type: 'text', name: 'DogName', visibleIf: '{Pet} = \'dog\' or {Pet} = \'other\'' },
+      { type: 'text', name: 'Bird', visibleIf: '{Pet} anyof [\'bird\', \'cat\']' },
+      { type: 'text', name: 'Why', visibleIf: '{Likes} = true' },
+      { type: 'text', name: 'Great', visibleIf: '{Mood} = 4' }
+    )
+    const { findings } = analyzeVisibility(survey)
+    expect(findings.filter(f => f.type === 'impossible-comparison').map(f => f.message)).to.deep.equal([
+      '{Pet} is compared with "bird", which is not one of its values ("dog", "cat", "other")',
+      '{Likes} is compared with true, which is not one of its values ("Yes", "No")',
+      '{Mood} is compared with 4, which is not one of its values (1, 2, 3)'
+    ])
+    expect(findings.filter(f => f.type === 'unreachable').map(f => f.nodeId)).to.deep.equal(['Why', 'Great'])
+  })
+
+  // As in teacher_survey_general: TeacherGrad lists numbered choices, but its
+  // choicesFromQuestion replaces them with TeacherUndergrad's values
+  it('should compare choicesFromQuestion questions with the source question\'s values', () => {
+    const survey = surveyOf(
+      { type: 'radiogroup', name: 'TeacherEducation', choices: ['Bachelor', 'Master'] },
+      { type: 'checkbox', name: 'TeacherUndergrad', visibleIf: '{TeacherEducation} = Bachelor', choices: ['ElemEd', 'OtherEd', 'Other'] },
+      { type: 'checkbox', name: 'TeacherGrad', visibleIf: '{TeacherEducation} = Master', choicesFromQuestion: 'TeacherUndergrad', choices: ['1', '2', '3'] },
+      { type: 'text', name: 'TeacherGradOtherEd', visibleIf: '{TeacherGrad} allof [2]' },
+      { type: 'text', name: 'TeacherGradOther', visibleIf: '{TeacherGrad} contains \'Other\'' }
+    )
+    const elementsByName = new Map(survey.pages[0].elements.map(element => [element.name, element]))
+    expect(getAnswerValues(elementsByName.get('TeacherGrad'), elementsByName)).to.deep.equal(['ElemEd', 'OtherEd', 'Other'])
+
+    const { findings } = analyzeVisibility(survey)
+    expect(findings.map(f => `${f.type} ${f.nodeId}`)).to.deep.equal(['impossible-comparison TeacherGradOtherEd', 'unreachable TeacherGradOtherEd'])
+    expect(findings[0].message).to.equal('{TeacherGrad} is compared with 2, which is not one of its values ("ElemEd", "OtherEd", "Other")')
+  })
+
+  it('should report circular dependencies through visibleIf and containment', () => {
+    const survey = surveyOf(
+      { type: 'text', name: 'A', visibleIf: '{B} notempty' },
+      { type: 'text', name: 'B', visibleIf: '{A} notempty' },
+      { type: 'panel', name: 'Box', visibleIf: '{Inside} = 1', elements: [{ type: 'text', name: 'Inside' }] },
+      { type: 'text', name: 'Self', visibleIf: '{Self} empty' }
+    )
+    const { findings } = analyzeVisibility(survey)
+    expect(findings.filter(f => f.type === 'cycle').map(f => f.message).sort()).to.deep.equal([
+      'Circular visibility dependency: A → B → A',
+      'Circular visibility dependency: Box → Inside → Box',
+      'Circular visibility dependency: Self → Self'
+    ].sort())
+  })
+
+  it('should report the outermost element that can never become visible, and hidden ones', () => {
+    const survey = {
+      pages: [
+        { name: 'intro', elements: [{ type: 'radiogroup', name: 'Role', choices: ['parent', 'teacher'] }] },
+        {
+          name: 'students',
+          visibleIf: '{Role} = \'teacher\' and {Role} = \'parent\'',
+          elements: [{ type: 'panel', name: 'Class', elements: [{ type: 'text', name: 'ClassSize', visibleIf: '{Role} = \'teacher\'' }] }]
+        },
+        {
+          name: 'family',
+          elements: [
+            { type: 'text', name: 'Secret', visible: false },
+            { type: 'text', name: 'AfterSecret', visibleIf: '{Secret} notempty' },
+            { type: 'text', name: 'Kids', visibleIf: '{Role} = \'parent\'' }
+          ]
+        }
+      ]
+    }
+    const { nodes, findings } = analyzeVisibility(survey)
+    expect(findings.map(f => `${f.type} ${f.nodeId}`)).to.deep.equal(['unreachable page:students', 'hidden Secret', 'unreachable AfterSecret'])
+    expect(nodes.filter(n => n.reachable === false).map(n => n.id)).to.deep.equal(['page:students', 'Class', 'ClassSize', 'Secret', 'AfterSecret'])
+    expect(nodes.find(n => n.id === 'Kids').reachable).to.equal(true)
+  })
+
+  it('should try number inputs at their bounds and give up past the assignment limit', () => {
+    const survey = surveyOf(
+      { type: 'text', name: 'Age', inputType: 'number', min: 1, max: 15 },
+      { type: 'text', name: 'Teen', visibleIf: '{Age} >= 13' },
+      { type: 'text', name: 'Adult', visibleIf: '{Age} > 20' },
+      { type: 'checkbox', name: 'A', choices: [1, 2, 3, 4, 5, 6, 7, 8] },
+      { type: 'checkbox', name: 'B', choices: [1, 2, 3, 4, 5, 6, 7, 8] },
+      { type: 'text', name: 'Both', visibleIf: '{A} contains 1 and {B} contains 2' }
+    )
+    expect(findingsOf(survey)).to.deep.equal(['unreachable Adult'])
+    expect(findingsOf(survey, null, { maxAssignments: 10 })).to.deep.equal(['unreachable Adult', 'not-analyzed Both'])
+  })
+
+  it('should render the dependency graph as layers, DOT and Mermaid', () => {
+    const survey = surveyOf(
+      { type: 'boolean', name: 'HasPet' },
+      { type: 'text', name: 'PetName', visibleIf: '{HasPet} = true' },
+      { type: 'text', name: 'PetNick', visibleIf: '{PetName} notempty and {HasPet} = true' },
+      { type: 'text', name: 'Never', visibleIf: '{HasPet} = \'maybe\'' },
+      { type: 'text', name: 'Unrelated' }
+    )
+    const analysis = analyzeVisibility(survey)
+    expect(layoutDependencyGraph(analysis).layers.map(layer => layer.map(n => n.id))).to.deep.equal([['HasPet'], ['PetName', 'Never'], ['PetNick']])
+
+    const dot = toDot(analysis)
+    expect(dot).to.contain('"HasPet" -> "PetName";')
+    expect(dot).to.contain('"PetName" -> "PetNick";')
+    expect(dot).to.contain('"Never" [label="Never\\n(text)", style=dashed, color=red];')
+    expect(dot).not.to.contain('Unrelated')
+
+    expect(toMermaid(analysis).split('\n')).to.deep.equal([
+      'flowchart LR',
+      '  n0["HasPet (boolean)"]',
+      '  n1["PetName (text)"]',
+      '  n2["PetNick (text)"]',
+      '  n3["Never (text)"]',
+      '  style n3 stroke:#dc2626,stroke-dasharray:4',
+      '  n0 --> n1',
+      '  n1 --> n2',
+      '  n0 --> n2',
+      '  n0 --> n3'
+    ])
+  })
+})
@@ -0,0 +1,89 @@
+/**
+ * XLIFF Needs-Review Export Tests
+ *
+ * These tests edit an English string of child_survey.json, flag its
+ * translations in the committed string id map, and check that
+ * scripts/export-xliff-from-json.js exports them for review.
+ */
+
+import { syncStringIds } from '../../src/helpers/stringIds.js'
+import { markNeedsReview } from '../../src/helpers/translationMemory.js'
+import { NEEDS_REVIEW_SUBSTATE, parseXliff2 } from '../../src/helpers/xliff2.js'
+
+const SCRIPT = 'scripts/export-xliff-from-json.js'
+const EDITED = 'page2.q.childquestions.q.example1comic.title'
+const UNCHANGED = 'page2.q.childquestions.q.example1comic.choice.0.text'
+
+// One <trans-unit> of an XLIFF 1.2 document
+const transUnit = (xliff, id) => xliff.match(new RegExp(`<trans-unit id="${id.replace(/\./g, '\\.')}"[\\s\\S]*?</trans-unit>`))[0]
+
+describe('XLIFF Needs-Review Export', () => {
+  let root
+
+  beforeEach(() => {
+    cy.readFile('surveys/child_survey.json').then((survey) => {
+      cy.readFile('surveys/string-ids/child_survey.json').then((committed) => {
+        // The committed map is in sync with the survey
+        const { changes: current } = syncStringIds(survey, 'child_survey', committed)
+        expect([current.added, current.retired, current.edited]).to.deep.equal([[], [], []])
+
+        survey.pages[1].elements[0].elements[0].title.default = 'Do you like to read comics?'
+        const { map, changes } = syncStringIds(survey, 'child_survey', committed)
+        expect(changes.edited.map(edit => edit.semanticId)).to.deep.equal([EDITED])
+        markNeedsReview(survey, map, changes.edited, { since: '2026-10-19T08:00:00.000Z' })
+
+        cy.task('createLocalBucket', {
+          bucket: 'export',
+          objects: {
+            'child_survey.json': JSON.stringify(survey, null, 2),
+            'string-ids/child_survey.json': JSON.stringify(map, null, 2)
+          }
+        }).then((dir) => {
+          root = dir
+        })
+      })
+    })
+  })
+
+  afterEach(() => {
+    cy.task('removeLocalBucket', root)
+  })
+
+  const exportXliff = (...args) => cy.task('runScript', {
+    script: SCRIPT,
+    args: [`${root}/export/child_survey.json`, '--string-ids', `${root}/export/string-ids`, '--out-dir', `${root}/export/xliff-out`, ...args],
+    root
+  })
+
+  it('should export flagged XLIFF 1.2 units as needs-review with the previous English', () => {
+    exportXliff().then(({ code, stdout }) => {
+      expect(code).to.equal(0)
+      expect(stdout).to.contain('child_survey de: 1 translation(s) need review (English changed)')
+    })
+    cy.task('readLocalBucket', { root, bucket: 'export' }).then((files) => {
+      const xliff = files['xliff-out/child_survey/child_survey-de.xliff'].content
+      const edited = transUnit(xliff, EDITED)
+      expect(edited).to.contain('approved="no"')
+      expect(edited).to.contain('<target state="needs-review-translation"><![CDATA[Liest du gerne Comics?]]></target>')
+      expect(edited).to.contain('<alt-trans alttranstype="previous-version"')
+      expect(edited).to.contain('<source xml:space="preserve"><![CDATA[Do you like to read comic books?]]></source>')
+
+      const unchanged = transUnit(xliff, UNCHANGED)
+      expect(unchanged).to.contain('<target state="translated">')
+      expect(unchanged).not.to.contain('alt-trans')
+    })
+  })
+
+  it('should export flagged XLIFF 2.0 units with the needs-review sub-state and previous source', () => {
+    exportXliff('--xliff-version', '2.0').then(({ code }) => {
+      expect(code).to.equal(0)
+    })
+    cy.task('readLocalBucket', { root, bucket: 'export' }).then((files) => {
+      const { units } = parseXliff2(files['xliff-out/child_survey/child_survey-fr.xlf'].content).files[0]
+      const edited = units.find(unit => unit.name === EDITED)
+      expect(edited).to.deep.include({ state: 'initial', subState: NEEDS_REVIEW_SUBSTATE, target: 'Aimez-vous lire des bandes dessinées ?' })
+      expect(edited.notes.find(note => note.category === 'previous-source').text).to.equal('Do you like to read comic books?')
+      expect(units.find(unit => unit.name === UNCHANGED).subState).to.equal(undefined)
+    })
+  })
+})
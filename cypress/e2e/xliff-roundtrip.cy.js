@@ -0,0 +1,133 @@
+/**
+ * XLIFF Round-Trip Tests
+ *
+ * These tests check that every survey is rebuilt exactly from its XLIFF
+ * files, inline HTML included.
+ */
+
+import { getSurveyFileNames } from '../../src/constants/surveys.js'
+import { compareMarkup, markupReference, protectMarkup, restoreMarkup } from '../../src/helpers/inlineMarkup.js'
+import { collectMultilingualNodes } from '../../src/helpers/surveyTranslations.js'
+import { applyXliff2Units, buildXliff2, encodeInline, parseXliff2, surveyToXliff2Units } from '../../src/helpers/xliff2.js'
+import { stripTranslations, translationLocales } from '../support/surveyFixtures.js'
+
+// JSON → XLIFF 2.0 → parsed document, for one locale (null: source-only)
+const roundTrip = (survey, surveyFile, locale) => parseXliff2(buildXliff2({
+  fileId: surveyFile.replace(/\.json$/, ''),
+  original: surveyFile,
+  targetLanguage: locale,
+  units: surveyToXliff2Units(survey, { locale })
+}))
+
+describe('XLIFF Round Trip', () => {
+  const surveys = getSurveyFileNames()
+
+  surveys.forEach((surveyFile) => {
+    describe(`${surveyFile} XLIFF 2.0`, () => {
+
+      it('should keep every source string exactly', () => {
+        cy.fixture(surveyFile).then((surveyData) => {
+          const units = roundTrip(surveyData, surveyFile, null).files[0].units
+          const expected = surveyToXliff2Units(surveyData)
+
+          expect(units, 'One unit per translatable string').to.have.length(collectMultilingualNodes(surveyData).length)
+          units.forEach((unit, i) => {
+            expect(unit.name, `Unit ${i} name`).to.equal(expected[i].name)
+            expect(unit.source, `${unit.name} source`).to.equal(expected[i].source)
+            expect(unit.target, `${unit.name} has no target in a source-only file`).to.equal(null)
+          })
+        })
+      })
+
+      it('should keep every translation exactly, per locale', () => {
+        cy.fixture(surveyFile).then((surveyData) => {
+          translationLocales(surveyData).forEach((locale) => {
+            const doc = roundTrip(surveyData, surveyFile, locale)
+            const expected = surveyToXliff2Units(surveyData, { locale })
+
+            expect(doc.version).to.equal('2.0')
+            expect(doc.targetLanguage).to.equal(locale)
+            doc.files[0].units.forEach((unit, i) => {
+              expect(unit.target, `${unit.name} [${locale}]`).to.equal(expected[i].target)
+            })
+          })
+        })
+      })
+
+      it('should rebuild the survey JSON losslessly from its XLIFF 2.0 files', () => {
+        cy.fixture(surveyFile).then((surveyData) => {
+          const stripped = stripTranslations(surveyData)
+
+          translationLocales(surveyData).forEach((locale) => {
+            const doc = roundTrip(surveyData, surveyFile, locale)
+            const { unmatched } = applyXliff2Units(stripped, doc.files[0].units, doc.targetLanguage)
+            expect(unmatched, `Unmatched units for ${locale}`).to.have.length(0)
+          })
+
+          expect(stripped).to.deep.equal(surveyData)
+        })
+      })
+    })
+  })
+
+  describe('Inline HTML', () => {
+    const samples = [
+      '<b>Bold</b> and <i>italic</i>',
+      '<font face=Verdana size=4>Unclosed font<br>with a break',
+      '<b>Nested <font color="red">markup</font></b></b>',
+      'Line one<br/>Line two &nbsp;&amp; <block>raw</block>',
+      'Attributes with "quotes" and\nnew lines'
+    ]
+
+    it('should encode paired tags as <mrk> elements and restore them byte for byte', () => {
+      expect(encodeInline('<b>Bold</b>')).to.equal('<mrk id="m1" type="html:element" value="&lt;b&gt;">Bold</mrk>')
+
+      const units = samples.map((text, i) => ({ id: `u${i}`, source: text, target: text }))
+      const doc = parseXliff2(buildXliff2({ fileId: 'inline', targetLanguage: 'de', units }))
+      doc.files[0].units.forEach((unit, i) => {
+        expect(unit.source, samples[i]).to.equal(samples[i])
+        expect(unit.target, samples[i]).to.equal(samples[i])
+      })
+    })
+  })
+
+  describe('XLIFF 1.2 inline markup', () => {
+    const intro = '<font face=Verdana size=4><b>Welcome</b><br>Please answer <i>every</i> question.'
+
+    it('should turn tags into placeholders numbered from the English', () => {
+      expect(protectMarkup(intro)).to.equal('<x id="1" ctype="x-html-font"/><g id="2" ctype="x-html-b">Welcome</g><x id="3" ctype="x-html-br"/>Please answer <g id="4" ctype="x-html-i">every</g> question.')
+      // The translation reorders the tags; they keep the English ids
+      expect(protectMarkup('<font face="Verdana" size="4">Bitte <i>jede</i> Frage beantworten.<br><b>Willkommen</b>', intro))
+        .to.equal('<x id="1" ctype="x-html-font"/>Bitte <g id="4" ctype="x-html-i">jede</g> Frage beantworten.<x id="3" ctype="x-html-br"/><g id="2" ctype="x-html-b">Willkommen</g>')
+    })
+
+    it('should restore the English tags and report dropped or unknown placeholders', () => {
+      const restored = restoreMarkup('<g id="2" ctype="x-html-b">Willkommen</g> &amp; <x id="9"/>Bitte <g id="4">jede</g> Frage.', intro)
+      expect(restored.text).to.equal('<b>Willkommen</b> & Bitte <i>jede</i> Frage.')
+      expect(restored.missing).to.deep.equal(['<font face=Verdana size=4>', '<br>'])
+      expect(restored.extra).to.deep.equal(['x#9'])
+    })
+
+    it('should compare tags by name and attribute values', () => {
+      expect(compareMarkup(intro, '<FONT face="Verdana" size="4"><b>Hi</b><br/>')).to.deep.equal({ missing: ['<i>', '</i>'], extra: [] })
+      expect(compareMarkup('<font face=Verdana>x', '<font face=\\"Verdana\\">x').extra).to.have.length(1)
+    })
+
+    getSurveyFileNames().forEach((surveyFile) => {
+      // Tags come back as the English writes them (`face=Verdana` for `face="Verdana"`)
+      it(`should restore every ${surveyFile} translation from its placeholders`, () => {
+        const withoutTags = (text) => text.replace(/<\/?[A-Za-z][^<>]*>/g, '')
+        cy.fixture(surveyFile).then((surveyData) => {
+          collectMultilingualNodes(surveyData).forEach(({ id, value }) => {
+            const english = markupReference(value) ?? ''
+            Object.entries(value).filter(([, text]) => typeof text === 'string').forEach(([locale, text]) => {
+              const restored = restoreMarkup(protectMarkup(text, english), english).text
+              expect(withoutTags(restored), `${id} [${locale}] text`).to.equal(withoutTags(text))
+              expect(compareMarkup(text, restored), `${id} [${locale}] tags`).to.deep.equal({ missing: [], extra: [] })
+            })
+          })
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,40 @@
+/**
+ * Survey fixtures shared by the specs: small inline surveys, the locales a
+ * survey is translated into, and a copy of it with every translation removed.
+ */
+
+import { collectMultilingualNodes, discoverLanguages } from '../../src/helpers/surveyTranslations.js'
+
+/**
+ * Inline survey with one page per list of elements, named page1, page2, …
+ * @param {...any[]} pages
+ * @returns {any}
+ */
+export const surveyOfPages = (...pages) => ({ pages: pages.map((elements, i) => ({ name: `page${i + 1}`, elements })) })
+
+/**
+ * Inline survey with all the elements on one page, page1
+ * @param {...any} elements
+ * @returns {any}
+ */
+export const surveyOf = (...elements) => surveyOfPages(elements)
+
+/**
+ * Every locale of a survey except the `default` English
+ * @param {any} survey
+ * @returns {string[]}
+ */
+export const translationLocales = (survey) => discoverLanguages(survey).filter(locale => locale !== 'default')
+
+/**
+ * A copy of the survey with only the `default` text left
+ * @param {any} survey
+ * @returns {any}
+ */
+export const stripTranslations = (survey) => {
+  const stripped = structuredClone(survey)
+  collectMultilingualNodes(stripped).forEach(({ value }) => {
+    Object.keys(value).filter(key => key !== 'default').forEach(key => delete value[key])
+  })
+  return stripped
+}
@@ -7,71 +7,31 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getSurveys, getTranslationsCsvFileName } from '../src/constants/surveys.js'
+import { parseCsv, stringifyCsv } from '../src/helpers/csv.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 const root = path.resolve(__dirname, '..')
 const surveysDir = path.join(root, 'surveys')
 
-const FILES = [
-  'child_survey_translations.csv',
-  'parent_survey_family_translations.csv',
-  'parent_survey_child_translations.csv',
-  'teacher_survey_general_translations.csv',
-  'teacher_survey_classroom_translations.csv',
-]
-
-function parseCsvLine(line) {
-  const result = []
-  let current = ''
-  let inQuotes = false
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i]
-    if (ch === '"') {
-      inQuotes = !inQuotes
-    } else if (ch === ',' && !inQuotes) {
-      result.push(current)
-      current = ''
-    } else {
-      current += ch
-    }
-  }
-  result.push(current)
-  return result
-}
-
-function escapeCsv(value) {
-  const s = value == null ? '' : String(value)
-  if (s.includes('"') || s.includes(',') || s.includes('\n')) {
-    return '"' + s.replace(/"/g, '""') + '"'
-  }
-  return s
-}
+const FILES = getSurveys().map(getTranslationsCsvFileName)
 
 function processFile(filePath) {
-  const content = fs.readFileSync(filePath, 'utf8')
-  const lines = content.split(/\r?\n/)
-  if (lines.length === 0) return { updated: false, rows: 0 }
-  const headerLine = lines[0]
-  const headerCols = parseCsvLine(headerLine)
+  const [headerCols = [], ...rows] = parseCsv(fs.readFileSync(filePath, 'utf8'))
+  if (headerCols.length === 0) return { updated: false, rows: 0 }
   const hasEnUS = headerCols.includes('en-US')
   const sourceIdx = headerCols.indexOf('source')
   if (sourceIdx === -1) throw new Error(`Missing 'source' column in ${path.basename(filePath)}`)
-  if (hasEnUS) return { updated: false, rows: lines.length - 1 }
+  if (hasEnUS) return { updated: false, rows: rows.length }
 
   // Append en-US to header as last column
-  const newHeader = headerCols.concat(['en-US']).join(',')
-  const out = [newHeader]
-
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i]
-    if (!line) continue
-    const cols = parseCsvLine(line)
-    const src = cols[sourceIdx] || ''
-    out.push(line + ',' + escapeCsv(src))
+  const out = [headerCols.concat(['en-US'])]
+  for (const cols of rows) {
+    out.push(cols.concat([cols[sourceIdx] || '']))
   }
 
-  fs.writeFileSync(filePath, out.join('\n'), 'utf8')
+  fs.writeFileSync(filePath, stringifyCsv(out), 'utf8')
   return { updated: true, rows: out.length - 1 }
 }
 
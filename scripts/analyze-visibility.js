@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * visibleIf analyzer
+ *
+ * Resolves every visibleIf reference, flags unknown questions, comparisons against
+ * values the referenced question cannot produce, circular dependencies and
+ * unreachable elements, and renders the dependency graph.
+ * Exits with code 1 if any error-level finding is reported.
+ *
+ * Usage:
+ *   node scripts/analyze-visibility.js [files...] [options]
+ *
+ * Options:
+ *   --format=text|json|dot|mermaid   Output format (default: text)
+ *   --output=<file>                  Write the output to a file instead of stdout
+ *   --max-assignments=<n>            Answer combinations to try per condition (default: 4096)
+ *
+ * Without files, analyzes the source JSON of every catalog survey in surveys/.
+ *
+ * Examples:
+ *   node scripts/analyze-visibility.js
+ *   node scripts/analyze-visibility.js surveys/parent_survey_child.json --format=dot --output=parent_child.dot
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getSurveyVersionFileNames } from '../src/constants/surveys.js'
+import { DEFAULT_MAX_ASSIGNMENTS, analyzeVisibility, getDependencyGraph, toDot, toMermaid } from '../src/helpers/visibilityAnalyzer.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const surveysDir = path.resolve(projectRoot, 'surveys')
+
+const SEVERITY_ICONS = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' }
+
+function parseArgs(argv) {
+  const options = { files: [], format: 'text', output: null, maxAssignments: DEFAULT_MAX_ASSIGNMENTS }
+  for (const arg of argv) {
+    if (arg.startsWith('--format=')) options.format = arg.slice('--format='.length)
+    else if (arg.startsWith('--output=')) options.output = arg.slice('--output='.length)
+    else if (arg.startsWith('--max-assignments=')) options.maxAssignments = Number(arg.slice('--max-assignments='.length)) || DEFAULT_MAX_ASSIGNMENTS
+    else if (!arg.startsWith('--')) options.files.push(arg)
+  }
+  return options
+}
+
+function formatText(results) {
+  const lines = []
+  for (const { file, analysis } of results) {
+    const graph = getDependencyGraph(analysis)
+    const unreachable = analysis.nodes.filter(n => n.reachable === false).length
+    lines.push(`📋 ${file}`)
+    lines.push(`   ${analysis.nodes.length} elements, ${graph.edges.length} visibleIf dependencies, ${unreachable} never visible`)
+    for (const f of analysis.findings) {
+      lines.push(`   ${SEVERITY_ICONS[f.severity]} ${f.type.padEnd(22)} ${f.nodeId}: ${f.message}`)
+    }
+    lines.push('')
+  }
+  const errors = results.reduce((n, r) => n + r.analysis.findings.filter(f => f.severity === 'error').length, 0)
+  const warnings = results.reduce((n, r) => n + r.analysis.findings.filter(f => f.severity === 'warning').length, 0)
+  lines.push(`${errors > 0 ? '❌' : '✅'} ${errors} error(s), ${warnings} warning(s) in ${results.length} file(s)`)
+  return lines.join('\n')
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (!['text', 'json', 'dot', 'mermaid'].includes(options.format)) {
+    console.error(`❌ Unknown format: ${options.format} (expected text, json, dot or mermaid)`)
+    process.exit(2)
+  }
+
+  const files = options.files.length > 0
+    ? options.files.map(p => path.resolve(process.cwd(), p))
+    : getSurveyVersionFileNames('source').map(f => path.join(surveysDir, f)).filter(f => fs.existsSync(f))
+
+  const results = files.map(fp => {
+    const survey = JSON.parse(fs.readFileSync(fp, 'utf8'))
+    return { file: path.relative(projectRoot, fp), analysis: analyzeVisibility(survey, { maxAssignments: options.maxAssignments }) }
+  })
+
+  let output
+  if (options.format === 'json') {
+    output = JSON.stringify(results, null, 2)
+  } else if (options.format === 'dot' || options.format === 'mermaid') {
+    const render = options.format === 'dot' ? toDot : toMermaid
+    const comment = options.format === 'dot' ? '//' : '%%'
+    output = results.map(({ file, analysis }) => `${comment} ${file}\n${render(analysis)}`).join('\n\n')
+  } else {
+    output = formatText(results)
+  }
+
+  if (options.output) {
+    fs.writeFileSync(path.resolve(process.cwd(), options.output), output + '\n', 'utf8')
+    console.log(`📄 Wrote ${options.format} output to ${options.output}`)
+  } else {
+    console.log(output)
+  }
+
+  if (results.some(r => r.analysis.findings.some(f => f.severity === 'error'))) process.exit(1)
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+}
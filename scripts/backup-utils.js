@@ -10,6 +10,82 @@ const projectRoot = path.resolve(__dirname, '..')
 const surveysDir = path.join(projectRoot, 'surveys')
 const backupsDir = path.join(surveysDir, 'backups')
 
+/** Bucket backup folders are `<prefix>/backup_YYYY-MM-DD_HH-MM-SS/` */
+export const BACKUP_FOLDER_PREFIX = 'backup_'
+
+/**
+ * Timestamp used in backup names: YYYY-MM-DD_HH-MM-SS (UTC)
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function getBackupTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-').replace('T', '_').substring(0, 19)
+}
+
+/**
+ * Name of a bucket backup folder for a point in time
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function getBackupFolderName(date = new Date()) {
+  return `${BACKUP_FOLDER_PREFIX}${getBackupTimestamp(date)}`
+}
+
+/**
+ * Parse the time out of a backup folder name. Also accepts the all-dashes
+ * variant (backup_YYYY-MM-DD-HH-MM-SS) older upload scripts produced.
+ * @param {string} folderName
+ * @returns {Date | null}
+ */
+export function parseBackupFolderName(folderName) {
+  const m = /^backup_(\d{4}-\d{2}-\d{2})[_-](\d{2})-(\d{2})-(\d{2})$/.exec(folderName)
+  if (!m) return null
+  const date = new Date(`${m[1]}T${m[2]}:${m[3]}:${m[4]}Z`)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * List the backup folders under a bucket prefix, newest first
+ * @param {import('./storage-utils.js').BucketStorage} storage
+ * @param {string} [prefix] folder containing the surveys (default: surveys)
+ * @returns {Promise<{ name: string, path: string, date: Date, files: string[] }[]>}
+ */
+export async function listBucketBackups(storage, prefix = 'surveys') {
+  const base = prefix ? `${prefix.replace(/\/$/, '')}/` : ''
+  const { prefixes } = await storage.list(`${base}${BACKUP_FOLDER_PREFIX}`, { delimiter: '/' })
+  const backups = []
+  for (const folder of prefixes) {
+    const name = folder.slice(base.length).replace(/\/$/, '')
+    const date = parseBackupFolderName(name)
+    if (!date) continue
+    const { files } = await storage.list(folder)
+    backups.push({ name, path: `${base}${name}`, date, files: files.map(f => f.slice(folder.length)).filter(f => f && !f.includes('/')) })
+  }
+  return backups.sort((a, b) => b.date.getTime() - a.date.getTime())
+}
+
+/**
+ * Copy objects into a backup folder and verify each copy's MD5
+ * @param {import('./storage-utils.js').BucketStorage} storage
+ * @param {string[]} objectNames objects to back up (missing ones are skipped)
+ * @param {string} backupPath destination folder (e.g. `surveys/backup_2025-09-01_12-00-00`)
+ * @returns {Promise<{ name: string, backup: string, md5: string }[]>}
+ * @throws {Error} when a copy does not match its source
+ */
+export async function backupBucketObjects(storage, objectNames, backupPath) {
+  const copied = []
+  for (const name of objectNames) {
+    if (!(await storage.exists(name))) continue
+    const backup = `${backupPath}/${path.posix.basename(name)}`
+    const md5 = await storage.md5(name)
+    await storage.copy(name, backup)
+    const copyMd5 = await storage.md5(backup)
+    if (copyMd5 !== md5) throw new Error(`Backup of ${name} failed verification (md5 ${copyMd5} != ${md5})`)
+    copied.push({ name, backup, md5 })
+  }
+  return copied
+}
+
 function ensureBackupsDirExists() {
   if (!fs.existsSync(backupsDir)) fs.mkdirSync(backupsDir, { recursive: true })
 }
@@ -22,7 +98,7 @@ function getBaseNameForBackup(originalFilePath) {
 
 export function writeBackup(originalFilePath) {
   ensureBackupsDirExists()
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').substring(0, 19)
+  const timestamp = getBackupTimestamp()
   const baseName = getBaseNameForBackup(originalFilePath)
   const backupName = `${baseName}.backup.${timestamp}`
   const dest = path.join(backupsDir, backupName)
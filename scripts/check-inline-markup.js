@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Inline markup check
+ *
+ * Lists, per locale, the translations whose HTML tags differ from the English
+ * (`<font face=Verdana size=4>`, `<b>`, `<br>`, `<block>`…): tags the translator
+ * dropped and tags the English does not have. Tags are compared by name and
+ * attribute values (src/helpers/inlineMarkup.js).
+ *
+ * Usage:
+ *   node scripts/check-inline-markup.js [files...] [options]
+ *
+ * Options:
+ *   --version=updated|source    Catalog file variant to check (default: updated)
+ *   --locales=<a>,<b>           Only check these locales (default: every translation)
+ *   --format=text|json          Output format (default: text)
+ *   --output=<file>             Write the report to a file instead of stdout
+ *   --strict                    Exit with code 1 when any translation has mismatched tags
+ *
+ * Examples:
+ *   node scripts/check-inline-markup.js --locales=de,de-CH
+ *   node scripts/check-inline-markup.js --format=json --output=reports/inline-markup.json
+ *   node scripts/check-inline-markup.js surveys/parent_survey_child_updated.json --strict
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getSurveys } from '../src/constants/surveys.js'
+import { findMarkupMismatches } from '../src/helpers/inlineMarkup.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const surveysDir = path.resolve(projectRoot, 'surveys')
+
+const FORMATS = ['text', 'json']
+
+function parseArgs(argv) {
+  const options = { files: [], version: 'updated', locales: [], format: 'text', output: null, strict: false }
+  for (const arg of argv) {
+    if (arg.startsWith('--version=')) options.version = arg.slice('--version='.length)
+    else if (arg.startsWith('--locales=')) options.locales = arg.slice('--locales='.length).split(',').filter(Boolean)
+    else if (arg.startsWith('--format=')) options.format = arg.slice('--format='.length)
+    else if (arg.startsWith('--output=')) options.output = arg.slice('--output='.length)
+    else if (arg === '--strict') options.strict = true
+    else if (!arg.startsWith('--')) options.files.push(arg)
+  }
+  return options
+}
+
+/**
+ * Resolve the surveys to check as { name, file } pairs
+ */
+function resolveInputs({ files, version }) {
+  if (files.length > 0) {
+    return files.map(p => {
+      const file = path.resolve(process.cwd(), p)
+      return { name: path.basename(file, '.json'), file }
+    })
+  }
+  return getSurveys()
+    .map(s => ({ name: s.name, file: path.join(surveysDir, s.versions[version] || s.fileName) }))
+    .filter(({ name, file }) => {
+      if (fs.existsSync(file)) return true
+      console.warn(`⚠️  Skipping ${name}: ${path.relative(projectRoot, file)} not found`)
+      return false
+    })
+}
+
+// "<br> ×3, <b>"
+function listTags(tags) {
+  const counts = tags.reduce((m, tag) => m.set(tag, (m.get(tag) || 0) + 1), new Map())
+  return [...counts].map(([tag, n]) => (n > 1 ? `${tag} ×${n}` : tag)).join(', ')
+}
+
+/**
+ * Console lines for mismatches, grouped by locale (shared with the XLIFF importers)
+ * @param {Array<import('../src/helpers/inlineMarkup.js').MarkupMismatch & { survey?: string }>} mismatches
+ * @param {{ limit?: number }} [options] strings to list per locale (default: all)
+ * @returns {string[]}
+ */
+export function formatMarkupMismatches(mismatches, { limit = Infinity } = {}) {
+  const byLocale = new Map()
+  for (const m of mismatches) byLocale.set(m.locale, [...(byLocale.get(m.locale) || []), m])
+  const lines = []
+  for (const [locale, items] of [...byLocale].sort(([a], [b]) => a.localeCompare(b))) {
+    lines.push(`🏷️  ${locale}: ${items.length} translation(s) with mismatched tags`)
+    for (const m of items.slice(0, limit)) {
+      lines.push(`   ${m.survey ? `${m.survey} ` : ''}${m.id}`)
+      if (m.missing.length > 0) lines.push(`      missing: ${listTags(m.missing)}`)
+      if (m.extra.length > 0) lines.push(`      extra:   ${listTags(m.extra)}`)
+    }
+    if (items.length > limit) lines.push(`   … ${items.length - limit} more (npm run translations:markup -- --locales=${locale})`)
+  }
+  return lines
+}
+
+function render(mismatches, format) {
+  if (format === 'json') {
+    const locales = {}
+    for (const m of mismatches) (locales[m.locale] = locales[m.locale] || []).push(m)
+    return JSON.stringify({ generatedAt: new Date().toISOString(), total: mismatches.length, locales }, null, 2)
+  }
+  if (mismatches.length === 0) return '✅ Every translation keeps the tags of its English string'
+  return formatMarkupMismatches(mismatches).join('\n')
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (!FORMATS.includes(options.format)) {
+    console.error(`❌ Unknown format: ${options.format} (expected ${FORMATS.join(', ')})`)
+    process.exit(2)
+  }
+  if (!['updated', 'source'].includes(options.version)) {
+    console.error(`❌ Unknown version: ${options.version} (expected updated or source)`)
+    process.exit(2)
+  }
+
+  const mismatches = resolveInputs(options).flatMap(({ name, file }) => {
+    const survey = JSON.parse(fs.readFileSync(file, 'utf8'))
+    return findMarkupMismatches(survey, { locales: options.locales }).map(m => ({ survey: name, ...m }))
+  })
+
+  const report = render(mismatches, options.format)
+  if (options.output) {
+    const outPath = path.resolve(process.cwd(), options.output)
+    fs.mkdirSync(path.dirname(outPath), { recursive: true })
+    fs.writeFileSync(outPath, report + '\n', 'utf8')
+    console.log(`📄 Wrote ${options.format} report to ${options.output} (${mismatches.length} mismatched translation(s))`)
+  } else {
+    console.log(report)
+  }
+  if (options.strict && mismatches.length > 0) process.exit(1)
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+}
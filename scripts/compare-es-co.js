@@ -9,41 +9,16 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { parseCsvRecords } from '../src/helpers/csv.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
-function parseLine(line) {
-  const cols = []
-  let cur = ''
-  let inQ = false
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i]
-    if (ch === '"') {
-      if (inQ && line[i + 1] === '"') { cur += '"'; i++ } else { inQ = !inQ }
-    } else if (ch === ',' && !inQ) {
-      cols.push(cur); cur = ''
-    } else {
-      cur += ch
-    }
-  }
-  cols.push(cur)
-  return cols
-}
-
 function parseCSV(filePath) {
-  const content = fs.readFileSync(filePath, 'utf8').split('\n').filter(l => l.length > 0)
-  if (content.length === 0) return { header: [], rows: [] }
-  const header = parseLine(content[0]).map(h => h.replace(/^"|"$/g, ''))
+  const { header, records, malformed } = parseCsvRecords(fs.readFileSync(filePath, 'utf8'))
+  for (const m of malformed) console.warn(`⚠️  ${path.basename(filePath)} line ${m.line}: ${m.found} fields, header has ${m.expected} (skipped)`)
   const hidx = Object.fromEntries(header.map((h, i) => [h, i]))
-  const rows = []
-  for (let i = 1; i < content.length; i++) {
-    const cols = parseLine(content[i])
-    const obj = {}
-    header.forEach((h, idx) => obj[h] = cols[idx] ?? '')
-    rows.push(obj)
-  }
-  return { header, hidx, rows }
+  return { header, hidx, rows: records }
 }
 
 function main() {
@@ -77,8 +52,6 @@ function main() {
     process.exit(1)
   }
 
-  const strip = s => (s ?? '').replace(/^"|"$/g, '')
-
   // Determine English baseline columns per file
   const leftEnCol = ['en','en-US','en_US','source','text'].find(c => c in left.hidx) || null
   const rightEnCol = ['en','en-US','en_US','source','text'].find(c => c in right.hidx) || null
@@ -89,11 +62,11 @@ function main() {
 
   const leftMap = new Map()
   for (const r of left.rows) {
-    if (strip(r['labels']) !== 'child_survey') continue
-    const id = strip(r['identifier'])
-    const en = strip(r[leftEnCol])
+    if ((r['labels'] ?? '') !== 'child_survey') continue
+    const id = r['identifier'] ?? ''
+    const en = r[leftEnCol] ?? ''
     const key = `${id}||${en}`
-    const val = strip(r[leftEsCol])
+    const val = r[leftEsCol] ?? ''
     leftMap.set(key, val)
   }
 
@@ -101,11 +74,11 @@ function main() {
   const missing = []
   const different = []
   for (const r of right.rows) {
-    if (strip(r['labels']) !== 'child_survey') continue
-    const id = strip(r['identifier'])
-    const en = strip(r[rightEnCol])
+    if ((r['labels'] ?? '') !== 'child_survey') continue
+    const id = r['identifier'] ?? ''
+    const en = r[rightEnCol] ?? ''
     const key = `${id}||${en}`
-    const val = strip(r[rightEsCol])
+    const val = r[rightEsCol] ?? ''
     if (!leftMap.has(key)) {
       missing.push(key)
       continue
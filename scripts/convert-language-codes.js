@@ -3,6 +3,7 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getSurveyFileNames } from '../src/constants/surveys.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -134,13 +135,7 @@ This script:
     console.log('📁 Processing all survey JSON files...')
 
     // Find all survey JSON files
-    const surveyFiles = [
-      'child_survey.json',
-      'parent_survey_family.json',
-      'parent_survey_child.json',
-      'teacher_survey_general.json',
-      'teacher_survey_classroom.json'
-    ]
+    const surveyFiles = getSurveyFileNames()
 
     filesToProcess = surveyFiles.map(file => path.join(surveysDir, file))
   } else if (args.length > 0) {
@@ -2,11 +2,14 @@
 
 const fs = require('fs')
 const path = require('path')
-const { Storage } = require('@google-cloud/storage')
 
 const projectRoot = path.resolve(__dirname, '..')
 const BUCKET_NAME = 'levante-assets-dev'
 
+// The bucket helpers are ES modules; they pick GCS or a local directory from LEVANTE_STORAGE
+const loadStorageUtils = () => import('./storage-utils.js')
+const loadBackupUtils = () => import('./backup-utils.js')
+
 /**
  * Recursively copy es-CO translations to es in a survey object
  */
@@ -41,26 +44,20 @@ function copyEsCoToEs(obj) {
 }
 
 /**
- * Backup existing file in Google Cloud Storage
+ * Backup existing file in the bucket (MD5-verified)
  */
-async function backupExistingFile(bucketName, fileName, backupFolder) {
+async function backupExistingFile(bucket, fileName, backupFolder) {
   try {
-    const storage = new Storage()
-    const bucket = storage.bucket(bucketName)
-    const sourceFile = `surveys/${fileName}`
-    const backupDestination = `${backupFolder}/${fileName}`
-
-    // Check if file exists before trying to backup
-    const [exists] = await bucket.file(sourceFile).exists()
-    if (!exists) {
+    const { backupBucketObjects } = await loadBackupUtils()
+    // Missing files are skipped
+    const [copied] = await backupBucketObjects(bucket, [`surveys/${fileName}`], backupFolder)
+    if (!copied) {
       console.log(`   ⚠️  File not found in bucket: ${fileName} (first deployment?)`)
       return { success: false, reason: 'not_found' }
     }
 
-    // Copy file to backup location
-    await bucket.file(sourceFile).copy(bucket.file(backupDestination))
-    console.log(`   ✅ Backed up: ${fileName} → ${backupDestination}`)
-    return { success: true, backup: backupDestination }
+    console.log(`   ✅ Backed up: ${fileName} → ${copied.backup}`)
+    return { success: true, backup: copied.backup }
 
   } catch (error) {
     console.log(`   ❌ Failed to backup ${fileName}: ${error.message}`)
@@ -69,30 +66,27 @@ async function backupExistingFile(bucketName, fileName, backupFolder) {
 }
 
 /**
- * Upload file to Google Cloud Storage
+ * Upload file to the bucket
  */
-async function uploadToGCS(filePath, fileName, backupFolder = null) {
+async function uploadToBucket(filePath, fileName, backupFolder = null) {
   try {
-    const storage = new Storage()
-    const bucket = storage.bucket(BUCKET_NAME)
+    const { openBucket } = await loadStorageUtils()
+    const bucket = await openBucket(BUCKET_NAME)
 
     // Backup existing file if backup folder is provided
     if (backupFolder) {
       console.log(`📦 Backing up existing ${fileName}...`)
-      await backupExistingFile(BUCKET_NAME, fileName, backupFolder)
+      await backupExistingFile(bucket, fileName, backupFolder)
     }
 
-    console.log(`☁️  Uploading ${fileName} to gs://${BUCKET_NAME}/surveys/...`)
+    console.log(`☁️  Uploading ${fileName} to ${bucket.uri}/surveys/...`)
 
-    const [file] = await bucket.upload(filePath, {
-      destination: `surveys/${fileName}`,
-      metadata: {
-        contentType: 'application/json',
-        cacheControl: 'public, max-age=3600'
-      }
+    await bucket.write(`surveys/${fileName}`, fs.readFileSync(filePath), {
+      contentType: 'application/json',
+      cacheControl: 'public, max-age=3600'
     })
 
-    console.log(`✅ Successfully uploaded ${fileName} to Google Cloud Storage`)
+    console.log(`✅ Successfully uploaded ${fileName} to ${bucket.uri}`)
     return true
   } catch (error) {
     console.error(`❌ Failed to upload ${fileName}:`, error.message)
@@ -131,11 +125,11 @@ async function processChildSurvey(shouldUpload = false) {
   // Upload if requested
   if (shouldUpload) {
     // Create backup folder with timestamp
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').substring(0, 19)
-    const backupFolder = `surveys/backup_${timestamp}`
+    const { getBackupFolderName } = await loadBackupUtils()
+    const backupFolder = `surveys/${getBackupFolderName()}`
     console.log(`📦 Backup folder: ${backupFolder}`)
     
-    const uploadSuccess = await uploadToGCS(outputPath, 'child_survey.json', backupFolder)
+    const uploadSuccess = await uploadToBucket(outputPath, 'child_survey.json', backupFolder)
     
     if (uploadSuccess) {
       console.log('🎉 Child survey successfully updated with es-CO → es translations!')
@@ -154,10 +148,11 @@ async function processChildSurvey(shouldUpload = false) {
 async function main() {
   const args = process.argv.slice(2)
   const shouldUpload = args.includes('--upload')
+  const { resolveBucketUri } = await loadStorageUtils()
   
   console.log('🔄 Copy es-CO to es Translation Tool')
   console.log('=' .repeat(50))
-  console.log(`📦 Target bucket: gs://${BUCKET_NAME}`)
+  console.log(`📦 Target bucket: ${resolveBucketUri(BUCKET_NAME)}`)
   console.log(`☁️  Upload mode: ${shouldUpload ? 'ENABLED' : 'LOCAL ONLY'}\n`)
   
   const success = await processChildSurvey(shouldUpload)
@@ -165,7 +160,7 @@ async function main() {
   if (success) {
     console.log('\n✅ Process completed successfully!')
     if (!shouldUpload) {
-      console.log('💡 Run with --upload flag to deploy to Google Cloud Storage')
+      console.log('💡 Run with --upload flag to deploy to the bucket')
     }
   } else {
     console.log('\n❌ Process failed')
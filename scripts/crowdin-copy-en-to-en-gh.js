@@ -23,16 +23,11 @@ import axios from 'axios'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getSurveys, getTranslationsCsvFileName } from '../src/constants/surveys.js'
 
 const CROWDIN_API_BASE = 'https://api.crowdin.com/api/v2'
 
-const DEFAULT_FILE_SUFFIXES = [
-  '/surveys/child_survey_translations.csv',
-  '/surveys/parent_survey_family_translations.csv',
-  '/surveys/parent_survey_child_translations.csv',
-  '/surveys/teacher_survey_general_translations.csv',
-  '/surveys/teacher_survey_classroom_translations.csv',
-]
+const DEFAULT_FILE_SUFFIXES = getSurveys().map((survey) => `/surveys/${getTranslationsCsvFileName(survey)}`)
 
 function parseArgs() {
   const args = process.argv.slice(2)
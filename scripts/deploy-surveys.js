@@ -4,15 +4,18 @@
  * End-to-End Translation Deployment Pipeline
  *
  * This script orchestrates the complete workflow from Crowdin CSV files
- * to deployed and validated survey JSON files in Google Cloud Storage.
+ * to deployed and validated survey JSON files in Google Cloud Storage
+ * (or local bucket directories with LEVANTE_STORAGE=local, see storage-utils.js).
  *
  * Pipeline Steps:
  * 1. 🔍 Detect and validate all required CSV files
  * 2. 🌍 Auto-detect and configure any new languages
  * 3. 🔄 Import translations into survey JSON files
  * 4. ✅ Validate updated surveys (structure, required fields, etc.)
+ *    🛡️  Check release readiness against release-policy.json (blocks failing PROD deploys)
  * 5. 📦 Backup existing surveys in cloud storage
- * 6. ☁️  Deploy updated surveys to cloud storage
+ *    🏷️  Version each survey from its semantic diff against the published one
+ * 6. ☁️  Deploy updated surveys to cloud storage, then the release manifest
  * 7. 🧪 Run post-deployment validation
  * 8. 📊 Generate comprehensive deployment report
  *
@@ -23,20 +26,44 @@
  *   --dry-run           Preview changes without deploying
  *   --skip-download     Skip downloading latest CSV files from Crowdin
  *   --skip-validation   Skip survey validation steps (not recommended)
- *   --force             Deploy even if validation warnings exist
+ *   --force             Deploy even if validation warnings exist; overriding a failed
+ *                       blocking release gate also needs --signed-off-by, and is not
+ *                       possible when the policy sets allowForce: false
  *   --env=DEV|PROD      Target environment (default: DEV)
+ *   --policy=<file>     Release policy (default: release-policy.json)
+ *   --signed-off-by=<name>  Person who approved shipping past a failed release gate,
+ *                       recorded in the release-readiness report
+ *   --materialize-fallbacks Copy the strings regional variants inherit (LOCALE_FALLBACKS in
+ *                       src/constants/languages.js) into the deployed JSON; the local files keep
+ *                       only the strings that differ. The release gate checks the deployed form.
  *
  * Examples:
  *   node scripts/deploy-translations.js --dry-run
  *   node scripts/deploy-translations.js --env=DEV
- *   node scripts/deploy-translations.js --env=PROD --force
+ *   node scripts/deploy-translations.js --env=PROD --force --signed-off-by="Jane Doe"
+ *   node scripts/deploy-translations.js --env=PROD --dry-run   # evaluate the release gate only
+ *   node scripts/deploy-translations.js --env=DEV --materialize-fallbacks
  */
 
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { Storage } from '@google-cloud/storage'
 import { spawnSync } from 'child_process'
+import crypto from 'crypto'
+import { getSurveys, getSurveyFileNames, getCrowdinCsvFileName } from '../src/constants/surveys.js'
+import { materializeFallbacks } from '../src/helpers/localeFallbacks.js'
+import { decideRelease, evaluateReleaseReadiness, getEnvironmentPolicy, normalizeReleasePolicy } from '../src/helpers/releasePolicy.js'
+import {
+  RELEASE_MANIFEST_FILE,
+  buildReleaseManifest,
+  canonicalSurveyJson,
+  formatReleaseChangelog,
+  getSurveyRelease,
+  planSurveyRelease,
+  stampSurveyRelease
+} from '../src/helpers/surveyRelease.js'
+import { getBackupFolderName } from './backup-utils.js'
+import { openBucket, resolveBucketUri } from './storage-utils.js'
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url)
@@ -44,21 +71,16 @@ const __dirname = path.dirname(__filename)
 const projectRoot = path.resolve(__dirname, '..')
 
 // Configuration
-const REQUIRED_CSV_FILES = [
-  'child_survey_crowdin_translations.csv',
-  'parent_survey_family_crowdin_translations.csv',
-  'parent_survey_child_crowdin_translations.csv',
-  'teacher_survey_general_crowdin_translations.csv',
-  'teacher_survey_classroom_crowdin_translations.csv'
-]
-
-const SURVEY_JSON_FILES = [
-  'child_survey.json',
-  'parent_survey_family.json',
-  'parent_survey_child.json',
-  'teacher_survey_general.json',
-  'teacher_survey_classroom.json'
-]
+const REQUIRED_CSV_FILES = getSurveys().map(getCrowdinCsvFileName)
+
+const SURVEY_JSON_FILES = getSurveyFileNames()
+
+const DEFAULT_POLICY_FILE = path.join(projectRoot, 'release-policy.json')
+const RELEASE_REPORTS_DIR = path.join(projectRoot, 'reports', 'release-readiness')
+const CHANGELOG_FILE = path.join(projectRoot, 'surveys', 'CHANGELOG.md')
+
+// Every deployment is mirrored to surveys/ in this bucket for the preview app
+const ASSETS_BUCKET = 'levante-assets-dev'
 
 /**
  * Pipeline step results tracking
@@ -70,6 +92,7 @@ class PipelineResults {
     this.warnings = []
     this.startTime = new Date()
     this.success = false
+    this.release = null
   }
 
   addStep(name, status, details = {}) {
@@ -283,6 +306,110 @@ function validateSurveyFiles(results, skipValidation = false) {
   }
 }
 
+/**
+ * A local survey as it will be deployed: with --materialize-fallbacks, regional
+ * variants carry the strings they inherit
+ */
+function toDeployedSurvey(survey, materialize) {
+  return materialize ? materializeFallbacks(survey).survey : survey
+}
+
+function readGitValue(args) {
+  const res = spawnSync('git', args, { cwd: projectRoot, encoding: 'utf8' })
+  return res.status === 0 ? res.stdout.trim() : null
+}
+
+function loadReleasePolicy(policyFile) {
+  const policyPath = policyFile ? path.resolve(process.cwd(), policyFile) : DEFAULT_POLICY_FILE
+  if (!fs.existsSync(policyPath)) {
+    if (policyFile) throw new Error(`Release policy not found: ${policyPath}`)
+    return { policyPath: null, policy: normalizeReleasePolicy({ environments: {} }) }
+  }
+  return { policyPath, policy: normalizeReleasePolicy(JSON.parse(fs.readFileSync(policyPath, 'utf8'))) }
+}
+
+/**
+ * Step 5b: Evaluate the release policy for the target environment, decide
+ * whether the deployment may proceed and write the release-readiness report
+ */
+function checkReleaseReadiness(results, environment, { policyFile = null, force = false, signedOffBy = null, materialize = false } = {}) {
+  console.log(`🛡️  Step 5b: Checking release readiness for ${environment}...`)
+
+  let policyPath
+  let envPolicy
+  try {
+    const loaded = loadReleasePolicy(policyFile)
+    policyPath = loaded.policyPath
+    envPolicy = getEnvironmentPolicy(loaded.policy, environment)
+  } catch (error) {
+    // A broken policy must not let a release through
+    console.error(`   ❌ ${error.message}`)
+    results.addError(`Release policy invalid: ${error.message}`, 'release_gate')
+    results.addStep('release_gate', 'error', { error: error.message })
+    return { outcome: 'blocked', proceed: false, reason: `Release policy invalid: ${error.message}` }
+  }
+
+  const surveysDir = path.join(projectRoot, 'surveys')
+  const surveys = []
+  for (const survey of getSurveys()) {
+    const filePath = path.join(surveysDir, survey.versions.updated)
+    if (!fs.existsSync(filePath)) continue
+    const content = fs.readFileSync(filePath, 'utf8')
+    surveys.push({
+      name: survey.name,
+      file: survey.versions.updated,
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+      survey: toDeployedSurvey(JSON.parse(content), materialize)
+    })
+  }
+
+  const lintConfigPath = path.join(projectRoot, 'survey-lint.config.json')
+  const lintRules = fs.existsSync(lintConfigPath) ? JSON.parse(fs.readFileSync(lintConfigPath, 'utf8')).rules || {} : {}
+  const evaluation = evaluateReleaseReadiness(surveys, envPolicy, { environment, lintRules })
+  const decision = decideRelease(evaluation, { force, signedOffBy })
+
+  for (const check of evaluation.checks.filter(c => !c.passed)) {
+    console.log(`   ❌ ${check.survey}: ${check.message}`)
+  }
+  const failed = evaluation.checks.filter(c => !c.passed).length
+  const icons = { passed: '✅', warned: '⚠️ ', blocked: '❌', overridden: '⚠️ ' }
+  console.log(`   ${icons[decision.outcome]} ${decision.reason}`)
+
+  const report = {
+    environment,
+    generatedAt: new Date().toISOString(),
+    ranBy: readGitValue(['config', 'user.name']) || process.env.USER || 'unknown',
+    gitCommit: readGitValue(['rev-parse', 'HEAD']),
+    policyFile: policyPath ? path.relative(projectRoot, policyPath) : null,
+    policy: envPolicy,
+    passed: evaluation.passed,
+    outcome: decision.outcome,
+    // Only set when someone approved shipping past a failed gate
+    signedOffBy: decision.outcome === 'overridden' ? signedOffBy : null,
+    surveys: surveys.map(({ name, file, sha256 }) => ({ name, file, sha256 })),
+    checks: evaluation.checks
+  }
+
+  const timestamp = report.generatedAt.replace(/[:.]/g, '-').replace('T', '_').substring(0, 19)
+  const reportPath = path.join(RELEASE_REPORTS_DIR, `release-readiness_${environment}_${timestamp}.json`)
+  fs.mkdirSync(RELEASE_REPORTS_DIR, { recursive: true })
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n', 'utf8')
+  console.log(`   📄 Release-readiness report: ${path.relative(projectRoot, reportPath)}`)
+
+  const details = { passed: evaluation.passed, outcome: decision.outcome, failed, total: evaluation.checks.length, report: path.relative(projectRoot, reportPath) }
+  if (decision.outcome === 'passed') {
+    results.addStep('release_gate', 'success', details)
+  } else if (decision.outcome === 'blocked') {
+    results.addError(`Release policy for ${environment} not met: ${decision.reason}`, 'release_gate')
+    results.addStep('release_gate', 'error', details)
+  } else {
+    results.addWarning(`Release policy for ${environment} not met: ${decision.reason}`, 'release_gate')
+    results.addStep('release_gate', 'warning', details)
+  }
+
+  return decision
+}
+
 /**
  * Step 6: Backup existing surveys in cloud storage
  */
@@ -296,29 +423,27 @@ async function backupExistingSurveys(results, bucketName, dryRun = false) {
   }
 
   try {
-    const storage = new Storage()
-    const bucket = storage.bucket(bucketName)
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').substring(0, 19)
-    const backupFolder = `surveys/backup_${timestamp}`
+    const bucket = await openBucket(bucketName)
+    const backupFolder = `surveys/${getBackupFolderName()}`
 
     const backupResults = []
 
-    for (const jsonFile of SURVEY_JSON_FILES) {
+    // The manifest is backed up with the surveys so a backup records their versions
+    for (const jsonFile of [...SURVEY_JSON_FILES, RELEASE_MANIFEST_FILE]) {
       try {
-        const [file] = await bucket.file(jsonFile).get()
+        if (!(await bucket.exists(jsonFile))) {
+          console.log(`   ⚠️  File not found in bucket: ${jsonFile} (first deployment?)`)
+          backupResults.push({ file: jsonFile, success: false, reason: 'not_found' })
+          continue
+        }
         const backupDestination = `${backupFolder}/${jsonFile}`
 
-        await file.copy(bucket.file(backupDestination))
+        await bucket.copy(jsonFile, backupDestination)
         console.log(`   ✅ Backed up: ${jsonFile} → ${backupDestination}`)
         backupResults.push({ file: jsonFile, backup: backupDestination, success: true })
       } catch (error) {
-        if (error.code === 404) {
-          console.log(`   ⚠️  File not found in bucket: ${jsonFile} (first deployment?)`)
-          backupResults.push({ file: jsonFile, success: false, reason: 'not_found' })
-        } else {
-          console.log(`   ❌ Failed to backup ${jsonFile}: ${error.message}`)
-          backupResults.push({ file: jsonFile, success: false, reason: error.message })
-        }
+        console.log(`   ❌ Failed to backup ${jsonFile}: ${error.message}`)
+        backupResults.push({ file: jsonFile, success: false, reason: error.message })
       }
     }
 
@@ -340,10 +465,115 @@ async function backupExistingSurveys(results, bucketName, dryRun = false) {
   }
 }
 
+/**
+ * Step 6b: Version each survey against the currently published file.
+ * Keeps each survey's version and content hash on `results.release` for
+ * deploySurveys to stamp into the uploaded copy (the *_updated.json files are
+ * not modified), along with the manifest and changelog to publish after deploy.
+ */
+async function prepareRelease(results, bucketName, environment, dryRun = false, materialize = false) {
+  console.log(`🏷️  Step 6b: Versioning surveys${dryRun ? ' (DRY RUN)' : ''}...`)
+
+  if (dryRun) {
+    console.log('   🔍 DRY RUN: Would compare with published surveys and stamp versions')
+    results.addStep('version_surveys', 'skipped', { reason: 'dry_run' })
+    return true
+  }
+
+  try {
+    const bucket = await openBucket(bucketName)
+    const surveysDir = path.join(projectRoot, 'surveys')
+    const releasedAt = new Date().toISOString()
+    const planned = []
+    /** @type {Record<string, import('../src/helpers/surveyRelease.js').SurveyReleaseInfo>} */
+    const stamps = {}
+
+    for (const survey of getSurveys()) {
+      const localPath = path.join(surveysDir, survey.versions.updated)
+      if (!fs.existsSync(localPath)) continue
+
+      const next = JSON.parse(fs.readFileSync(localPath, 'utf8'))
+      const previous = (await bucket.exists(survey.fileName))
+        ? JSON.parse((await bucket.read(survey.fileName)).toString('utf8'))
+        : null
+
+      // Version and hash what is published, which the previous release was too
+      const deployed = toDeployedSurvey(next, materialize)
+      const contentHash = crypto.createHash('sha256').update(canonicalSurveyJson(deployed)).digest('hex')
+      const plan = planSurveyRelease(previous, deployed, { contentHash })
+      const info = plan.level
+        ? { version: plan.version, contentHash, releasedAt, previousVersion: plan.previousVersion }
+        : getSurveyRelease(previous)
+
+      if (info) stamps[survey.fileName] = info
+      console.log(`   🏷️  ${survey.name}: ${plan.previousVersion || '—'} → ${plan.version} (${plan.level || 'unchanged'})`)
+      planned.push({
+        name: survey.name,
+        fileName: survey.fileName,
+        contentHash,
+        ...plan,
+        summary: plan.diff ? plan.diff.summary : undefined
+      })
+    }
+
+    const context = { environment, releasedAt, gitCommit: readGitValue(['rev-parse', 'HEAD']) }
+    results.release = {
+      stamps,
+      manifest: buildReleaseManifest(planned, context),
+      changelog: formatReleaseChangelog(planned, context)
+    }
+
+    results.addStep('version_surveys', 'success', {
+      successful: planned.length,
+      total: planned.length,
+      versions: Object.fromEntries(planned.map(p => [p.name, p.version]))
+    })
+    return true
+  } catch (error) {
+    console.error(`   ❌ Versioning failed: ${error.message}`)
+    results.addError(`Versioning failed: ${error.message}`, 'version_surveys')
+    results.addStep('version_surveys', 'error', { error: error.message })
+    return false
+  }
+}
+
+/**
+ * Step 7b: Publish the release manifest next to the surveys and record the changelog
+ */
+async function publishReleaseManifest(results, bucketName, dryRun = false) {
+  console.log(`📜 Step 7b: Publishing release manifest${dryRun ? ' (DRY RUN)' : ''}...`)
+
+  if (dryRun || !results.release) {
+    results.addStep('publish_manifest', 'skipped', { reason: dryRun ? 'dry_run' : 'no_release' })
+    return true
+  }
+
+  try {
+    const content = JSON.stringify(results.release.manifest, null, 2)
+    const metadata = { contentType: 'application/json', cacheControl: 'no-cache' }
+    // Same destinations as the surveys in deploySurveys
+    await (await openBucket(bucketName)).write(RELEASE_MANIFEST_FILE, content, metadata)
+    await (await openBucket(ASSETS_BUCKET)).write(`surveys/${RELEASE_MANIFEST_FILE}`, content, metadata)
+    console.log(`   ✅ Published ${RELEASE_MANIFEST_FILE}`)
+
+    const existing = fs.existsSync(CHANGELOG_FILE) ? fs.readFileSync(CHANGELOG_FILE, 'utf8').replace(/^# Survey changelog\n+/, '') : ''
+    fs.writeFileSync(CHANGELOG_FILE, `# Survey changelog\n\n${results.release.changelog}\n${existing}`, 'utf8')
+    console.log(`   📝 Updated ${path.relative(projectRoot, CHANGELOG_FILE)}`)
+
+    results.addStep('publish_manifest', 'success', { manifest: RELEASE_MANIFEST_FILE, changelog: path.relative(projectRoot, CHANGELOG_FILE) })
+    return true
+  } catch (error) {
+    console.error(`   ❌ Publishing release manifest failed: ${error.message}`)
+    results.addError(`Publishing release manifest failed: ${error.message}`, 'publish_manifest')
+    results.addStep('publish_manifest', 'error', { error: error.message })
+    return false
+  }
+}
+
 /**
  * Step 7: Deploy updated surveys to cloud storage
  */
-async function deploySurveys(results, bucketName, dryRun = false) {
+async function deploySurveys(results, bucketName, dryRun = false, materialize = false) {
   console.log(`☁️  Step 7: Deploying surveys${dryRun ? ' (DRY RUN)' : ''}...`)
 
   if (dryRun) {
@@ -353,10 +583,11 @@ async function deploySurveys(results, bucketName, dryRun = false) {
   }
 
   try {
-    const storage = new Storage()
-    const bucket = storage.bucket(bucketName)
+    const bucket = await openBucket(bucketName)
+    const assetsBucket = await openBucket(ASSETS_BUCKET)
     const surveysDir = path.join(projectRoot, 'surveys')
     const deployResults = []
+    const metadata = { contentType: 'application/json', cacheControl: 'public, max-age=3600' }
 
     for (const jsonFile of SURVEY_JSON_FILES) {
       const updatedFile = jsonFile.replace('.json', '_updated.json')
@@ -369,27 +600,29 @@ async function deploySurveys(results, bucketName, dryRun = false) {
       }
 
       try {
-        // Upload to main bucket
-        await bucket.upload(localPath, {
-          destination: jsonFile,
-          metadata: {
-            contentType: 'application/json',
-            cacheControl: 'public, max-age=3600'
+        let content = fs.readFileSync(localPath)
+        const release = results.release?.stamps[jsonFile]
+        if (materialize || release) {
+          let survey = JSON.parse(content.toString('utf8'))
+          if (materialize) {
+            const materialized = materializeFallbacks(survey)
+            survey = materialized.survey
+            const counts = Object.entries(materialized.filled).map(([locale, n]) => `${locale} ${n}`).join(', ')
+            if (counts) console.log(`   🌐 ${updatedFile}: inherited strings filled in (${counts})`)
           }
-        })
+          // The version goes into the uploaded copy only; the local file stays as translated
+          if (release) survey = stampSurveyRelease(survey, release)
+          content = Buffer.from(JSON.stringify(survey, null, 2), 'utf8')
+        }
+
+        // Upload to main bucket
+        await bucket.write(jsonFile, content, metadata)
 
         console.log(`   ✅ Deployed: ${updatedFile} → ${jsonFile}`)
 
         // Also upload to levante-assets-dev bucket in surveys folder
         try {
-          const assetsBucket = storage.bucket('levante-assets-dev')
-          await assetsBucket.upload(localPath, {
-            destination: `surveys/${jsonFile}`,
-            metadata: {
-              contentType: 'application/json',
-              cacheControl: 'public, max-age=3600'
-            }
-          })
+          await assetsBucket.write(`surveys/${jsonFile}`, content, metadata)
           console.log(`   📂 Copied to assets: surveys/${jsonFile}`)
         } catch (assetsError) {
           console.log(`   ⚠️  Failed to copy to assets bucket: ${assetsError.message}`)
@@ -419,7 +652,7 @@ async function deploySurveys(results, bucketName, dryRun = false) {
       successful: successfulDeploys,
       total: SURVEY_JSON_FILES.length,
       bucketName,
-      assetsBucket: 'levante-assets-dev',
+      assetsBucket: ASSETS_BUCKET,
       results: deployResults
     })
 
@@ -445,13 +678,12 @@ async function postDeploymentValidation(results, bucketName, dryRun = false) {
   }
 
   try {
-    const storage = new Storage()
-    const bucket = storage.bucket(bucketName)
+    const bucket = await openBucket(bucketName)
     const validationResults = []
 
     for (const jsonFile of SURVEY_JSON_FILES) {
       try {
-        const [file] = await bucket.file(jsonFile).download()
+        const file = await bucket.read(jsonFile)
         const content = file.toString('utf8')
         const surveyData = JSON.parse(content)
 
@@ -574,6 +806,9 @@ async function main() {
   const force = args.includes('--force')
   const envArg = args.find(arg => arg.startsWith('--env='))
   const environment = envArg ? envArg.split('=')[1] : 'DEV'
+  const policyArg = args.find(arg => arg.startsWith('--policy='))
+  const signedOffArg = args.find(arg => arg.startsWith('--signed-off-by='))
+  const materialize = args.includes('--materialize-fallbacks')
 
   // Determine bucket name
   const bucketName = environment === 'PROD' ? 'road-dashboard' : 'levante-assets-dev'
@@ -581,10 +816,11 @@ async function main() {
   console.log('🚀 Survey Deployment Pipeline')
   console.log('='.repeat(50))
   console.log(`🎯 Environment: ${environment}`)
-  console.log(`📦 Target bucket: gs://${bucketName}`)
+  console.log(`📦 Target bucket: ${resolveBucketUri(bucketName)}`)
   console.log(`🔍 Mode: ${dryRun ? 'DRY RUN' : 'LIVE DEPLOYMENT'}`)
   console.log(`📥 Download: ${skipDownload ? 'DISABLED' : 'ENABLED'}`)
   console.log(`✅ Validation: ${skipValidation ? 'DISABLED' : 'ENABLED'}`)
+  console.log(`🌐 Locale fallbacks: ${materialize ? 'MATERIALIZED' : 'AS STORED'}`)
   console.log('')
 
   const results = new PipelineResults()
@@ -596,19 +832,36 @@ async function main() {
   success = success && await detectLanguagesXLIFF(results)
   success = success && validateSurveyFiles(results, skipValidation)
 
+  // The release gate always runs so every deployment attempt leaves a report
+  const gate = checkReleaseReadiness(results, environment, {
+    policyFile: policyArg ? policyArg.slice('--policy='.length) : null,
+    force,
+    signedOffBy: signedOffArg ? signedOffArg.slice('--signed-off-by='.length).trim() || null : null,
+    materialize
+  })
+  if (!gate.proceed) success = false
+  // --force covers other validation failures, never a gate that stays blocked
+  const forceAllowed = force && gate.proceed
+
   // Only proceed with cloud operations if local steps succeeded
-  if (success || force) {
+  if (success || forceAllowed) {
     if (!success && force) {
       console.log('\n⚠️  Forcing deployment despite validation failures...')
       results.addWarning('Deployment forced despite validation failures', 'pipeline')
     }
 
     success = success && await backupExistingSurveys(results, bucketName, dryRun)
-    success = success && await deploySurveys(results, bucketName, dryRun)
+    success = success && await prepareRelease(results, bucketName, environment, dryRun, materialize)
+    success = success && await deploySurveys(results, bucketName, dryRun, materialize)
+    success = success && await publishReleaseManifest(results, bucketName, dryRun)
     success = success && await postDeploymentValidation(results, bucketName, dryRun)
   } else {
     console.log('\n❌ Skipping cloud deployment due to validation failures')
-    console.log('   Use --force to deploy anyway (not recommended)')
+    if (!gate.proceed) {
+      console.log(`   ${environment} release gate: ${gate.reason}`)
+    } else {
+      console.log('   Use --force to deploy anyway (not recommended)')
+    }
   }
 
   results.success = success
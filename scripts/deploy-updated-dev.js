@@ -4,6 +4,8 @@ import fs from 'fs'
 import path from 'path'
 import os from 'os'
 import { spawnSync } from 'child_process'
+import { getSurveyFileNames } from '../src/constants/surveys.js'
+import { getStorageConfig, openBucket } from './storage-utils.js'
 
 const projectRoot = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..')
 const surveysDir = path.join(projectRoot, 'surveys')
@@ -11,13 +13,7 @@ const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'levante-surveys-deploy-'))
 const outDir = path.join(tmpDir, 'surveys')
 fs.mkdirSync(outDir, { recursive: true })
 
-const SURVEY_JSON_FILES = [
-  'child_survey.json',
-  'parent_survey_family.json',
-  'parent_survey_child.json',
-  'teacher_survey_general.json',
-  'teacher_survey_classroom.json'
-]
+const SURVEY_JSON_FILES = getSurveyFileNames('dev')
 
 function copyUpdatedFiles() {
   let copied = 0
@@ -50,7 +46,16 @@ function rsyncToBucket(bucketUri) {
   console.log('✅ Sync complete')
 }
 
-function main() {
+// LEVANTE_STORAGE=local: copy into the local bucket directory instead of gsutil
+async function copyToLocalBucket(bucketUri) {
+  const bucket = await openBucket(bucketUri)
+  for (const fileName of fs.readdirSync(outDir)) {
+    await bucket.write(fileName, fs.readFileSync(path.join(outDir, fileName)))
+  }
+  console.log(`✅ Copied to ${bucket.uri}`)
+}
+
+async function main() {
   copyUpdatedFiles()
   // CLI args: --bucket=levante-assets-dev|levante-assets-prod or --env=DEV|PROD
   const args = process.argv.slice(2)
@@ -72,10 +77,14 @@ function main() {
     }
   }
   const bucketUri = bucketName.startsWith('gs://') ? bucketName : `gs://${bucketName}/surveys`
-  rsyncToBucket(bucketUri)
+  if (getStorageConfig().backend === 'local') {
+    await copyToLocalBucket(bucketUri)
+  } else {
+    rsyncToBucket(bucketUri)
+  }
 }
 
-main()
+main().catch(err => { console.error('❌ Deploy failed:', err.message); process.exit(1) })
 
 
 
@@ -17,6 +17,7 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { parseCsv } from '../src/helpers/csv.js'
 import {
   SUPPORTED_LANGUAGES,
   LANGUAGE_INFO,
@@ -111,31 +112,8 @@ const LANGUAGE_PATTERNS = {
  * Parse CSV content and extract language columns
  */
 function parseCSVHeader(csvContent) {
-  const lines = csvContent.trim().split('\n')
-  if (lines.length === 0) return []
-
-  const header = lines[0]
-  const columns = []
-  let current = ''
-  let inQuotes = false
-
-  for (let i = 0; i < header.length; i++) {
-    const char = header[i]
-    if (char === '"') {
-      inQuotes = !inQuotes
-    } else if (char === ',' && !inQuotes) {
-      columns.push(current.trim())
-      current = ''
-    } else {
-      current += char
-    }
-  }
-
-  if (current) {
-    columns.push(current.trim())
-  }
-
-  return columns
+  const [header = []] = parseCsv(csvContent)
+  return header.map(column => column.trim()).filter(Boolean)
 }
 
 /**
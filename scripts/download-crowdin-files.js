@@ -9,6 +9,7 @@ import fs from 'fs'
 import path from 'path'
 import axios from 'axios'
 import { fileURLToPath } from 'url'
+import { getSurveys, getTranslationsCsvFileName, getCrowdinCsvFileName } from '../src/constants/surveys.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -16,13 +17,10 @@ const projectRoot = path.resolve(__dirname, '..')
 const surveysDir = path.join(projectRoot, 'surveys')
 
 const DEFAULT_FOLDER = '/Surveys-with-en_US'
-const TARGETS = [
-  { crowdinPath: `${DEFAULT_FOLDER}/child_survey_translations.csv`, local: 'child_survey_crowdin_translations.csv' },
-  { crowdinPath: `${DEFAULT_FOLDER}/parent_survey_family_translations.csv`, local: 'parent_survey_family_crowdin_translations.csv' },
-  { crowdinPath: `${DEFAULT_FOLDER}/parent_survey_child_translations.csv`, local: 'parent_survey_child_crowdin_translations.csv' },
-  { crowdinPath: `${DEFAULT_FOLDER}/teacher_survey_general_translations.csv`, local: 'teacher_survey_general_crowdin_translations.csv' },
-  { crowdinPath: `${DEFAULT_FOLDER}/teacher_survey_classroom_translations.csv`, local: 'teacher_survey_classroom_crowdin_translations.csv' },
-]
+const TARGETS = getSurveys().map(survey => ({
+  crowdinPath: `${DEFAULT_FOLDER}/${getTranslationsCsvFileName(survey)}`,
+  local: getCrowdinCsvFileName(survey),
+}))
 
 function parseArgs() {
   const args = process.argv.slice(2)
@@ -28,6 +28,8 @@ import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import https from 'https'
+import { getSurveys, getCrowdinCsvFileName } from '../src/constants/surveys.js'
+import { parseCsv, stringifyCsv } from '../src/helpers/csv.js'
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url)
@@ -37,13 +39,7 @@ const projectRoot = path.resolve(__dirname, '..')
 // Crowdin CSV source file and target mappings
 const CROWDIN_SOURCE_URL = 'https://raw.githubusercontent.com/levante-framework/levante_translations/l10n_pending/surveys.csv'
 
-const TARGET_CSV_FILES = [
-  'child_survey_crowdin_translations.csv',
-  'parent_survey_family_crowdin_translations.csv',
-  'parent_survey_child_crowdin_translations.csv',
-  'teacher_survey_general_crowdin_translations.csv',
-  'teacher_survey_classroom_crowdin_translations.csv'
-]
+const TARGET_CSV_FILES = getSurveys().map(getCrowdinCsvFileName)
 
 // Element name patterns are now defined in splitCombinedCSV function
 
@@ -111,14 +107,13 @@ function backupFile(filePath) {
  */
 function validateCSV(filePath) {
   try {
-    const content = fs.readFileSync(filePath, 'utf8')
-    const lines = content.trim().split('\n')
+    const rows = parseCsv(fs.readFileSync(filePath, 'utf8'))
 
-    if (lines.length < 2) {
+    if (rows.length < 2) {
       return { valid: false, error: 'File appears to be empty or has no data rows' }
     }
 
-    const header = lines[0]
+    const header = rows[0].map(col => col.trim())
     // Check for either the old format (item_id, element_name) or new format (identifier, labels)
     const hasOldFormat = header.includes('item_id') && header.includes('element_name')
     const hasNewFormat = header.includes('identifier') && header.includes('labels')
@@ -132,13 +127,13 @@ function validateCSV(filePath) {
     }
 
     // Count language columns
-    const languageColumns = header.split(',').filter(col =>
+    const languageColumns = header.filter(col =>
       col.match(/^[a-z]{2}(-[A-Z]{2})?$/) || col === 'en'
     ).length
 
     return {
       valid: true,
-      rows: lines.length - 1,
+      rows: rows.length - 1,
       languages: languageColumns,
       size: getFileSize(filePath)
     }
@@ -151,10 +146,9 @@ function validateCSV(filePath) {
  * Parse the combined CSV and split by survey prefixes
  */
 function splitCombinedCSV(csvContent) {
-  const lines = csvContent.trim().split('\n')
-  if (lines.length < 2) return {}
+  const [header, ...rows] = parseCsv(csvContent)
+  if (!header || rows.length === 0) return {}
 
-  const header = lines[0]
   const surveyFiles = {}
 
   // Initialize each survey file with header
@@ -163,58 +157,49 @@ function splitCombinedCSV(csvContent) {
   }
 
   // Survey name to filename mapping
-  const SURVEY_NAME_MAPPING = {
-    'child_survey': 'child_survey_crowdin_translations.csv',
-    'parent_survey_family': 'parent_survey_family_crowdin_translations.csv',
-    'parent_survey_child': 'parent_survey_child_crowdin_translations.csv',
-    'teacher_survey_general': 'teacher_survey_general_crowdin_translations.csv',
-    'teacher_survey_classroom': 'teacher_survey_classroom_crowdin_translations.csv'
-  }
+  const SURVEY_NAME_MAPPING = Object.fromEntries(
+    getSurveys().map(survey => [survey.name, getCrowdinCsvFileName(survey)])
+  )
 
   // Find the labels column index
-  const headerColumns = parseCSVLine(header)
-  const labelsIndex = headerColumns.indexOf('labels')
+  const labelsIndex = header.map(h => h.trim()).indexOf('labels')
   
   if (labelsIndex === -1) {
     console.log('   ⚠️  No labels column found, falling back to identifier patterns')
-    return splitByIdentifierPatterns(lines, header, surveyFiles)
+    return splitByIdentifierPatterns(rows, surveyFiles)
   }
 
   console.log(`   📋 Using labels column (index ${labelsIndex}) for survey grouping`)
 
   // Process each data row
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim()
-    if (!line) continue
-
-    const columns = parseCSVLine(line)
+  for (const columns of rows) {
     if (columns.length <= labelsIndex) continue
 
-    const surveyName = columns[labelsIndex]
+    const surveyName = columns[labelsIndex].trim()
     const filename = SURVEY_NAME_MAPPING[surveyName]
 
     if (filename && surveyFiles[filename]) {
-      surveyFiles[filename].push(line)
+      surveyFiles[filename].push(columns)
     } else {
       // Try fallback patterns if survey name doesn't match
-      const identifier = columns[0] || ''
+      const identifier = (columns[0] || '').trim()
       let matched = false
       
       // Simple fallback based on common patterns
       if (identifier.toLowerCase().includes('child')) {
-        surveyFiles['child_survey_crowdin_translations.csv'].push(line)
+        surveyFiles['child_survey_crowdin_translations.csv'].push(columns)
         matched = true
       } else if (identifier.toLowerCase().includes('family')) {
-        surveyFiles['parent_survey_family_crowdin_translations.csv'].push(line)
+        surveyFiles['parent_survey_family_crowdin_translations.csv'].push(columns)
         matched = true
       } else if (identifier.toLowerCase().includes('parent')) {
-        surveyFiles['parent_survey_child_crowdin_translations.csv'].push(line)
+        surveyFiles['parent_survey_child_crowdin_translations.csv'].push(columns)
         matched = true
       } else if (identifier.toLowerCase().includes('teacher') && identifier.toLowerCase().includes('general')) {
-        surveyFiles['teacher_survey_general_crowdin_translations.csv'].push(line)
+        surveyFiles['teacher_survey_general_crowdin_translations.csv'].push(columns)
         matched = true
       } else if (identifier.toLowerCase().includes('teacher')) {
-        surveyFiles['teacher_survey_classroom_crowdin_translations.csv'].push(line)
+        surveyFiles['teacher_survey_classroom_crowdin_translations.csv'].push(columns)
         matched = true
       }
 
@@ -227,29 +212,6 @@ function splitCombinedCSV(csvContent) {
   return surveyFiles
 }
 
-// Helper function to parse CSV line respecting quotes
-function parseCSVLine(line) {
-  const result = []
-  let current = ''
-  let inQuotes = false
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i]
-    
-    if (char === '"') {
-      inQuotes = !inQuotes
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim())
-      current = ''
-    } else {
-      current += char
-    }
-  }
-  
-  result.push(current.trim())
-  return result
-}
-
 /**
  * Download survey CSV files from Crowdin
  */
@@ -324,7 +286,7 @@ async function downloadCrowdinSurveys(options = {}) {
       try {
         // Write the split CSV content
         const csvLines = surveyFiles[filename] || [surveyFiles[Object.keys(surveyFiles)[0]][0]] // At least header
-        const csvContent = csvLines.join('\n')
+        const csvContent = stringifyCsv(csvLines)
 
         fs.writeFileSync(localPath, csvContent, 'utf8')
 
@@ -2,12 +2,17 @@
 
 /**
  * Script to download all surveys from GCS bucket to local surveys folder
+ *
+ * Reads the public objects through scripts/storage-utils.js: from
+ * VITE_STORAGE_BASE_URL (default https://storage.googleapis.com), or from
+ * <LEVANTE_STORAGE_ROOT>/<bucket> with LEVANTE_STORAGE=local.
  */
 
-import axios from 'axios'
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getSurveys } from '../src/constants/surveys.js'
+import { getPublicObjectUrl, getStorageConfig, readPublicObject, resolveBucketUri } from './storage-utils.js'
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url)
@@ -15,35 +20,27 @@ const __dirname = path.dirname(__filename)
 const projectRoot = path.resolve(__dirname, '..')
 const surveysDir = path.join(projectRoot, 'surveys')
 
-// Configuration (mirroring src/constants/bucket.ts)
-const LEVANTE_BUCKET_URL = process.env.VITE_FIREBASE_PROJECT === 'road-dashboard'
-  ? 'https://storage.googleapis.com/road-dashboard'
-  : 'https://storage.googleapis.com/levante-assets-dev'
-
-const SURVEY_FILES = {
-  PARENT_FAMILY: 'parent_survey_family.json',
-  PARENT_CHILD: 'parent_survey_child.json',
-  CHILD: 'child_survey.json',
-  TEACHER_GENERAL: 'teacher_survey_general.json',
-  TEACHER_CLASSROOM: 'teacher_survey_classroom.json'
-}
+// Configuration (mirroring src/constants/bucket.ts and src/constants/surveys.js)
+const BUCKET_NAME = process.env.VITE_FIREBASE_PROJECT === 'road-dashboard' ? 'road-dashboard' : 'levante-assets-dev'
+
+const SURVEY_FILES = Object.fromEntries(
+  getSurveys().map(survey => [survey.key, survey.fileName])
+)
 
 /**
  * Download a single survey file
  */
 async function downloadSurvey(surveyKey, filename) {
-  const url = `${LEVANTE_BUCKET_URL}/surveys/${filename}`
+  const objectName = `surveys/${filename}`
+  const source = getStorageConfig().backend === 'local'
+    ? `${resolveBucketUri(BUCKET_NAME)}/${objectName}`
+    : getPublicObjectUrl(BUCKET_NAME, objectName)
   const outputPath = path.join(surveysDir, filename)
 
   try {
-    console.log(`📥 Downloading ${surveyKey} from ${url}`)
+    console.log(`📥 Downloading ${surveyKey} from ${source}`)
 
-    const response = await axios.get(url, {
-      timeout: 30000,
-      headers: {
-        'Accept': 'application/json'
-      }
-    })
+    const data = JSON.parse((await readPublicObject(BUCKET_NAME, objectName)).toString('utf8'))
 
     // Ensure the surveys directory exists
     if (!fs.existsSync(surveysDir)) {
@@ -51,7 +48,7 @@ async function downloadSurvey(surveyKey, filename) {
     }
 
     // Pretty print the JSON
-    const jsonData = JSON.stringify(response.data, null, 2)
+    const jsonData = JSON.stringify(data, null, 2)
 
     // Write to file
     fs.writeFileSync(outputPath, jsonData, 'utf8')
@@ -81,7 +78,7 @@ async function downloadSurvey(surveyKey, filename) {
  */
 async function downloadAllSurveys() {
   console.log('🚀 Starting survey download from GCS bucket')
-  console.log(`📡 Bucket URL: ${LEVANTE_BUCKET_URL}`)
+  console.log(`📡 Bucket: ${getStorageConfig().backend === 'local' ? resolveBucketUri(BUCKET_NAME) : getPublicObjectUrl(BUCKET_NAME, 'surveys')}`)
   console.log(`📁 Output directory: ${surveysDir}`)
   console.log(`📋 Surveys to download: ${Object.keys(SURVEY_FILES).length}`)
   console.log('')
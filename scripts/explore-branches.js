@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Branch coverage explorer
+ *
+ * Generates answer scenarios that together make every conditional element
+ * (page, panel or question with a visibleIf) of a survey visible at least
+ * once, and lists the elements that can never be visible. Each generated
+ * scenario is checked with the headless scenario runner before it is reported;
+ * with --out-dir the scenarios are written as YAML files that
+ * scripts/run-scenarios.js and the Scenarios tab of the preview can run.
+ * Exits with code 1 if a generated scenario does not behave as predicted.
+ *
+ * Usage:
+ *   node scripts/explore-branches.js [files...] [options]
+ *
+ * Options:
+ *   --version=updated|source    Catalog file variant when no files are given (default: updated)
+ *   --format=text|json          Output format (default: text)
+ *   --output=<file>             Write the report to a file instead of stdout
+ *   --out-dir=<dir>             Write the scenarios to <dir>/<survey>/branch-coverage-<n>.yaml,
+ *                               replacing the ones generated before
+ *   --max-assignments=<n>       Answer combinations to try per element (default: 4096)
+ *   --strict                    Also fail when an element is never visible or no scenario reaches it
+ *
+ * Examples:
+ *   node scripts/explore-branches.js
+ *   node scripts/explore-branches.js surveys/parent_survey_child_updated.json --format=json
+ *   node scripts/explore-branches.js --out-dir=scenarios && node scripts/run-scenarios.js
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import yaml from 'js-yaml'
+import { getSurveyByName, getSurveys } from '../src/constants/surveys.js'
+import { exploreBranches } from '../src/helpers/branchCoverage.js'
+import { runScenario } from '../src/helpers/surveyScenarios.js'
+import { DEFAULT_MAX_ASSIGNMENTS } from '../src/helpers/visibilityAnalyzer.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const surveysDir = path.resolve(projectRoot, 'surveys')
+
+const FORMATS = ['text', 'json']
+const GENERATED_FILE = /^branch-coverage-\d+\.yaml$/
+
+function parseArgs(argv) {
+  const options = { files: [], version: 'updated', format: 'text', output: null, outDir: null, maxAssignments: DEFAULT_MAX_ASSIGNMENTS, strict: false }
+  for (const arg of argv) {
+    if (arg.startsWith('--version=')) options.version = arg.slice('--version='.length)
+    else if (arg.startsWith('--format=')) options.format = arg.slice('--format='.length)
+    else if (arg.startsWith('--output=')) options.output = arg.slice('--output='.length)
+    else if (arg.startsWith('--out-dir=')) options.outDir = arg.slice('--out-dir='.length)
+    else if (arg.startsWith('--max-assignments=')) options.maxAssignments = Number(arg.slice('--max-assignments='.length)) || DEFAULT_MAX_ASSIGNMENTS
+    else if (arg === '--strict') options.strict = true
+    else if (!arg.startsWith('--')) options.files.push(arg)
+  }
+  return options
+}
+
+/**
+ * Resolve the surveys to explore as { name, file } pairs; files of a catalog
+ * survey (e.g. parent_survey_child_updated.json) take the survey's name
+ */
+function resolveInputs({ files, version }) {
+  if (files.length > 0) {
+    return files.map(p => {
+      const file = path.resolve(process.cwd(), p)
+      return { name: getSurveyByName(path.basename(file))?.name || path.basename(file, '.json'), file }
+    })
+  }
+  return getSurveys()
+    .map(s => ({ name: s.name, file: path.join(surveysDir, s.versions[version] || s.fileName) }))
+    .filter(({ name, file }) => {
+      if (fs.existsSync(file)) return true
+      console.warn(`⚠️  Skipping ${name}: ${path.relative(projectRoot, file)} not found`)
+      return false
+    })
+}
+
+/**
+ * Explore one survey and run each generated scenario against it
+ */
+function explore({ name, file }, maxAssignments) {
+  const survey = JSON.parse(fs.readFileSync(file, 'utf8'))
+  const coverage = exploreBranches(survey, { maxAssignments })
+  const scenarios = coverage.scenarios.map(scenario => ({ ...scenario, failures: runScenario(survey, scenario).failures }))
+  return { survey: name, file: path.relative(projectRoot, file), ...coverage, scenarios }
+}
+
+function writeScenarios(report, outDir) {
+  const dir = path.resolve(process.cwd(), outDir, report.survey)
+  if (fs.existsSync(dir)) {
+    for (const old of fs.readdirSync(dir).filter(f => GENERATED_FILE.test(f))) fs.unlinkSync(path.join(dir, old))
+  }
+  if (report.scenarios.length === 0) return
+  fs.mkdirSync(dir, { recursive: true })
+  report.scenarios.forEach(({ name, description, answers, expect }, idx) => {
+    const target = path.join(dir, `branch-coverage-${String(idx + 1).padStart(2, '0')}.yaml`)
+    fs.writeFileSync(target, yaml.dump({ name, description, answers, expect }, { lineWidth: 120 }), 'utf8')
+  })
+  console.log(`📄 Wrote ${report.scenarios.length} scenario(s) to ${path.relative(process.cwd(), dir)}`)
+}
+
+function formatText(reports) {
+  const lines = []
+  for (const r of reports) {
+    const covered = r.conditional.length - r.uncovered.length
+    lines.push(`📋 ${r.survey} (${r.file})`)
+    lines.push(`   ${covered}/${r.conditional.length} conditional element(s) covered by ${r.scenarios.length} scenario(s), ${r.neverVisible.length} never visible`)
+    for (const s of r.scenarios) {
+      lines.push(`   ${s.failures.length > 0 ? '❌' : '✅'} ${s.name}: ${s.covers.length} element(s) with ${Object.keys(s.answers).length} answer(s)`)
+      lines.push(`      ${JSON.stringify(s.answers)}`)
+      for (const failure of s.failures) lines.push(`      ✖ ${failure}`)
+    }
+    for (const e of r.neverVisible) lines.push(`   🚫 never visible   ${e.kind} ${e.id}: ${e.reason}`)
+    for (const e of r.uncovered) lines.push(`   ⚠️  not covered     ${e.kind} ${e.id}: ${e.reason}`)
+    lines.push('')
+  }
+  return lines.join('\n')
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (!FORMATS.includes(options.format)) {
+    console.error(`❌ Unknown format: ${options.format} (expected ${FORMATS.join(', ')})`)
+    process.exit(2)
+  }
+  if (!['updated', 'source'].includes(options.version)) {
+    console.error(`❌ Unknown version: ${options.version} (expected updated or source)`)
+    process.exit(2)
+  }
+
+  const reports = resolveInputs(options).map(input => explore(input, options.maxAssignments))
+  if (options.outDir) reports.forEach(report => writeScenarios(report, options.outDir))
+
+  const output = options.format === 'json'
+    ? JSON.stringify({ generatedAt: new Date().toISOString(), surveys: reports }, null, 2)
+    : formatText(reports)
+  if (options.output) {
+    const outPath = path.resolve(process.cwd(), options.output)
+    fs.mkdirSync(path.dirname(outPath), { recursive: true })
+    fs.writeFileSync(outPath, output + '\n', 'utf8')
+    console.log(`📄 Wrote ${options.format} report to ${options.output}`)
+  } else {
+    console.log(output)
+  }
+
+  const mismatches = reports.reduce((n, r) => n + r.scenarios.filter(s => s.failures.length > 0).length, 0)
+  const gaps = reports.reduce((n, r) => n + r.neverVisible.length + r.uncovered.length, 0)
+  if (mismatches > 0) {
+    console.error(`❌ ${mismatches} generated scenario(s) did not behave as predicted`)
+    process.exit(1)
+  }
+  if (options.strict && gaps > 0) {
+    console.error(`❌ ${gaps} element(s) never visible or not covered`)
+    process.exit(1)
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+}
@@ -4,9 +4,24 @@
  * Export XLIFF 1.2 from Survey JSON directly (avoids CSV).
  * - Emits one source-only XLIFF (source-language=en-US by default)
  * - Emits one bilingual XLIFF per discovered target language
+ * - Translations flagged for review after an English edit (surveys/string-ids)
+ *   get state="needs-review-translation" and an <alt-trans> with the previous
+ *   English; flagged and untranslated units also get fuzzy matches from the
+ *   translation memory as scored <alt-trans> proposals
+ *
+ * - Inline HTML is written as CDATA text; --inline-markup turns it into <g>/<x/>
+ *   placeholders numbered from the English (src/helpers/inlineMarkup.js), so
+ *   translators cannot break the tags
+ *
+ * - With --xliff-version 2.0, writes XLIFF 2.0 (.xlf) instead: one document per
+ *   locale the survey has, inline HTML as <mrk>, lossless on re-import
+ *   (src/helpers/xliff2.js)
+ *
+ * - --string-ids <dir> reads the string id maps from another directory
+ *   (default surveys/string-ids); --out-dir <dir> writes there instead of xliff-out
  *
  * Usage:
- *   node scripts/export-xliff-from-json.js surveys/child_survey.json [--source-lang en-US]
+ *   node scripts/export-xliff-from-json.js surveys/child_survey.json [--source-lang en-US] [--min-match 75] [--xliff-version 1.2|2.0] [--inline-markup] [--string-ids <dir>] [--out-dir <dir>]
  *   node scripts/export-xliff-from-json.js --all
  */
 
@@ -14,6 +29,11 @@ import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { normalizeDefaultsFromValues } from './normalize-utils.js'
+import { collectMultilingualNodes, discoverLanguages, isLanguageKey, normalizeLanguageKey } from '../src/helpers/surveyTranslations.js'
+import { protectMarkup } from '../src/helpers/inlineMarkup.js'
+import { findFuzzyMatches, sourceSimilarity } from '../src/helpers/translationMemory.js'
+import { buildXliff2, surveyToXliff2Units } from '../src/helpers/xliff2.js'
+import { STRING_IDS_DIR, loadStringIdMap, loadTranslationMemory } from './translation-memory-utils.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -24,34 +44,31 @@ const isAll = argv.includes('--all')
 const srcArg = argv.find(a => a.endsWith('.json'))
 const sourceLangFlagIdx = argv.findIndex(a => a === '--source-lang')
 const SOURCE_LANG = sourceLangFlagIdx !== -1 && argv[sourceLangFlagIdx + 1] ? argv[sourceLangFlagIdx + 1] : 'en-US'
+const minMatchFlagIdx = argv.findIndex(a => a === '--min-match')
+const MIN_MATCH = minMatchFlagIdx !== -1 && argv[minMatchFlagIdx + 1] ? Number(argv[minMatchFlagIdx + 1]) : 75
+const versionFlagIdx = argv.findIndex(a => a === '--xliff-version')
+const XLIFF_VERSION = versionFlagIdx !== -1 && argv[versionFlagIdx + 1] ? argv[versionFlagIdx + 1] : '1.2'
+const INLINE_MARKUP = argv.includes('--inline-markup')
+const stringIdsFlagIdx = argv.findIndex(a => a === '--string-ids')
+const STRING_IDS = stringIdsFlagIdx !== -1 && argv[stringIdsFlagIdx + 1] ? path.resolve(argv[stringIdsFlagIdx + 1]) : STRING_IDS_DIR
+const outDirFlagIdx = argv.findIndex(a => a === '--out-dir')
 
 const SURVEYS_DIR = path.resolve(projectRoot, 'surveys')
-const OUT_DIR = path.resolve(projectRoot, 'xliff-out')
+const OUT_DIR = outDirFlagIdx !== -1 && argv[outDirFlagIdx + 1] ? path.resolve(argv[outDirFlagIdx + 1]) : path.resolve(projectRoot, 'xliff-out')
 
 function ensureDir(p) { fs.mkdirSync(p, { recursive: true }) }
 
-function isLanguageKey(key) {
-  return key === 'default' || /^[a-z]{2}(-[A-Z]{2})?$/.test(key) || /^[a-z]{2}(_[a-z]{2})?$/i.test(key)
-}
-
-function normalizeLangKey(key) {
-  if (key === 'default') return 'default'
-  if (key.includes('_')) {
-    const [l, r] = key.split('_')
-    return `${l}-${r.toUpperCase()}`
-  }
-  if (/^[a-z]{2}-[a-z]{2}$/i.test(key)) {
-    const [l, r] = key.split('-')
-    return `${l}-${r.toUpperCase()}`
-  }
-  return key
-}
-
 function toCData(text) {
   if (text == null) return ''
   return `<![CDATA[${text}]]>`
 }
 
+// Inline content; a target's placeholders take their ids from its source
+function toInline(text, reference = text) {
+  if (text == null) return ''
+  return INLINE_MARKUP ? protectMarkup(text, reference) : toCData(text)
+}
+
 function buildXLIFF({ surveyName, units, sourceLang, targetLang }) {
   const originalName = `${surveyName}.json`
   const fileAttrs = targetLang
@@ -59,110 +76,75 @@ function buildXLIFF({ surveyName, units, sourceLang, targetLang }) {
     : `original="${originalName}" source-language="${sourceLang}" datatype="plaintext"`
 
   const body = units.map(u => {
-    const src = toCData(u.source)
-    const tgt = targetLang ? `\n      <target state="translated">${toCData(u.target)}</target>` : ''
-    return `    <trans-unit id="${u.id}" resname="${u.resname || ''}" approved="yes">
-      <source xml:space="preserve">${src}</source>${tgt}
+    const src = toInline(u.source)
+    const tgt = targetLang ? `\n      <target state="${u.review ? 'needs-review-translation' : 'translated'}">${toInline(u.target, u.source)}</target>` : ''
+    const alts = (u.alternatives || []).map(a => `
+      <alt-trans ${a.attrs}>
+        <source xml:space="preserve">${toInline(a.source)}</source>
+        <target>${toInline(a.target, a.source)}</target>
+      </alt-trans>`).join('')
+    return `    <trans-unit id="${u.id}" resname="${u.resname || ''}" approved="${u.review ? 'no' : 'yes'}">
+      <source xml:space="preserve">${src}</source>${tgt}${alts}
     </trans-unit>`
   }).join('\n')
 
   return `<?xml version="1.0" encoding="UTF-8"?>\n<xliff version="1.2">\n  <file ${fileAttrs}>\n    <body>\n${body}\n    </body>\n  </file>\n</xliff>\n`
 }
 
-function slugify(s) {
-  return String(s)
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/gi, '_')
-    .replace(/^_+|_+$/g, '')
-}
-
-function seg(kind, value) {
-  const v = slugify(value != null && value !== '' ? value : 'unnamed')
-  return `${kind}.${v}`
+function pickSourceText(value) {
+  const cand = value['en-US'] ?? value['en'] ?? value['default']
+  if (cand != null) return String(cand)
+  // fallback to first string value
+  for (const v of Object.values(value)) {
+    if (typeof v === 'string' && v.length) return v
+  }
+  return ''
 }
 
 /**
- * Collect nodes that are localization objects and build human-meaningful ids.
- * Id composition rules (examples):
- * - pages.my_page.elements.q_attendance.title
- * - elements.q_behavior.choices.choice_yes.text
- * - matrix.q_matrix.rows.row_low.text
+ * Review state and <alt-trans> entries for one unit in one language
  */
-function collectMultilingualNodes(obj, { currentPath = '', semantic = [], parentKey = '', out = [] } = {}) {
-  if (obj == null) return out
-  if (Array.isArray(obj)) {
-    obj.forEach((item, idx) => {
-      let part = null
-      // Prefer named segments
-      const hasName = item && typeof item === 'object' && typeof item.name === 'string' && item.name.trim() !== ''
-      const hasValue = item && typeof item === 'object' && (typeof item.value === 'string' || typeof item.value === 'number')
-      if (parentKey === 'pages') {
-        // Do NOT prefix with 'page.' per spec; just use the page name slug
-        part = slugify(hasName ? item.name : `#${idx}`)
-      }
-      else if (parentKey === 'elements') part = seg('q', hasName ? item.name : `#${idx}`)
-      else if (parentKey === 'choices') part = seg('choice', hasValue ? String(item.value) : hasName ? item.name : `#${idx}`)
-      else if (parentKey === 'rows') part = seg('row', hasValue ? String(item.value) : hasName ? item.name : `#${idx}`)
-      else if (parentKey === 'columns') part = seg('col', hasValue ? String(item.value) : hasName ? item.name : `#${idx}`)
-      else part = seg(parentKey || 'item', hasName ? item.name : (hasValue ? String(item.value) : `#${idx}`))
-
-      const p = currentPath ? `${currentPath}[${idx}]` : `[${idx}]`
-      const nextSemantic = semantic.concat(part)
-      collectMultilingualNodes(item, { currentPath: p, semantic: nextSemantic, parentKey, out })
-    })
-    return out
+function reviewUnit({ node, stringEntry, lang, source, target, memory }) {
+  const review = stringEntry?.review
+  const flagged = Boolean(review && review.targets[lang] === target && target !== '')
+  const alternatives = []
+  if (flagged) {
+    const quality = Math.round(sourceSimilarity(review.previousSource, source) * 100)
+    alternatives.push({ attrs: `alttranstype="previous-version" match-quality="${quality}"`, source: review.previousSource, target })
   }
-  if (typeof obj !== 'object') return out
-
-  const keys = Object.keys(obj)
-  const hasLangs = keys.some(k => isLanguageKey(k))
-  if (hasLangs) {
-    // Determine leaf key name from parentKey
-    const leaf = parentKey ? slugify(parentKey) : 'value'
-    const id = semantic.concat(leaf).join('.')
-    // Prefer a human-readable resname from closest question name if present
-    const resname = semantic.find(s => s.startsWith('q.')) || semantic[semantic.length - 1] || ''
-    out.push({ id, resname, path: currentPath, value: obj, semantic: [...semantic], leaf })
-    return out
-  }
-
-  for (const [k, v] of Object.entries(obj)) {
-    const p = currentPath ? `${currentPath}.${k}` : k
-    // Extend semantic path based on structural keys
-    let nextSemantic = semantic
-    if (k === 'pages' || k === 'elements' || k === 'choices' || k === 'rows' || k === 'columns') {
-      // Arrays handled in recursive call above with parentKey guidance
-      collectMultilingualNodes(v, { currentPath: p, semantic, parentKey: k, out })
-      continue
-    }
-    if (k === 'name' && typeof v === 'string' && v.trim() !== '') {
-      // Update the last structural segment's name if possible
-      if (nextSemantic.length > 0) {
-        const last = nextSemantic[nextSemantic.length - 1]
-        const [kind] = last.split('.')
-        nextSemantic = nextSemantic.slice(0, -1).concat(seg(kind, v))
-      }
-      collectMultilingualNodes(v, { currentPath: p, semantic: nextSemantic, parentKey: k, out })
-      continue
+  if (flagged || target === '') {
+    for (const match of findFuzzyMatches(memory, lang, source, { minScore: MIN_MATCH / 100 })) {
+      if (match.target === target) continue
+      alternatives.push({ attrs: `alttranstype="proposal" match-quality="${Math.round(match.score * 100)}" origin="translation-memory"`, source: match.source, target: match.target })
     }
-    // For other keys, just traverse; when/if v is a localization object, parentKey=k will be used as leaf
-    collectMultilingualNodes(v, { currentPath: p, semantic: nextSemantic, parentKey: k, out })
   }
-  return out
+  return { id: node.id, resname: node.resname, source, target, review: flagged, alternatives }
 }
 
-function pickSourceText(value) {
-  const cand = value['en-US'] ?? value['en'] ?? value['default']
-  if (cand != null) return String(cand)
-  // fallback to first string value
-  for (const v of Object.values(value)) {
-    if (typeof v === 'string' && v.length) return v
+/**
+ * XLIFF 2.0: the survey as is (no en-US seeding or default normalization), so
+ * importing the files back reproduces it exactly
+ */
+function exportXliff2ForJson(jsonPath) {
+  const surveyName = path.basename(jsonPath, '.json')
+  const survey = JSON.parse(fs.readFileSync(jsonPath, 'utf8'))
+  const stringIds = loadStringIdMap(surveyName.replace(/_updated$/, ''), STRING_IDS)
+  const outDir = path.join(OUT_DIR, surveyName)
+  ensureDir(outDir)
+
+  const documents = [[null, `${surveyName}-source.xlf`], ...discoverLanguages(survey).filter(l => l !== 'default').map(l => [l, `${surveyName}-${l}.xlf`])]
+  for (const [locale, fileName] of documents) {
+    const units = surveyToXliff2Units(survey, { locale, stringIds })
+    const xliff = buildXliff2({ fileId: surveyName, original: path.basename(jsonPath), sourceLanguage: SOURCE_LANG, targetLanguage: locale, units })
+    const outPath = path.join(outDir, fileName)
+    fs.writeFileSync(outPath, xliff, 'utf8')
+    console.log(`✅ Wrote ${outPath}`)
   }
-  return ''
 }
 
-function exportForJson(jsonPath) {
+function exportForJson(jsonPath, memory) {
+  if (XLIFF_VERSION === '2.0') return exportXliff2ForJson(jsonPath)
+
   const surveyName = path.basename(jsonPath, '.json')
   const survey = JSON.parse(fs.readFileSync(jsonPath, 'utf8'))
   // Normalize missing text.default from value before exporting
@@ -200,7 +182,7 @@ function exportForJson(jsonPath) {
   const langSet = new Set()
   nodes.forEach(n => {
     for (const k of Object.keys(n.value)) {
-      if (isLanguageKey(k)) langSet.add(normalizeLangKey(k))
+      if (isLanguageKey(k)) langSet.add(normalizeLanguageKey(k))
     }
   })
   langSet.delete('default')
@@ -222,13 +204,20 @@ function exportForJson(jsonPath) {
   fs.writeFileSync(sourceOut, sourceX, 'utf8')
   console.log(`✅ Wrote ${sourceOut}`)
 
+  const stringIds = loadStringIdMap(surveyName.replace(/_updated$/, ''), STRING_IDS)
+  const entriesBySemanticId = new Map(Object.values(stringIds?.strings || {}).map(entry => [entry.semanticId, entry]))
+
   for (const lang of targetLangs) {
-    const langUnits = nodes.map(n => ({
-      id: n.id,
-      resname: n.resname,
+    const langUnits = nodes.map(n => reviewUnit({
+      node: n,
+      stringEntry: entriesBySemanticId.get(n.id),
+      lang,
       source: pickSourceText(n.value),
-      target: String(n.value[lang] ?? '')
+      target: String(n.value[lang] ?? ''),
+      memory
     }))
+    const flagged = langUnits.filter(u => u.review).length
+    if (flagged > 0) console.log(`✏️  ${surveyName} ${lang}: ${flagged} translation(s) need review (English changed)`)
     const xliff = buildXLIFF({ surveyName, units: langUnits, sourceLang: SOURCE_LANG, targetLang: lang })
     const outPath = path.join(outDir, `${surveyName}-${lang}.xliff`)
     fs.writeFileSync(outPath, xliff, 'utf8')
@@ -237,20 +226,25 @@ function exportForJson(jsonPath) {
 }
 
 function main() {
+  if (!['1.2', '2.0'].includes(XLIFF_VERSION)) {
+    console.log(`Unsupported --xliff-version ${XLIFF_VERSION} (use 1.2 or 2.0)`)
+    process.exit(1)
+  }
   ensureDir(OUT_DIR)
+  const memory = loadTranslationMemory()
   if (isAll) {
     const files = fs
       .readdirSync(SURVEYS_DIR)
       .filter(f => f.endsWith('.json') && !f.endsWith('_updated.json'))
-    for (const f of files) exportForJson(path.join(SURVEYS_DIR, f))
+    for (const f of files) exportForJson(path.join(SURVEYS_DIR, f), memory)
     return
   }
   if (!srcArg) {
-    console.log('Usage: node scripts/export-xliff-from-json.js <survey.json> [--source-lang en-US] | --all')
+    console.log('Usage: node scripts/export-xliff-from-json.js <survey.json> [--source-lang en-US] [--min-match 75] [--xliff-version 1.2|2.0] [--inline-markup] [--string-ids <dir>] [--out-dir <dir>] | --all')
     process.exit(1)
   }
   const jsonPath = path.isAbsolute(srcArg) ? srcArg : path.resolve(process.cwd(), srcArg)
-  exportForJson(jsonPath)
+  exportForJson(jsonPath, memory)
 }
 
 main()
@@ -3,19 +3,29 @@
 /**
  * Script to extract translations from survey JSON files and generate CSV files
  *
+ * With --format=po or --format=json, writes one gettext .po file (plus a .pot
+ * template) or one flat key → string JSON file per locale instead
+ * (src/helpers/gettext.js, src/helpers/flatJson.js). Import them with
+ * import-xliff-into-json.js, like XLIFF.
+ *
  * Usage:
- *   node scripts/extract-translations.js <survey-file> [output-file]
+ *   node scripts/extract-translations.js <survey-file> [output-file] [--format=csv|po|json] [--locales=a,b]
  *
  * Examples:
  *   node scripts/extract-translations.js surveys/child_survey.json
  *   node scripts/extract-translations.js surveys/child_survey.json child_survey_translations.csv
+ *   node scripts/extract-translations.js surveys/child_survey.json --format=po --locales=de,es-CO
  */
 
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { normalizeDefaultsFromValues } from './normalize-utils.js'
-// No longer need language constants - using dynamic discovery
+import { formatCsvRow } from '../src/helpers/csv.js'
+import { discoverLanguages, isLanguageKey, isMultilingualObject, normalizeLanguageKey } from '../src/helpers/surveyTranslations.js'
+import { surveyToFlatJson } from '../src/helpers/flatJson.js'
+import { buildPo, surveyToPoEntries } from '../src/helpers/gettext.js'
+import { loadStringIdMap } from './translation-memory-utils.js'
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url)
@@ -23,65 +33,11 @@ const __dirname = path.dirname(__filename)
 const projectRoot = path.resolve(__dirname, '..')
 
 /**
- * Check if an object contains multilingual text
- */
-function isMultilingualObject(obj) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
-    return false
-  }
-
-  // Check if it has language keys
-  const keys = Object.keys(obj)
-  return keys.some(key => isLanguageLikeKey(key))
-}
-
-/**
- * Check if a key looks like a language code (more permissive than isValidJsonLanguageKey)
+ * Discover all languages present in the survey data as CSV column names
+ * ('default' is reported as 'en')
  */
-function isLanguageLikeKey(key) {
-  // Match 'default', 2-letter codes, or 2-letter codes with country/region suffix
-  return key === 'default' || /^[a-z]{2}(_[a-z]{2})?$/i.test(key)
-}
-
-/**
- * Discover all languages present in the survey data
- */
-function discoverLanguagesInSurvey(obj, foundLanguages = new Set()) {
-  if (!obj || typeof obj !== 'object') {
-    return foundLanguages
-  }
-
-  if (Array.isArray(obj)) {
-    obj.forEach(item => discoverLanguagesInSurvey(item, foundLanguages))
-    return foundLanguages
-  }
-
-  // Check if this object has language-like keys
-  const keys = Object.keys(obj)
-  const hasLanguageKeys = keys.some(key => isLanguageLikeKey(key))
-
-  if (hasLanguageKeys) {
-    // This looks like a multilingual object
-         keys.forEach(key => {
-             if (isLanguageLikeKey(key)) {
-        // Map 'default' to 'en' for CSV output, and standardize to hyphens
-        let csvKey = key === 'default' ? 'en' : key
-        // Convert underscores to hyphens and uppercase country codes (e.g., es_co -> es-CO, de_ch -> de-CH)
-        if (csvKey.includes('_')) {
-          const [lang, country] = csvKey.split('_')
-          csvKey = `${lang}-${country.toUpperCase()}`
-        }
-        foundLanguages.add(csvKey)
-      }
-     })
-  }
-
-  // Recursively check all properties
-  Object.values(obj).forEach(value => {
-    discoverLanguagesInSurvey(value, foundLanguages)
-  })
-
-  return foundLanguages
+function discoverLanguagesInSurvey(obj) {
+  return new Set(discoverLanguages(obj).map(key => (key === 'default' ? 'en' : key)))
 }
 
 /**
@@ -97,14 +53,9 @@ function extractTextFromMultilingualObject(obj, availableLanguages) {
 
   // Extract text for each available language
   for (const [key, value] of Object.entries(obj)) {
-    if (isLanguageLikeKey(key)) {
-      // Map 'default' to 'source' for CSV output, and standardize to hyphens
-      let csvKey = key === 'default' ? 'source' : key
-      // Convert underscores to hyphens and uppercase country codes (e.g., es_co -> es-CO, de_ch -> de-CH)
-      if (csvKey.includes('_')) {
-        const [lang, country] = csvKey.split('_')
-        csvKey = `${lang}-${country.toUpperCase()}`
-      }
+    if (isLanguageKey(key)) {
+      // Map 'default' to 'source' for CSV output, and standardize to hyphens (es_co -> es-CO)
+      const csvKey = key === 'default' ? 'source' : normalizeLanguageKey(key)
       // Always include the content if we have a value, regardless of availableLanguages
       if (value !== undefined && value !== null && value !== '') {
         result[csvKey] = String(value || '').trim()
@@ -175,7 +126,7 @@ function generateCSV(translations, surveyName, availableLanguages) {
   const lines = []
 
   // CSV Header
-  const header = ['identifier', 'labels', ...availableLanguages].join(',')
+  const header = formatCsvRow(['identifier', 'labels', ...availableLanguages])
   lines.push(header)
 
   // Ensure English columns exist
@@ -192,37 +143,20 @@ function generateCSV(translations, surveyName, availableLanguages) {
     const identifier = elementName
     const labels = surveyName // Survey name in labels column
 
-    // Escape CSV values (handle quotes and commas)
-    const escapeCSV = (value) => {
-      if (!value) return ''
-      const stringValue = String(value)
-      if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-        return `"${stringValue.replace(/"/g, '""')}"`
-      }
-      return stringValue
-    }
-
     // Compute per-language values with fallback rules
     const values = languagesWithEnglish.map(lang => {
       // Populate en from default if missing
       if (lang === 'en') {
-        return escapeCSV(translation.texts['en'] || translation.texts['default'] || '')
+        return translation.texts['en'] || translation.texts['default'] || ''
       }
       // Populate en-US from en
       if (lang === 'en-US') {
-        const enVal = translation.texts['en'] || translation.texts['default'] || ''
-        return escapeCSV(enVal)
+        return translation.texts['en'] || translation.texts['default'] || ''
       }
-      return escapeCSV(translation.texts[lang] || '')
+      return translation.texts[lang] || ''
     })
 
-    const row = [
-      escapeCSV(identifier),
-      escapeCSV(labels),
-      ...values
-    ].join(',')
-
-    lines.push(row)
+    lines.push(formatCsvRow([identifier, labels, ...values]))
   })
 
   return lines.join('\n')
@@ -306,16 +240,52 @@ async function extractTranslations(inputFile, outputFile) {
   }
 }
 
+const FORMATS = ['csv', 'po', 'json']
+
+/**
+ * Write .po/.pot or flat .json translation files for a survey, one per locale.
+ * The survey is exported as is (no default normalization), so importing the
+ * files back reproduces it.
+ */
+function exportTranslationFiles(inputFile, outputDir, { format, locales }) {
+  const surveyPath = path.resolve(projectRoot, inputFile)
+  if (!fs.existsSync(surveyPath)) {
+    console.error(`❌ Survey file not found: ${surveyPath}`)
+    process.exit(1)
+  }
+  const surveyData = JSON.parse(fs.readFileSync(surveyPath, 'utf8'))
+  const surveyName = path.basename(surveyPath, '.json')
+  const stringIds = loadStringIdMap(surveyName.replace(/_updated$/, ''))
+  const outDir = outputDir ? path.resolve(projectRoot, outputDir) : path.resolve(projectRoot, 'xliff-out', surveyName)
+  fs.mkdirSync(outDir, { recursive: true })
+
+  const found = discoverLanguages(surveyData).filter(lang => lang !== 'default')
+  const targets = locales.length > 0 ? locales.map(normalizeLanguageKey) : found
+  const documents = [[null, `${surveyName}.${format === 'po' ? 'pot' : 'json'}`], ...targets.map(lang => [lang, `${surveyName}-${lang}.${format}`])]
+  for (const [locale, fileName] of documents) {
+    const content = format === 'po'
+      ? buildPo({ project: surveyName, language: locale, entries: surveyToPoEntries(surveyData, { surveyName, locale, stringIds }) })
+      : JSON.stringify(surveyToFlatJson(surveyData, { locale }), null, 2) + '\n'
+    fs.writeFileSync(path.join(outDir, fileName), content, 'utf8')
+    console.log(`✅ Wrote ${path.relative(projectRoot, path.join(outDir, fileName))}`)
+  }
+}
+
 // CLI interface
 function main() {
-  const args = process.argv.slice(2)
-
-  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+  const argv = process.argv.slice(2)
+  const args = argv.filter(a => !a.startsWith('--'))
+  const formatArg = argv.find(a => a.startsWith('--format='))
+  const format = formatArg ? formatArg.slice('--format='.length) : 'csv'
+  const localesArg = argv.find(a => a.startsWith('--locales='))
+  const locales = localesArg ? localesArg.slice('--locales='.length).split(',').filter(Boolean) : []
+
+  if (args.length === 0 || argv.includes('--help') || argv.includes('-h')) {
     console.log(`
 📋 Translation Extraction Tool
 
 Usage:
-  node scripts/extract-translations.js <survey-file> [output-file]
+  node scripts/extract-translations.js <survey-file> [output-file] [--format=csv|po|json] [--locales=a,b]
 
 Examples:
   node scripts/extract-translations.js surveys/child_survey.json
@@ -329,19 +299,33 @@ Examples:
   node scripts/extract-translations.js surveys/parent_survey_child.json
   node scripts/extract-translations.js surveys/teacher_survey_general.json
 
+  # Gettext for Poedit, or flat JSON, one file per locale:
+  node scripts/extract-translations.js surveys/child_survey.json --format=po --locales=de,es-CO
+  # → outputs to: xliff-out/child_survey/child_survey.pot, child_survey-de.po, child_survey-es-CO.po
+  node scripts/extract-translations.js surveys/child_survey.json --format=json
+
 Arguments:
   survey-file    Path to the survey JSON file (required)
-  output-file    Path for the output CSV file (optional, defaults to surveys/{survey_name}_translations.csv)
+  output-file    Path for the output CSV file (optional, defaults to surveys/{survey_name}_translations.csv);
+                 with --format=po|json, the output directory (defaults to xliff-out/{survey_name})
+  --format       csv (default), po (gettext .po per locale + .pot template) or json (flat key → string per locale)
+  --locales      With po/json, only these locales (default: every locale in the survey)
 
 Supported Languages: ${SUPPORTED_LANGUAGES.join(', ')}
 `)
     process.exit(0)
   }
 
+  if (!FORMATS.includes(format)) {
+    console.error(`❌ Unknown format: ${format} (expected ${FORMATS.join(', ')})`)
+    process.exit(2)
+  }
+
   const inputFile = args[0]
   const outputFile = args[1]
 
-  extractTranslations(inputFile, outputFile)
+  if (format === 'csv') extractTranslations(inputFile, outputFile)
+  else exportTranslationFiles(inputFile, outputFile, { format, locales })
 }
 
 // Run if called directly
@@ -349,4 +333,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main()
 }
 
-export { extractTranslations, findMultilingualTexts, generateCSV, discoverLanguagesInSurvey }
+export { extractTranslations, exportTranslationFiles, findMultilingualTexts, generateCSV, discoverLanguagesInSurvey }
@@ -2,6 +2,8 @@ import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { execSync } from 'child_process'
+import { getSurveys, getCrowdinCsvFileName, getTranslationsCsvFileName } from '../src/constants/surveys.js'
+import { parseCsvRecords, stringifyCsv } from '../src/helpers/csv.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -11,33 +13,11 @@ const __dirname = path.dirname(__filename)
  */
 
 // Survey file mappings
-const SURVEY_MAPPINGS = [
-  {
-    jsonFile: 'child_survey_updated.json',
-    csvFile: 'child_survey_crowdin_translations.csv',
-    crowdinPath: 'surveys-current/child_survey_translations.csv'
-  },
-  {
-    jsonFile: 'parent_survey_child_updated.json',
-    csvFile: 'parent_survey_child_crowdin_translations.csv',
-    crowdinPath: 'surveys-current/parent_survey_child_translations.csv'
-  },
-  {
-    jsonFile: 'parent_survey_family_updated.json',
-    csvFile: 'parent_survey_family_crowdin_translations.csv',
-    crowdinPath: 'surveys-current/parent_survey_family_translations.csv'
-  },
-  {
-    jsonFile: 'teacher_survey_general_updated.json',
-    csvFile: 'teacher_survey_general_crowdin_translations.csv',
-    crowdinPath: 'surveys-current/teacher_survey_general_translations.csv'
-  },
-  {
-    jsonFile: 'teacher_survey_classroom_updated.json',
-    csvFile: 'teacher_survey_classroom_crowdin_translations.csv',
-    crowdinPath: 'surveys-current/teacher_survey_classroom_translations.csv'
-  }
-]
+const SURVEY_MAPPINGS = getSurveys().map(survey => ({
+  jsonFile: survey.versions.updated,
+  csvFile: getCrowdinCsvFileName(survey),
+  crowdinPath: `surveys-current/${getTranslationsCsvFileName(survey)}`
+}))
 
 function extractTranslationsFromJson(jsonData, translations = [], prefix = '') {
   if (!jsonData || typeof jsonData !== 'object') {
@@ -79,48 +59,13 @@ function extractTranslationsFromJson(jsonData, translations = [], prefix = '') {
 }
 
 function parseCSV(csvContent) {
-  const lines = csvContent.split('\n')
-  if (lines.length === 0) return { headers: [], rows: [] }
-  
-  const headers = lines[0].split(',').map(h => h.replace(/"/g, '').trim())
-  const rows = []
-  
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim()
-    if (!line) continue
-    
-    // Simple CSV parsing - this might need to be more sophisticated for complex content
-    const values = line.split(',').map(v => v.replace(/^"|"$/g, '').trim())
-    if (values.length >= headers.length) {
-      const row = {}
-      headers.forEach((header, index) => {
-        row[header] = values[index] || ''
-      })
-      rows.push(row)
-    }
-  }
-  
+  const { header: headers, records } = parseCsvRecords(csvContent)
+  const rows = records.map(record => Object.fromEntries(Object.entries(record).map(([key, value]) => [key, value.trim()])))
   return { headers, rows }
 }
 
 function generateCSV(headers, rows) {
-  const csvLines = []
-  
-  // Add headers
-  csvLines.push(headers.map(h => `"${h}"`).join(','))
-  
-  // Add rows
-  rows.forEach(row => {
-    const values = headers.map(header => {
-      const value = row[header] || ''
-      // Escape quotes and wrap in quotes
-      const escapedValue = value.replace(/"/g, '""')
-      return `"${escapedValue}"`
-    })
-    csvLines.push(values.join(','))
-  })
-  
-  return csvLines.join('\n')
+  return stringifyCsv([headers, ...rows.map(row => headers.map(header => row[header] || ''))], { quoteAll: true })
 }
 
 async function fixCrowdinCSV(mapping) {
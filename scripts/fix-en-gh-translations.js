@@ -1,6 +1,7 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getSurveyVersionFileNames } from '../src/constants/surveys.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -66,13 +67,7 @@ async function main() {
   const surveysDir = path.join(projectRoot, 'surveys')
   
   // Get all updated survey files
-  const surveyFiles = [
-    'child_survey_updated.json',
-    'parent_survey_child_updated.json',
-    'parent_survey_family_updated.json',
-    'teacher_survey_general_updated.json',
-    'teacher_survey_classroom_updated.json'
-  ]
+  const surveyFiles = getSurveyVersionFileNames('updated')
   
   console.log('🔧 Fixing en-GH translations to match en-US...')
   
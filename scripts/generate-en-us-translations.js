@@ -9,66 +9,29 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getSurveys, getTranslationsCsvFileName } from '../src/constants/surveys.js'
+import { parseCsv, stringifyCsv } from '../src/helpers/csv.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 const root = path.resolve(__dirname, '..')
 const surveysDir = path.join(root, 'surveys')
 
-const SOURCE_FILES = [
-  'child_survey_translations.csv',
-  'parent_survey_family_translations.csv',
-  'parent_survey_child_translations.csv',
-  'teacher_survey_general_translations.csv',
-  'teacher_survey_classroom_translations.csv',
-]
-
-function parseCsvLine(line) {
-  const result = []
-  let current = ''
-  let inQuotes = false
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i]
-    if (ch === '"') {
-      inQuotes = !inQuotes
-    } else if (ch === ',' && !inQuotes) {
-      result.push(current)
-      current = ''
-    } else {
-      current += ch
-    }
-  }
-  result.push(current)
-  return result.map((v) => v.trim())
-}
-
-function escapeCsv(value) {
-  const s = value == null ? '' : String(value)
-  if (s.includes('"') || s.includes(',') || s.includes('\n')) {
-    return '"' + s.replace(/"/g, '""') + '"'
-  }
-  return s
-}
+const SOURCE_FILES = getSurveys().map(getTranslationsCsvFileName)
 
 function generateMonolingual(sourcePath, outputPath) {
-  const content = fs.readFileSync(sourcePath, 'utf8')
-  const lines = content.split(/\r?\n/).filter((l) => l.length > 0)
-  if (lines.length === 0) return 0
-  const header = parseCsvLine(lines[0])
+  const [header, ...rows] = parseCsv(fs.readFileSync(sourcePath, 'utf8'))
+  if (!header) return 0
   const idIdx = header.indexOf('identifier')
   const sourceIdx = header.indexOf('source')
   if (idIdx === -1 || sourceIdx === -1) {
     throw new Error(`Missing identifier/source columns in ${path.basename(sourcePath)}`)
   }
-  const out = []
-  out.push('identifier,translation')
-  for (let i = 1; i < lines.length; i++) {
-    const cols = parseCsvLine(lines[i])
-    const id = cols[idIdx] || ''
-    const src = cols[sourceIdx] || ''
-    out.push(`${escapeCsv(id)},${escapeCsv(src)}`)
+  const out = [['identifier', 'translation']]
+  for (const cols of rows) {
+    out.push([(cols[idIdx] || '').trim(), (cols[sourceIdx] || '').trim()])
   }
-  fs.writeFileSync(outputPath, out.join('\n'), 'utf8')
+  fs.writeFileSync(outputPath, stringifyCsv(out), 'utf8')
   return out.length - 1
 }
 
@@ -3,6 +3,7 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getSurveyFileNames, getSurveyVersionFileNames } from '../src/constants/surveys.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -25,19 +26,10 @@ const STANDARD_KEYS = [
   'noQuestionErrorText'
 ]
 
-// Only consider these five core surveys
+// Only consider the catalog surveys, preferring updated versions when present
 const SURVEY_FILES = [
-  'child_survey.json',
-  'parent_survey_family.json',
-  'parent_survey_child.json',
-  'teacher_survey_general.json',
-  'teacher_survey_classroom.json',
-  // Prefer updated versions when present
-  'child_survey_updated.json',
-  'parent_survey_family_updated.json',
-  'parent_survey_child_updated.json',
-  'teacher_survey_general_updated.json',
-  'teacher_survey_classroom_updated.json'
+  ...getSurveyFileNames(),
+  ...getSurveyVersionFileNames('updated')
 ]
 
 function mergeTranslations(target, source) {
@@ -4,19 +4,14 @@ import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import puppeteer from 'puppeteer'
+import { getSurveyFileNames } from '../src/constants/surveys.js'
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
 // Survey files to process
-const SURVEY_FILES = [
-  'child_survey.json',
-  'parent_survey_child.json',
-  'parent_survey_family.json',
-  'teacher_survey_classroom.json',
-  'teacher_survey_general.json'
-];
+const SURVEY_FILES = getSurveyFileNames();
 
 // German language code to use
 const GERMAN_LANGUAGE = 'de';
@@ -5,14 +5,18 @@
  * - Emits one source-only XLIFF (source-language=en-US by default)
  * - Emits one bilingual XLIFF per target language present in the CSV
  *
+ * - With --xliff-version 2.0, writes XLIFF 2.0 (.xlf) instead (src/helpers/xliff2.js)
+ *
  * Usage:
- *   node scripts/generate-survey-xliff.js surveys/child_survey_crowdin_translations.csv [--source-lang en-US]
+ *   node scripts/generate-survey-xliff.js surveys/child_survey_crowdin_translations.csv [--source-lang en-US] [--xliff-version 1.2|2.0]
  *   node scripts/generate-survey-xliff.js --all
  */
 
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { parseCsv, validateTranslationCsvHeader } from '../src/helpers/csv.js'
+import { buildXliff2 } from '../src/helpers/xliff2.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -23,6 +27,8 @@ const isAll = argv.includes('--all')
 const srcArg = argv.find(a => a.endsWith('.csv'))
 const sourceLangFlagIdx = argv.findIndex(a => a === '--source-lang')
 const SOURCE_LANG = sourceLangFlagIdx !== -1 && argv[sourceLangFlagIdx + 1] ? argv[sourceLangFlagIdx + 1] : 'en-US'
+const versionFlagIdx = argv.findIndex(a => a === '--xliff-version')
+const XLIFF_VERSION = versionFlagIdx !== -1 && argv[versionFlagIdx + 1] ? argv[versionFlagIdx + 1] : '1.2'
 
 const SURVEYS_DIR = path.resolve(projectRoot, 'surveys')
 const OUT_DIR = path.resolve(projectRoot, 'xliff-out')
@@ -35,37 +41,6 @@ function readFile(filePath) {
   return fs.readFileSync(filePath, 'utf8')
 }
 
-function parseCSV(csvContent) {
-  const lines = csvContent.split('\n').filter(l => l.trim().length > 0)
-  if (lines.length < 2) return { header: [], rows: [] }
-  const parseLine = (line) => {
-    const result = []
-    let current = ''
-    let inQuotes = false
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i]
-      if (ch === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          current += '"'
-          i++
-        } else {
-          inQuotes = !inQuotes
-        }
-      } else if (ch === ',' && !inQuotes) {
-        result.push(current)
-        current = ''
-      } else {
-        current += ch
-      }
-    }
-    result.push(current)
-    return result
-  }
-  const header = parseLine(lines[0]).map(h => h.replace(/^"|"$/g, ''))
-  const rows = lines.slice(1).map(l => parseLine(l))
-  return { header, rows }
-}
-
 function toCData(text) {
   if (text == null) return ''
   return `<![CDATA[${text}]]>`
@@ -73,6 +48,16 @@ function toCData(text) {
 
 function buildXLIFF({ surveyName, units, sourceLang, targetLang }) {
   const originalName = `${surveyName}_translations.csv`
+  if (XLIFF_VERSION === '2.0') {
+    return buildXliff2({
+      fileId: surveyName,
+      original: originalName,
+      sourceLanguage: sourceLang,
+      targetLanguage: targetLang,
+      // An empty cell is untranslated: no <target>
+      units: units.map(u => ({ id: u.id, name: u.id, source: u.source, target: targetLang && u.target !== '' ? u.target : null }))
+    })
+  }
   const fileAttrs = targetLang
     ? `original="${originalName}" source-language="${sourceLang}" target-language="${targetLang}" datatype="plaintext"`
     : `original="${originalName}" source-language="${sourceLang}" datatype="plaintext"`
@@ -96,13 +81,19 @@ function inferSurveyNameFromCsv(csvPath) {
 }
 
 function generateForCsv(csvPath) {
-  const csv = readFile(csvPath)
-  const { header, rows } = parseCSV(csv)
-  if (header.length === 0) {
+  let header, rows
+  try {
+    [header = [], ...rows] = parseCsv(readFile(csvPath))
+  } catch (error) {
+    console.error(`❌ ${path.basename(csvPath)}: ${error.message}`)
+    return
+  }
+  if (header.length === 0 || rows.length === 0) {
     console.error(`No header parsed for ${csvPath}`)
     return
   }
 
+  for (const problem of validateTranslationCsvHeader(header).errors) console.warn(`⚠️  ${path.basename(csvPath)}: ${problem}`)
   const colIndex = Object.fromEntries(header.map((h, i) => [h, i]))
   const idIdx = colIndex['identifier']
   if (idIdx == null) {
@@ -126,29 +117,34 @@ function generateForCsv(csvPath) {
 
   // Build trans-units
   const units = rows.map(cols => {
-    const id = (cols[idIdx] || '').replace(/^"|"$/g, '')
-    const source = (cols[sourceIdx] || '').replace(/^"|"$/g, '')
+    const id = cols[idIdx] || ''
+    const source = cols[sourceIdx] || ''
     return { id, source, row: cols }
   })
 
   // Emit source-only XLIFF
   const sourceXliff = buildXLIFF({ surveyName, units, sourceLang: SOURCE_LANG })
-  const sourceOut = path.join(outDir, `${surveyName}-source.xliff`)
+  const ext = XLIFF_VERSION === '2.0' ? 'xlf' : 'xliff'
+  const sourceOut = path.join(outDir, `${surveyName}-source.${ext}`)
   fs.writeFileSync(sourceOut, sourceXliff, 'utf8')
   console.log(`✅ Wrote ${sourceOut}`)
 
   // Emit one bilingual per target language
   for (const lang of targetLangs) {
     const langIdx = colIndex[lang]
-    const langUnits = units.map(u => ({ id: u.id, source: u.source, target: (u.row[langIdx] || '').replace(/^"|"$/g, '') }))
+    const langUnits = units.map(u => ({ id: u.id, source: u.source, target: u.row[langIdx] || '' }))
     const xliff = buildXLIFF({ surveyName, units: langUnits, sourceLang: SOURCE_LANG, targetLang: lang })
-    const outPath = path.join(outDir, `${surveyName}-${lang}.xliff`)
+    const outPath = path.join(outDir, `${surveyName}-${lang}.${ext}`)
     fs.writeFileSync(outPath, xliff, 'utf8')
     console.log(`✅ Wrote ${outPath}`)
   }
 }
 
 function main() {
+  if (!['1.2', '2.0'].includes(XLIFF_VERSION)) {
+    console.log(`Unsupported --xliff-version ${XLIFF_VERSION} (use 1.2 or 2.0)`)
+    process.exit(1)
+  }
   ensureDir(OUT_DIR)
 
   if (isAll) {
@@ -165,7 +161,7 @@ function main() {
   }
 
   if (!srcArg) {
-    console.log('Usage: node scripts/generate-survey-xliff.js <path-to-csv> [--source-lang en-US] | --all')
+    console.log('Usage: node scripts/generate-survey-xliff.js <path-to-csv> [--source-lang en-US] [--xliff-version 1.2|2.0] | --all')
     process.exit(1)
   }
 
@@ -15,98 +15,51 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { Storage } from '@google-cloud/storage'
 import {
-  CSV_TO_JSON_MAPPING,
-  isValidJsonLanguageKey
+  CSV_TO_JSON_MAPPING
 } from '../src/constants/languages.js'
+import { getSurveys } from '../src/constants/surveys.js'
+import { parseCsvRecords, validateTranslationCsvHeader } from '../src/helpers/csv.js'
+import { isMultilingualObject } from '../src/helpers/surveyTranslations.js'
+import { openBucket, resolveBucketUri } from './storage-utils.js'
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 const projectRoot = path.resolve(__dirname, '..')
 
-// Google Cloud Storage configuration
+// Target bucket (GCS, or a local directory with LEVANTE_STORAGE=local)
 const BUCKET_NAME = 'levante-assets-dev'
 
 // Survey file mapping
-const SURVEY_FILES = {
-  'child_survey': 'child_survey.json',
-  'parent_survey_child': 'parent_survey_child.json',
-  'parent_survey_family': 'parent_survey_family.json',
-  'teacher_survey_general': 'teacher_survey_general.json',
-  'teacher_survey_classroom': 'teacher_survey_classroom.json'
-}
+const SURVEY_FILES = Object.fromEntries(
+  getSurveys().map(survey => [survey.name, survey.fileName])
+)
 
 /**
  * Parse CSV content and pair numbered IDs with their element names
  */
 function parseCSV(csvContent) {
-  const lines = csvContent.trim().split('\n')
-  if (lines.length === 0) {
-    return []
+  const { header, records, malformed } = parseCsvRecords(csvContent)
+  const { errors } = validateTranslationCsvHeader(header)
+  errors.forEach(error => console.warn(`⚠️  CSV header: ${error}`))
+  if (malformed.length > 0) {
+    console.warn(`⚠️  Skipped ${malformed.length} row(s) whose field count differs from the header (rows ${malformed.map(m => m.line).join(', ')})`)
   }
 
-  // Parse header
-  const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''))
-
-  // Parse data rows and pair numbered IDs with element names
   const data = []
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i]
-    if (!line.trim()) continue
-
-    // Parse CSV line handling quoted values
-    const values = []
-    let currentValue = ''
-    let inQuotes = false
-    let j = 0
-
-    while (j < line.length) {
-      const char = line[j]
-      const nextChar = line[j + 1]
-
-      if (char === '"') {
-        if (inQuotes && nextChar === '"') {
-          // Escaped quote
-          currentValue += '"'
-          j += 2
-        } else {
-          // Toggle quote state
-          inQuotes = !inQuotes
-          j++
-        }
-      } else if (char === ',' && !inQuotes) {
-        // End of value
-        values.push(currentValue.trim())
-        currentValue = ''
-        j++
-      } else {
-        currentValue += char
-        j++
-      }
-    }
+  for (const record of records) {
+    const row = Object.fromEntries(Object.entries(record).map(([key, value]) => [key, value.trim()]))
 
-    // Add final value
-    values.push(currentValue.trim())
-
-    // Create object from headers and values
-    if (values.length === headers.length) {
-      const row = {}
-      headers.forEach((header, index) => {
-        row[header] = values[index] || ''
-      })
-
-      // Only include rows with actual translation content (not just element names)
-      const hasTranslationContent = headers.some(header => {
-        const isLangCol = /^([a-z]{2})(?:-[A-Z]{2})?$/.test(header) || header === 'en'
-        return isLangCol && row[header] && row[header].trim()
-      })
-      if (row.identifier && row.identifier.trim() && hasTranslationContent) {
-        // Use identifier directly as element name
-        row.elementName = row.identifier.trim()
-        data.push(row)
-      }
+    // Only include rows with actual translation content (not just element names)
+    const hasTranslationContent = header.some(column => {
+      const isLangCol = /^([a-z]{2})(?:-[A-Z]{2})?$/.test(column) || column === 'en'
+      return isLangCol && row[column]
+    })
+    if (row.identifier && hasTranslationContent) {
+      // Use identifier directly as element name
+      row.elementName = row.identifier
+      data.push(row)
     }
   }
 
@@ -158,18 +111,6 @@ function groupTranslationsBySurvey(translations) {
   return { grouped, unmapped }
 }
 
-/**
- * Check if an object contains multilingual text
- */
-function isMultilingualObject(obj) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
-    return false
-  }
-
-  const keys = Object.keys(obj)
-  return keys.some(key => isValidJsonLanguageKey(key))
-}
-
 /** Normalize text for matching: strip HTML, entities, collapse whitespace, lowercase */
 function normalizeForMatch(text) {
   if (!text) return ''
@@ -267,26 +208,21 @@ function updateMultilingualTexts(obj, maps, elementName = '', results = []) {
 }
 
 /**
- * Upload file to Google Cloud Storage
+ * Upload file to the bucket
  */
 async function uploadToGCS(filePath, fileName) {
   try {
-    // Initialize Google Cloud Storage
-    const storage = new Storage()
-    const bucket = storage.bucket(BUCKET_NAME)
+    const bucket = await openBucket(BUCKET_NAME)
 
-    console.log(`☁️  Uploading ${fileName} to gs://${BUCKET_NAME}/surveys/...`)
+    console.log(`☁️  Uploading ${fileName} to ${bucket.uri}/surveys/...`)
 
     // Upload file
-    await bucket.upload(filePath, {
-      destination: `surveys/${fileName}`,
-      metadata: {
-        contentType: 'application/json',
-        cacheControl: 'public, max-age=3600'
-      }
+    await bucket.write(`surveys/${fileName}`, fs.readFileSync(filePath), {
+      contentType: 'application/json',
+      cacheControl: 'public, max-age=3600'
     })
 
-    console.log(`✅ Successfully uploaded ${fileName} to Google Cloud Storage`)
+    console.log(`✅ Successfully uploaded ${fileName} to ${bucket.uri}`)
     return true
 
   } catch (error) {
@@ -486,7 +422,7 @@ async function importCombinedTranslations(csvFile, outputDir, shouldUpload = fal
     console.log(`\n🎉 Total: ${totalUpdates} multilingual objects updated across ${results.length} surveys`)
 
     if (shouldUpload) {
-      console.log(`☁️  Cloud Storage: ${totalUploaded}/${results.length} surveys uploaded to gs://${BUCKET_NAME}`)
+      console.log(`☁️  Cloud Storage: ${totalUploaded}/${results.length} surveys uploaded to ${resolveBucketUri(BUCKET_NAME)}`)
     }
 
   } catch (error) {
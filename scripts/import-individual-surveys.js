@@ -14,83 +14,42 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { Storage } from '@google-cloud/storage'
 import {
-  CSV_TO_JSON_MAPPING,
-  isValidJsonLanguageKey
+  CSV_TO_JSON_MAPPING
 } from '../src/constants/languages.js'
+import { getSurveys, getCrowdinCsvFileName } from '../src/constants/surveys.js'
+import { parseCsv, validateTranslationCsvHeader } from '../src/helpers/csv.js'
+import { isMultilingualObject } from '../src/helpers/surveyTranslations.js'
+import { getBackupFolderName } from './backup-utils.js'
+import { openBucket, resolveBucketUri } from './storage-utils.js'
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 const projectRoot = path.resolve(__dirname, '..')
 
-// Google Cloud Storage configuration
+// Target bucket (GCS, or a local directory with LEVANTE_STORAGE=local)
 const BUCKET_NAME = 'levante-assets-dev'
 
 // Survey file mapping - derive JSON filename from CSV filename
-const SURVEY_CSV_MAPPING = {
-  'child_survey_crowdin_translations.csv': 'child_survey.json',
-  'parent_survey_child_crowdin_translations.csv': 'parent_survey_child.json',
-  'parent_survey_family_crowdin_translations.csv': 'parent_survey_family.json',
-  'teacher_survey_general_crowdin_translations.csv': 'teacher_survey_general.json',
-  'teacher_survey_classroom_crowdin_translations.csv': 'teacher_survey_classroom.json'
-}
+const SURVEY_CSV_MAPPING = Object.fromEntries(
+  getSurveys().map(survey => [getCrowdinCsvFileName(survey), survey.fileName])
+)
 
 /**
  * Parse CSV content into an array of objects
  */
 function parseCSV(csvContent) {
-  const lines = csvContent.trim().split('\n')
-  if (lines.length < 2) return []
-
-  const header = lines[0]
-  const columns = []
-  let current = ''
-  let inQuotes = false
-
-  // Parse header
-  for (let i = 0; i < header.length; i++) {
-    const char = header[i]
-    if (char === '"') {
-      inQuotes = !inQuotes
-    } else if (char === ',' && !inQuotes) {
-      columns.push(current.trim())
-      current = ''
-    } else {
-      current += char
-    }
-  }
-  if (current) {
-    columns.push(current.trim())
-  }
+  const [header = [], ...data] = parseCsv(csvContent)
+  if (data.length === 0) return []
 
+  const columns = header.map(h => h.trim())
   console.log(`📋 CSV columns: ${columns.join(', ')}`)
+  const { errors } = validateTranslationCsvHeader(columns)
+  errors.forEach(error => console.warn(`⚠️  CSV header: ${error}`))
 
   const rows = []
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim()
-    if (!line) continue
-
-    const values = []
-    current = ''
-    inQuotes = false
-
-    for (let j = 0; j < line.length; j++) {
-      const char = line[j]
-      if (char === '"') {
-        inQuotes = !inQuotes
-      } else if (char === ',' && !inQuotes) {
-        values.push(current)
-        current = ''
-      } else {
-        current += char
-      }
-    }
-    if (current !== undefined) {
-      values.push(current)
-    }
-
+  for (const values of data) {
     // Create row object
     const row = {}
     columns.forEach((col, index) => {
@@ -116,18 +75,6 @@ function parseCSV(csvContent) {
   return rows
 }
 
-/**
- * Check if an object contains multilingual text
- */
-function isMultilingualObject(obj) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
-    return false
-  }
-
-  const keys = Object.keys(obj)
-  return keys.some(key => isValidJsonLanguageKey(key))
-}
-
 /**
  * Convert underscore format language codes to hyphen format throughout the survey
  */
@@ -260,24 +207,21 @@ function updateMultilingualTexts(obj, translationsMap, elementName = '', results
 }
 
 /**
- * Backup existing file in Google Cloud Storage
+ * Backup existing file in the bucket
  */
-async function backupExistingFile(bucketName, fileName, backupFolder) {
+async function backupExistingFile(bucket, fileName, backupFolder) {
   try {
-    const storage = new Storage()
-    const bucket = storage.bucket(bucketName)
     const sourceFile = `surveys/${fileName}`
     const backupDestination = `${backupFolder}/${fileName}`
 
     // Check if file exists before trying to backup
-    const [exists] = await bucket.file(sourceFile).exists()
-    if (!exists) {
+    if (!(await bucket.exists(sourceFile))) {
       console.log(`   ⚠️  File not found in bucket: ${fileName} (first deployment?)`)
       return { success: false, reason: 'not_found' }
     }
 
     // Copy file to backup location
-    await bucket.file(sourceFile).copy(bucket.file(backupDestination))
+    await bucket.copy(sourceFile, backupDestination)
     console.log(`   ✅ Backed up: ${fileName} → ${backupDestination}`)
     return { success: true, backup: backupDestination }
 
@@ -288,30 +232,26 @@ async function backupExistingFile(bucketName, fileName, backupFolder) {
 }
 
 /**
- * Upload file to Google Cloud Storage
+ * Upload file to the bucket
  */
 async function uploadToGCS(filePath, fileName, backupFolder = null) {
   try {
-    const storage = new Storage()
-    const bucket = storage.bucket(BUCKET_NAME)
+    const bucket = await openBucket(BUCKET_NAME)
 
     // Backup existing file if backup folder is provided
     if (backupFolder) {
       console.log(`📦 Backing up existing ${fileName}...`)
-      await backupExistingFile(BUCKET_NAME, fileName, backupFolder)
+      await backupExistingFile(bucket, fileName, backupFolder)
     }
 
-    console.log(`☁️  Uploading ${fileName} to gs://${BUCKET_NAME}/surveys/...`)
+    console.log(`☁️  Uploading ${fileName} to ${bucket.uri}/surveys/...`)
 
-    const [/* file */] = await bucket.upload(filePath, {
-      destination: `surveys/${fileName}`,
-      metadata: {
-        contentType: 'application/json',
-        cacheControl: 'public, max-age=3600'
-      }
+    await bucket.write(`surveys/${fileName}`, fs.readFileSync(filePath), {
+      contentType: 'application/json',
+      cacheControl: 'public, max-age=3600'
     })
 
-    console.log(`✅ Successfully uploaded ${fileName} to Google Cloud Storage`)
+    console.log(`✅ Successfully uploaded ${fileName} to ${bucket.uri}`)
     return true
   } catch (error) {
     console.error(`❌ Failed to upload ${fileName}:`, error.message)
@@ -406,7 +346,13 @@ async function importSurveyTranslations(csvFilePath, shouldUpload = false, backu
   }
 
   const csvContent = fs.readFileSync(csvFilePath, 'utf8')
-  const translations = parseCSV(csvContent)
+  let translations
+  try {
+    translations = parseCSV(csvContent)
+  } catch (error) {
+    console.error(`❌ ${csvFileName}: ${error.message}`)
+    return null
+  }
 
   if (translations.length === 0) {
     console.log(`⚠️  No translations found in ${csvFileName}`)
@@ -488,8 +434,7 @@ async function importAllSurveys(shouldUpload = false) {
   // Create backup folder with timestamp if uploading
   let backupFolder = null
   if (shouldUpload) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').substring(0, 19)
-    backupFolder = `surveys/backup_${timestamp}`
+    backupFolder = `surveys/${getBackupFolderName()}`
     console.log(`📦 Backup folder: ${backupFolder}\n`)
   }
 
@@ -522,7 +467,7 @@ async function main() {
 
   console.log('🔄 Individual Survey Translation Import Tool')
   console.log('='.repeat(50))
-  console.log(`📦 Target bucket: gs://${BUCKET_NAME}`)
+  console.log(`📦 Target bucket: ${resolveBucketUri(BUCKET_NAME)}`)
   console.log(`☁️  Upload mode: ${shouldUpload ? 'ENABLED' : 'LOCAL ONLY'}\n`)
 
   let results = []
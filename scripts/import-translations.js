@@ -16,9 +16,10 @@ import path from 'path'
 import { fileURLToPath } from 'url'
 import axios from 'axios'
 import {
-  CSV_TO_JSON_MAPPING,
-  isValidJsonLanguageKey
+  CSV_TO_JSON_MAPPING
 } from '../src/constants/languages.js'
+import { isMultilingualObject } from '../src/helpers/surveyTranslations.js'
+import { parseCsvRecords } from '../src/helpers/csv.js'
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url)
@@ -32,77 +33,11 @@ const TRANSLATED_TEXT_URL = "https://raw.githubusercontent.com/levante-framework
  * Parse CSV content into an array of objects
  */
 function parseCSV(csvContent) {
-  const lines = csvContent.trim().split('\n')
-  if (lines.length === 0) {
-    return []
+  const { records, malformed } = parseCsvRecords(csvContent)
+  if (malformed.length > 0) {
+    console.warn(`⚠️  Skipped ${malformed.length} row(s) whose field count differs from the header (rows ${malformed.map(m => m.line).join(', ')})`)
   }
-
-  // Parse header
-  const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''))
-
-  // Parse data rows
-  const data = []
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i]
-    if (!line.trim()) continue
-
-    // Parse CSV line handling quoted values
-    const values = []
-    let currentValue = ''
-    let inQuotes = false
-    let j = 0
-
-    while (j < line.length) {
-      const char = line[j]
-      const nextChar = line[j + 1]
-
-      if (char === '"') {
-        if (inQuotes && nextChar === '"') {
-          // Escaped quote
-          currentValue += '"'
-          j += 2
-        } else {
-          // Toggle quote state
-          inQuotes = !inQuotes
-          j++
-        }
-      } else if (char === ',' && !inQuotes) {
-        // End of value
-        values.push(currentValue.trim())
-        currentValue = ''
-        j++
-      } else {
-        currentValue += char
-        j++
-      }
-    }
-
-    // Add final value
-    values.push(currentValue.trim())
-
-    // Create object from headers and values
-    if (values.length === headers.length) {
-      const row = {}
-      headers.forEach((header, index) => {
-        row[header] = values[index] || ''
-      })
-      data.push(row)
-    }
-  }
-
-  return data
-}
-
-/**
- * Check if an object contains multilingual text
- */
-function isMultilingualObject(obj) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
-    return false
-  }
-
-  const keys = Object.keys(obj)
-  return keys.some(key => isValidJsonLanguageKey(key))
+  return records.map(record => Object.fromEntries(Object.entries(record).map(([key, value]) => [key, value.trim()])))
 }
 
 /**
@@ -4,8 +4,12 @@
  * Apply all combined XLIFF files in translations/xliff to surveys JSONs.
  * For each file matching *-surveys.xliff, runs import-xliff-combined.
  *
+ * Afterwards runs the translation memory sync (scripts/translation-memory.js) so
+ * translations lost to moved or reformatted questions are reapplied and new ones
+ * are remembered. Skip it with --no-memory.
+ *
  * Usage:
- *   node scripts/import-xliff-all.js [--xliff-dir translations/xliff] [--surveys-dir surveys] [--out-dir surveys] [--inplace]
+ *   node scripts/import-xliff-all.js [--xliff-dir translations/xliff] [--surveys-dir surveys] [--out-dir surveys] [--inplace] [--no-memory]
  */
 
 import fs from 'fs'
@@ -22,6 +26,7 @@ const xliffDir = path.resolve(process.cwd(), args.includes('--xliff-dir') ? args
 const surveysDir = path.resolve(process.cwd(), args.includes('--surveys-dir') ? args[args.indexOf('--surveys-dir') + 1] : 'surveys')
 const outDir = path.resolve(process.cwd(), args.includes('--out-dir') ? args[args.indexOf('--out-dir') + 1] : 'surveys')
 const inplace = args.includes('--inplace')
+const useMemory = !args.includes('--no-memory')
 
 if (!fs.existsSync(xliffDir)) {
   console.error(`❌ XLIFF directory not found: ${xliffDir}`)
@@ -62,6 +67,14 @@ for (const f of files) {
   if (res.status === 0) successCount++
 }
 
+// The memory works on the catalog files, so only when importing into surveys/
+if (useMemory && successCount > 0 && (inplace ? surveysDir : outDir) === path.join(projectRoot, 'surveys')) {
+  console.log('\n🧠 Translation memory')
+  const memoryArgs = [path.join(projectRoot, 'scripts', 'translation-memory.js'), 'sync', `--version=${inplace ? 'source' : 'updated'}`]
+  const res = spawnSync(process.execPath, memoryArgs, { stdio: 'inherit' })
+  if (res.status !== 0) console.warn('⚠️  Translation memory sync failed; imported translations are unaffected')
+}
+
 console.log('\n📊 Summary')
 console.log('='.repeat(20))
 console.log(`✅ Successful: ${successCount}/${files.length}`)
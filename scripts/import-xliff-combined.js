@@ -6,6 +6,8 @@
  *
  * - Detects <file original="{survey}.json"> and <file target-language="...">
  * - Applies <trans-unit id> targets to the JSON node at that path
+ * - Restores HTML from <g>/<x/> placeholders using the string's English and reports
+ *   translations whose tags differ from it (src/helpers/inlineMarkup.js)
  * - Writes to surveys/{survey}_updated.json (in-place if --inplace)
  *
  * Usage:
@@ -16,6 +18,12 @@ import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { normalizeDefaultsFromValues } from './normalize-utils.js'
+import { getSurveyFileNames } from '../src/constants/surveys.js'
+import { collectMultilingualNodes, getAtPath, normalizeLanguageKey, slugify } from '../src/helpers/surveyTranslations.js'
+import { compareMarkup, hasPlaceholders, markupReference, restoreMarkup } from '../src/helpers/inlineMarkup.js'
+import { indexStringIds, syncStringIds } from '../src/helpers/stringIds.js'
+import { formatMarkupMismatches } from './check-inline-markup.js'
+import { loadStringIdMap } from './translation-memory-utils.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -43,19 +51,6 @@ const surveysDir = path.resolve(process.cwd(), argv.includes('--surveys-dir') ?
 const outDir = path.resolve(process.cwd(), argv.includes('--out-dir') ? argv[argv.indexOf('--out-dir') + 1] : 'surveys')
 const inplace = argv.includes('--inplace')
 
-function normalizeLang(key) {
-  if (!key) return key
-  if (key.includes('_')) {
-    const [l, r] = key.split('_')
-    return `${l}-${r.toUpperCase()}`
-  }
-  if (/^[a-z]{2}-[a-z]{2}$/i.test(key)) {
-    const [l, r] = key.split('-')
-    return `${l}-${r.toUpperCase()}`
-  }
-  return key
-}
-
 function parseCombinedXLIFF(content) {
   // Split by <file ...> ... </file>
   const files = []
@@ -66,32 +61,33 @@ function parseCombinedXLIFF(content) {
     const originalMatch = block.match(/\boriginal="([^"]+)"/i)
     const original = originalMatch ? originalMatch[1] : null
     const langMatch = block.match(/\btarget-language="([^"]+)"/i)
-    const targetLanguage = normalizeLang(langMatch ? langMatch[1] : null)
+    const targetLanguage = normalizeLanguageKey(langMatch ? langMatch[1] : null)
     const srcLangMatch = block.match(/\bsource-language="([^"]+)"/i)
-    const sourceLanguage = normalizeLang(srcLangMatch ? srcLangMatch[1] : null)
+    const sourceLanguage = normalizeLanguageKey(srcLangMatch ? srcLangMatch[1] : null)
 
     const units = []
     const unitRe = /<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/gi
     let u
     while ((u = unitRe.exec(block)) !== null) {
       const attrs = u[1] || ''
-      const inner = u[2] || ''
+      // Previous versions and fuzzy proposals are context for translators, not targets
+      const inner = (u[2] || '').replace(/<alt-trans\b[\s\S]*?<\/alt-trans>/gi, '')
       const idMatch = attrs.match(/\bid="([^"]+)"/i)
       const resnameMatch = attrs.match(/\bresname="([^"]*)"/i)
       const unitId = idMatch ? idMatch[1] : null
       const resname = resnameMatch ? resnameMatch[1] : null
       // target and source content
       const targetMatch = inner.match(/<target[^>]*>([\s\S]*?)<\/target>/i)
-      let target = targetMatch ? targetMatch[1] : ''
-      target = target.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      const targetXml = targetMatch ? targetMatch[1] : ''
+      const target = targetXml.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
       // also capture target attributes to read state
       const targetAttrMatch = inner.match(/<target\b([^>]*)>/i)
       const targetAttrs = targetAttrMatch ? targetAttrMatch[1] : ''
       const targetStateMatch = targetAttrs.match(/\bstate\s*=\s*"([^"]+)"/i)
       const targetState = targetStateMatch ? targetStateMatch[1] : ''
       const sourceMatch = inner.match(/<source[^>]*>([\s\S]*?)<\/source>/i)
-      let source = sourceMatch ? sourceMatch[1] : ''
-      source = source.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      const sourceXml = sourceMatch ? sourceMatch[1] : ''
+      const source = sourceXml.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
       // context: try to extract survey hint from context-group source
       let surveyHint = null
       // Gather all <context> text and search for any *.json hint (handles item bank files)
@@ -106,7 +102,7 @@ function parseCombinedXLIFF(content) {
           }
         }
       }
-      units.push({ id: unitId, resname, target, source, surveyHint, targetState })
+      units.push({ id: unitId, resname, target, source, targetXml, sourceXml, surveyHint, targetState })
     }
 
     files.push({ original, targetLanguage, sourceLanguage, units })
@@ -114,22 +110,6 @@ function parseCombinedXLIFF(content) {
   return files
 }
 
-function getByPath(root, pth) {
-  const tokens = []
-  const re = /(\w+)|(\[(\d+)\])/g
-  let m
-  while ((m = re.exec(pth)) !== null) {
-    if (m[1]) tokens.push(m[1])
-    else if (m[3]) tokens.push(Number(m[3]))
-  }
-  let cur = root
-  for (const tk of tokens) {
-    if (cur == null) return null
-    cur = cur[tk]
-  }
-  return cur
-}
-
 function applyToSurvey({ surveyJsonPath, targetLanguage, sourceLanguage, units, outPath }) {
   // Accumulate: if an updated file already exists, start from it; otherwise, start from base JSON
   const surveyPathToRead = (outPath && fs.existsSync(outPath)) ? outPath : surveyJsonPath
@@ -144,8 +124,16 @@ function applyToSurvey({ surveyJsonPath, targetLanguage, sourceLanguage, units,
   collectMultilingualNodes(survey).forEach(n => {
     idToNode.set(n.id, n.value)
   })
+  // Stable string ids and former semantic ids, so units exported before a question
+  // moved or was renamed still find their string
+  const surveyName = path.basename(surveyJsonPath, '.json')
+  const { map: stringIds } = syncStringIds(survey, surveyName, loadStringIdMap(surveyName))
+  for (const [key, semanticId] of indexStringIds(stringIds)) {
+    if (!idToNode.has(key) && idToNode.has(semanticId)) idToNode.set(key, idToNode.get(semanticId))
+  }
 
   let applied = 0
+  const mismatches = []
 
   // Decode entities helper
   function decodeEntities(input) {
@@ -174,6 +162,14 @@ function applyToSurvey({ surveyJsonPath, targetLanguage, sourceLanguage, units,
     return typeof id === 'string' && id.toLowerCase().includes('.html')
   }
 
+  // Text of a <source>/<target>: placeholders are replaced with the English string's
+  // tags (already decoded); otherwise the raw text, decoded by normalizeText
+  function readInline(xml, text, node) {
+    if (!hasPlaceholders(xml)) return { text, restored: false, extra: [] }
+    const { text: restoredText, extra } = restoreMarkup(xml, markupReference(node) || '')
+    return { text: restoredText, restored: true, extra }
+  }
+
   for (const u of units) {
     let node = null
     if (u.resname) {
@@ -185,7 +181,7 @@ function applyToSurvey({ surveyJsonPath, targetLanguage, sourceLanguage, units,
     } else if (u.id && idToNode.has(u.id)) {
       node = idToNode.get(u.id)
     } else if (u.id) {
-      node = getByPath(survey, u.id)
+      node = getAtPath(survey, u.id)
     }
     if (!node && u && typeof u.resname === 'string' && u.resname && !u.resname.includes('.')) {
       // Limited, safe heuristic: map bare resname that matches a question name to its title node
@@ -195,7 +191,8 @@ function applyToSurvey({ surveyJsonPath, targetLanguage, sourceLanguage, units,
         if (key.endsWith(`.q.${nameSlug}.title`) || key.endsWith(`.q.${nameSlug}.title.value`)) {
           // Validate against English baseline to avoid mismatches
           const enBase = String(candidateNode['en-US'] || candidateNode['en'] || candidateNode['default'] || '').trim()
-          const srcNorm = normalizeText(u.source || '', { isHtml: false })
+          const src = readInline(u.sourceXml, u.source, candidateNode)
+          const srcNorm = src.restored ? src.text.trim() : normalizeText(u.source || '', { isHtml: false })
           if (!srcNorm || (enBase && enBase && enBase !== srcNorm)) {
             continue
           }
@@ -209,14 +206,24 @@ function applyToSurvey({ surveyJsonPath, targetLanguage, sourceLanguage, units,
       // Simple rule: use non-empty <target>. If missing and en-US with needs-translation, use <source>
       const isEnUS = targetLanguage === 'en-US'
       const needsTranslation = typeof u.targetState === 'string' && /needs-translation/i.test(u.targetState)
-      let candidate = (u.target || '').trim()
+      let inline = readInline(u.targetXml, u.target, node)
+      let candidate = (inline.text || '').trim()
       if (!candidate && isEnUS && needsTranslation) {
-        candidate = (u.source || '').trim()
+        inline = readInline(u.sourceXml, u.source, node)
+        candidate = (inline.text || '').trim()
       }
       if (!candidate) continue
       const isHtml = (u.resname && isHtmlId(u.resname)) || (u.id && isHtmlId(u.id))
-      const value = normalizeText(candidate, { isHtml })
+      const value = inline.restored ? candidate : normalizeText(candidate, { isHtml })
       if (!value) continue
+      // Translators may drop, add or retype tags; report them but keep the translation
+      const english = markupReference(node)
+      if (english && !['default', 'en', 'en-US'].includes(targetLanguage)) {
+        const { missing, extra } = compareMarkup(english, value)
+        if (missing.length + extra.length + inline.extra.length > 0) {
+          mismatches.push({ id: u.resname || u.id, locale: targetLanguage, missing, extra: [...extra, ...inline.extra] })
+        }
+      }
       // Write only the computed language
       node[targetLanguage] = value
       // If we used en-US fallback due to needs-translation, also seed base en/default
@@ -238,6 +245,7 @@ function applyToSurvey({ surveyJsonPath, targetLanguage, sourceLanguage, units,
   fs.mkdirSync(path.dirname(outPath), { recursive: true })
   fs.writeFileSync(outPath, JSON.stringify(survey, null, 2), 'utf8')
   console.log(`✅ ${path.basename(surveyJsonPath)}: Applied ${applied} translations for ${targetLanguage} → ${path.relative(projectRoot, outPath)}`)
+  for (const line of formatMarkupMismatches(mismatches, { limit: 5 })) console.warn(line)
 }
 
 function surveyJsonForOriginal(originalAttr) {
@@ -257,76 +265,6 @@ function surveyJsonForOriginal(originalAttr) {
   return path.join(surveysDir, jsonFile)
 }
 
-// ---- Helpers to build semantic ids matching exporter ----
-function isLanguageKey(key) {
-  return key === 'default' || /^[a-z]{2}(-[A-Z]{2})?$/i.test(key) || /^[a-z]{2}_[a-z]{2}$/i.test(key)
-}
-
-function slugify(s) {
-  return String(s)
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/gi, '_')
-    .replace(/^_+|_+$/g, '')
-}
-
-function seg(kind, value) {
-  const v = slugify(value != null && value !== '' ? value : 'unnamed')
-  return `${kind}.${v}`
-}
-
-function collectMultilingualNodes(obj, { currentPath = '', semantic = [], parentKey = '', out = [] } = {}) {
-  if (obj == null) return out
-  if (Array.isArray(obj)) {
-    obj.forEach((item, idx) => {
-      let part = null
-      const hasName = item && typeof item === 'object' && typeof item.name === 'string' && item.name.trim() !== ''
-      const hasValue = item && typeof item === 'object' && (typeof item.value === 'string' || typeof item.value === 'number')
-      if (parentKey === 'pages') part = slugify(hasName ? item.name : `#${idx}`)
-      else if (parentKey === 'elements') part = seg('q', hasName ? item.name : `#${idx}`)
-      else if (parentKey === 'choices') part = seg('choice', hasValue ? String(item.value) : hasName ? item.name : `#${idx}`)
-      else if (parentKey === 'rows') part = seg('row', hasValue ? String(item.value) : hasName ? item.name : `#${idx}`)
-      else if (parentKey === 'columns') part = seg('col', hasValue ? String(item.value) : hasName ? item.name : `#${idx}`)
-      else part = seg(parentKey || 'item', hasName ? item.name : (hasValue ? String(item.value) : `#${idx}`))
-
-      const p = currentPath ? `${currentPath}[${idx}]` : `[${idx}]`
-      const nextSemantic = semantic.concat(part)
-      collectMultilingualNodes(item, { currentPath: p, semantic: nextSemantic, parentKey, out })
-    })
-    return out
-  }
-  if (typeof obj !== 'object') return out
-
-  const keys = Object.keys(obj)
-  const hasLangs = keys.some(k => isLanguageKey(k))
-  if (hasLangs) {
-    const leaf = parentKey ? slugify(parentKey) : 'value'
-    const id = semantic.concat(leaf).join('.')
-    out.push({ id, value: obj })
-    return out
-  }
-
-  for (const [k, v] of Object.entries(obj)) {
-    const p = currentPath ? `${currentPath}.${k}` : k
-    if (k === 'pages' || k === 'elements' || k === 'choices' || k === 'rows' || k === 'columns') {
-      collectMultilingualNodes(v, { currentPath: p, semantic, parentKey: k, out })
-      continue
-    }
-    let nextSemantic = semantic
-    if (k === 'name' && typeof v === 'string' && v.trim() !== '') {
-      if (nextSemantic.length > 0) {
-        const last = nextSemantic[nextSemantic.length - 1]
-        const [kind] = last.split('.')
-        nextSemantic = nextSemantic.slice(0, -1).concat(seg(kind, v))
-      }
-      collectMultilingualNodes(v, { currentPath: p, semantic: nextSemantic, parentKey: k, out })
-      continue
-    }
-    collectMultilingualNodes(v, { currentPath: p, semantic: nextSemantic, parentKey: k, out })
-  }
-  return out
-}
-
 function normalizeParagraphsToHtml(text) {
   if (text == null) return ''
   // Normalize line endings
@@ -358,7 +296,7 @@ function main() {
   let impliedLang = null
   {
     const m = baseName.match(/(?:^|[^a-zA-Z])(en-US|en-GH|de-CH|de-DE|es-AR|es-CO|fr-CA|nl-NL)(?:[^a-zA-Z]|$)/i)
-    if (m) impliedLang = normalizeLang(m[1])
+    if (m) impliedLang = normalizeLanguageKey(m[1])
   }
   // If block target-language is missing or too generic (e.g., 'en'), prefer impliedLang
   for (const f of files) {
@@ -370,13 +308,7 @@ function main() {
   for (const f of files) {
     // Group units by survey json inferred from unit context, fallback to file original
     const groups = new Map()
-    const knownSurveyJsons = [
-      path.join(surveysDir, 'child_survey.json'),
-      path.join(surveysDir, 'parent_survey_family.json'),
-      path.join(surveysDir, 'parent_survey_child.json'),
-      path.join(surveysDir, 'teacher_survey_general.json'),
-      path.join(surveysDir, 'teacher_survey_classroom.json')
-    ]
+    const knownSurveyJsons = getSurveyFileNames().map(f => path.join(surveysDir, f))
     for (const u of f.units) {
       let jsonPath = null
       if (u.surveyHint) {
@@ -1,18 +1,37 @@
 #!/usr/bin/env node
 
 /**
- * Import translations from an XLIFF 1.2 file into a Survey JSON.
- * - Expects trans-unit id to be the JSON path to the multilingual object (e.g., pages[0].elements[1].title)
- * - Uses <file target-language> as the language code to set, normalized (hyphen with uppercase region)
+ * Import translations from an XLIFF 1.2 or 2.0, gettext .po or flat .json file into a Survey JSON.
+ * - 1.2: expects trans-unit id to be the JSON path to the multilingual object (e.g., pages[0].elements[1].title)
+ *   and uses <file target-language> as the language code to set, normalized (hyphen with uppercase region);
+ *   <g>/<x/> placeholders are restored to the English string's HTML (src/helpers/inlineMarkup.js)
+ * - 2.0 (detected from the document): units are matched by semantic id, stable string id
+ *   (surveys/string-ids) or their location note, and inline <mrk>/<pc>/<ph> markup is
+ *   restored to the original HTML (src/helpers/xliff2.js); the language comes from trgLang
+ * - .po (src/helpers/gettext.js): entries are matched like 2.0 units, by the semantic id in
+ *   msgctxt or the JSON path in the #: reference; empty and fuzzy entries are skipped; the
+ *   language comes from the Language header
+ * - .json (src/helpers/flatJson.js): flat semantic id → string, matched like 2.0 units; empty
+ *   values are skipped; the language comes from the file name (<survey>-<locale>.json)
+ * - --lang overrides the language for any format
+ * - In every format, translations of the imported language whose tags differ from the English are listed
  *
  * Usage:
  *   node scripts/import-xliff-into-json.js surveys/child_survey.json xliff-out/child_survey/child_survey-es-CO.xliff --out surveys/child_survey_updated.json
+ *   node scripts/import-xliff-into-json.js surveys/child_survey.json child_survey-de.po
+ *   node scripts/import-xliff-into-json.js surveys/child_survey.json translations-de.json --lang de
  */
 
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
 import { normalizeDefaultsFromValues } from './normalize-utils.js'
+import { loadStringIdMap } from './translation-memory-utils.js'
+import { findMarkupMismatches, hasPlaceholders, markupReference, restoreMarkup } from '../src/helpers/inlineMarkup.js'
+import { applyXliff2Units, isXliff2, parseXliff2 } from '../src/helpers/xliff2.js'
+import { parsePo, poEntriesToUnits } from '../src/helpers/gettext.js'
+import { flatJsonToUnits } from '../src/helpers/flatJson.js'
+import { formatMarkupMismatches } from './check-inline-markup.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -20,7 +39,7 @@ const projectRoot = path.resolve(__dirname, '..')
 
 const argv = process.argv.slice(2)
 if (argv.length < 2) {
-  console.log('Usage: node scripts/import-xliff-into-json.js <survey.json> <xliff-file> [--out <output.json>]')
+  console.log('Usage: node scripts/import-xliff-into-json.js <survey.json> <xliff|po|json file> [--out <output.json>] [--lang <locale>]')
   process.exit(1)
 }
 
@@ -28,6 +47,9 @@ const surveyPath = path.isAbsolute(argv[0]) ? argv[0] : path.resolve(process.cwd
 const xliffPath = path.isAbsolute(argv[1]) ? argv[1] : path.resolve(process.cwd(), argv[1])
 const outIdx = argv.indexOf('--out')
 const outPath = outIdx !== -1 && argv[outIdx + 1] ? (path.isAbsolute(argv[outIdx + 1]) ? argv[outIdx + 1] : path.resolve(process.cwd(), argv[outIdx + 1])) : surveyPath.replace(/\.json$/, '_updated.json')
+const langIdx = argv.indexOf('--lang')
+const langOverride = langIdx !== -1 && argv[langIdx + 1] ? argv[langIdx + 1] : null
+const surveyName = path.basename(surveyPath, '.json').replace(/_updated$/, '')
 
 function normalizeLang(key) {
   if (key.includes('_')) {
@@ -51,10 +73,10 @@ function parseXLIFF(content) {
   let m
   while ((m = re.exec(content)) !== null) {
     const id = m[1]
-    let target = m[2]
+    const targetXml = m[2]
     // Strip CDATA
-    target = target.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
-    units.push({ id, target })
+    const target = targetXml.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    units.push({ id, target, targetXml })
   }
   return { targetLanguage, units }
 }
@@ -76,15 +98,65 @@ function getByPath(root, pth) {
   return cur
 }
 
+function warnMarkupMismatches(survey, targetLanguage) {
+  const mismatches = findMarkupMismatches(survey, { locales: [targetLanguage] })
+  for (const line of formatMarkupMismatches(mismatches, { limit: 5 })) console.warn(line)
+}
+
+// Units (xliff2.js) from XLIFF 2.0, PO or flat JSON, matched by semantic id, stable id or location
+function importUnits(survey, units, language) {
+  if (!language) {
+    console.error('❌ Could not determine the language (pass --lang <locale>)')
+    process.exit(1)
+  }
+  const targetLanguage = normalizeLang(language)
+  const { applied, unchanged, unmatched } = applyXliff2Units(survey, units, targetLanguage, { stringIds: loadStringIdMap(surveyName) })
+
+  fs.writeFileSync(outPath, JSON.stringify(survey, null, 2), 'utf8')
+  console.log(`✅ Applied ${applied} translations for ${targetLanguage} (${unchanged} unchanged)`)
+  if (unmatched.length > 0) console.warn(`⚠️  ${unmatched.length} unit(s) matched no string: ${unmatched.slice(0, 10).join(', ')}${unmatched.length > 10 ? ', …' : ''}`)
+  warnMarkupMismatches(survey, targetLanguage)
+  console.log(`💾 Wrote ${path.relative(projectRoot, outPath)}`)
+}
+
+function importXliff2(survey, xliffContent) {
+  const doc = parseXliff2(xliffContent)
+  if (!doc.targetLanguage && !langOverride) {
+    console.error('❌ XLIFF 2.0 file has no trgLang (source-only files cannot be imported)')
+    process.exit(1)
+  }
+  importUnits(survey, doc.files.flatMap(f => f.units), langOverride || doc.targetLanguage)
+}
+
+function importPo(survey, content) {
+  const { headers, entries } = parsePo(content)
+  const { units, fuzzy, surveys } = poEntriesToUnits(entries)
+  const others = surveys.filter(name => name !== surveyName)
+  if (others.length > 0) console.warn(`⚠️  msgctxt names other survey(s): ${others.join(', ')} (importing into ${surveyName})`)
+  if (fuzzy > 0) console.warn(`⚠️  Skipped ${fuzzy} fuzzy translation(s); clear the fuzzy flag once reviewed`)
+  importUnits(survey, units, langOverride || headers.Language)
+}
+
+function importFlatJson(survey, content) {
+  const fileLanguage = path.basename(xliffPath, '.json').match(/-([a-z]{2,3}(?:[-_][A-Za-z]{2,4})?)$/)
+  importUnits(survey, flatJsonToUnits(JSON.parse(content)), langOverride || (fileLanguage && fileLanguage[1]))
+}
+
 function main() {
   const survey = JSON.parse(fs.readFileSync(surveyPath, 'utf8'))
+  const xliffContent = fs.readFileSync(xliffPath, 'utf8')
+  // 2.0, PO and flat JSON units carry their own ids, so the survey is left exactly as it is
+  if (/\.po$/i.test(xliffPath)) return importPo(survey, xliffContent)
+  if (/\.json$/i.test(xliffPath)) return importFlatJson(survey, xliffContent)
+  if (isXliff2(xliffContent)) return importXliff2(survey, xliffContent)
   // Ensure baseline defaults exist so applying translations has a proper source
   const normalized = normalizeDefaultsFromValues(survey)
   if (normalized > 0) {
     console.log(`🔧 Normalized ${normalized} items missing text.default before import`)
   }
-  const xliffContent = fs.readFileSync(xliffPath, 'utf8')
-  const { targetLanguage, units } = parseXLIFF(xliffContent)
+  const parsed = parseXLIFF(xliffContent)
+  const targetLanguage = langOverride ? normalizeLang(langOverride) : parsed.targetLanguage
+  const { units } = parsed
   if (!targetLanguage) {
     console.error('❌ Could not determine target-language from XLIFF <file> tag')
     process.exit(1)
@@ -94,13 +166,14 @@ function main() {
   for (const u of units) {
     const node = getByPath(survey, u.id)
     if (node && typeof node === 'object') {
-      node[targetLanguage] = u.target
+      node[targetLanguage] = hasPlaceholders(u.targetXml) ? restoreMarkup(u.targetXml, markupReference(node) || '').text : u.target
       applied++
     }
   }
 
   fs.writeFileSync(outPath, JSON.stringify(survey, null, 2), 'utf8')
   console.log(`✅ Applied ${applied} translations for ${targetLanguage}`)
+  warnMarkupMismatches(survey, targetLanguage)
   console.log(`💾 Wrote ${path.relative(projectRoot, outPath)}`)
 }
 
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Survey lint gate
+ *
+ * Runs the rule catalog in src/helpers/surveyLint.js over survey JSON files and
+ * exits with code 1 if any rule at `error` severity reports a finding.
+ *
+ * Usage:
+ *   node scripts/lint-surveys.js [files...] [options]
+ *
+ * Options:
+ *   --format=text|json|sarif   Output format (default: text)
+ *   --output=<file>            Write the report to a file instead of stdout
+ *   --config=<file>            Rule config (default: survey-lint.config.json if present)
+ *   --rule=<id>:<severity>     Override a rule severity (error|warning|off), repeatable
+ *   --only=<id>[,<id>...]      Run only the listed rules
+ *   --list-rules               Print the rule catalog and exit
+ *
+ * Without files, lints the source and updated JSON of every catalog survey in surveys/.
+ *
+ * Examples:
+ *   node scripts/lint-surveys.js
+ *   node scripts/lint-surveys.js surveys/child_survey.json --format=sarif --output=survey-lint.sarif
+ *   node scripts/lint-surveys.js --only=no-base-es
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getSurveyVersionFileNames } from '../src/constants/surveys.js'
+import { LINT_RULES, lintSurvey, resolveRuleSeverities, toSarif } from '../src/helpers/surveyLint.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const surveysDir = path.resolve(projectRoot, 'surveys')
+const DEFAULT_CONFIG = path.resolve(projectRoot, 'survey-lint.config.json')
+
+function parseArgs(argv) {
+  const options = { files: [], format: 'text', output: null, config: null, overrides: {}, only: null, listRules: false }
+  for (const arg of argv) {
+    if (arg.startsWith('--format=')) options.format = arg.slice('--format='.length)
+    else if (arg.startsWith('--output=')) options.output = arg.slice('--output='.length)
+    else if (arg.startsWith('--config=')) options.config = arg.slice('--config='.length)
+    else if (arg.startsWith('--rule=')) {
+      const [id, severity] = arg.slice('--rule='.length).split(':')
+      options.overrides[id] = severity
+    } else if (arg.startsWith('--only=')) options.only = arg.slice('--only='.length).split(',').filter(Boolean)
+    else if (arg === '--list-rules') options.listRules = true
+    else if (!arg.startsWith('--')) options.files.push(arg)
+  }
+  return options
+}
+
+/**
+ * Build the effective per-rule severities from the config file, --only and --rule flags
+ */
+function loadRuleConfig({ config, overrides, only }) {
+  const configPath = config ? path.resolve(process.cwd(), config) : DEFAULT_CONFIG
+  let rules = {}
+  if (fs.existsSync(configPath)) {
+    rules = JSON.parse(fs.readFileSync(configPath, 'utf8')).rules || {}
+  } else if (config) {
+    throw new Error(`Config file not found: ${configPath}`)
+  }
+  if (only) {
+    rules = Object.fromEntries(LINT_RULES.map(rule => [rule.id, only.includes(rule.id) ? (rules[rule.id] || rule.defaultSeverity) : 'off']))
+  }
+  rules = { ...rules, ...overrides }
+  // Validate once up front so a typo fails before any file is read
+  resolveRuleSeverities(rules)
+  return rules
+}
+
+function defaultFiles() {
+  const names = new Set([...getSurveyVersionFileNames('source'), ...getSurveyVersionFileNames('updated')])
+  return Array.from(names).map(f => path.join(surveysDir, f)).filter(f => fs.existsSync(f))
+}
+
+function formatText(results) {
+  const lines = []
+  let errors = 0
+  let warnings = 0
+  for (const result of results) {
+    errors += result.errorCount
+    warnings += result.warningCount
+    if (result.findings.length === 0) {
+      lines.push(`✅ ${result.file}`)
+      continue
+    }
+    lines.push(`${result.errorCount > 0 ? '❌' : '⚠️ '} ${result.file}`)
+    for (const f of result.findings) {
+      const where = f.elementName ? `${f.elementName} (${f.path})` : f.path
+      lines.push(`   ${f.severity.padEnd(7)} ${f.ruleId.padEnd(30)} ${where}: ${f.message}`)
+    }
+  }
+  lines.push('')
+  lines.push(`${errors > 0 ? '❌' : '✅'} ${errors} error(s), ${warnings} warning(s) in ${results.length} file(s)`)
+  return lines.join('\n')
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+
+  if (options.listRules) {
+    for (const rule of LINT_RULES) {
+      console.log(`${rule.id.padEnd(30)} ${rule.defaultSeverity.padEnd(7)} ${rule.description}`)
+    }
+    return
+  }
+
+  if (!['text', 'json', 'sarif'].includes(options.format)) {
+    console.error(`❌ Unknown format: ${options.format} (expected text, json or sarif)`)
+    process.exit(2)
+  }
+
+  let rules
+  try {
+    rules = loadRuleConfig(options)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(2)
+  }
+
+  const files = options.files.length > 0
+    ? options.files.map(p => path.resolve(process.cwd(), p))
+    : defaultFiles()
+
+  const results = []
+  for (const fp of files) {
+    const file = path.relative(projectRoot, fp)
+    let survey
+    try {
+      survey = JSON.parse(fs.readFileSync(fp, 'utf8'))
+    } catch (error) {
+      results.push({
+        file,
+        findings: [{ ruleId: 'invalid-json', severity: 'error', message: `Unreadable JSON: ${error.message}`, path: '' }],
+        errorCount: 1,
+        warningCount: 0
+      })
+      continue
+    }
+    results.push(lintSurvey(survey, { rules, file }))
+  }
+
+  const report = options.format === 'sarif'
+    ? JSON.stringify(toSarif(results, { rules }), null, 2)
+    : options.format === 'json'
+      ? JSON.stringify(results, null, 2)
+      : formatText(results)
+
+  if (options.output) {
+    fs.writeFileSync(path.resolve(process.cwd(), options.output), report + '\n', 'utf8')
+    console.log(`📄 Wrote ${options.format} report to ${options.output}`)
+  } else {
+    console.log(report)
+  }
+
+  if (results.some(r => r.errorCount > 0)) process.exit(1)
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+}
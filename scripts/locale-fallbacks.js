@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Locale fallback chains
+ *
+ * Regional variants declared in LOCALE_FALLBACKS (src/constants/languages.js)
+ * inherit every string they do not store from their parent locale, e.g.
+ * es-AR → es-CO → default. This replaces copying one locale into another
+ * (sync-en-gh.js, copy-es-co-to-es.cjs, crowdin-copy-en-to-en-gh.js): the
+ * preview and the coverage report follow the chains, and deploy-surveys.js
+ * --materialize-fallbacks fills the inherited strings into what it uploads.
+ *
+ * Commands:
+ *   chains                      Print the declared fallback chains
+ *   prune [files...]            Remove variant strings identical to what they inherit
+ *   materialize [files...]      Write copies with the inherited strings filled in
+ *
+ * Usage:
+ *   node scripts/locale-fallbacks.js <command> [files...] [options]
+ *
+ * Options:
+ *   --version=updated|source    Catalog file variant when no files are given (default: updated)
+ *   --out-dir=<dir>             Where materialize writes its copies (default: reports/materialized)
+ *   --dry-run                   Report what prune would remove without writing
+ *
+ * Examples:
+ *   node scripts/locale-fallbacks.js chains
+ *   node scripts/locale-fallbacks.js prune --dry-run
+ *   node scripts/locale-fallbacks.js materialize surveys/child_survey_updated.json --out-dir=/tmp/materialized
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { LOCALE_FALLBACKS, getFallbackChain } from '../src/constants/languages.js'
+import { getSurveys } from '../src/constants/surveys.js'
+import { materializeFallbacks, pruneInheritedTranslations } from '../src/helpers/localeFallbacks.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const surveysDir = path.resolve(projectRoot, 'surveys')
+
+const COMMANDS = ['chains', 'prune', 'materialize']
+
+function parseArgs(argv) {
+  const options = { command: null, files: [], version: 'updated', outDir: 'reports/materialized', dryRun: false }
+  for (const arg of argv) {
+    if (arg.startsWith('--version=')) options.version = arg.slice('--version='.length)
+    else if (arg.startsWith('--out-dir=')) options.outDir = arg.slice('--out-dir='.length)
+    else if (arg === '--dry-run') options.dryRun = true
+    else if (!arg.startsWith('--') && !options.command) options.command = arg
+    else if (!arg.startsWith('--')) options.files.push(arg)
+  }
+  return options
+}
+
+/**
+ * Resolve the surveys to work on as { name, file } pairs
+ */
+function resolveInputs({ files, version }) {
+  if (files.length > 0) {
+    return files.map(p => {
+      const file = path.resolve(process.cwd(), p)
+      return { name: path.basename(file, '.json'), file }
+    })
+  }
+  return getSurveys()
+    .map(s => ({ name: s.name, file: path.join(surveysDir, s.versions[version] || s.fileName) }))
+    .filter(({ name, file }) => {
+      if (fs.existsSync(file)) return true
+      console.warn(`⚠️  Skipping ${name}: ${path.relative(projectRoot, file)} not found`)
+      return false
+    })
+}
+
+const formatCounts = (counts) => Object.entries(counts).map(([locale, n]) => `${locale} ${n}`).join(', ')
+
+function printChains() {
+  for (const locale of Object.keys(LOCALE_FALLBACKS).sort()) {
+    console.log(`🌐 ${getFallbackChain(locale).join(' → ')}`)
+  }
+}
+
+function prune(inputs, dryRun) {
+  let total = 0
+  for (const { name, file } of inputs) {
+    const survey = JSON.parse(fs.readFileSync(file, 'utf8'))
+    const { removed, removedByLocale } = pruneInheritedTranslations(survey)
+    total += removed
+    if (removed === 0) {
+      console.log(`✅ ${name}: every variant string differs from what it inherits`)
+      continue
+    }
+    console.log(`✂️  ${name}: ${removed} inherited string(s) ${dryRun ? 'would be ' : ''}removed (${formatCounts(removedByLocale)})`)
+    if (!dryRun) fs.writeFileSync(file, JSON.stringify(survey, null, 2), 'utf8')
+  }
+  console.log(`\n${dryRun ? '🔍 Dry run: ' : ''}${total} string(s) ${dryRun ? 'would be ' : ''}removed`)
+}
+
+function materialize(inputs, outDir) {
+  const outPath = path.resolve(process.cwd(), outDir)
+  fs.mkdirSync(outPath, { recursive: true })
+  for (const { name, file } of inputs) {
+    const { survey, filled } = materializeFallbacks(JSON.parse(fs.readFileSync(file, 'utf8')))
+    const target = path.join(outPath, path.basename(file))
+    fs.writeFileSync(target, JSON.stringify(survey, null, 2), 'utf8')
+    const counts = formatCounts(filled)
+    console.log(`📄 ${name} → ${path.relative(process.cwd(), target)}${counts ? ` (filled ${counts})` : ' (nothing inherited)'}`)
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (!COMMANDS.includes(options.command) || !['updated', 'source'].includes(options.version)) {
+    console.error('Usage: node scripts/locale-fallbacks.js chains')
+    console.error('       node scripts/locale-fallbacks.js prune [files...] [--version=updated|source] [--dry-run]')
+    console.error('       node scripts/locale-fallbacks.js materialize [files...] [--version=updated|source] [--out-dir=dir]')
+    process.exit(2)
+  }
+  if (options.command === 'chains') printChains()
+  else if (options.command === 'prune') prune(resolveInputs(options), options.dryRun)
+  else materialize(resolveInputs(options), options.outDir)
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+}
@@ -12,34 +12,18 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getSurveys, getTranslationsCsvFileName, getCrowdinCsvFileName } from '../src/constants/surveys.js'
+import { LOCALE_COLUMN_PATTERN, formatCsvRow, parseCsv } from '../src/helpers/csv.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 const root = path.resolve(__dirname, '..')
 const surveysDir = path.join(root, 'surveys')
 
-const SURVEYS = [
-  {
-    local: 'child_survey_translations.csv',
-    crowdin: 'child_survey_crowdin_translations.csv',
-  },
-  {
-    local: 'parent_survey_family_translations.csv',
-    crowdin: 'parent_survey_family_crowdin_translations.csv',
-  },
-  {
-    local: 'parent_survey_child_translations.csv',
-    crowdin: 'parent_survey_child_crowdin_translations.csv',
-  },
-  {
-    local: 'teacher_survey_general_translations.csv',
-    crowdin: 'teacher_survey_general_crowdin_translations.csv',
-  },
-  {
-    local: 'teacher_survey_classroom_translations.csv',
-    crowdin: 'teacher_survey_classroom_crowdin_translations.csv',
-  },
-]
+const SURVEYS = getSurveys().map(survey => ({
+  local: getTranslationsCsvFileName(survey),
+  crowdin: getCrowdinCsvFileName(survey),
+}))
 
 function parseArgs() {
   const args = process.argv.slice(2)
@@ -49,36 +33,9 @@ function parseArgs() {
   return flags
 }
 
-function parseCsvLine(line) {
-  const out = []
-  let cur = ''
-  let inQuotes = false
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i]
-    if (ch === '"') inQuotes = !inQuotes
-    else if (ch === ',' && !inQuotes) { out.push(cur); cur = '' }
-    else cur += ch
-  }
-  out.push(cur)
-  return out.map((s) => s.trim())
-}
-
-function joinCsvLine(values) {
-  return values.map((v) => {
-    const s = v == null ? '' : String(v)
-    return (s.includes('"') || s.includes(',') || s.includes('\n'))
-      ? '"' + s.replace(/"/g, '""') + '"'
-      : s
-  }).join(',')
-}
-
 function readCsv(filepath) {
-  const content = fs.readFileSync(filepath, 'utf8')
-  const lines = content.split(/\r?\n/).filter((l) => l.length > 0)
-  if (lines.length === 0) return { header: [], rows: [] }
-  const header = parseCsvLine(lines[0])
-  const rows = lines.slice(1).map((l) => parseCsvLine(l))
-  return { header, rows }
+  const [header = [], ...rows] = parseCsv(fs.readFileSync(filepath, 'utf8'))
+  return { header: header.map((h) => h.trim()), rows: rows.map((cols) => cols.map((c) => c.trim())) }
 }
 
 function indexByIdentifier(header, rows) {
@@ -97,7 +54,7 @@ function isLanguageCol(name) {
   if (!name) return false
   if (name === 'identifier' || name === 'labels' || name === 'source') return false
   // allow BCP47 like de, de-CH, es-AR, en-US, fr_CA, etc.
-  return /^[a-z]{2}([_-][A-Za-z]{2})?$/.test(name)
+  return LOCALE_COLUMN_PATTERN.test(name)
 }
 
 function mergeOne(localPath, crowdinPath, seedEnUS) {
@@ -139,7 +96,7 @@ function mergeOne(localPath, crowdinPath, seedEnUS) {
   finalHeader.push(...finalLanguages)
 
   // Build output rows in local identifier order
-  const out = [joinCsvLine(finalHeader)]
+  const out = [formatCsvRow(finalHeader)]
   for (const [id, localEntry] of localMap.entries()) {
     const row = new Array(finalHeader.length).fill('')
     // set identifier and labels
@@ -177,7 +134,7 @@ function mergeOne(localPath, crowdinPath, seedEnUS) {
       }
       row[targetIdx] = val
     }
-    out.push(joinCsvLine(row))
+    out.push(formatCsvRow(row))
   }
 
   fs.writeFileSync(localPath, out.join('\n'), 'utf8')
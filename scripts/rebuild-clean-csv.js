@@ -2,23 +2,7 @@
 
 import fs from 'fs'
 import path from 'path'
-
-/**
- * Properly escape CSV field - critical for HTML content with commas
- */
-function escapeCSVField(value) {
-  if (value === null || value === undefined) return ''
-
-  const str = String(value).trim()
-  if (!str) return ''
-
-  // Always quote fields that contain commas, quotes, or newlines
-  if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
-    return '"' + str.replace(/"/g, '""') + '"'
-  }
-
-  return str
-}
+import { formatCsvRow } from '../src/helpers/csv.js'
 
 /**
  * Parse a potentially malformed CSV line by finding the pattern
@@ -176,21 +160,21 @@ function rebuildCleanCSV(inputFile, outputFile) {
       }
 
       // Build clean CSV line
-      const cleanLine = [
-        escapeCSVField(identifier),
-        escapeCSVField('parent_survey_child'),
-        escapeCSVField(''), // de
-        escapeCSVField(''), // de-CH
-        escapeCSVField(enGHText), // en-GH - our clean English
-        escapeCSVField(''), // en-US
-        escapeCSVField(''), // es
-        escapeCSVField(''), // es-AR
-        escapeCSVField(''), // es-CO
-        escapeCSVField(''), // fr
-        escapeCSVField(''), // fr-CA
-        escapeCSVField(''), // nl
-        escapeCSVField(enGHText) // source - same as en-GH
-      ].join(',')
+      const cleanLine = formatCsvRow([
+        identifier,
+        'parent_survey_child',
+        '', // de
+        '', // de-CH
+        enGHText, // en-GH - our clean English
+        '', // en-US
+        '', // es
+        '', // es-AR
+        '', // es-CO
+        '', // fr
+        '', // fr-CA
+        '', // nl
+        enGHText // source - same as en-GH
+      ])
 
       cleanLines.push(cleanLine)
       processedCount++
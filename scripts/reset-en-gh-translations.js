@@ -3,6 +3,7 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { parseCsv, stringifyCsv } from '../src/helpers/csv.js'
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url)
@@ -38,63 +39,6 @@ function parseArgs() {
   return options
 }
 
-/**
- * Parse CSV line, handling quoted fields properly
- */
-function parseCsvLine(line) {
-  const fields = []
-  let currentField = ''
-  let inQuotes = false
-  let i = 0
-
-  while (i < line.length) {
-    const char = line[i]
-    const nextChar = line[i + 1]
-
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        // Escaped quote
-        currentField += '"'
-        i += 2
-      } else {
-        // Toggle quote state
-        inQuotes = !inQuotes
-        i++
-      }
-    } else if (char === ',' && !inQuotes) {
-      // Field separator
-      fields.push(currentField)
-      currentField = ''
-      i++
-    } else {
-      currentField += char
-      i++
-    }
-  }
-
-  // Add the last field
-  fields.push(currentField)
-  return fields
-}
-
-/**
- * Escape CSV field value
- */
-function escapeCsvField(value) {
-  if (value === null || value === undefined) {
-    return ''
-  }
-
-  const stringValue = String(value)
-
-  // If the value contains quotes, commas, or newlines, wrap in quotes and escape internal quotes
-  if (stringValue.includes('"') || stringValue.includes(',') || stringValue.includes('\n') || stringValue.includes('\r')) {
-    return '"' + stringValue.replace(/"/g, '""') + '"'
-  }
-
-  return stringValue
-}
-
 /**
  * Reset en-GH translations by copying from another column
  */
@@ -110,15 +54,14 @@ async function resetEnGhTranslations(csvFilePath, options = {}) {
   }
 
   // Read the CSV file
-  const csvContent = fs.readFileSync(csvFilePath, 'utf8')
-  const lines = csvContent.split('\n')
+  const rows = parseCsv(fs.readFileSync(csvFilePath, 'utf8'))
 
-  if (lines.length === 0) {
+  if (rows.length === 0) {
     throw new Error('CSV file is empty')
   }
 
   // Parse header
-  const headerFields = parseCsvLine(lines[0])
+  const headerFields = rows[0]
   const sourceColumnIndex = headerFields.indexOf(copyFromColumn)
   const targetColumnIndex = headerFields.indexOf('en-GH')
 
@@ -133,21 +76,14 @@ async function resetEnGhTranslations(csvFilePath, options = {}) {
   console.log(`📍 Source column '${copyFromColumn}' at index: ${sourceColumnIndex}`)
   console.log(`📍 Target column 'en-GH' at index: ${targetColumnIndex}`)
 
-  // Process all lines
-  const processedLines = []
+  // Process all rows
+  const processedRows = []
   let resetCount = 0
   let emptyCount = 0
   let skippedCount = 0
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim()
-
-    if (!line) {
-      processedLines.push('')
-      continue
-    }
-
-    const fields = parseCsvLine(line)
+  for (let i = 0; i < rows.length; i++) {
+    const fields = rows[i]
 
     // Ensure we have enough fields
     while (fields.length <= Math.max(sourceColumnIndex, targetColumnIndex)) {
@@ -187,19 +123,17 @@ async function resetEnGhTranslations(csvFilePath, options = {}) {
       console.log(`  ⏭️  Row ${i + 1}: ${resetReason}`)
     }
 
-    // Rebuild the line
-    const newLine = fields.map(escapeCsvField).join(',')
-    processedLines.push(newLine)
+    processedRows.push(fields)
   }
 
-  const newCsvContent = processedLines.join('\n')
+  const newCsvContent = stringifyCsv(processedRows)
 
   // Summary
   console.log(`\n📊 Reset Summary:`)
   console.log(`   - Empty fields filled: ${emptyCount}`)
   console.log(`   - Corrupted fields fixed: ${resetCount}`)
   console.log(`   - Existing fields kept: ${skippedCount}`)
-  console.log(`   - Total rows processed: ${lines.length - 1}`) // -1 for header
+  console.log(`   - Total rows processed: ${rows.length - 1}`) // -1 for header
 
   if (dryRun) {
     console.log(`\n🧪 DRY RUN - No files were modified`)
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Translation review workbook (XLSX)
+ *
+ * Research coordinators review translations in Excel. `export` writes one sheet
+ * per survey: a row per string with its question, the English (frozen), a
+ * translation and a status column per locale, and a comments column
+ * (src/helpers/reviewWorkbook.js). Cells hold text only, so HTML with commas
+ * survives where the CSVs did not. `import` writes back the translations whose
+ * status is `approved` and reports the ones that conflict with the current JSON.
+ * The exported texts are kept in a hidden `_baseline` sheet to compare against.
+ * Runs fully offline.
+ *
+ * Commands:
+ *   export                      Write the review workbook
+ *   import <file.xlsx>          Apply approved translations to the survey files they came from
+ *
+ * Usage:
+ *   node scripts/review-workbook.js <command> [options]
+ *
+ * Options:
+ *   --surveys=<a>,<b>           Only these catalog surveys (export, e.g. child_survey)
+ *   --version=updated|source    Catalog file variant to export (default: updated, falling back to source)
+ *   --locales=<a>,<b>           Locale columns to export (default: every translation)
+ *   --output=<file>             Workbook to write (export, default: reports/translation-review.xlsx)
+ *   --report=<file>             Also write the import result as JSON (import)
+ *   --dry-run                   Report what would change without writing (import)
+ *
+ * Examples:
+ *   node scripts/review-workbook.js export --locales=de,es-CO
+ *   node scripts/review-workbook.js export --surveys=child_survey --output=reports/child-review.xlsx
+ *   node scripts/review-workbook.js import reports/translation-review.xlsx --dry-run
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getSurveys } from '../src/constants/surveys.js'
+import { COMMENTS_COLUMN, REVIEW_COLUMNS, REVIEW_STATUSES, applyReviewSheet, surveyToReviewSheet } from '../src/helpers/reviewWorkbook.js'
+import { loadStringIdMap, saveStringIdMap } from './translation-memory-utils.js'
+import { readXlsx, writeXlsx } from './xlsx-utils.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const surveysDir = path.resolve(projectRoot, 'surveys')
+
+const COMMANDS = ['export', 'import']
+const BASELINE_SHEET = '_baseline'
+const BASELINE_HEADER = ['Survey', 'File', 'Key', 'Locale', 'Text']
+
+function parseArgs(argv) {
+  const options = { command: null, file: null, surveys: [], version: 'updated', locales: [], output: 'reports/translation-review.xlsx', report: null, dryRun: false }
+  for (const arg of argv) {
+    if (arg.startsWith('--surveys=')) options.surveys = arg.slice('--surveys='.length).split(',').filter(Boolean)
+    else if (arg.startsWith('--version=')) options.version = arg.slice('--version='.length)
+    else if (arg.startsWith('--locales=')) options.locales = arg.slice('--locales='.length).split(',').filter(Boolean)
+    else if (arg.startsWith('--output=')) options.output = arg.slice('--output='.length)
+    else if (arg.startsWith('--report=')) options.report = arg.slice('--report='.length)
+    else if (arg === '--dry-run') options.dryRun = true
+    else if (!arg.startsWith('--') && !options.command) options.command = arg
+    else if (!arg.startsWith('--') && !options.file) options.file = arg
+  }
+  return options
+}
+
+/**
+ * Catalog surveys to work on as { name, file }, preferring the requested variant
+ */
+function resolveSurveys({ surveys, version }) {
+  const catalog = getSurveys()
+  const unknown = surveys.filter(name => !catalog.some(s => s.name === name))
+  if (unknown.length > 0) throw new Error(`Unknown survey(s): ${unknown.join(', ')}`)
+  return catalog
+    .filter(s => surveys.length === 0 || surveys.includes(s.name))
+    .map(s => {
+      const preferred = path.join(surveysDir, s.versions[version] || s.fileName)
+      return { name: s.name, file: fs.existsSync(preferred) ? preferred : path.join(surveysDir, s.fileName) }
+    })
+    .filter(({ name, file }) => {
+      if (fs.existsSync(file)) return true
+      console.warn(`⚠️  Skipping ${name}: ${path.relative(projectRoot, file)} not found`)
+      return false
+    })
+}
+
+// Column widths in characters: key, question, context, English, then text/status pairs, comments
+function columnWidths(header) {
+  return header.map((h, i) => {
+    if (i < REVIEW_COLUMNS.length) return [36, 22, 40, 60][i]
+    if (h === COMMENTS_COLUMN) return 40
+    return h.endsWith(' status') ? 16 : 60
+  })
+}
+
+function exportWorkbook({ locales, output, ...options }) {
+  const sheets = []
+  const baselineRows = [BASELINE_HEADER]
+  for (const { name, file } of resolveSurveys(options)) {
+    const survey = JSON.parse(fs.readFileSync(file, 'utf8'))
+    const { header, rows, baseline } = surveyToReviewSheet(survey, { locales, stringIds: loadStringIdMap(name) })
+    const relativeFile = path.relative(projectRoot, file)
+    for (const [key, texts] of Object.entries(baseline)) {
+      for (const [locale, text] of Object.entries(texts)) baselineRows.push([name, relativeFile, key, locale, text])
+    }
+    const statusColumns = header.flatMap((h, i) => (h.endsWith(' status') ? [i] : []))
+    sheets.push({
+      name,
+      rows: [header, ...rows],
+      widths: columnWidths(header),
+      freeze: { rows: 1, columns: REVIEW_COLUMNS.length },
+      lists: [{ columns: statusColumns, values: REVIEW_STATUSES }],
+      autoFilter: true
+    })
+    const flagged = rows.reduce((n, row) => n + row.filter(cell => cell === 'needs review').length, 0)
+    console.log(`📋 ${name} (${relativeFile}): ${rows.length} strings, ${statusColumns.length} locale(s)${flagged > 0 ? `, ${flagged} flagged for review` : ''}`)
+  }
+  if (sheets.length === 0) throw new Error('No surveys to export')
+
+  sheets.push({ name: BASELINE_SHEET, rows: baselineRows, hidden: true })
+  const outPath = path.resolve(process.cwd(), output)
+  fs.mkdirSync(path.dirname(outPath), { recursive: true })
+  fs.writeFileSync(outPath, writeXlsx(sheets))
+  console.log(`✅ Wrote ${path.relative(process.cwd(), outPath)} — set a status column to "approved" to import a translation`)
+}
+
+/**
+ * Exported texts by survey from the hidden baseline sheet
+ * @returns {Map<string, { file: string, baseline: import('../src/helpers/reviewWorkbook.js').ReviewBaseline }>}
+ */
+function readBaseline(sheet) {
+  const surveys = new Map()
+  const [header = [], ...rows] = sheet?.rows || []
+  const at = BASELINE_HEADER.map(name => header.indexOf(name))
+  for (const row of rows) {
+    const [survey, file, key, locale, text] = at.map(i => row[i] ?? '')
+    if (!survey || !key) continue
+    if (!surveys.has(survey)) surveys.set(survey, { file, baseline: {} })
+    const { baseline } = surveys.get(survey)
+    ;(baseline[key] = baseline[key] || {})[locale] = text
+  }
+  return surveys
+}
+
+function importWorkbook({ file, dryRun, report }) {
+  const workbookPath = path.resolve(process.cwd(), file)
+  if (!fs.existsSync(workbookPath)) throw new Error(`Workbook not found: ${file}`)
+  const sheets = readXlsx(fs.readFileSync(workbookPath))
+  const baselines = readBaseline(sheets.find(s => s.name === BASELINE_SHEET))
+  if (baselines.size === 0) console.warn('⚠️  No baseline sheet: translations edited in the JSON since the export cannot be detected')
+
+  const results = []
+  for (const sheet of sheets.filter(s => s.name !== BASELINE_SHEET && s.rows.length > 0)) {
+    const name = sheet.name
+    const entry = getSurveys().find(s => s.name === name)
+    const recorded = baselines.get(name)?.file
+    const surveyFile = recorded ? path.resolve(projectRoot, recorded) : entry && path.join(surveysDir, entry.versions.updated || entry.fileName)
+    if (!surveyFile || !fs.existsSync(surveyFile)) {
+      console.warn(`⚠️  Skipping sheet ${name}: no survey file${recorded ? ` (${recorded} not found)` : ''}`)
+      continue
+    }
+
+    const survey = JSON.parse(fs.readFileSync(surveyFile, 'utf8'))
+    const stringIds = loadStringIdMap(name)
+    const flagsBefore = JSON.stringify(stringIds)
+    const [header, ...rows] = sheet.rows
+    const result = applyReviewSheet(survey, { header, rows }, { baseline: baselines.get(name)?.baseline || null, stringIds })
+    results.push({ survey: name, file: path.relative(projectRoot, surveyFile), ...result })
+
+    if (result.applied.length + result.unchanged + result.conflicts.length + result.comments.length === 0) {
+      console.log(`📋 ${name}: nothing approved`)
+      continue
+    }
+    console.log(`📋 ${name} (${path.relative(projectRoot, surveyFile)})`)
+    console.log(`   ✅ ${result.applied.length} approved translation(s) applied, ${result.unchanged} already current`)
+    if (result.conflicts.length > 0) {
+      console.log(`   ⚠️  ${result.conflicts.length} conflict(s), not applied:`)
+      for (const c of result.conflicts) {
+        console.log(`      ${c.key} [${c.locale}] ${c.reason}`)
+        if (c.reason === 'changed' || c.reason === 'english-changed') {
+          console.log(`         exported: ${c.exported}`)
+          console.log(`         now:      ${c.current}`)
+        }
+      }
+    }
+    if (result.comments.length > 0) console.log(`   💬 ${result.comments.length} comment(s)${report ? '' : ' (see --report)'}`)
+
+    if (dryRun) continue
+    if (result.applied.length > 0) fs.writeFileSync(surveyFile, JSON.stringify(survey, null, 2), 'utf8')
+    if (stringIds && JSON.stringify(stringIds) !== flagsBefore) saveStringIdMap(stringIds)
+  }
+
+  if (report) {
+    const outPath = path.resolve(process.cwd(), report)
+    fs.mkdirSync(path.dirname(outPath), { recursive: true })
+    fs.writeFileSync(outPath, JSON.stringify({ generatedAt: new Date().toISOString(), workbook: file, dryRun, surveys: results }, null, 2) + '\n', 'utf8')
+    console.log(`📄 Wrote import report to ${report}`)
+  }
+  if (dryRun) console.log('🔍 Dry run: no files written')
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (!COMMANDS.includes(options.command) || (options.command === 'import' && !options.file) || !['updated', 'source'].includes(options.version)) {
+    console.error('Usage: node scripts/review-workbook.js export [--surveys=a,b] [--version=updated|source] [--locales=a,b] [--output=file.xlsx]')
+    console.error('       node scripts/review-workbook.js import <file.xlsx> [--report=file.json] [--dry-run]')
+    process.exit(2)
+  }
+  if (options.command === 'export') exportWorkbook(options)
+  else importWorkbook(options)
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    main()
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+}
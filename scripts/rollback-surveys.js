@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+/**
+ * Roll published surveys back to a backup folder
+ *
+ * Commands:
+ *   list                       List backup folders (newest first) with their files and versions
+ *   diff <backup|latest>       Semantic diff of each survey: current → backup
+ *   restore <backup|latest>    Restore surveys from the backup:
+ *                              1. backs up the current surveys to a new backup folder (MD5-verified)
+ *                              2. copies every selected survey from the backup and verifies its MD5
+ *                              3. restores release-manifest.json when every survey is rolled
+ *                                 back; otherwise rewrites the published manifest's entries
+ *                                 for the restored surveys and marks it as rolled back
+ *                              4. on any failure, puts the pre-rollback surveys and manifest back
+ *                              5. writes an audit entry to <prefix>/audit/rollback_<timestamp>.json
+ *
+ * Usage:
+ *   node scripts/rollback-surveys.js <command> [backup] [options]
+ *
+ * Options:
+ *   --bucket=<uri>         gs://bucket or a local directory standing in for it
+ *                          (default: levante-assets-dev, local with LEVANTE_STORAGE=local)
+ *   --prefix=<path>        Folder holding the surveys and backups (default: surveys)
+ *   --surveys=<a>,<b>      Only these surveys (catalog names, e.g. child_survey)
+ *   --dry-run              restore: show what would change without writing
+ *   --yes                  restore: required to actually write
+ *   --actor=<name>         Name recorded in the audit entry (default: git user.name)
+ *
+ * Examples:
+ *   node scripts/rollback-surveys.js list
+ *   node scripts/rollback-surveys.js diff latest --surveys=child_survey
+ *   node scripts/rollback-surveys.js restore backup_2025-09-01_12-00-00 --yes
+ *   node scripts/rollback-surveys.js restore latest --bucket=./tmp/fake-bucket --yes
+ */
+
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import { getSurveys } from '../src/constants/surveys.js'
+import { formatSurveyDiff, diffSurveys, hasChanges } from '../src/helpers/surveyDiff.js'
+import { RELEASE_MANIFEST_FILE, applyRollbackToManifest, getSurveyRelease } from '../src/helpers/surveyRelease.js'
+import { backupBucketObjects, getBackupFolderName, listBucketBackups } from './backup-utils.js'
+import { computeMd5Base64, openBucket, openStorage } from './storage-utils.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+
+const DEFAULT_BUCKET = 'levante-assets-dev'
+const COMMANDS = ['list', 'diff', 'restore']
+
+function parseArgs(argv) {
+  const options = { positional: [], bucket: null, prefix: 'surveys', surveys: [], dryRun: false, yes: false, actor: null }
+  for (const arg of argv) {
+    if (arg.startsWith('--bucket=')) options.bucket = arg.slice('--bucket='.length)
+    else if (arg.startsWith('--prefix=')) options.prefix = arg.slice('--prefix='.length).replace(/\/$/, '')
+    else if (arg.startsWith('--surveys=')) options.surveys = arg.slice('--surveys='.length).split(',').filter(Boolean)
+    else if (arg === '--dry-run') options.dryRun = true
+    else if (arg === '--yes') options.yes = true
+    else if (arg.startsWith('--actor=')) options.actor = arg.slice('--actor='.length)
+    else if (!arg.startsWith('--')) options.positional.push(arg)
+  }
+  return options
+}
+
+function getActor(actor) {
+  if (actor) return actor
+  const res = spawnSync('git', ['config', 'user.name'], { cwd: projectRoot, encoding: 'utf8' })
+  return (res.status === 0 && res.stdout.trim()) || process.env.USER || 'unknown'
+}
+
+function objectName(prefix, fileName) {
+  return prefix ? `${prefix}/${fileName}` : fileName
+}
+
+async function readJson(storage, name) {
+  try {
+    return JSON.parse((await storage.read(name)).toString('utf8'))
+  } catch {
+    return null
+  }
+}
+
+async function resolveBackup(storage, prefix, requested) {
+  const backups = await listBucketBackups(storage, prefix)
+  if (backups.length === 0) throw new Error(`No backups found under ${storage.uri}/${prefix}`)
+  if (!requested || requested === 'latest') return backups[0]
+  const backup = backups.find(b => b.name === requested)
+  if (!backup) throw new Error(`Backup not found: ${requested}`)
+  return backup
+}
+
+/**
+ * Catalog surveys to act on that the backup contains
+ */
+function selectSurveys(backup, requested) {
+  const catalog = getSurveys()
+  const unknown = requested.filter(name => !catalog.some(s => s.name === name))
+  if (unknown.length > 0) throw new Error(`Unknown survey(s): ${unknown.join(', ')}`)
+  const wanted = requested.length > 0 ? catalog.filter(s => requested.includes(s.name)) : catalog
+  const missing = wanted.filter(s => !backup.files.includes(s.fileName))
+  if (requested.length > 0 && missing.length > 0) {
+    throw new Error(`${backup.name} does not contain: ${missing.map(s => s.fileName).join(', ')}`)
+  }
+  return wanted.filter(s => backup.files.includes(s.fileName))
+}
+
+async function listCommand(storage, options) {
+  const backups = await listBucketBackups(storage, options.prefix)
+  if (backups.length === 0) {
+    console.log(`📭 No backups under ${storage.uri}/${options.prefix}`)
+    return
+  }
+  console.log(`📦 ${backups.length} backup(s) in ${storage.uri}/${options.prefix}:`)
+  for (const backup of backups) {
+    const versions = []
+    for (const survey of getSurveys().filter(s => backup.files.includes(s.fileName))) {
+      const release = getSurveyRelease(await readJson(storage, `${backup.path}/${survey.fileName}`))
+      versions.push(release ? `${survey.name}@${release.version}` : survey.name)
+    }
+    console.log(`   ${backup.name}  (${backup.date.toISOString()})  ${versions.join(', ') || backup.files.join(', ')}`)
+  }
+}
+
+async function diffCommand(storage, options) {
+  const backup = await resolveBackup(storage, options.prefix, options.positional[1])
+  const surveys = selectSurveys(backup, options.surveys)
+  console.log(`🔍 Current → ${backup.name}`)
+  for (const survey of surveys) {
+    const current = await readJson(storage, objectName(options.prefix, survey.fileName))
+    const restored = await readJson(storage, `${backup.path}/${survey.fileName}`)
+    console.log(`\n📋 ${survey.name}`)
+    if (!current) {
+      console.log('   (not currently published)')
+      continue
+    }
+    const diff = diffSurveys(current, restored)
+    console.log(hasChanges(diff) ? formatSurveyDiff(diff).replace(/^/gm, '   ') : '   No changes')
+  }
+}
+
+async function restoreCommand(storage, options) {
+  const backup = await resolveBackup(storage, options.prefix, options.positional[1])
+  const surveys = selectSurveys(backup, options.surveys)
+  if (surveys.length === 0) throw new Error(`${backup.name} contains no catalog surveys`)
+
+  const files = surveys.map(s => s.fileName)
+  // The manifest only matches the surveys when all of them come from the same backup;
+  // otherwise the published one is rewritten for the surveys that were restored
+  const allSurveys = surveys.length === getSurveys().length
+  const manifestName = objectName(options.prefix, RELEASE_MANIFEST_FILE)
+  const restoreManifest = allSurveys && backup.files.includes(RELEASE_MANIFEST_FILE)
+  if (restoreManifest) files.push(RELEASE_MANIFEST_FILE)
+  const currentManifest = restoreManifest ? null : await readJson(storage, manifestName)
+
+  for (const fileName of files) {
+    const current = await readJson(storage, objectName(options.prefix, fileName))
+    const restored = await readJson(storage, `${backup.path}/${fileName}`)
+    if (!restored) throw new Error(`${backup.path}/${fileName} is not valid JSON; refusing to restore it`)
+    if (fileName === RELEASE_MANIFEST_FILE) continue
+    const before = getSurveyRelease(current)?.version || 'unversioned'
+    const after = getSurveyRelease(restored)?.version || 'unversioned'
+    const summary = current ? diffSurveys(current, restored).summary : null
+    const changes = summary
+      ? `${summary.elementsAdded} added, ${summary.elementsRemoved} removed, ${summary.logicChanges} logic, ${summary.englishChanges} English`
+      : 'not currently published'
+    console.log(`   ↩️  ${fileName}: ${before} → ${after} (${changes})`)
+  }
+  if (restoreManifest) console.log(`   ↩️  ${RELEASE_MANIFEST_FILE}: restored from ${backup.name}`)
+  else if (currentManifest) console.log(`   ✏️  ${RELEASE_MANIFEST_FILE}: entries rewritten for the restored surveys`)
+
+  if (options.dryRun) {
+    console.log('\n🔍 DRY RUN: nothing was changed')
+    return
+  }
+  if (!options.yes) {
+    console.log('\n⚠️  Re-run with --yes to restore (or --dry-run to preview)')
+    process.exitCode = 1
+    return
+  }
+
+  const startedAt = new Date()
+  const preRollbackPath = objectName(options.prefix, getBackupFolderName(startedAt))
+  const audit = {
+    action: 'rollback',
+    startedAt: startedAt.toISOString(),
+    actor: getActor(options.actor),
+    bucket: storage.uri,
+    prefix: options.prefix,
+    backup: backup.name,
+    preRollbackBackup: preRollbackPath,
+    files: [],
+    manifest: { name: manifestName, action: restoreManifest ? 'restored' : currentManifest ? 'rewritten' : 'none' },
+    status: 'failed',
+    error: null
+  }
+
+  const restoredSoFar = []
+  let preRollback = []
+  try {
+    console.log(`\n📦 Backing up current surveys to ${preRollbackPath}...`)
+    const toBackUp = files.map(f => objectName(options.prefix, f))
+    if (currentManifest) toBackUp.push(manifestName)
+    preRollback = await backupBucketObjects(storage, toBackUp, preRollbackPath)
+
+    for (const fileName of files) {
+      const source = `${backup.path}/${fileName}`
+      const target = objectName(options.prefix, fileName)
+      const sourceMd5 = await storage.md5(source)
+      const previousMd5 = preRollback.find(p => p.name === target)?.md5 || null
+      await storage.copy(source, target)
+      restoredSoFar.push(target)
+      const targetMd5 = await storage.md5(target)
+      if (targetMd5 !== sourceMd5) throw new Error(`MD5 mismatch after restoring ${target} (${targetMd5} != ${sourceMd5})`)
+      audit.files.push({ name: target, source, md5Before: previousMd5, md5After: targetMd5 })
+      console.log(`   ✅ Restored ${target} (md5 ${targetMd5})`)
+    }
+
+    if (currentManifest) {
+      const restored = []
+      for (const survey of surveys) {
+        restored.push({ name: survey.name, fileName: survey.fileName, survey: await readJson(storage, objectName(options.prefix, survey.fileName)) })
+      }
+      const manifest = applyRollbackToManifest(currentManifest, restored, { backup: backup.name, rolledBackAt: startedAt.toISOString() })
+      const content = JSON.stringify(manifest, null, 2)
+      await storage.write(manifestName, content, { contentType: 'application/json', cacheControl: 'no-cache' })
+      restoredSoFar.push(manifestName)
+      const manifestMd5 = await storage.md5(manifestName)
+      if (manifestMd5 !== computeMd5Base64(content)) throw new Error(`MD5 mismatch after rewriting ${manifestName}`)
+      Object.assign(audit.manifest, {
+        md5Before: preRollback.find(p => p.name === manifestName)?.md5 || null,
+        md5After: manifestMd5,
+        surveys: manifest.surveys.filter(entry => entry.change === 'rollback').map(entry => ({ name: entry.name, version: entry.version, previousVersion: entry.previousVersion }))
+      })
+      console.log(`   ✅ Rewrote ${manifestName} (md5 ${manifestMd5})`)
+    }
+    audit.status = 'success'
+  } catch (error) {
+    audit.error = error.message
+    console.error(`   ❌ ${error.message}`)
+    // Put back what was there before so the bucket never mixes two versions
+    if (restoredSoFar.length > 0) {
+      console.log('   ↪️  Reverting to the pre-rollback state...')
+      for (const target of restoredSoFar) {
+        const saved = preRollback.find(p => p.name === target)
+        if (saved) await storage.copy(saved.backup, target)
+        else await storage.remove(target)
+      }
+      audit.status = 'reverted'
+    }
+    process.exitCode = 1
+  } finally {
+    audit.finishedAt = new Date().toISOString()
+    const auditName = objectName(options.prefix, `audit/rollback_${getBackupFolderName(startedAt).replace(/^backup_/, '')}.json`)
+    await storage.write(auditName, JSON.stringify(audit, null, 2) + '\n')
+    console.log(`   📝 Audit entry: ${auditName}`)
+  }
+
+  if (audit.status === 'success') console.log(`\n✅ Rolled back ${files.length} file(s) to ${backup.name}`)
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+  const command = options.positional[0]
+  if (!COMMANDS.includes(command)) {
+    console.error(`Usage: node scripts/rollback-surveys.js <${COMMANDS.join('|')}> [backup] [--bucket=<uri>] [--surveys=a,b] [--dry-run] [--yes]`)
+    process.exit(2)
+  }
+
+  const storage = options.bucket ? await openStorage(options.bucket) : await openBucket(DEFAULT_BUCKET)
+  if (command === 'list') await listCommand(storage, options)
+  else if (command === 'diff') await diffCommand(storage, options)
+  else await restoreCommand(storage, options)
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * Answer-scenario runner
+ *
+ * Applies the scenario files in scenarios/<survey name>/ (JSON or YAML: a name
+ * plus answers keyed by question name) to a headless survey-core Model and
+ * reports, per scenario, the pages and questions that became visible, the
+ * answers SurveyJS cleared because their question was hidden, and the final
+ * data. Scenarios with an `expect` block fail when it is not met, so the same
+ * files check skip logic in CI. The preview tool runs them in its Scenarios tab.
+ *
+ * Usage:
+ *   node scripts/run-scenarios.js [scenario files or directories...] [options]
+ *
+ * Options:
+ *   --surveys=<a>,<b>           Only run the scenarios of these surveys
+ *   --version=updated|source    Catalog file variant to run against (default: updated)
+ *   --format=text|json          Output format (default: text)
+ *   --details                   With --format=text, also list hidden questions and the final data
+ *   --output=<file>             Write the report to a file instead of stdout
+ *   --strict                    Also fail on answers to names that are not questions of the survey
+ *
+ * Exits with code 1 when a scenario file is invalid or an expectation is not met.
+ *
+ * Examples:
+ *   node scripts/run-scenarios.js
+ *   node scripts/run-scenarios.js scenarios/parent_survey_child/toddler.yaml --details
+ *   node scripts/run-scenarios.js --surveys=parent_survey_child --version=source --format=json
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getSurveyByName } from '../src/constants/surveys.js'
+import { SCENARIO_EXTENSIONS, parseScenario, runScenario } from '../src/helpers/surveyScenarios.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const surveysDir = path.resolve(projectRoot, 'surveys')
+const scenariosDir = path.resolve(projectRoot, 'scenarios')
+
+const FORMATS = ['text', 'json']
+
+function parseArgs(argv) {
+  const options = { paths: [], surveys: [], version: 'updated', format: 'text', details: false, output: null, strict: false }
+  for (const arg of argv) {
+    if (arg.startsWith('--surveys=')) options.surveys = arg.slice('--surveys='.length).split(',').filter(Boolean)
+    else if (arg.startsWith('--version=')) options.version = arg.slice('--version='.length)
+    else if (arg.startsWith('--format=')) options.format = arg.slice('--format='.length)
+    else if (arg === '--details') options.details = true
+    else if (arg.startsWith('--output=')) options.output = arg.slice('--output='.length)
+    else if (arg === '--strict') options.strict = true
+    else if (!arg.startsWith('--')) options.paths.push(arg)
+  }
+  return options
+}
+
+const isScenarioFile = (file) => SCENARIO_EXTENSIONS.includes(path.extname(file).toLowerCase())
+
+/**
+ * Scenario files to run: the given files and directories, or every
+ * scenarios/<survey>/ file. The survey is the name of the containing directory.
+ */
+function resolveScenarioFiles({ paths, surveys }) {
+  const roots = paths.length > 0 ? paths.map(p => path.resolve(process.cwd(), p)) : [scenariosDir]
+  const files = []
+  const visit = (entry) => {
+    if (!fs.existsSync(entry)) {
+      console.warn(`⚠️  Skipping ${path.relative(process.cwd(), entry)}: not found`)
+      return
+    }
+    if (fs.statSync(entry).isDirectory()) {
+      fs.readdirSync(entry).sort().forEach(name => visit(path.join(entry, name)))
+    } else if (isScenarioFile(entry)) {
+      files.push(entry)
+    }
+  }
+  roots.forEach(visit)
+  return files
+    .map(file => ({ file, survey: path.basename(path.dirname(file)) }))
+    .filter(({ survey }) => surveys.length === 0 || surveys.includes(survey))
+}
+
+/**
+ * Run the scenarios, grouped by survey
+ */
+function runAll(scenarioFiles, version) {
+  const bySurvey = new Map()
+  for (const entry of scenarioFiles) {
+    if (!bySurvey.has(entry.survey)) bySurvey.set(entry.survey, [])
+    bySurvey.get(entry.survey).push(entry)
+  }
+
+  const reports = []
+  for (const [name, entries] of bySurvey) {
+    const catalogEntry = getSurveyByName(name)
+    const surveyFile = catalogEntry ? path.join(surveysDir, catalogEntry.versions[version] || catalogEntry.fileName) : null
+    const report = { survey: name, file: surveyFile ? path.relative(projectRoot, surveyFile) : null, error: null, scenarios: [] }
+    reports.push(report)
+    if (!catalogEntry) {
+      report.error = `${name} is not a survey in the catalog (scenarios must live in scenarios/<survey name>/)`
+      continue
+    }
+    if (!fs.existsSync(surveyFile)) {
+      report.error = `${report.file} not found`
+      continue
+    }
+    const surveyJson = JSON.parse(fs.readFileSync(surveyFile, 'utf8'))
+    for (const { file } of entries) {
+      const relative = path.relative(projectRoot, file)
+      try {
+        const scenario = parseScenario(fs.readFileSync(file, 'utf8'), relative)
+        report.scenarios.push({ file: relative, error: null, ...runScenario(surveyJson, scenario) })
+      } catch (error) {
+        report.scenarios.push({ file: relative, name: path.basename(file), error: error.message })
+      }
+    }
+  }
+  return reports
+}
+
+const failed = (scenario, strict) => Boolean(scenario.error) || scenario.failures.length > 0 || (strict && scenario.unknownQuestions.length > 0)
+
+function formatText(reports, { details, strict }) {
+  const lines = []
+  for (const report of reports) {
+    lines.push(`📋 ${report.survey}${report.file ? ` (${report.file})` : ''}`)
+    if (report.error) {
+      lines.push(`   ❌ ${report.error}`, '')
+      continue
+    }
+    for (const s of report.scenarios) {
+      lines.push(`   ${failed(s, strict) ? '❌' : '✅'} ${path.basename(s.file)}: ${s.name}`)
+      if (s.error) {
+        lines.push(`      ✖ ${s.error}`)
+        continue
+      }
+      const pages = s.visiblePages.length + s.hiddenPages.length
+      const questions = s.visibleQuestions.length + s.hiddenQuestions.length
+      lines.push(`      ${s.visiblePages.length}/${pages} pages and ${s.visibleQuestions.length}/${questions} questions visible, ${Object.keys(s.data).length} answer(s) kept, ${s.cleared.length} cleared`)
+      if (s.hiddenPages.length > 0) lines.push(`      Hidden pages: ${s.hiddenPages.join(', ')}`)
+      for (const c of s.cleared) {
+        lines.push(`      🧹 ${c.name} = ${JSON.stringify(c.value)} cleared ${c.on === 'hidden' ? 'when its question was hidden' : 'on completion (question hidden)'}`)
+      }
+      for (const name of s.unknownQuestions) lines.push(`      ${strict ? '✖' : '⚠️ '} ${name} is not a question of ${report.survey}`)
+      for (const failure of s.failures) lines.push(`      ✖ ${failure}`)
+      if (details) {
+        lines.push(`      Visible pages: ${s.visiblePages.join(', ')}`)
+        lines.push(`      Hidden questions: ${s.hiddenQuestions.join(', ') || 'none'}`)
+        lines.push(`      Final data: ${JSON.stringify(s.data)}`)
+      }
+    }
+    lines.push('')
+  }
+  return lines.join('\n')
+}
+
+function render(reports, options) {
+  if (options.format === 'json') return JSON.stringify({ generatedAt: new Date().toISOString(), surveys: reports }, null, 2)
+  return formatText(reports, options)
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (!FORMATS.includes(options.format)) {
+    console.error(`❌ Unknown format: ${options.format} (expected ${FORMATS.join(', ')})`)
+    process.exit(2)
+  }
+  if (!['updated', 'source'].includes(options.version)) {
+    console.error(`❌ Unknown version: ${options.version} (expected updated or source)`)
+    process.exit(2)
+  }
+
+  const scenarioFiles = resolveScenarioFiles(options)
+  if (scenarioFiles.length === 0) {
+    console.error(`❌ No scenario files (${SCENARIO_EXTENSIONS.join(', ')}) found`)
+    process.exit(2)
+  }
+  const reports = runAll(scenarioFiles, options.version)
+
+  const report = render(reports, options)
+  if (options.output) {
+    const outPath = path.resolve(process.cwd(), options.output)
+    fs.mkdirSync(path.dirname(outPath), { recursive: true })
+    fs.writeFileSync(outPath, report + '\n', 'utf8')
+    console.log(`📄 Wrote ${options.format} report to ${options.output}`)
+  } else {
+    console.log(report)
+  }
+
+  const failures = reports.reduce((n, r) => n + (r.error ? 1 : r.scenarios.filter(s => failed(s, options.strict)).length), 0)
+  if (failures > 0) {
+    console.error(`❌ ${failures} scenario(s) or survey(s) failed`)
+    process.exit(1)
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+}
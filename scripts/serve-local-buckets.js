@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Serve local bucket directories over HTTP for the preview app
+ *
+ * Serves LEVANTE_STORAGE_ROOT (default: local-buckets/) the way
+ * storage.googleapis.com serves public buckets, so the app can load
+ * "dev"/"prod" surveys from disk:
+ *
+ *   GET /<bucket>/<object>                          object content
+ *   GET /storage/v1/b/<bucket>/o?prefix=&delimiter= JSON API listing (used for backup folders)
+ *
+ * Point the app at it with VITE_STORAGE_BASE_URL:
+ *   VITE_STORAGE_BASE_URL=http://localhost:8787 npm run dev
+ *
+ * Usage:
+ *   node scripts/serve-local-buckets.js [options]
+ *
+ * Options:
+ *   --port=<n>       Port to listen on (default: 8787)
+ *   --root=<dir>     Bucket root directory (default: LEVANTE_STORAGE_ROOT or local-buckets)
+ *   --seed           Copy surveys/<survey>.json into the dev and prod buckets before serving
+ *
+ * Examples:
+ *   node scripts/serve-local-buckets.js --seed
+ *   LEVANTE_STORAGE=local node scripts/deploy-surveys.js --env=DEV --skip-download
+ */
+
+import fs from 'fs'
+import path from 'path'
+import http from 'http'
+import { fileURLToPath } from 'url'
+import { getSurveys } from '../src/constants/surveys.js'
+import { getStorageConfig, openStorage } from './storage-utils.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+
+const DEFAULT_PORT = 8787
+const SEED_BUCKETS = ['levante-assets-dev', 'levante-assets-prod']
+
+const CONTENT_TYPES = {
+  '.json': 'application/json; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.xliff': 'application/xml; charset=utf-8',
+  '.xlf': 'application/xml; charset=utf-8'
+}
+
+function parseArgs(argv) {
+  const options = { port: DEFAULT_PORT, root: null, seed: false }
+  for (const arg of argv) {
+    if (arg.startsWith('--port=')) options.port = Number(arg.slice('--port='.length))
+    else if (arg.startsWith('--root=')) options.root = arg.slice('--root='.length)
+    else if (arg === '--seed') options.seed = true
+  }
+  return options
+}
+
+async function seedBuckets(root) {
+  for (const bucketName of SEED_BUCKETS) {
+    const bucket = await openStorage(path.join(root, bucketName))
+    let copied = 0
+    for (const survey of getSurveys()) {
+      const localPath = path.join(projectRoot, 'surveys', survey.fileName)
+      if (!fs.existsSync(localPath)) continue
+      await bucket.write(`surveys/${survey.fileName}`, fs.readFileSync(localPath))
+      copied++
+    }
+    console.log(`🌱 Seeded ${copied} survey(s) into ${bucket.uri}/surveys`)
+  }
+}
+
+function getBucketDir(root, bucketName) {
+  if (!/^[a-z0-9][a-z0-9._-]*$/.test(bucketName) || bucketName.includes('..')) throw new Error(`Invalid bucket name: ${bucketName}`)
+  return path.join(root, bucketName)
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * GCS JSON API style listing: { kind, items, prefixes }
+ */
+async function handleList(res, root, bucketName, searchParams) {
+  const bucketDir = getBucketDir(root, bucketName)
+  if (!fs.existsSync(bucketDir)) return sendJson(res, 404, { error: { code: 404, message: `No such bucket: ${bucketName}` } })
+  const bucket = await openStorage(bucketDir)
+  const { files, prefixes } = await bucket.list(searchParams.get('prefix') || '', { delimiter: searchParams.get('delimiter') || undefined })
+  const items = []
+  for (const name of files) {
+    const meta = await bucket.metadata(name)
+    items.push({ kind: 'storage#object', name, bucket: bucketName, size: String(meta.size), md5Hash: meta.md5Hash, updated: meta.updated, contentType: meta.contentType })
+  }
+  sendJson(res, 200, { kind: 'storage#objects', items, ...(prefixes.length > 0 ? { prefixes } : {}) })
+}
+
+async function handleObject(res, root, bucketName, objectName, headOnly) {
+  const bucket = await openStorage(getBucketDir(root, bucketName))
+  if (!objectName || !(await bucket.exists(objectName))) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' })
+    return res.end('Not Found')
+  }
+  const content = await bucket.read(objectName)
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(objectName)] || 'application/octet-stream',
+    'Content-Length': content.length,
+    'Cache-Control': 'no-cache'
+  })
+  res.end(headOnly ? undefined : content)
+}
+
+function createServer(root) {
+  return http.createServer(async (req, res) => {
+    // The app is served from another origin (Vite dev server)
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS')
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204)
+      return res.end()
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Content-Type': 'text/plain' })
+      return res.end('Method Not Allowed')
+    }
+
+    try {
+      const url = new URL(req.url, 'http://localhost')
+      const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent)
+      if (segments[0] === 'storage' && segments[1] === 'v1' && segments[2] === 'b' && segments[4] === 'o' && segments.length === 5) {
+        await handleList(res, root, segments[3], url.searchParams)
+      } else if (segments.length > 0) {
+        await handleObject(res, root, segments[0], segments.slice(1).join('/'), req.method === 'HEAD')
+      } else {
+        sendJson(res, 200, { buckets: fs.existsSync(root) ? fs.readdirSync(root).filter(name => fs.statSync(path.join(root, name)).isDirectory()) : [] })
+      }
+    } catch (error) {
+      // Invalid bucket names and object names escaping the bucket root
+      res.writeHead(400, { 'Content-Type': 'text/plain' })
+      res.end(error.message)
+    }
+    console.log(`   ${req.method} ${req.url} → ${res.statusCode}`)
+  })
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (!Number.isInteger(options.port) || options.port <= 0) {
+    console.error('Usage: node scripts/serve-local-buckets.js [--port=8787] [--root=<dir>] [--seed]')
+    process.exit(2)
+  }
+
+  const root = options.root ? path.resolve(process.cwd(), options.root) : getStorageConfig().root
+  fs.mkdirSync(root, { recursive: true })
+  if (options.seed) await seedBuckets(root)
+
+  createServer(root).listen(options.port, () => {
+    console.log(`🗄️  Serving local buckets from ${path.relative(projectRoot, root) || root}`)
+    console.log(`🌐 http://localhost:${options.port}  (run the app with VITE_STORAGE_BASE_URL=http://localhost:${options.port})`)
+  })
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  })
+}
@@ -7,6 +7,7 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getSurveyVersionFileNames } from '../src/constants/surveys.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -21,13 +22,7 @@ if (!fs.existsSync(targetDir)) {
 }
 
 // Survey files to copy
-const surveyFiles = [
-  'child_survey_updated.json',
-  'parent_survey_family_updated.json',
-  'parent_survey_child_updated.json',
-  'teacher_survey_general_updated.json',
-  'teacher_survey_classroom_updated.json'
-]
+const surveyFiles = getSurveyVersionFileNames('updated')
 
 console.log('📋 Copying survey files for e2e testing...')
 
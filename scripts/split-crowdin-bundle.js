@@ -3,59 +3,25 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { getSurveys, getSurveyByIdentifier, getCrowdinCsvFileName } from '../src/constants/surveys.js'
+import { parseCsv, stringifyCsv } from '../src/helpers/csv.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 const projectRoot = path.dirname(__dirname)
 
-const TARGET_CSV_FILES = [
-  'child_survey_crowdin_translations.csv',
-  'parent_survey_family_crowdin_translations.csv',
-  'parent_survey_child_crowdin_translations.csv',
-  'teacher_survey_general_crowdin_translations.csv',
-  'teacher_survey_classroom_crowdin_translations.csv'
-]
+const TARGET_CSV_FILES = getSurveys().map(getCrowdinCsvFileName)
 
 // Survey name to filename mapping
-const SURVEY_NAME_MAPPING = {
-  'child_survey': 'child_survey_crowdin_translations.csv',
-  'parent_survey_family': 'parent_survey_family_crowdin_translations.csv',
-  'parent_survey_child': 'parent_survey_child_crowdin_translations.csv',
-  'teacher_survey_general': 'teacher_survey_general_crowdin_translations.csv',
-  'teacher_survey_classroom': 'teacher_survey_classroom_crowdin_translations.csv'
-}
-
-// Helper function to parse CSV line respecting quotes
-function parseCSVLine(line) {
-  const result = []
-  let current = ''
-  let inQuotes = false
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i]
-
-    if (char === '"') {
-      inQuotes = !inQuotes
-    } else if (char === ',' && !inQuotes) {
-      result.push(current.trim())
-      current = ''
-    } else {
-      current += char
-    }
-  }
-
-  result.push(current.trim())
-  return result
-}
+const SURVEY_NAME_MAPPING = Object.fromEntries(
+  getSurveys().map(survey => [survey.name, getCrowdinCsvFileName(survey)])
+)
 
 /**
  * Parse the combined CSV and split by survey prefixes
  */
-function splitCombinedCSV(csvContent) {
-  const lines = csvContent.trim().split('\n')
-  if (lines.length < 2) return {}
-
-  const header = lines[0]
+function splitCombinedCSV(header, rows) {
+  if (!header || rows.length === 0) return {}
   const surveyFiles = {}
 
   // Initialize each survey file with header
@@ -64,53 +30,31 @@ function splitCombinedCSV(csvContent) {
   }
 
   // Find the labels column index
-  const headerColumns = parseCSVLine(header)
-  const labelsIndex = headerColumns.indexOf('labels')
+  const labelsIndex = header.map(h => h.trim()).indexOf('labels')
 
   if (labelsIndex === -1) {
     console.log('   ⚠️  No labels column found, using identifier patterns')
-    return splitByIdentifierPatterns(lines, header, surveyFiles)
+    return splitByIdentifierPatterns(rows, surveyFiles)
   }
 
   console.log(`   📋 Using labels column (index ${labelsIndex}) for survey grouping`)
 
   // Process each data row
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim()
-    if (!line) continue
-
-    const columns = parseCSVLine(line)
+  for (const columns of rows) {
     if (columns.length <= labelsIndex) continue
 
-    const surveyName = columns[labelsIndex]
+    const surveyName = columns[labelsIndex].trim()
     const filename = SURVEY_NAME_MAPPING[surveyName]
 
     if (filename && surveyFiles[filename]) {
-      surveyFiles[filename].push(line)
+      surveyFiles[filename].push(columns)
     } else {
-      // Try fallback patterns if survey name doesn't match
-      const identifier = columns[0] || ''
-      let matched = false
-
-      // Simple fallback based on common patterns
-      if (identifier.toLowerCase().includes('child') && !identifier.toLowerCase().includes('parent')) {
-        surveyFiles['child_survey_crowdin_translations.csv'].push(line)
-        matched = true
-      } else if (identifier.toLowerCase().includes('family')) {
-        surveyFiles['parent_survey_family_crowdin_translations.csv'].push(line)
-        matched = true
-      } else if (identifier.toLowerCase().includes('parent')) {
-        surveyFiles['parent_survey_child_crowdin_translations.csv'].push(line)
-        matched = true
-      } else if (identifier.toLowerCase().includes('teacher') && identifier.toLowerCase().includes('general')) {
-        surveyFiles['teacher_survey_general_crowdin_translations.csv'].push(line)
-        matched = true
-      } else if (identifier.toLowerCase().includes('teacher')) {
-        surveyFiles['teacher_survey_classroom_crowdin_translations.csv'].push(line)
-        matched = true
-      }
-
-      if (!matched) {
+      // Fall back to the survey named in the identifier
+      const identifier = (columns[0] || '').trim()
+      const survey = getSurveyByIdentifier(identifier)
+      if (survey) {
+        surveyFiles[getCrowdinCsvFileName(survey)].push(columns)
+      } else {
         console.log(`   ⚠️  Unmatched row - Survey: "${surveyName}", Identifier: "${identifier}"`)
       }
     }
@@ -119,36 +63,15 @@ function splitCombinedCSV(csvContent) {
   return surveyFiles
 }
 
-function splitByIdentifierPatterns(lines, header, surveyFiles) {
+function splitByIdentifierPatterns(rows, surveyFiles) {
   console.log('   🔍 Using identifier patterns for survey grouping')
 
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i].trim()
-    if (!line) continue
-
-    const columns = parseCSVLine(line)
-    const identifier = columns[0] || ''
-    let matched = false
-
-    // Pattern matching based on identifiers
-    if (identifier.includes('child_survey') || (identifier.toLowerCase().includes('child') && !identifier.toLowerCase().includes('parent'))) {
-      surveyFiles['child_survey_crowdin_translations.csv'].push(line)
-      matched = true
-    } else if (identifier.includes('parent_survey_family') || identifier.toLowerCase().includes('family')) {
-      surveyFiles['parent_survey_family_crowdin_translations.csv'].push(line)
-      matched = true
-    } else if (identifier.includes('parent_survey_child') || (identifier.toLowerCase().includes('parent') && !identifier.toLowerCase().includes('family'))) {
-      surveyFiles['parent_survey_child_crowdin_translations.csv'].push(line)
-      matched = true
-    } else if (identifier.includes('teacher_survey_general') || (identifier.toLowerCase().includes('teacher') && identifier.toLowerCase().includes('general'))) {
-      surveyFiles['teacher_survey_general_crowdin_translations.csv'].push(line)
-      matched = true
-    } else if (identifier.includes('teacher_survey_classroom') || (identifier.toLowerCase().includes('teacher') && !identifier.toLowerCase().includes('general'))) {
-      surveyFiles['teacher_survey_classroom_crowdin_translations.csv'].push(line)
-      matched = true
-    }
-
-    if (!matched) {
+  for (const columns of rows) {
+    const identifier = (columns[0] || '').trim()
+    const survey = getSurveyByIdentifier(identifier)
+    if (survey) {
+      surveyFiles[getCrowdinCsvFileName(survey)].push(columns)
+    } else {
       console.log(`   ⚠️  Unmatched identifier: "${identifier}"`)
     }
   }
@@ -192,10 +115,11 @@ async function main() {
 
   // Read the combined CSV
   const csvContent = fs.readFileSync(surveysPath, 'utf8')
-  console.log(`📋 Read ${csvContent.split('\n').length - 1} rows from bundle CSV`)
+  const [header, ...rows] = parseCsv(csvContent)
+  console.log(`📋 Read ${rows.length} rows from bundle CSV`)
 
   // Split into individual files
-  const surveyFiles = splitCombinedCSV(csvContent)
+  const surveyFiles = splitCombinedCSV(header, rows)
 
   // Write individual files
   const surveysDir = path.join(projectRoot, 'surveys')
@@ -226,7 +150,7 @@ async function main() {
       console.log(`📦 Backed up ${filename} to ${path.basename(backupPath)}`)
     }
 
-    const csvContent = lines.join('\n')
+    const csvContent = stringifyCsv(lines)
     fs.writeFileSync(filePath, csvContent, 'utf8')
 
     console.log(`✅ ${filename}: ${lines.length - 1} rows written`)
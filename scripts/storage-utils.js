@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+
+/**
+ * Bucket storage for scripts
+ *
+ * One interface over a Google Cloud Storage bucket and a local directory that
+ * stands in for one, so bucket workflows (rollback, backups) can run offline:
+ *
+ *   gs://levante-assets-dev        → GCS bucket
+ *   file:///tmp/fake-bucket        → local directory
+ *   ./tmp/fake-bucket              → local directory
+ *
+ * Object names are always POSIX paths relative to the bucket root
+ * (e.g. `surveys/child_survey.json`). MD5s are base64, as in GCS metadata.
+ *
+ * Scripts that name a bucket (e.g. `levante-assets-dev`) open it with
+ * `openBucket`, which picks the backend from the environment:
+ *
+ *   LEVANTE_STORAGE=gcs            (default) the real bucket
+ *   LEVANTE_STORAGE=local          <LEVANTE_STORAGE_ROOT>/<bucket name>
+ *   LEVANTE_STORAGE_ROOT=<dir>     root for local buckets (default: local-buckets)
+ *
+ * Scripts that only download public objects use `readPublicObject`, which needs
+ * no credentials: over HTTP from VITE_STORAGE_BASE_URL (as the preview app,
+ * see src/constants/bucket.ts), or from disk with LEVANTE_STORAGE=local.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+/** Storage backends selectable with LEVANTE_STORAGE */
+export const STORAGE_BACKENDS = ['gcs', 'local']
+
+/** Default root of local bucket directories, relative to the project */
+export const DEFAULT_LOCAL_STORAGE_ROOT = 'local-buckets'
+
+/** Origin serving public bucket objects as `<origin>/<bucket>/<object>` unless VITE_STORAGE_BASE_URL is set */
+export const DEFAULT_STORAGE_BASE_URL = 'https://storage.googleapis.com'
+
+/**
+ * @typedef {Object} ObjectMetadata
+ * @property {string} name
+ * @property {number} size
+ * @property {string} md5Hash       base64 MD5 of the content
+ * @property {string | null} updated ISO timestamp
+ * @property {string | null} contentType
+ *
+ * @typedef {Object} BucketStorage
+ * @property {'gcs' | 'local'} kind
+ * @property {string} uri
+ * @property {(prefix?: string, options?: { delimiter?: string }) => Promise<{ files: string[], prefixes: string[] }>} list
+ * @property {(name: string) => Promise<boolean>} exists
+ * @property {(name: string) => Promise<Buffer>} read
+ * @property {(name: string, data: string | Buffer, options?: { contentType?: string, cacheControl?: string }) => Promise<void>} write
+ * @property {(source: string, destination: string) => Promise<void>} copy
+ * @property {(name: string) => Promise<void>} remove
+ * @property {(name: string) => Promise<ObjectMetadata>} metadata
+ * @property {(name: string) => Promise<string>} md5
+ */
+
+/**
+ * Base64 MD5 of a buffer or string (same encoding as GCS `md5Hash`)
+ * @param {string | Buffer} data
+ * @returns {string}
+ */
+export function computeMd5Base64(data) {
+  return crypto.createHash('md5').update(data).digest('base64')
+}
+
+/**
+ * Parse a storage URI
+ * @param {string} uri
+ * @returns {{ kind: 'gcs', bucket: string, prefix: string } | { kind: 'local', root: string }}
+ */
+export function parseStorageUri(uri) {
+  const value = String(uri || '').trim()
+  if (!value) throw new Error('Storage URI is required')
+  if (value.startsWith('gs://')) {
+    const [bucket, ...rest] = value.slice('gs://'.length).split('/')
+    if (!bucket) throw new Error(`Invalid bucket URI: ${uri}`)
+    return { kind: 'gcs', bucket, prefix: rest.filter(Boolean).join('/') }
+  }
+  const root = value.startsWith('file://') ? fileURLToPath(value) : path.resolve(process.cwd(), value)
+  return { kind: 'local', root }
+}
+
+function joinPrefix(prefix, name) {
+  return prefix ? path.posix.join(prefix, name) : name
+}
+
+function createLocalStorage(root, uri) {
+  const resolve = (name) => {
+    const full = path.resolve(root, ...String(name).split('/'))
+    if (full !== root && !full.startsWith(root + path.sep)) throw new Error(`Object name escapes the bucket root: ${name}`)
+    return full
+  }
+
+  const walk = (dir) => {
+    if (!fs.existsSync(dir)) return []
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const full = path.join(dir, entry.name)
+      return entry.isDirectory() ? walk(full) : [path.relative(root, full).split(path.sep).join('/')]
+    })
+  }
+
+  /** @type {BucketStorage} */
+  const storage = {
+    kind: 'local',
+    uri,
+    async list(prefix = '', { delimiter } = {}) {
+      const names = walk(root).filter(name => name.startsWith(prefix)).sort()
+      if (!delimiter) return { files: names, prefixes: [] }
+      const files = []
+      const prefixes = new Set()
+      for (const name of names) {
+        const rest = name.slice(prefix.length)
+        const idx = rest.indexOf(delimiter)
+        if (idx === -1) files.push(name)
+        else prefixes.add(prefix + rest.slice(0, idx + delimiter.length))
+      }
+      return { files, prefixes: Array.from(prefixes).sort() }
+    },
+    async exists(name) {
+      return fs.existsSync(resolve(name)) && fs.statSync(resolve(name)).isFile()
+    },
+    async read(name) {
+      return fs.readFileSync(resolve(name))
+    },
+    async write(name, data) {
+      const full = resolve(name)
+      fs.mkdirSync(path.dirname(full), { recursive: true })
+      // Write then rename so readers never see a partial object
+      const tmp = `${full}.tmp-${process.pid}`
+      fs.writeFileSync(tmp, data)
+      fs.renameSync(tmp, full)
+    },
+    async copy(source, destination) {
+      await storage.write(destination, fs.readFileSync(resolve(source)))
+    },
+    async remove(name) {
+      fs.rmSync(resolve(name), { force: true })
+    },
+    async metadata(name) {
+      const full = resolve(name)
+      const stat = fs.statSync(full)
+      return {
+        name,
+        size: stat.size,
+        md5Hash: computeMd5Base64(fs.readFileSync(full)),
+        updated: stat.mtime.toISOString(),
+        contentType: name.endsWith('.json') ? 'application/json' : null
+      }
+    },
+    async md5(name) {
+      return computeMd5Base64(fs.readFileSync(resolve(name)))
+    }
+  }
+  return storage
+}
+
+async function createGcsStorage(bucketName, basePrefix, uri, options) {
+  const { Storage } = await import('@google-cloud/storage')
+  const client = options.storage || new Storage()
+  const bucket = client.bucket(bucketName)
+  const full = (name) => joinPrefix(basePrefix, name)
+  const strip = (name) => (basePrefix && name.startsWith(`${basePrefix}/`) ? name.slice(basePrefix.length + 1) : name)
+
+  /** @type {BucketStorage} */
+  const storage = {
+    kind: 'gcs',
+    uri,
+    async list(prefix = '', { delimiter } = {}) {
+      const [files, , response] = await bucket.getFiles({ prefix: full(prefix), delimiter, autoPaginate: true })
+      return {
+        files: files.map(f => strip(f.name)).sort(),
+        prefixes: ((response && response.prefixes) || []).map(strip).sort()
+      }
+    },
+    async exists(name) {
+      const [exists] = await bucket.file(full(name)).exists()
+      return exists
+    },
+    async read(name) {
+      const [content] = await bucket.file(full(name)).download()
+      return content
+    },
+    async write(name, data, { contentType = 'application/json', cacheControl = 'no-cache, max-age=0' } = {}) {
+      await bucket.file(full(name)).save(data, { resumable: false, metadata: { contentType, cacheControl } })
+    },
+    async copy(source, destination) {
+      await bucket.file(full(source)).copy(bucket.file(full(destination)))
+    },
+    async remove(name) {
+      await bucket.file(full(name)).delete({ ignoreNotFound: true })
+    },
+    async metadata(name) {
+      const [meta] = await bucket.file(full(name)).getMetadata()
+      return {
+        name,
+        size: Number(meta.size || 0),
+        md5Hash: meta.md5Hash || '',
+        updated: meta.updated || null,
+        contentType: meta.contentType || null
+      }
+    },
+    async md5(name) {
+      return (await storage.metadata(name)).md5Hash
+    }
+  }
+  return storage
+}
+
+/**
+ * Storage backend configuration from the environment
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {{ backend: 'gcs' | 'local', root: string }}
+ * @throws {Error} when LEVANTE_STORAGE names an unknown backend
+ */
+export function getStorageConfig(env = process.env) {
+  const backend = (env.LEVANTE_STORAGE || 'gcs').trim().toLowerCase()
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown LEVANTE_STORAGE backend: ${env.LEVANTE_STORAGE} (expected ${STORAGE_BACKENDS.join(' or ')})`)
+  }
+  return { backend, root: path.resolve(projectRoot, env.LEVANTE_STORAGE_ROOT || DEFAULT_LOCAL_STORAGE_ROOT) }
+}
+
+/**
+ * Storage URI of a named bucket under the configured backend
+ * @param {string} bucketName e.g. `levante-assets-dev` (a `gs://` prefix is ignored)
+ * @param {{ backend: 'gcs' | 'local', root: string }} [config]
+ * @returns {string}
+ */
+export function resolveBucketUri(bucketName, config = getStorageConfig()) {
+  const name = String(bucketName || '').replace(/^gs:\/\//, '').replace(/\/+$/, '')
+  if (!name) throw new Error('Bucket name is required')
+  return config.backend === 'local' ? path.join(config.root, ...name.split('/')) : `gs://${name}`
+}
+
+/**
+ * Open a named bucket with the configured backend
+ * @param {string} bucketName
+ * @param {{ storage?: any, config?: { backend: 'gcs' | 'local', root: string } }} [options]
+ * @returns {Promise<BucketStorage>}
+ */
+export async function openBucket(bucketName, options = {}) {
+  return openStorage(resolveBucketUri(bucketName, options.config), options)
+}
+
+/**
+ * Public URL of a bucket object
+ * @param {string} bucketName
+ * @param {string} objectName e.g. `surveys/child_survey.json`
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {string}
+ */
+export function getPublicObjectUrl(bucketName, objectName, env = process.env) {
+  const base = (env.VITE_STORAGE_BASE_URL || DEFAULT_STORAGE_BASE_URL).replace(/\/+$/, '')
+  const name = String(bucketName || '').replace(/^gs:\/\//, '').replace(/\/+$/, '')
+  return `${base}/${name}/${objectName}`
+}
+
+/**
+ * Read a public object without credentials: from disk with LEVANTE_STORAGE=local,
+ * otherwise over HTTP (see getPublicObjectUrl)
+ * @param {string} bucketName
+ * @param {string} objectName
+ * @param {{ env?: Record<string, string | undefined>, timeout?: number }} [options] `timeout` in ms (default 30000)
+ * @returns {Promise<Buffer>}
+ * @throws {Error} when the object is missing or the request fails
+ */
+export async function readPublicObject(bucketName, objectName, { env = process.env, timeout = 30000 } = {}) {
+  const config = getStorageConfig(env)
+  if (config.backend === 'local') return (await openBucket(bucketName, { config })).read(objectName)
+  const url = getPublicObjectUrl(bucketName, objectName, env)
+  const response = await fetch(url, { headers: { Accept: 'application/json' }, signal: AbortSignal.timeout(timeout) })
+  if (!response.ok) throw new Error(`GET ${url} failed: ${response.status} ${response.statusText}`)
+  return Buffer.from(await response.arrayBuffer())
+}
+
+/**
+ * Open a bucket (or local stand-in) by URI
+ * @param {string} uri `gs://bucket[/prefix]`, `file:///dir` or a directory path
+ * @param {{ storage?: any }} [options] `storage`: an existing @google-cloud/storage client
+ * @returns {Promise<BucketStorage>}
+ */
+export async function openStorage(uri, options = {}) {
+  const parsed = parseStorageUri(uri)
+  if (parsed.kind === 'gcs') return createGcsStorage(parsed.bucket, parsed.prefix, uri, options)
+  return createLocalStorage(parsed.root, uri)
+}
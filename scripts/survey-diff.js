@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Semantic survey diff
+ *
+ * Compares two versions of a survey by element name and choice value: added,
+ * removed and moved questions, logic changes, English source changes and
+ * per-locale translation changes.
+ *
+ * Usage:
+ *   node scripts/survey-diff.js <before> <after> [options]
+ *
+ * <before> and <after> are local JSON files or http(s) URLs (e.g. a bucket object).
+ *
+ * Options:
+ *   --format=text|json     Output format (default: text)
+ *   --locales=<a>,<b>      Only report translation changes for these locales
+ *   --output=<file>        Write the diff to a file instead of stdout
+ *   --exit-code            Exit with code 1 when the surveys differ
+ *
+ * Examples:
+ *   node scripts/survey-diff.js surveys/child_survey.json surveys/child_survey_updated.json
+ *   node scripts/survey-diff.js https://storage.googleapis.com/levante-assets-prod/surveys/child_survey.json \
+ *     https://storage.googleapis.com/levante-assets-dev/surveys/child_survey.json --locales=de-CH
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { diffSurveys, formatSurveyDiff, hasChanges } from '../src/helpers/surveyDiff.js'
+
+function parseArgs(argv) {
+  const options = { inputs: [], format: 'text', locales: [], output: null, exitCode: false }
+  for (const arg of argv) {
+    if (arg.startsWith('--format=')) options.format = arg.slice('--format='.length)
+    else if (arg.startsWith('--locales=')) options.locales = arg.slice('--locales='.length).split(',').filter(Boolean)
+    else if (arg.startsWith('--output=')) options.output = arg.slice('--output='.length)
+    else if (arg === '--exit-code') options.exitCode = true
+    else if (!arg.startsWith('--')) options.inputs.push(arg)
+  }
+  return options
+}
+
+async function loadSurvey(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source, { cache: 'no-cache' })
+    if (!response.ok) throw new Error(`Failed to fetch ${source}: ${response.status} ${response.statusText}`)
+    return response.json()
+  }
+  return JSON.parse(fs.readFileSync(path.resolve(process.cwd(), source), 'utf8'))
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (options.inputs.length !== 2) {
+    console.error('Usage: node scripts/survey-diff.js <before> <after> [--format=text|json] [--locales=a,b] [--output=file] [--exit-code]')
+    process.exit(2)
+  }
+  if (!['text', 'json'].includes(options.format)) {
+    console.error(`❌ Unknown format: ${options.format} (expected text or json)`)
+    process.exit(2)
+  }
+
+  const [beforeSource, afterSource] = options.inputs
+  const [before, after] = await Promise.all([loadSurvey(beforeSource), loadSurvey(afterSource)])
+  const diff = diffSurveys(before, after, { locales: options.locales })
+
+  const output = options.format === 'json'
+    ? JSON.stringify({ before: beforeSource, after: afterSource, ...diff }, null, 2)
+    : `--- ${beforeSource}\n+++ ${afterSource}\n\n${formatSurveyDiff(diff)}`
+
+  if (options.output) {
+    fs.writeFileSync(path.resolve(process.cwd(), options.output), output + '\n', 'utf8')
+    console.log(`📄 Wrote ${options.format} diff to ${options.output}`)
+  } else {
+    console.log(output)
+  }
+
+  if (options.exitCode && hasChanges(diff)) process.exit(1)
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`)
+    process.exit(2)
+  })
+}
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Translation coverage report
+ *
+ * Computes per-locale translation coverage for every catalog survey and lists the
+ * strings that are missing, empty or still identical to English, with their JSON
+ * paths and question names. Strings a regional variant inherits through its
+ * fallback chain (LOCALE_FALLBACKS in src/constants/languages.js) count as covered.
+ *
+ * Usage:
+ *   node scripts/translation-coverage.js [files...] [options]
+ *
+ * Options:
+ *   --version=updated|source    Catalog file variant to report on (default: updated)
+ *   --locales=<a>,<b>           Only report these locales (default: every locale found)
+ *   --format=text|json|csv|html Output format (default: text)
+ *   --details                   With --format=csv, list every untranslated string instead of the summary
+ *   --output=<file>             Write the report to a file instead of stdout
+ *   --out-dir=<dir>             Write coverage.json, coverage.csv, coverage-details.csv and coverage.html to <dir>
+ *   --no-fallbacks              Count stored strings only, ignoring locale fallback chains
+ *
+ * Examples:
+ *   node scripts/translation-coverage.js --locales=de-CH,en-GH
+ *   node scripts/translation-coverage.js --out-dir=reports/translation-coverage
+ *   node scripts/translation-coverage.js surveys/child_survey_updated.json --format=csv --details
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getSurveys } from '../src/constants/surveys.js'
+import { computeSurveyCoverage, toCoverageCsv, toCoverageHtml } from '../src/helpers/translationCoverage.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const surveysDir = path.resolve(projectRoot, 'surveys')
+
+const FORMATS = ['text', 'json', 'csv', 'html']
+
+function parseArgs(argv) {
+  const options = { files: [], version: 'updated', locales: [], format: 'text', details: false, output: null, outDir: null, fallbacks: true }
+  for (const arg of argv) {
+    if (arg.startsWith('--version=')) options.version = arg.slice('--version='.length)
+    else if (arg.startsWith('--locales=')) options.locales = arg.slice('--locales='.length).split(',').filter(Boolean)
+    else if (arg.startsWith('--format=')) options.format = arg.slice('--format='.length)
+    else if (arg === '--details') options.details = true
+    else if (arg.startsWith('--output=')) options.output = arg.slice('--output='.length)
+    else if (arg.startsWith('--out-dir=')) options.outDir = arg.slice('--out-dir='.length)
+    else if (arg === '--no-fallbacks') options.fallbacks = false
+    else if (!arg.startsWith('--')) options.files.push(arg)
+  }
+  return options
+}
+
+/**
+ * Resolve the surveys to report on as { name, file } pairs
+ */
+function resolveInputs({ files, version }) {
+  if (files.length > 0) {
+    return files.map(p => {
+      const file = path.resolve(process.cwd(), p)
+      return { name: path.basename(file, '.json'), file }
+    })
+  }
+  return getSurveys()
+    .map(s => ({ name: s.name, file: path.join(surveysDir, s.versions[version] || s.fileName) }))
+    .filter(({ name, file }) => {
+      if (fs.existsSync(file)) return true
+      console.warn(`⚠️  Skipping ${name}: ${path.relative(projectRoot, file)} not found`)
+      return false
+    })
+}
+
+function formatText(reports) {
+  const lines = []
+  for (const report of reports) {
+    lines.push(`📋 ${report.survey} (${report.total} strings)`)
+    for (const l of report.locales) {
+      const icon = l.percent >= 100 ? '✅' : '❌'
+      const inherited = l.inherited > 0 ? `, inherited ${l.inherited}` : ''
+      lines.push(`   ${icon} ${l.locale.padEnd(6)} ${String(l.percent).padStart(5)}%   missing ${l.missing}, empty ${l.empty}, identical ${l.identical}${inherited}`)
+    }
+    lines.push('')
+  }
+  return lines.join('\n')
+}
+
+function render(reports, format, details) {
+  if (format === 'json') return JSON.stringify({ generatedAt: new Date().toISOString(), surveys: reports }, null, 2)
+  if (format === 'csv') return toCoverageCsv(reports, { details })
+  if (format === 'html') return toCoverageHtml(reports)
+  return formatText(reports)
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (!FORMATS.includes(options.format)) {
+    console.error(`❌ Unknown format: ${options.format} (expected ${FORMATS.join(', ')})`)
+    process.exit(2)
+  }
+  if (!['updated', 'source'].includes(options.version)) {
+    console.error(`❌ Unknown version: ${options.version} (expected updated or source)`)
+    process.exit(2)
+  }
+
+  const reports = resolveInputs(options).map(({ name, file }) => {
+    const survey = JSON.parse(fs.readFileSync(file, 'utf8'))
+    return computeSurveyCoverage(survey, { survey: name, locales: options.locales, fallbacks: options.fallbacks ? undefined : null })
+  })
+
+  if (options.outDir) {
+    const outDir = path.resolve(process.cwd(), options.outDir)
+    fs.mkdirSync(outDir, { recursive: true })
+    const outputs = {
+      'coverage.json': render(reports, 'json'),
+      'coverage.csv': render(reports, 'csv'),
+      'coverage-details.csv': render(reports, 'csv', true),
+      'coverage.html': render(reports, 'html')
+    }
+    for (const [name, content] of Object.entries(outputs)) {
+      fs.writeFileSync(path.join(outDir, name), content + '\n', 'utf8')
+    }
+    console.log(formatText(reports))
+    console.log(`📄 Wrote ${Object.keys(outputs).join(', ')} to ${path.relative(process.cwd(), outDir) || '.'}`)
+    return
+  }
+
+  const report = render(reports, options.format, options.details)
+  if (options.output) {
+    fs.writeFileSync(path.resolve(process.cwd(), options.output), report + '\n', 'utf8')
+    console.log(`📄 Wrote ${options.format} report to ${options.output}`)
+  } else {
+    console.log(report)
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+}
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * File storage for stable string ids and the translation memory
+ *
+ *   surveys/string-ids/<survey>.json     stable id map per survey (stringIds.js)
+ *   translation-memory/<locale>.json     remembered English → target pairs (translationMemory.js)
+ *
+ * The id maps are versioned with the surveys: an id only follows a moved or
+ * renamed string through the previous map, and review flags live in it too.
+ * The memory is local to each machine; a missing file reads as empty.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { createTranslationMemory, serializeMemoryLocale } from '../src/helpers/translationMemory.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+
+export const STRING_IDS_DIR = path.join(projectRoot, 'surveys', 'string-ids')
+export const TRANSLATION_MEMORY_DIR = path.join(projectRoot, 'translation-memory')
+
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2) + '\n', 'utf8')
+}
+
+/**
+ * Load a survey's string id map
+ * @param {string} surveyName e.g. `child_survey`
+ * @param {string} [dir]
+ * @returns {import('../src/helpers/stringIds.js').StringIdMap | null} null when the survey has none yet
+ */
+export function loadStringIdMap(surveyName, dir = STRING_IDS_DIR) {
+  const filePath = path.join(dir, `${surveyName}.json`)
+  if (!fs.existsSync(filePath)) return null
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+}
+
+/**
+ * Save a survey's string id map
+ * @param {import('../src/helpers/stringIds.js').StringIdMap} map
+ * @param {string} [dir]
+ * @returns {string} file written
+ */
+export function saveStringIdMap(map, dir = STRING_IDS_DIR) {
+  const filePath = path.join(dir, `${map.survey}.json`)
+  writeJson(filePath, map)
+  return filePath
+}
+
+/**
+ * Load the translation memory (every locale file in the directory)
+ * @param {string} [dir]
+ * @returns {import('../src/helpers/translationMemory.js').TranslationMemory}
+ */
+export function loadTranslationMemory(dir = TRANSLATION_MEMORY_DIR) {
+  const memory = createTranslationMemory()
+  if (!fs.existsSync(dir)) return memory
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+    if (data && typeof data.locale === 'string' && Array.isArray(data.entries)) memory[data.locale] = data.entries
+  }
+  return memory
+}
+
+/**
+ * Save the translation memory, one file per locale
+ * @param {import('../src/helpers/translationMemory.js').TranslationMemory} memory
+ * @param {string} [dir]
+ * @returns {string[]} files written
+ */
+export function saveTranslationMemory(memory, dir = TRANSLATION_MEMORY_DIR) {
+  return Object.keys(memory).sort().map(locale => {
+    const filePath = path.join(dir, `${locale}.json`)
+    writeJson(filePath, serializeMemoryLocale(memory, locale))
+    return filePath
+  })
+}
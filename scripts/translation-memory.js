@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Stable string ids and translation memory
+ *
+ * Commands:
+ *   sync      ids + apply + harvest (run after every XLIFF import)
+ *   ids       Assign stable ids to every string and save surveys/string-ids/<survey>.json
+ *   apply     Flag translations of edited English for review (restoring dropped ones),
+ *             then fill missing or empty translations from the memory where the
+ *             English is unchanged (or differs only in whitespace/HTML)
+ *   harvest   Record every current translation in translation-memory/<locale>.json
+ *   review    List translations flagged for review with fuzzy matches from the memory
+ *   stats     Entries per locale in the memory
+ *
+ * Usage:
+ *   node scripts/translation-memory.js <command> [options]
+ *
+ * Options:
+ *   --surveys=<a>,<b>           Only these catalog surveys (e.g. child_survey)
+ *   --version=updated|source    Catalog file variant to work on (default: updated, falling back to source)
+ *   --locales=<a>,<b>           Only these locales
+ *   --min-match=<0-100>         Lowest fuzzy match score to propose (review, default: 75)
+ *   --dry-run                   Report what would change without writing
+ *
+ * Examples:
+ *   node scripts/translation-memory.js sync
+ *   node scripts/translation-memory.js apply --surveys=parent_survey_family --locales=de-CH --dry-run
+ *   node scripts/translation-memory.js ids --version=source
+ *   node scripts/translation-memory.js review --locales=de --min-match=60
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getSurveys } from '../src/constants/surveys.js'
+import { syncStringIds } from '../src/helpers/stringIds.js'
+import { applyTranslationMemory, findFuzzyMatches, harvestTranslations, markNeedsReview, resolveReviews, sourceSimilarity } from '../src/helpers/translationMemory.js'
+import { loadStringIdMap, loadTranslationMemory, saveStringIdMap, saveTranslationMemory } from './translation-memory-utils.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const surveysDir = path.resolve(projectRoot, 'surveys')
+
+const COMMANDS = ['sync', 'ids', 'apply', 'harvest', 'review', 'stats']
+
+function parseArgs(argv) {
+  const options = { command: null, surveys: [], version: 'updated', locales: [], minMatch: 75, dryRun: false }
+  for (const arg of argv) {
+    if (arg.startsWith('--surveys=')) options.surveys = arg.slice('--surveys='.length).split(',').filter(Boolean)
+    else if (arg.startsWith('--version=')) options.version = arg.slice('--version='.length)
+    else if (arg.startsWith('--locales=')) options.locales = arg.slice('--locales='.length).split(',').filter(Boolean)
+    else if (arg.startsWith('--min-match=')) options.minMatch = Number(arg.slice('--min-match='.length))
+    else if (arg === '--dry-run') options.dryRun = true
+    else if (!arg.startsWith('--') && !options.command) options.command = arg
+  }
+  return options
+}
+
+/**
+ * Catalog surveys to work on as { name, file }, preferring the requested variant
+ */
+function resolveSurveys({ surveys, version }) {
+  const catalog = getSurveys()
+  const unknown = surveys.filter(name => !catalog.some(s => s.name === name))
+  if (unknown.length > 0) throw new Error(`Unknown survey(s): ${unknown.join(', ')}`)
+  return catalog
+    .filter(s => surveys.length === 0 || surveys.includes(s.name))
+    .map(s => {
+      const preferred = path.join(surveysDir, s.versions[version] || s.fileName)
+      return { name: s.name, file: fs.existsSync(preferred) ? preferred : path.join(surveysDir, s.fileName) }
+    })
+    .filter(({ name, file }) => {
+      if (fs.existsSync(file)) return true
+      console.warn(`⚠️  Skipping ${name}: ${path.relative(projectRoot, file)} not found`)
+      return false
+    })
+}
+
+function describeIdChanges(changes) {
+  const parts = [`${changes.kept} kept`]
+  if (changes.moved.length > 0) parts.push(`${changes.moved.length} moved`)
+  if (changes.renamed.length > 0) parts.push(`${changes.renamed.length} renamed`)
+  if (changes.added.length > 0) parts.push(`${changes.added.length} new`)
+  if (changes.retired.length > 0) parts.push(`${changes.retired.length} retired`)
+  return parts.join(', ')
+}
+
+const percent = (score) => `${Math.round(score * 100)}%`
+
+function printReviews(map, memory, { locales, minMatch }) {
+  let count = 0
+  for (const entry of Object.values(map.strings)) {
+    if (!entry.review) continue
+    const targets = Object.entries(entry.review.targets).filter(([locale]) => locales.length === 0 || locales.includes(locale))
+    if (targets.length === 0) continue
+    console.log(`   ✏️  ${entry.semanticId} (English ${percent(sourceSimilarity(entry.review.previousSource, entry.source))} similar to the translated text)`)
+    console.log(`      was: ${entry.review.previousSource}`)
+    console.log(`      now: ${entry.source}`)
+    for (const [locale, target] of targets) {
+      console.log(`      ${locale}: ${target}`)
+      for (const match of findFuzzyMatches(memory, locale, entry.source, { minScore: minMatch / 100 })) {
+        if (match.target !== target) console.log(`         ${percent(match.score).padStart(4)} ${match.target}`)
+      }
+      count++
+    }
+  }
+  return count
+}
+
+function run(options) {
+  const { command, locales, dryRun } = options
+  const memory = loadTranslationMemory()
+
+  if (command === 'stats') {
+    const locs = Object.keys(memory).sort()
+    if (locs.length === 0) console.log('📭 Translation memory is empty (run: node scripts/translation-memory.js harvest)')
+    for (const locale of locs) console.log(`   ${locale.padEnd(6)} ${String(memory[locale].length).padStart(6)} entries`)
+    return
+  }
+
+  const updatedAt = new Date().toISOString()
+  let memoryChanged = false
+
+  for (const { name, file } of resolveSurveys(options)) {
+    const survey = JSON.parse(fs.readFileSync(file, 'utf8'))
+    const { map, changes } = syncStringIds(survey, name, loadStringIdMap(name))
+    console.log(`📋 ${name} (${path.relative(projectRoot, file)})`)
+
+    if (command === 'ids' || command === 'sync') {
+      console.log(`   🔖 String ids: ${describeIdChanges(changes)}`)
+      for (const m of [...changes.moved, ...changes.renamed]) console.log(`      ${m.id}: ${m.from} → ${m.to}`)
+    }
+
+    // Flag edits whenever the map is synced, or the new English would be saved
+    // without them; only commands that write the survey restore dropped targets
+    const writesSurvey = command === 'apply' || command === 'sync'
+    const resolved = resolveReviews(survey, map)
+    const flagged = markNeedsReview(survey, map, changes.edited, { memory: writesSurvey ? memory : null, locales, since: updatedAt })
+    const restored = flagged.filter(f => f.restored).length
+
+    if (command === 'review') {
+      if (printReviews(map, memory, { locales, minMatch: options.minMatch }) === 0) console.log('   ✅ Nothing to review')
+      continue
+    }
+    if (resolved.length > 0) console.log(`   ✅ ${resolved.length} reviewed translation(s) updated since the English changed`)
+    if (flagged.length > 0) {
+      console.log(`   ✏️  English changed for ${changes.edited.length} string(s): ${flagged.length} translation(s) flagged for review${restored > 0 ? ` (${restored} restored from memory)` : ''}`)
+    }
+
+    if (writesSurvey) {
+      const applied = applyTranslationMemory(survey, memory, { stringIds: map, locales })
+      const byLocale = applied.reduce((acc, a) => ({ ...acc, [a.locale]: (acc[a.locale] || 0) + 1 }), {})
+      const summary = Object.entries(byLocale).map(([locale, n]) => `${locale} ${n}`).join(', ')
+      console.log(`   🧠 Reapplied ${applied.length} translation(s) from memory${summary ? `: ${summary}` : ''}`)
+      if (applied.length + restored > 0 && !dryRun) fs.writeFileSync(file, JSON.stringify(survey, null, 2), 'utf8')
+    }
+    if (!dryRun) saveStringIdMap(map)
+
+    if (command === 'harvest' || command === 'sync') {
+      const counts = harvestTranslations(memory, survey, { surveyName: name, stringIds: map, locales, updatedAt })
+      console.log(`   💾 Remembered ${counts.added} new and ${counts.updated} changed translation(s)`)
+      if (counts.added + counts.updated > 0) memoryChanged = true
+    }
+  }
+
+  if (memoryChanged && !dryRun) {
+    const files = saveTranslationMemory(memory)
+    console.log(`\n✅ Saved translation memory (${files.length} locale file(s))`)
+  }
+  if (dryRun) console.log('\n🔍 DRY RUN: nothing was written')
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (!COMMANDS.includes(options.command) || !(options.minMatch >= 0 && options.minMatch <= 100)) {
+    console.error(`Usage: node scripts/translation-memory.js <${COMMANDS.join('|')}> [--surveys=a,b] [--version=updated|source] [--locales=a,b] [--min-match=75] [--dry-run]`)
+    process.exit(2)
+  }
+  run(options)
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    main()
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+}
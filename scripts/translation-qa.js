@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Translation QA report
+ *
+ * Runs the checks in src/helpers/translationQa.js over every translation of the
+ * catalog surveys: untranslated English, missing or extra `{placeholders}` and
+ * HTML tags, leading/trailing whitespace, suspicious length ratios, letters from
+ * the wrong script, doubled spaces and mismatched question marks (Spanish `¿`).
+ * The preview tool shows the same findings in its QA tab.
+ *
+ * Usage:
+ *   node scripts/translation-qa.js [files...] [options]
+ *
+ * Options:
+ *   --version=updated|source    Catalog file variant to check (default: updated)
+ *   --locales=<a>,<b>           Only check these locales (default: every translation)
+ *   --checks=<a>,<b>            Only run these checks (default: all, see --list-checks)
+ *   --min-length-ratio=<n>      Flag translations shorter than n × the English (default: 0.4)
+ *   --max-length-ratio=<n>      Flag translations longer than n × the English (default: 2.2)
+ *   --format=text|json|csv      Output format (default: text)
+ *   --details                   With --format=text, list every finding instead of the counts
+ *   --output=<file>             Write the report to a file instead of stdout
+ *   --strict                    Exit with code 1 when any check at `error` severity fails
+ *   --list-checks               Print the check catalog and exit
+ *
+ * Examples:
+ *   node scripts/translation-qa.js --locales=es-CO,es-AR --details
+ *   node scripts/translation-qa.js --checks=placeholders,markup,wrong-script --strict
+ *   node scripts/translation-qa.js --format=csv --output=reports/translation-qa.csv
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { getSurveys } from '../src/constants/surveys.js'
+import { QA_CHECKS, getQaCheck, runTranslationQa, toQaCsv } from '../src/helpers/translationQa.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+const projectRoot = path.resolve(__dirname, '..')
+const surveysDir = path.resolve(projectRoot, 'surveys')
+
+const FORMATS = ['text', 'json', 'csv']
+
+function parseArgs(argv) {
+  const options = { files: [], version: 'updated', locales: [], checks: [], thresholds: {}, format: 'text', details: false, output: null, strict: false, listChecks: false }
+  for (const arg of argv) {
+    if (arg.startsWith('--version=')) options.version = arg.slice('--version='.length)
+    else if (arg.startsWith('--locales=')) options.locales = arg.slice('--locales='.length).split(',').filter(Boolean)
+    else if (arg.startsWith('--checks=')) options.checks = arg.slice('--checks='.length).split(',').filter(Boolean)
+    else if (arg.startsWith('--min-length-ratio=')) options.thresholds.minLengthRatio = Number(arg.slice('--min-length-ratio='.length))
+    else if (arg.startsWith('--max-length-ratio=')) options.thresholds.maxLengthRatio = Number(arg.slice('--max-length-ratio='.length))
+    else if (arg.startsWith('--format=')) options.format = arg.slice('--format='.length)
+    else if (arg === '--details') options.details = true
+    else if (arg.startsWith('--output=')) options.output = arg.slice('--output='.length)
+    else if (arg === '--strict') options.strict = true
+    else if (arg === '--list-checks') options.listChecks = true
+    else if (!arg.startsWith('--')) options.files.push(arg)
+  }
+  return options
+}
+
+/**
+ * Resolve the surveys to check as { name, file } pairs
+ */
+function resolveInputs({ files, version }) {
+  if (files.length > 0) {
+    return files.map(p => {
+      const file = path.resolve(process.cwd(), p)
+      return { name: path.basename(file, '.json'), file }
+    })
+  }
+  return getSurveys()
+    .map(s => ({ name: s.name, file: path.join(surveysDir, s.versions[version] || s.fileName) }))
+    .filter(({ name, file }) => {
+      if (fs.existsSync(file)) return true
+      console.warn(`⚠️  Skipping ${name}: ${path.relative(projectRoot, file)} not found`)
+      return false
+    })
+}
+
+function formatText(reports, details) {
+  const lines = []
+  for (const report of reports) {
+    lines.push(`📋 ${report.survey} (${report.total} strings)`)
+    for (const l of report.locales) {
+      const icon = l.errors > 0 ? '❌' : l.warnings > 0 ? '⚠️ ' : '✅'
+      const counts = Object.entries(l.counts).map(([check, n]) => `${check} ${n}`).join(', ')
+      lines.push(`   ${icon} ${l.locale.padEnd(6)} ${l.checked} checked, ${l.errors} error(s), ${l.warnings} warning(s)${counts ? `   ${counts}` : ''}`)
+      if (!details) continue
+      for (const f of l.findings) {
+        lines.push(`      ${f.severity === 'error' ? '✖' : '•'} [${f.check}] ${f.id}: ${f.message}`)
+      }
+    }
+    lines.push('')
+  }
+  return lines.join('\n')
+}
+
+function render(reports, format, details) {
+  if (format === 'json') return JSON.stringify({ generatedAt: new Date().toISOString(), surveys: reports }, null, 2)
+  if (format === 'csv') return toQaCsv(reports)
+  return formatText(reports, details)
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (options.listChecks) {
+    for (const check of QA_CHECKS) console.log(`${check.id.padEnd(14)} ${check.severity.padEnd(8)} ${check.description}`)
+    return
+  }
+  if (!FORMATS.includes(options.format)) {
+    console.error(`❌ Unknown format: ${options.format} (expected ${FORMATS.join(', ')})`)
+    process.exit(2)
+  }
+  if (!['updated', 'source'].includes(options.version)) {
+    console.error(`❌ Unknown version: ${options.version} (expected updated or source)`)
+    process.exit(2)
+  }
+  const unknown = options.checks.filter(id => !getQaCheck(id))
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown check(s): ${unknown.join(', ')} (see --list-checks)`)
+    process.exit(2)
+  }
+  if (Object.values(options.thresholds).some(n => !(n > 0))) {
+    console.error('❌ Length ratios must be positive numbers')
+    process.exit(2)
+  }
+
+  const reports = resolveInputs(options).map(({ name, file }) => {
+    const survey = JSON.parse(fs.readFileSync(file, 'utf8'))
+    return runTranslationQa(survey, { survey: name, locales: options.locales, checks: options.checks, ...options.thresholds })
+  })
+
+  const report = render(reports, options.format, options.details)
+  if (options.output) {
+    const outPath = path.resolve(process.cwd(), options.output)
+    fs.mkdirSync(path.dirname(outPath), { recursive: true })
+    fs.writeFileSync(outPath, report + '\n', 'utf8')
+    console.log(`📄 Wrote ${options.format} report to ${options.output}`)
+  } else {
+    console.log(report)
+  }
+  const errors = reports.reduce((n, r) => n + r.locales.reduce((m, l) => m + l.errors, 0), 0)
+  if (options.strict && errors > 0) process.exit(1)
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main()
+}
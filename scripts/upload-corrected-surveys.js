@@ -2,12 +2,15 @@
 
 /**
  * Upload the corrected survey JSON files directly to Google Cloud Storage
+ * (or a local bucket directory with LEVANTE_STORAGE=local)
  */
 
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { Storage } from '@google-cloud/storage'
+import { getSurveys, getSurveyVersionFileNames } from '../src/constants/surveys.js'
+import { getBackupFolderName } from './backup-utils.js'
+import { openBucket, resolveBucketUri } from './storage-utils.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -17,39 +20,26 @@ const projectRoot = path.resolve(__dirname, '..')
 const BUCKET_NAME = 'levante-dashboard-prod'
 
 // Survey files to upload
-const SURVEY_FILES = [
-  'child_survey_updated.json',
-  'parent_survey_child_updated.json',
-  'parent_survey_family_updated.json',
-  'teacher_survey_general_updated.json',
-  'teacher_survey_classroom_updated.json'
-]
+const SURVEY_FILES = getSurveyVersionFileNames('updated')
 
 // Mapping from updated files to target names
-const FILE_MAPPING = {
-  'child_survey_updated.json': 'child_survey.json',
-  'parent_survey_child_updated.json': 'parent_survey_child.json',
-  'parent_survey_family_updated.json': 'parent_survey_family.json',
-  'teacher_survey_general_updated.json': 'teacher_survey_general.json',
-  'teacher_survey_classroom_updated.json': 'teacher_survey_classroom.json'
-}
+const FILE_MAPPING = Object.fromEntries(
+  getSurveys().map(survey => [survey.versions.updated, survey.fileName])
+)
 
-async function backupExistingFile(bucketName, fileName, backupFolder) {
+async function backupExistingFile(bucket, fileName, backupFolder) {
   try {
-    const storage = new Storage()
-    const bucket = storage.bucket(bucketName)
     const sourceFile = `surveys/${fileName}`
     const backupDestination = `${backupFolder}/${fileName}`
 
     // Check if file exists before trying to backup
-    const [exists] = await bucket.file(sourceFile).exists()
-    if (!exists) {
+    if (!(await bucket.exists(sourceFile))) {
       console.log(`   ⚠️  File not found in bucket: ${fileName} (first deployment?)`)
       return { success: false, reason: 'not_found' }
     }
 
     // Copy file to backup location
-    await bucket.file(sourceFile).copy(bucket.file(backupDestination))
+    await bucket.copy(sourceFile, backupDestination)
     console.log(`   ✅ Backed up: ${fileName} → ${backupDestination}`)
     return { success: true, backup: backupDestination }
 
@@ -69,23 +59,19 @@ async function uploadSurveyFile(sourceFileName, backupFolder = null) {
   }
 
   try {
-    const storage = new Storage()
-    const bucket = storage.bucket(BUCKET_NAME)
+    const bucket = await openBucket(BUCKET_NAME)
 
     // Backup existing file if backup folder is provided
     if (backupFolder) {
       console.log(`📦 Backing up existing ${targetFileName}...`)
-      await backupExistingFile(BUCKET_NAME, targetFileName, backupFolder)
+      await backupExistingFile(bucket, targetFileName, backupFolder)
     }
 
-    console.log(`☁️  Uploading ${sourceFileName} → ${targetFileName} to gs://${BUCKET_NAME}/surveys/...`)
+    console.log(`☁️  Uploading ${sourceFileName} → ${targetFileName} to ${bucket.uri}/surveys/...`)
 
-    const [file] = await bucket.upload(sourcePath, {
-      destination: `surveys/${targetFileName}`,
-      metadata: {
-        contentType: 'application/json',
-        cacheControl: 'no-cache, max-age=0'
-      }
+    await bucket.write(`surveys/${targetFileName}`, fs.readFileSync(sourcePath), {
+      contentType: 'application/json',
+      cacheControl: 'no-cache, max-age=0'
     })
 
     console.log(`✅ Successfully uploaded ${targetFileName}`)
@@ -100,12 +86,11 @@ async function uploadSurveyFile(sourceFileName, backupFolder = null) {
 async function main() {
   console.log('🔄 Uploading Corrected Survey Files')
   console.log('='.repeat(50))
-  console.log(`📦 Target bucket: gs://${BUCKET_NAME}`)
+  console.log(`📦 Target bucket: ${resolveBucketUri(BUCKET_NAME)}`)
   console.log(`📁 Source directory: surveys/\n`)
 
   // Create backup folder with timestamp
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').substring(0, 19)
-  const backupFolder = `surveys/backup_${timestamp}`
+  const backupFolder = `surveys/${getBackupFolderName()}`
   console.log(`📦 Backup folder: ${backupFolder}\n`)
 
   let successCount = 0
@@ -2,6 +2,7 @@
 
 /**
  * Upload the two patch surveys from surveys/patches/ to GCS buckets.
+ * - With LEVANTE_STORAGE=local, writes to local bucket directories instead (see storage-utils.js).
  * - Reads service account from GCP_SA_KEY (raw JSON or base64) if present; otherwise uses ADC.
  * - Backs up existing objects to surveys/backup_<timestamp>/ by default.
  * - Skips upload when remote md5 matches local (content-identical), unless --force is provided.
@@ -14,19 +15,21 @@
 
 import fs from 'fs'
 import path from 'path'
-import crypto from 'crypto'
 import { fileURLToPath } from 'url'
 import { Storage } from '@google-cloud/storage'
+import { getSurveys } from '../src/constants/surveys.js'
+import { getBackupFolderName } from './backup-utils.js'
+import { computeMd5Base64, getStorageConfig, openBucket } from './storage-utils.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 const projectRoot = path.resolve(__dirname, '..')
 
 const PATCH_DIR = path.join(projectRoot, 'surveys', 'patches')
-const PATCH_FILES = [
-  'parent_survey_child.json',
-  'parent_survey_family.json'
-]
+// The caregiver surveys, by published file name
+const PATCH_FILES = getSurveys()
+  .filter(survey => survey.audience === 'caregiver')
+  .map(survey => survey.fileName)
 
 function parseArgs(argv) {
   const args = {}
@@ -69,70 +72,37 @@ function getServiceAccountFromEnv() {
   }
 }
 
-function computeFileMd5Base64(localPath) {
-  const hash = crypto.createHash('md5')
-  const data = fs.readFileSync(localPath)
-  hash.update(data)
-  return hash.digest('base64')
-}
-
-function parseBucketAndPrefix(bucketUri) {
-  // Expect formats: gs://bucket or gs://bucket/prefix...
-  if (!bucketUri.startsWith('gs://')) {
-    throw new Error(`Invalid bucket URI: ${bucketUri}`)
-  }
-  const without = bucketUri.slice('gs://'.length)
-  const [bucket, ...rest] = without.split('/')
-  const prefix = rest.join('/')
-  return { bucket, prefix }
-}
-
 async function backupIfExists(bucket, objectPath, backupRootPrefix) {
-  const file = bucket.file(objectPath)
-  const [exists] = await file.exists()
-  if (!exists) return false
+  if (!(await bucket.exists(objectPath))) return false
   const baseName = path.posix.basename(objectPath)
   const backupPath = path.posix.join(backupRootPrefix, baseName)
-  await file.copy(bucket.file(backupPath))
+  await bucket.copy(objectPath, backupPath)
   return true
 }
 
-async function uploadOne(storage, bucketName, localPath, destinationPath, options) {
-  const bucket = storage.bucket(bucketName)
-  const destinationFile = bucket.file(destinationPath)
-
+async function uploadOne(bucket, localPath, destinationPath, options) {
   // Compare md5 to skip identical uploads unless forced
-  const localMd5 = computeFileMd5Base64(localPath)
-  let remoteMd5 = null
-  try {
-    const [meta] = await destinationFile.getMetadata()
-    remoteMd5 = meta && meta.md5Hash ? meta.md5Hash : null
-  } catch {
-    // ignore (file probably doesn't exist)
-  }
+  const content = fs.readFileSync(localPath)
+  const localMd5 = computeMd5Base64(content)
+  const remoteMd5 = (await bucket.exists(destinationPath)) ? await bucket.md5(destinationPath) : null
 
   if (!options.force && remoteMd5 && remoteMd5 === localMd5) {
-    console.log(`⏭  Skipping (identical): gs://${bucketName}/${destinationPath}`)
+    console.log(`⏭  Skipping (identical): ${bucket.uri}/${destinationPath}`)
     return { skipped: true, uploaded: false, backedUp: false }
   }
 
   // Backup existing if enabled
   let backedUp = false
   if (!options.noBackup) {
-    const ts = new Date().toISOString().replace(/[:T]/g, '-').replace(/\..+$/, '')
-    const backupRoot = `surveys/backup_${ts}`
+    const backupRoot = `surveys/${getBackupFolderName()}`
     backedUp = await backupIfExists(bucket, destinationPath, backupRoot)
   }
 
-  await bucket.upload(localPath, {
-    destination: destinationPath,
-    resumable: false,
-    metadata: {
-      contentType: 'application/json',
-      cacheControl: 'no-cache, max-age=0'
-    }
+  await bucket.write(destinationPath, content, {
+    contentType: 'application/json',
+    cacheControl: 'no-cache, max-age=0'
   })
-  console.log(`✅ Uploaded: ${path.basename(localPath)} → gs://${bucketName}/${destinationPath}`)
+  console.log(`✅ Uploaded: ${path.basename(localPath)} → ${bucket.uri}/${destinationPath}`)
   return { skipped: false, uploaded: true, backedUp }
 }
 
@@ -145,9 +115,13 @@ async function main() {
   // Optional projectId; not strictly required for cross-project buckets if creds are valid
   const projectId = process.env.GCP_PROJECT_ID || undefined
   const credentials = getServiceAccountFromEnv()
-  const storage = credentials
-    ? new Storage(projectId ? { projectId, credentials } : { credentials })
-    : (projectId ? new Storage({ projectId }) : new Storage())
+  // Local buckets (LEVANTE_STORAGE=local) need no client
+  let storage
+  if (getStorageConfig().backend === 'gcs') {
+    storage = credentials
+      ? new Storage(projectId ? { projectId, credentials } : { credentials })
+      : (projectId ? new Storage({ projectId }) : new Storage())
+  }
 
   // Validate local files exist
   for (const f of PATCH_FILES) {
@@ -160,17 +134,17 @@ async function main() {
   }
 
   for (const bucketUri of buckets) {
-    const { bucket, prefix } = parseBucketAndPrefix(bucketUri)
-    const basePrefix = prefix ? `${prefix.replace(/\/$/, '')}/surveys` : 'surveys'
+    // A gs://bucket/prefix URI opens the bucket scoped to that prefix
+    const bucket = await openBucket(bucketUri, { storage })
 
-    console.log(`\n☁️  Target bucket: gs://${bucket} | prefix: ${basePrefix}`)
+    console.log(`\n☁️  Target bucket: ${bucket.uri} | prefix: surveys`)
     for (const fileName of PATCH_FILES) {
       const localPath = path.join(PATCH_DIR, fileName)
-      const destinationPath = `${basePrefix}/${fileName}`
+      const destinationPath = `surveys/${fileName}`
       try {
-        await uploadOne(storage, bucket, localPath, destinationPath, { force, noBackup })
+        await uploadOne(bucket, localPath, destinationPath, { force, noBackup })
       } catch (e) {
-        console.error(`❌ Failed uploading ${fileName} → gs://${bucket}/${destinationPath}: ${e.message || e}`)
+        console.error(`❌ Failed uploading ${fileName} → ${bucket.uri}/${destinationPath}: ${e.message || e}`)
         process.exitCode = 1
       }
     }
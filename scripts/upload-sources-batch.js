@@ -9,14 +9,9 @@
 
 import { spawnSync } from 'node:child_process'
 import path from 'node:path'
+import { getSurveyNames } from '../src/constants/surveys.js'
 
-const SURVEYS = [
-  'child_survey',
-  'parent_survey_family',
-  'parent_survey_child',
-  'teacher_survey_general',
-  'teacher_survey_classroom',
-]
+const SURVEYS = getSurveyNames()
 
 function parseArgs() {
   const args = process.argv.slice(2)
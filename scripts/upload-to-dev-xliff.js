@@ -3,7 +3,7 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { Storage } from '@google-cloud/storage'
+import { openBucket } from './storage-utils.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -12,14 +12,10 @@ const projectRoot = path.resolve(__dirname, '..')
 const BUCKET = 'levante-assets-dev'
 const DEST_PREFIX = 'surveys-xliff'
 
-async function uploadFile(storage, localPath, destName) {
-  const bucket = storage.bucket(BUCKET)
+async function uploadFile(bucket, localPath, destName) {
   const destination = `${DEST_PREFIX}/${destName}`
-  await bucket.upload(localPath, {
-    destination,
-    metadata: { contentType: 'application/json', cacheControl: 'public, max-age=60' }
-  })
-  console.log(`✅ Uploaded ${path.basename(localPath)} → gs://${BUCKET}/${destination}`)
+  await bucket.write(destination, fs.readFileSync(localPath), { contentType: 'application/json', cacheControl: 'public, max-age=60' })
+  console.log(`✅ Uploaded ${path.basename(localPath)} → ${bucket.uri}/${destination}`)
 }
 
 async function main() {
@@ -29,13 +25,13 @@ async function main() {
     console.log('ℹ️  No *_updated.json files found to upload')
     return
   }
-  console.log(`📦 Uploading ${files.length} updated surveys to gs://${BUCKET}/${DEST_PREFIX}/ ...`)
-  const storage = new Storage()
+  const bucket = await openBucket(BUCKET)
+  console.log(`📦 Uploading ${files.length} updated surveys to ${bucket.uri}/${DEST_PREFIX}/ ...`)
   for (const f of files) {
     const local = path.join(surveysDir, f)
     // Upload without the _updated suffix in the destination filename
     const destName = f.replace('_updated.json', '.json')
-    await uploadFile(storage, local, destName)
+    await uploadFile(bucket, local, destName)
   }
   console.log('🎉 Upload complete')
 }
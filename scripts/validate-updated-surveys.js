@@ -1,58 +1,65 @@
 #!/usr/bin/env node
 
+/**
+ * Validate the *_updated.json survey files before deployment
+ *
+ * Fails on HTML tags in strings that should be plain text and on strings with
+ * no English. Also identifies the language of every translation offline
+ * (src/helpers/languageIdentifier.js) and warns about text that reads as a
+ * different language than its locale key, such as English left in `de-CH` or
+ * Spanish stored under `en-GH`.
+ *
+ * Usage:
+ *   node scripts/validate-updated-surveys.js [options]
+ *
+ * Options:
+ *   --strict-language           Fail validation on wrong-language translations too
+ *   --min-confidence=<0-1>      Lowest confidence to report a wrong language (default: 0.8)
+ *   --min-words=<n>             Shorter strings are not checked for language (default: 4)
+ *   --details                   List every wrong-language translation, not the first few per locale
+ */
+
 import fs from 'fs'
 import path from 'path'
+import { getSurveyVersionFileNames } from '../src/constants/surveys.js'
+import { findLanguageMismatches } from '../src/helpers/languageIdentifier.js'
+import { collectMultilingualNodes, isLanguageKey } from '../src/helpers/surveyTranslations.js'
 
 const projectRoot = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..')
 const surveysDir = path.join(projectRoot, 'surveys')
 
-const SURVEY_JSON_FILES = [
-  'child_survey_updated.json',
-  'parent_survey_family_updated.json',
-  'parent_survey_child_updated.json',
-  'teacher_survey_general_updated.json',
-  'teacher_survey_classroom_updated.json'
-]
-
-function isLangKey(key) {
-  return key === 'default' || /^[a-z]{2}(-[A-Z]{2})?$/i.test(key)
-}
+const SURVEY_JSON_FILES = getSurveyVersionFileNames('updated')
+const LANGUAGE_EXAMPLES = 3
 
-function* iterObjects(node) {
-  if (node && typeof node === 'object') {
-    yield node
-    if (Array.isArray(node)) {
-      for (const item of node) yield* iterObjects(item)
-    } else {
-      for (const v of Object.values(node)) yield* iterObjects(v)
-    }
+function parseArgs(argv) {
+  const options = { strictLanguage: false, minConfidence: undefined, minWords: undefined, details: false }
+  for (const arg of argv) {
+    if (arg === '--strict-language') options.strictLanguage = true
+    else if (arg.startsWith('--min-confidence=')) options.minConfidence = Number(arg.slice('--min-confidence='.length))
+    else if (arg.startsWith('--min-words=')) options.minWords = Number(arg.slice('--min-words='.length))
+    else if (arg === '--details') options.details = true
   }
+  return options
 }
 
 function hasHtmlTag(s) {
   return typeof s === 'string' && /<[^>]+>/.test(s)
 }
 
-function validateFile(filePath) {
+function validateFile(filePath, { minConfidence, minWords }) {
   const issues = []
   const raw = fs.readFileSync(filePath, 'utf8')
   const json = JSON.parse(raw)
 
-  for (const obj of iterObjects(json)) {
-    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) continue
-    const keys = Object.keys(obj)
-    const hasLangs = keys.some(isLangKey)
-    if (!hasLangs) continue
-
+  for (const { leaf, value: obj } of collectMultilingualNodes(json)) {
     // HTML tag check across language values, but allow for `.html` nodes
-    const allowHtml = typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, 'default') && (
-      // heuristic: parent key name contains 'html' detected earlier in pipeline; we cannot easily access it here,
-      // so allow HTML if any lang value already contains tags to avoid false positives after import rules.
+    const allowHtml = leaf === 'html' || (Object.prototype.hasOwnProperty.call(obj, 'default') && (
+      // heuristic: allow HTML if any lang value already contains tags to avoid false positives after import rules.
       Object.values(obj).some(v => typeof v === 'string' && /<[^>]+>/.test(v))
-    )
+    ))
     if (!allowHtml) {
       for (const [k, v] of Object.entries(obj)) {
-        if (!isLangKey(k) || typeof v !== 'string') continue
+        if (!isLanguageKey(k) || typeof v !== 'string') continue
         if (hasHtmlTag(v)) {
           issues.push({ type: 'html', key: k, value: v.slice(0, 120) + (v.length > 120 ? '…' : '') })
         }
@@ -68,31 +75,66 @@ function validateFile(filePath) {
     }
   }
 
-  return issues
+  const mismatches = findLanguageMismatches(json, { minConfidence, minWords })
+  return { issues, mismatches }
+}
+
+function reportMismatches(mismatches, details) {
+  const byLocale = new Map()
+  for (const m of mismatches) {
+    if (!byLocale.has(m.locale)) byLocale.set(m.locale, [])
+    byLocale.get(m.locale).push(m)
+  }
+  for (const [locale, list] of byLocale) {
+    const detected = [...new Set(list.map(m => m.detected))].join(', ')
+    console.log(`   🌐 ${locale}: ${list.length} string(s) read as ${detected}`)
+    for (const m of details ? list : list.slice(0, LANGUAGE_EXAMPLES)) {
+      const text = m.text.replace(/\s+/g, ' ').trim()
+      console.log(`      ${m.id}: ${m.detected} (${Math.round(m.confidence * 100)}%) "${text.length > 80 ? `${text.slice(0, 80)}…` : text}"`)
+    }
+    if (!details && list.length > LANGUAGE_EXAMPLES) console.log(`      … ${list.length - LANGUAGE_EXAMPLES} more (see --details)`)
+  }
 }
 
 function main() {
+  const options = parseArgs(process.argv.slice(2))
+  if (options.minConfidence !== undefined && !(options.minConfidence >= 0 && options.minConfidence <= 1)) {
+    console.error('❌ --min-confidence must be between 0 and 1')
+    process.exit(2)
+  }
+  if (options.minWords !== undefined && !(Number.isInteger(options.minWords) && options.minWords > 0)) {
+    console.error('❌ --min-words must be a positive integer')
+    process.exit(2)
+  }
+
   let totalIssues = 0
+  let totalMismatches = 0
   for (const f of SURVEY_JSON_FILES) {
     const p = path.join(surveysDir, f)
     if (!fs.existsSync(p)) {
       console.warn(`⚠️  Missing file: ${f}`)
       continue
     }
-    const issues = validateFile(p)
+    const { issues, mismatches } = validateFile(p, options)
+    if (options.strictLanguage) issues.push(...mismatches.map(m => ({ type: 'language', key: m.locale, detected: m.detected })))
     if (issues.length > 0) {
       totalIssues += issues.length
       console.log(`❌ ${f}: ${issues.length} issues`)
       const byType = issues.reduce((acc, it) => { acc[it.type] = (acc[it.type] || 0) + 1; return acc }, {})
       console.log('   Breakdown:', byType)
+    } else if (mismatches.length > 0) {
+      console.log(`⚠️  ${f}: ${mismatches.length} translation(s) in the wrong language`)
     } else {
       console.log(`✅ ${f}: OK`)
     }
+    totalMismatches += mismatches.length
+    reportMismatches(mismatches, options.details)
   }
   if (totalIssues > 0) {
     console.error(`\n❌ Validation failed: ${totalIssues} total issues`)
     process.exit(1)
   }
+  if (totalMismatches > 0) console.log(`\n⚠️  ${totalMismatches} translation(s) look like another language (use --strict-language to fail on them)`)
   console.log('\n✅ Validation passed')
 }
 
@@ -3,6 +3,7 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { hasPlaceholders, markupReference, restoreMarkup } from '../src/helpers/inlineMarkup.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
@@ -29,9 +30,9 @@ function parseXLIFF(content) {
   let m
   while ((m = re.exec(content)) !== null) {
     const id = m[1]
-    let target = (m[2] || '')
-    target = target.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
-    units.push({ id, target })
+    const targetXml = (m[2] || '')
+    const target = targetXml.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    units.push({ id, target, targetXml })
   }
   return { targetLanguage, units }
 }
@@ -99,7 +100,8 @@ function main() {
       if (!u.target) continue
       const node = getByPath(survey, u.id)
       if (node && typeof node === 'object') {
-        node[targetLanguage] = u.target
+        // <g>/<x/> placeholders stand for the English string's tags
+        node[targetLanguage] = hasPlaceholders(u.targetXml) ? restoreMarkup(u.targetXml, markupReference(node) || '').text : u.target
         applied++
       }
     }
@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+
+/**
+ * Minimal XLSX (Office Open XML spreadsheet) writer and reader
+ *
+ * Enough of the format for the translation review workbook, with no
+ * dependencies beyond Node's zlib so it works fully offline:
+ *
+ *   writeXlsx   text cells (inline strings, stored as text so Excel never turns
+ *               "1/2" into a date), bold header row, wrapped columns with
+ *               widths, frozen panes, auto filter, drop-down lists, hidden sheets
+ *   readXlsx    every sheet's cells as strings, from files saved by Excel,
+ *               LibreOffice or Google Sheets (shared strings, rich text, inline
+ *               strings, numbers and booleans)
+ *
+ * Formulas, dates and styles are not read back.
+ */
+
+import zlib from 'zlib'
+
+/**
+ * @typedef {Object} SheetSpec
+ * @property {string} name                  at most 31 characters, no []:*?/\
+ * @property {(string | null | undefined)[][]} rows  first row is the header
+ * @property {number[]} [widths]            column widths in characters
+ * @property {{ rows?: number, columns?: number }} [freeze]  frozen rows at the top / columns at the left
+ * @property {{ columns: number[], values: string[] }[]} [lists]  drop-down lists below the header
+ * @property {boolean} [autoFilter]         filter buttons on the header row
+ * @property {boolean} [hidden]
+ *
+ * @typedef {Object} SheetData
+ * @property {string} name
+ * @property {boolean} hidden
+ * @property {string[][]} rows              '' for empty cells; trailing empty cells dropped
+ */
+
+// ---------------------------------------------------------------------------
+// Zip
+// ---------------------------------------------------------------------------
+
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    day: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  }
+}
+
+/**
+ * Build a zip archive (deflated entries, UTF-8 names)
+ * @param {{ name: string, data: string | Buffer }[]} files
+ * @param {Date} [date]  modification time of every entry
+ * @returns {Buffer}
+ */
+export function createZip(files, date = new Date()) {
+  const { time, day } = dosDateTime(date)
+  const locals = []
+  const centrals = []
+  let offset = 0
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8')
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8')
+    const compressed = zlib.deflateRawSync(data)
+    const crc = zlib.crc32(data)
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4)
+    local.writeUInt16LE(0x0800, 6)
+    local.writeUInt16LE(8, 8)
+    local.writeUInt16LE(time, 10)
+    local.writeUInt16LE(day, 12)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(name.length, 26)
+    locals.push(local, name, compressed)
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(20, 4)
+    central.writeUInt16LE(20, 6)
+    central.writeUInt16LE(0x0800, 8)
+    central.writeUInt16LE(8, 10)
+    central.writeUInt16LE(time, 12)
+    central.writeUInt16LE(day, 14)
+    central.writeUInt32LE(crc, 16)
+    central.writeUInt32LE(compressed.length, 20)
+    central.writeUInt32LE(data.length, 24)
+    central.writeUInt16LE(name.length, 28)
+    central.writeUInt32LE(offset, 42)
+    centrals.push(central, name)
+
+    offset += local.length + name.length + compressed.length
+  }
+
+  const directory = Buffer.concat(centrals)
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(directory.length, 12)
+  end.writeUInt32LE(offset, 16)
+  return Buffer.concat([...locals, directory, end])
+}
+
+/**
+ * Read the entries of a zip archive (stored or deflated)
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>} by entry name
+ */
+export function readZip(buffer) {
+  let end = -1
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i
+      break
+    }
+  }
+  if (end === -1) throw new Error('Not a zip archive (no end of central directory)')
+
+  const entries = new Map()
+  const count = buffer.readUInt16LE(end + 10)
+  let pos = buffer.readUInt32LE(end + 16)
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(pos) !== 0x02014b50) throw new Error('Corrupt zip central directory')
+    const method = buffer.readUInt16LE(pos + 10)
+    const compressedSize = buffer.readUInt32LE(pos + 20)
+    const nameLength = buffer.readUInt16LE(pos + 28)
+    const extraLength = buffer.readUInt16LE(pos + 30)
+    const commentLength = buffer.readUInt16LE(pos + 32)
+    const localOffset = buffer.readUInt32LE(pos + 42)
+    const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength)
+    pos += 46 + nameLength + extraLength + commentLength
+
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+    const data = buffer.subarray(start, start + compressedSize)
+    if (method === 0) entries.set(name, Buffer.from(data))
+    else if (method === 8) entries.set(name, zlib.inflateRawSync(data))
+    else throw new Error(`Unsupported zip compression method ${method} for ${name}`)
+  }
+  return entries
+}
+
+// ---------------------------------------------------------------------------
+// Writer
+// ---------------------------------------------------------------------------
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main'
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+
+function escapeXml(text) {
+  return String(text)
+    // Characters XML 1.0 cannot carry at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // A literal _xHHHH_ would read back as an escape
+    .replace(/_(x[0-9A-Fa-f]{4}_)/g, '_x005F_$1')
+}
+
+/**
+ * Column letters for a zero-based index (0 → A, 26 → AA)
+ * @param {number} index
+ * @returns {string}
+ */
+export function columnName(index) {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
+}
+
+function columnIndex(letters) {
+  return [...letters.toUpperCase()].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1
+}
+
+// Styles: 0 default, 1 header (bold, shaded), 2 text format with wrapping
+const STYLES = `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FFE7E6E6"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="49" fontId="1" fillId="2" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1" applyFill="1" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf><xf numFmtId="49" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf></cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`
+
+function cellXml(value, ref, style) {
+  if (value === null || value === undefined || value === '') return ''
+  const text = String(value)
+  const space = /^\s|\s$/.test(text) ? ' xml:space="preserve"' : ''
+  return `<c r="${ref}" s="${style}" t="inlineStr"><is><t${space}>${escapeXml(text)}</t></is></c>`
+}
+
+function sheetXml(sheet, selected) {
+  const rows = sheet.rows
+  const width = Math.max(1, ...rows.map(r => r.length))
+  const lastRow = Math.max(1, rows.length)
+  const lastCell = `${columnName(width - 1)}${lastRow}`
+  const frozenRows = sheet.freeze?.rows || 0
+  const frozenColumns = sheet.freeze?.columns || 0
+
+  let pane = ''
+  if (frozenRows || frozenColumns) {
+    const active = frozenRows && frozenColumns ? 'bottomRight' : frozenRows ? 'bottomLeft' : 'topRight'
+    pane = `<pane${frozenColumns ? ` xSplit="${frozenColumns}"` : ''}${frozenRows ? ` ySplit="${frozenRows}"` : ''} topLeftCell="${columnName(frozenColumns)}${frozenRows + 1}" activePane="${active}" state="frozen"/><selection pane="${active}"/>`
+  }
+  const cols = (sheet.widths || []).map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1" style="2"/>`).join('')
+  const data = rows.map((row, r) => {
+    const cells = row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`, r === 0 ? 1 : 2)).join('')
+    return `<row r="${r + 1}">${cells}</row>`
+  }).join('')
+  const filter = sheet.autoFilter ? `<autoFilter ref="A1:${lastCell}"/>` : ''
+  const lists = (sheet.lists || []).filter(l => l.columns.length > 0)
+  const validations = lists.length === 0
+    ? ''
+    : `<dataValidations count="${lists.length}">${lists.map(l => {
+      const sqref = l.columns.map(c => `${columnName(c)}2:${columnName(c)}${Math.max(lastRow, 2) + 500}`).join(' ')
+      return `<dataValidation type="list" allowBlank="1" showErrorMessage="1" sqref="${sqref}"><formula1>"${escapeXml(l.values.join(','))}"</formula1></dataValidation>`
+    }).join('')}</dataValidations>`
+
+  return `${XML_HEADER}<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<dimension ref="A1:${lastCell}"/>` +
+    `<sheetViews><sheetView workbookViewId="0"${selected ? ' tabSelected="1"' : ''}>${pane}</sheetView></sheetViews>` +
+    '<sheetFormatPr defaultRowHeight="15"/>' +
+    (cols ? `<cols>${cols}</cols>` : '') +
+    `<sheetData>${data}</sheetData>${filter}${validations}` +
+    '<pageMargins left="0.7" right="0.7" top="0.75" bottom="0.75" header="0.3" footer="0.3"/>' +
+    '</worksheet>'
+}
+
+/**
+ * Build an .xlsx workbook
+ * @param {SheetSpec[]} sheets  in tab order; the first visible sheet is selected
+ * @returns {Buffer}
+ */
+export function writeXlsx(sheets) {
+  const names = new Set()
+  for (const sheet of sheets) {
+    if (!sheet.name || sheet.name.length > 31 || /[[\]:*?/\\]/.test(sheet.name)) throw new Error(`Invalid sheet name: "${sheet.name}"`)
+    if (names.has(sheet.name.toLowerCase())) throw new Error(`Duplicate sheet name: "${sheet.name}"`)
+    names.add(sheet.name.toLowerCase())
+  }
+  const selected = sheets.findIndex(s => !s.hidden)
+  const quoteName = (name) => `'${name.replace(/'/g, "''")}'`
+  const filters = sheets.map((s, i) => {
+    if (!s.autoFilter) return ''
+    const width = Math.max(1, ...s.rows.map(r => r.length))
+    return `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">${escapeXml(quoteName(s.name))}!$A$1:$${columnName(width - 1)}$${Math.max(1, s.rows.length)}</definedName>`
+  }).join('')
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+        `<bookViews><workbookView activeTab="${Math.max(0, selected)}"/></bookViews><sheets>` +
+        sheets.map((s, i) => `<sheet name="${escapeXml(s.name)}" sheetId="${i + 1}"${s.hidden ? ' state="hidden"' : ''} r:id="rId${i + 1}"/>`).join('') +
+        `</sheets>${filters ? `<definedNames>${filters}</definedNames>` : ''}</workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`
+    },
+    { name: 'xl/styles.xml', data: STYLES },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(s, i === selected) }))
+  ]
+  return createZip(files)
+}
+
+// ---------------------------------------------------------------------------
+// Reader
+// ---------------------------------------------------------------------------
+
+function decodeXml(text) {
+  return text
+    .replace(/&(?:#x([0-9a-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi, (_, hex, dec, name) => {
+      if (hex) return String.fromCodePoint(parseInt(hex, 16))
+      if (dec) return String.fromCodePoint(Number(dec))
+      return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name.toLowerCase()]
+    })
+    // Excel escapes characters XML cannot carry as _xHHHH_
+    .replace(/_x([0-9A-Fa-f]{4})_/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+}
+
+function attribute(attrs, name) {
+  const match = attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*("([^"]*)"|'([^']*)')`))
+  return match ? decodeXml(match[2] ?? match[3]) : null
+}
+
+// Text of <t> runs, skipping phonetic guides (<rPh>)
+function richText(xml) {
+  const runs = xml.replace(/<(?:\w+:)?rPh\b[\s\S]*?<\/(?:\w+:)?rPh>/g, '')
+  return [...runs.matchAll(/<(?:\w+:)?t\b[^>]*?(?:\/>|>([\s\S]*?)<\/(?:\w+:)?t>)/g)].map(m => decodeXml(m[1] || '')).join('')
+}
+
+function resolveTarget(target) {
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`
+}
+
+/**
+ * Read every sheet of an .xlsx workbook as text
+ * @param {Buffer} buffer
+ * @returns {SheetData[]} in tab order
+ */
+export function readXlsx(buffer) {
+  const entries = readZip(buffer)
+  const read = (name) => (entries.has(name) ? entries.get(name).toString('utf8') : null)
+  const workbook = read('xl/workbook.xml')
+  if (!workbook) throw new Error('Not an .xlsx workbook (xl/workbook.xml missing)')
+
+  const targets = new Map()
+  for (const [, attrs] of (read('xl/_rels/workbook.xml.rels') || '').matchAll(/<(?:\w+:)?Relationship\b([^>]*)\/?>/g)) {
+    targets.set(attribute(attrs, 'Id'), resolveTarget(attribute(attrs, 'Target') || ''))
+  }
+  const shared = [...(read('xl/sharedStrings.xml') || '').matchAll(/<(?:\w+:)?si\b[^>]*>([\s\S]*?)<\/(?:\w+:)?si>/g)].map(m => richText(m[1]))
+
+  return [...workbook.matchAll(/<(?:\w+:)?sheet\b([^>]*?)\/?>/g)].map(([, attrs]) => {
+    const name = attribute(attrs, 'name') || ''
+    const hidden = /hidden/.test(attribute(attrs, 'state') || '')
+    const relId = attrs.match(/\br:id\s*=\s*"([^"]*)"/)?.[1]
+    const xml = read(targets.get(relId) || '') || ''
+
+    /** @type {string[][]} */
+    const rows = []
+    let nextRow = 0
+    for (const [, rowAttrs, rowXml] of xml.matchAll(/<(?:\w+:)?row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?row>)/g)) {
+      const r = Number(attribute(rowAttrs, 'r')) || nextRow + 1
+      nextRow = r
+      const row = []
+      let nextColumn = 0
+      for (const [, cellAttrs, inner = ''] of (rowXml || '').matchAll(/<(?:\w+:)?c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?c>)/g)) {
+        const ref = attribute(cellAttrs, 'r')
+        const c = ref ? columnIndex(ref.replace(/\d+$/, '')) : nextColumn
+        nextColumn = c + 1
+        const type = attribute(cellAttrs, 't')
+        const v = inner.match(/<(?:\w+:)?v\b[^>]*>([\s\S]*?)<\/(?:\w+:)?v>/)?.[1]
+        let value = ''
+        if (type === 'inlineStr') value = richText(inner.match(/<(?:\w+:)?is\b[^>]*>([\s\S]*?)<\/(?:\w+:)?is>/)?.[1] || '')
+        else if (type === 's') value = shared[Number(v)] ?? ''
+        else if (type === 'b') value = v === '1' ? 'TRUE' : v === '0' ? 'FALSE' : ''
+        else if (v !== undefined) value = decodeXml(v)
+        while (row.length < c) row.push('')
+        row[c] = value
+      }
+      while (row.length > 0 && row[row.length - 1] === '') row.pop()
+      while (rows.length < r - 1) rows.push([])
+      rows[r - 1] = row
+    }
+    return { name, hidden, rows }
+  })
+}
+
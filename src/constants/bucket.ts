@@ -1,25 +1,46 @@
+import { SURVEY_CATALOG } from './surveys.js'
+
+/**
+ * Origin that serves bucket objects as `<origin>/<bucket>/<object>`.
+ * Set VITE_STORAGE_BASE_URL=http://localhost:8787 to load buckets from disk
+ * through scripts/serve-local-buckets.js
+ */
+export const STORAGE_BASE_URL: string =
+  (import.meta.env.VITE_STORAGE_BASE_URL || 'https://storage.googleapis.com').replace(/\/+$/, '')
+
+/**
+ * Public URL of a bucket folder, e.g. getBucketUrl('levante-assets-dev', 'surveys')
+ */
+export function getBucketUrl(bucketName: string, prefix = ''): string {
+  return prefix ? `${STORAGE_BASE_URL}/${bucketName}/${prefix}` : `${STORAGE_BASE_URL}/${bucketName}`
+}
+
+/**
+ * URL of the GCS JSON API object listing for a bucket (also served by the local server)
+ */
+export function getBucketListUrl(bucketName: string, params: Record<string, string>): string {
+  return `${STORAGE_BASE_URL}/storage/v1/b/${bucketName}/o?${new URLSearchParams(params).toString()}`
+}
+
 /**
  * Google Cloud Storage bucket configuration
  * Uses environment variable to determine which bucket to use
  */
 export const LEVANTE_BUCKET_URL =
   import.meta.env.VITE_FIREBASE_PROJECT === 'road-dashboard'
-    ? 'https://storage.googleapis.com/road-dashboard'
-    : 'https://storage.googleapis.com/levante-assets-dev/surveys'
+    ? getBucketUrl('road-dashboard')
+    : getBucketUrl('levante-assets-dev', 'surveys')
 
 /**
- * Available survey files in the bucket
+ * Available survey files in the bucket, derived from the survey catalog
  */
-export const SURVEY_FILES = {
-  PARENT_FAMILY: 'parent_survey_family.json',
-  PARENT_CHILD: 'parent_survey_child.json',
-  CHILD: 'child_survey.json',
-  TEACHER_GENERAL: 'teacher_survey_general.json',
-  TEACHER_CLASSROOM: 'teacher_survey_classroom.json'
-} as const
+export const SURVEY_FILES = Object.fromEntries(
+  SURVEY_CATALOG.map(survey => [survey.key, survey.fileName])
+) as Record<SurveyFileKey, SurveyFileName>
 
-export type SurveyFileKey = keyof typeof SURVEY_FILES
-export type SurveyFileName = typeof SURVEY_FILES[SurveyFileKey]
+export type SurveyCatalogEntry = typeof SURVEY_CATALOG[number]
+export type SurveyFileKey = SurveyCatalogEntry['key']
+export type SurveyFileName = SurveyCatalogEntry['fileName']
 
 /**
  * Get the full URL for a survey file
@@ -40,5 +61,5 @@ export function getSurveyKeyFromFilename(filename: SurveyFileName): SurveyFileKe
  * Validate if a survey key is valid
  */
 export function isValidSurveyKey(key: string): key is SurveyFileKey {
-  return key in SURVEY_FILES
+  return SURVEY_CATALOG.some(survey => survey.key === key)
 }
@@ -137,6 +137,20 @@ export const JSON_TO_CSV_MAPPING = {
  "pt": "pt"
 }
 
+/**
+ * Locale inheritance: a regional variant stores only the strings that differ
+ * from its parent and falls back to the parent for the rest. Chains are
+ * followed parent by parent and always end at `default` (English), e.g.
+ * es-AR → es-CO → default. Honored by the preview, the coverage report and
+ * the deploy pipeline's --materialize-fallbacks step (src/helpers/localeFallbacks.js).
+ * Base `es` is not allowed in survey JSON, so no chain may pass through it.
+ */
+export const LOCALE_FALLBACKS = {
+  "es-AR": "es-CO",
+  "en-GH": "en-US",
+  "de-CH": "de"
+}
+
 /**
  * Get all JSON language properties that can appear in surveys
  */
@@ -204,6 +218,21 @@ export function getRegionalLanguageCode(languageCode) {
   return `${languageCode}-${info.region}`
 }
 
+/**
+ * Fallback chain of a JSON locale key, starting with the locale itself
+ * (e.g. 'es-AR' → ['es-AR', 'es-CO', 'default'])
+ */
+export function getFallbackChain(locale, fallbacks = LOCALE_FALLBACKS) {
+  const chain = [locale]
+  let parent = fallbacks[locale]
+  while (parent && parent !== 'default' && !chain.includes(parent)) {
+    chain.push(parent)
+    parent = fallbacks[parent]
+  }
+  if (locale !== 'default') chain.push('default')
+  return chain
+}
+
 // Default export for convenience
 export default {
   SUPPORTED_LANGUAGES,
@@ -211,6 +240,7 @@ export default {
   JSON_LANGUAGE_MAPPING,
   CSV_TO_JSON_MAPPING,
   JSON_TO_CSV_MAPPING,
+  LOCALE_FALLBACKS,
   getJsonLanguageKeys,
   getCsvLanguageColumns,
   isValidJsonLanguageKey,
@@ -219,5 +249,6 @@ export default {
   csvColumnToJsonKey,
   jsonKeyToCsvColumn,
   getLanguageDisplayName,
-  getRegionalLanguageCode
+  getRegionalLanguageCode,
+  getFallbackChain
 }
@@ -0,0 +1,215 @@
+/**
+ * Centralized survey catalog for the Levante Surveys application
+ *
+ * This catalog is the single list of surveys used by:
+ * - Frontend Vue components (preview picker, survey manager, local loader)
+ * - The Vercel API (draft save allow-list)
+ * - Node.js scripts for translation extraction, import and deployment
+ *
+ * Adding a survey is a one-entry change to SURVEY_CATALOG.
+ */
+
+/**
+ * Environments a survey can be enabled for
+ * - local: *_updated.json files served from public/surveys
+ * - dev:   levante-assets-dev
+ * - draft: levante-assets-draft (Survey Manager saves)
+ * - prod:  levante-assets-prod
+ */
+export const SURVEY_ENVIRONMENTS = /** @type {const} */ (['local', 'dev', 'draft', 'prod'])
+
+/**
+ * Survey catalog in display order
+ *
+ * - key:          stable identifier used by the app (store, loaders)
+ * - name:         file stem used by scripts, CSV labels and XLIFF originals
+ * - fileName:     published JSON file name in the buckets
+ * - versions:     local file variants by role (`source` is the base JSON,
+ *                 `updated` is the JSON with imported translations)
+ * - environments: environments the survey is published to
+ */
+export const SURVEY_CATALOG = /** @type {const} */ ([
+  {
+    key: 'CHILD',
+    name: 'child_survey',
+    fileName: 'child_survey.json',
+    title: 'Child Survey',
+    description: 'Direct assessment survey for children and students',
+    audience: 'child',
+    icon: '🎓',
+    versions: {
+      source: 'child_survey.json',
+      updated: 'child_survey_updated.json'
+    },
+    environments: ['local', 'dev', 'draft', 'prod']
+  },
+  {
+    key: 'PARENT_FAMILY',
+    name: 'parent_survey_family',
+    fileName: 'parent_survey_family.json',
+    title: 'Parent Survey (Family)',
+    description: 'Caregiver survey focusing on family dynamics and home environment',
+    audience: 'caregiver',
+    icon: '👨‍👩‍👧‍👦',
+    versions: {
+      source: 'parent_survey_family.json',
+      updated: 'parent_survey_family_updated.json'
+    },
+    environments: ['local', 'dev', 'draft', 'prod']
+  },
+  {
+    key: 'PARENT_CHILD',
+    name: 'parent_survey_child',
+    fileName: 'parent_survey_child.json',
+    title: 'Parent Survey (Child)',
+    description: 'Caregiver survey about specific child development and behavior',
+    audience: 'caregiver',
+    icon: '👶',
+    versions: {
+      source: 'parent_survey_child.json',
+      updated: 'parent_survey_child_updated.json'
+    },
+    environments: ['local', 'dev', 'draft', 'prod']
+  },
+  {
+    key: 'TEACHER_GENERAL',
+    name: 'teacher_survey_general',
+    fileName: 'teacher_survey_general.json',
+    title: 'Teacher Survey (General)',
+    description: 'General teacher assessment and classroom observations',
+    audience: 'teacher',
+    icon: '👨‍🏫',
+    versions: {
+      source: 'teacher_survey_general.json',
+      updated: 'teacher_survey_general_updated.json'
+    },
+    environments: ['local', 'dev', 'draft', 'prod']
+  },
+  {
+    key: 'TEACHER_CLASSROOM',
+    name: 'teacher_survey_classroom',
+    fileName: 'teacher_survey_classroom.json',
+    title: 'Teacher Survey (Classroom)',
+    description: 'Specific classroom environment and teaching practice assessment',
+    audience: 'teacher',
+    icon: '🏫',
+    versions: {
+      source: 'teacher_survey_classroom.json',
+      updated: 'teacher_survey_classroom_updated.json'
+    },
+    environments: ['local', 'dev', 'draft', 'prod']
+  }
+])
+
+/**
+ * Get catalog entries, optionally limited to one environment
+ * @param {string | null} [environment]
+ */
+export function getSurveys(environment = null) {
+  if (!environment) return [...SURVEY_CATALOG]
+  const env = String(environment).toLowerCase()
+  return SURVEY_CATALOG.filter(survey => survey.environments.includes(env))
+}
+
+/**
+ * Get a catalog entry by key (e.g. 'CHILD')
+ */
+export function getSurveyByKey(key) {
+  return SURVEY_CATALOG.find(survey => survey.key === key) || null
+}
+
+/**
+ * Get a catalog entry by name, published file name or any local file variant
+ * (e.g. 'child_survey', 'child_survey.json', 'child_survey_updated.json')
+ */
+export function getSurveyByName(nameOrFile) {
+  if (!nameOrFile) return null
+  const base = String(nameOrFile).split('/').pop()
+  return SURVEY_CATALOG.find(survey =>
+    survey.name === base ||
+    survey.fileName === base ||
+    Object.values(survey.versions).includes(base)
+  ) || null
+}
+
+// Words of a survey name that identify it (`survey` is in every name)
+const nameTokens = (survey) => survey.name.split('_').filter(token => token !== 'survey')
+
+/**
+ * Guess the survey a Crowdin string identifier belongs to, for rows without
+ * a usable `labels` column (e.g. 'TeacherGeneralIntro', 'ParentFamilyHome').
+ * The survey with the largest share of its name words in the identifier wins;
+ * on a tie the later catalog entry does, so a bare 'Teacher…' identifier goes
+ * to the classroom survey and a bare 'Parent…' one to the child caregiver survey.
+ * @param {string} identifier
+ * @returns {typeof SURVEY_CATALOG[number] | null}
+ */
+export function getSurveyByIdentifier(identifier) {
+  const text = String(identifier || '').toLowerCase()
+  let best = null
+  let bestScore = 0
+  for (const survey of SURVEY_CATALOG) {
+    const tokens = nameTokens(survey)
+    const score = tokens.filter(token => text.includes(token)).length / tokens.length
+    if (score > 0 && score >= bestScore) {
+      best = survey
+      bestScore = score
+    }
+  }
+  return best
+}
+
+/**
+ * Check if a key is a catalog survey key
+ */
+export function isValidSurveyKey(key) {
+  return SURVEY_CATALOG.some(survey => survey.key === key)
+}
+
+/**
+ * Check if a file name is a published survey file name
+ * @param {string} fileName
+ * @param {string | null} [environment]
+ */
+export function isSurveyFileName(fileName, environment = null) {
+  return getSurveys(environment).some(survey => survey.fileName === fileName)
+}
+
+/**
+ * Get survey names (file stems), e.g. ['child_survey', ...]
+ * @param {string | null} [environment]
+ */
+export function getSurveyNames(environment = null) {
+  return getSurveys(environment).map(survey => survey.name)
+}
+
+/**
+ * Get published survey file names, e.g. ['child_survey.json', ...]
+ * @param {string | null} [environment]
+ */
+export function getSurveyFileNames(environment = null) {
+  return getSurveys(environment).map(survey => survey.fileName)
+}
+
+/**
+ * Get local file names for a file variant, e.g. ['child_survey_updated.json', ...]
+ * @param {'source' | 'updated'} [version]
+ * @param {string | null} [environment]
+ */
+export function getSurveyVersionFileNames(version = 'updated', environment = null) {
+  return getSurveys(environment).map(survey => survey.versions[version]).filter(Boolean)
+}
+
+/**
+ * Get the extracted translations CSV name for a survey (e.g. child_survey_translations.csv)
+ */
+export function getTranslationsCsvFileName(survey) {
+  return `${survey.name}_translations.csv`
+}
+
+/**
+ * Get the downloaded Crowdin CSV name for a survey (e.g. child_survey_crowdin_translations.csv)
+ */
+export function getCrowdinCsvFileName(survey) {
+  return `${survey.name}_crowdin_translations.csv`
+}
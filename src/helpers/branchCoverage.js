@@ -0,0 +1,251 @@
+/**
+ * Branch coverage explorer
+ *
+ * Generates answer scenarios that, together, make every conditional element
+ * of a survey (page, panel or question with a `visibleIf`) visible at least
+ * once. The answers tried for each referenced question come from its domain
+ * (choice values, a boolean's `valueTrue`/`valueFalse`, rating scale, matrix
+ * columns, and for number inputs the compared constants and their `min`/`max`
+ * bounds), as in the visibleIf analyzer.
+ *
+ * Scenarios are packed greedily, in document order: each conditional element
+ * is added to the current scenario when some answers make it visible without
+ * hiding anything the scenario already shows or answers, otherwise it starts
+ * the next scenario. This keeps the set small, not provably minimal.
+ *
+ * Visibility is evaluated statically with survey-core's condition runner, so
+ * callers should confirm the scenarios with runScenario (the explore-branches
+ * script and the Cypress spec do). Elements the analyzer proves can never be
+ * visible are reported separately from those no scenario could reach.
+ *
+ * Shared by scripts/explore-branches.js and cypress/e2e/survey-scenarios.cy.js.
+ */
+
+import { ConditionRunner } from 'survey-core'
+import { collectSurveyElements, referenceToQuestionName } from './surveyLint.js'
+import { getAtPath } from './surveyTranslations.js'
+import {
+  DEFAULT_MAX_ASSIGNMENTS,
+  analyzeVisibility,
+  collectComparisons,
+  getAnswerDomain,
+  parseCondition,
+  setReferenceValue
+} from './visibilityAnalyzer.js'
+
+// Display-only elements: runScenario does not list them, so they cannot be expected
+const NON_INPUT_TYPES = new Set(['html', 'image'])
+
+/**
+ * @typedef {import('./surveyScenarios.js').Scenario} Scenario
+ *
+ * @typedef {Scenario & { covers: string[] }} BranchScenario
+ *   covers: ids of the conditional elements the scenario makes visible
+ *
+ * @typedef {Object} BranchElement
+ * @property {string} id        Question/panel name, or `page:<name>` for pages
+ * @property {string} kind      page, panel or question
+ * @property {string} path      JSON path
+ * @property {string} reason
+ *
+ * @typedef {Object} BranchCoverage
+ * @property {string[]} conditional         ids of every element with a visibleIf that may become visible
+ * @property {BranchScenario[]} scenarios
+ * @property {BranchElement[]} neverVisible  elements proven never visible
+ * @property {BranchElement[]} uncovered     conditional elements no scenario makes visible
+ */
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+/**
+ * Every combination of one value per domain, fewest changes from `current` first
+ * @param {any[][]} domains
+ * @param {any[]} current
+ * @returns {any[][]}
+ */
+function combinations(domains, current) {
+  let combos = [[]]
+  for (const domain of domains) {
+    combos = combos.flatMap(combo => domain.map(value => [...combo, value]))
+  }
+  const changes = (combo) => combo.filter((value, i) => !sameValue(value, current[i])).length
+  return combos
+    .map(combo => ({ combo, changed: changes(combo) }))
+    .sort((a, b) => a.changed - b.changed)
+    .map(({ combo }) => combo)
+}
+
+/**
+ * Generate scenarios covering every conditional element of a survey
+ * @param {any} survey
+ * @param {{ maxAssignments?: number }} [options]  answer combinations to try per element
+ * @returns {BranchCoverage}
+ */
+export function exploreBranches(survey, { maxAssignments = DEFAULT_MAX_ASSIGNMENTS } = {}) {
+  const { nodes, findings } = analyzeVisibility(survey, { maxAssignments })
+  const nodesById = new Map(nodes.map(n => [n.id, n]))
+  const elementsByName = new Map()
+  const defaults = {}
+  const templatePaths = new Set()
+  for (const { element, path } of collectSurveyElements(survey)) {
+    if (!element.name || elementsByName.has(element.name)) continue
+    elementsByName.set(element.name, element)
+    if (element.defaultValue !== undefined) defaults[element.valueName || element.name] = element.defaultValue
+    if (path.includes('templateElements')) templatePaths.add(element.name)
+  }
+
+  const runners = new Map()
+  const comparedConstants = new Map()
+  for (const node of nodes) {
+    if (!node.visibleIf) continue
+    const { operand, error } = parseCondition(node.visibleIf)
+    if (error) continue
+    runners.set(node.id, new ConditionRunner(node.visibleIf))
+    for (const { reference, values } of collectComparisons(operand)) {
+      comparedConstants.set(reference, [...(comparedConstants.get(reference) || []), ...values])
+    }
+  }
+  const hidden = new Set(findings.filter(f => f.type === 'hidden').map(f => f.nodeId))
+
+  /** Visibility of every element for a set of answers, evaluated on demand */
+  const visibilityFor = (answers) => {
+    const values = { ...defaults, ...answers }
+    const memo = new Map()
+    const isVisible = (id) => {
+      if (memo.has(id)) return memo.get(id)
+      // Guards against containment or visibleIf cycles
+      memo.set(id, false)
+      const node = nodesById.get(id)
+      const visible = Boolean(node) && !hidden.has(id) &&
+        (!node.parent || isVisible(node.parent)) &&
+        (!runners.has(id) || runners.get(id).runValues(values) === true)
+      memo.set(id, visible)
+      return visible
+    }
+    return isVisible
+  }
+
+  const questionOf = (reference) => {
+    const name = referenceToQuestionName(reference)
+    const element = name ? elementsByName.get(name) : null
+    if (!element || nodesById.get(name)?.reachable === false) return null
+    return { name, element, subPath: reference.slice(reference.indexOf(name) + name.length) }
+  }
+
+  /**
+   * Answers that make `id` visible, extending `answers`, or null.
+   * Answered questions and the `locked` elements must stay visible.
+   */
+  function makeVisible(id, answers, locked, visiting = new Set()) {
+    if (visibilityFor(answers)(id)) return answers
+    const node = nodesById.get(id)
+    if (!node || hidden.has(id) || visiting.has(id)) return null
+    visiting = new Set([...visiting, id])
+
+    let current = answers
+    if (node.parent) {
+      current = makeVisible(node.parent, current, locked, visiting)
+      if (!current) return null
+    }
+    if (!runners.has(id)) return visibilityFor(current)(id) ? current : null
+
+    const references = node.references.filter(questionOf)
+    const domainOf = (reference) => {
+      const { element, subPath } = questionOf(reference)
+      return getAnswerDomain(element, elementsByName, subPath, comparedConstants.get(reference))
+    }
+    const currentValues = references.map(reference => getAtPath(current, reference))
+    // First only answer open questions, then also change answers given for earlier elements
+    const stages = [
+      references.map((reference, i) => (currentValues[i] === undefined ? domainOf(reference) : [currentValues[i]])),
+      references.map((reference, i) => (currentValues[i] === undefined
+        ? domainOf(reference)
+        : [currentValues[i], ...domainOf(reference).filter(v => v !== undefined && !sameValue(v, currentValues[i]))]))
+    ]
+    for (const domains of stages) {
+      if (domains.reduce((acc, d) => acc * d.length, 1) > maxAssignments) continue
+      for (const combo of combinations(domains, currentValues)) {
+        let candidate = structuredClone(current)
+        references.forEach((reference, i) => {
+          if (combo[i] !== undefined) setReferenceValue(candidate, reference, combo[i])
+        })
+        // A question has to be visible to be answered
+        for (const reference of references) {
+          if (!candidate || getAtPath(candidate, reference) === undefined) continue
+          candidate = makeVisible(questionOf(reference).name, candidate, locked, visiting)
+        }
+        if (!candidate) continue
+        const isVisible = visibilityFor(candidate)
+        const answered = Object.keys(candidate).filter(name => nodesById.has(name))
+        if (isVisible(id) && answered.every(isVisible) && locked.every(isVisible)) return candidate
+      }
+    }
+    return null
+  }
+
+  const targets = nodes.filter(n => runners.has(n.id) && n.reachable !== false)
+  const questionOrder = new Map(nodes.map((n, i) => [n.name, i]))
+  const covered = new Set()
+  const failed = new Set()
+  /** @type {BranchScenario[]} */
+  const scenarios = []
+
+  while (targets.some(t => !covered.has(t.id) && !failed.has(t.id))) {
+    let answers = {}
+    const locked = []
+    for (const target of targets) {
+      if (covered.has(target.id) || failed.has(target.id)) continue
+      const next = makeVisible(target.id, answers, locked)
+      if (next) {
+        answers = next
+        locked.push(target.id)
+      } else if (locked.length === 0) {
+        // Not even reachable from an empty survey
+        failed.add(target.id)
+      }
+    }
+    if (locked.length === 0) break
+
+    const isVisible = visibilityFor(answers)
+    const covers = targets.filter(t => isVisible(t.id)).map(t => t.id)
+    covers.forEach(id => covered.add(id))
+    const coveredNodes = covers.map(id => nodesById.get(id))
+    const expectedQuestions = coveredNodes
+      .filter(n => n.kind === 'question' && !NON_INPUT_TYPES.has(n.type) && !templatePaths.has(n.name))
+      .map(n => n.name)
+    const expectedPages = coveredNodes.filter(n => n.kind === 'page').map(n => n.name)
+    const others = coveredNodes.filter(n => !expectedQuestions.includes(n.name) && !expectedPages.includes(n.name))
+    // Answers in document order, as a respondent would give them
+    const ordered = Object.fromEntries(Object.entries(answers)
+      .sort(([a], [b]) => (questionOrder.get(a) ?? Infinity) - (questionOrder.get(b) ?? Infinity)))
+
+    scenarios.push({
+      name: `Branch coverage ${scenarios.length + 1}`,
+      description: `Generated by scripts/explore-branches.js; makes ${covers.length} conditional element(s) visible` +
+        (others.length > 0 ? `, including ${others.map(n => `${n.kind} ${n.name}`).join(', ')}` : ''),
+      answers: ordered,
+      expect: {
+        ...(expectedPages.length > 0 ? { visiblePages: expectedPages } : {}),
+        ...(expectedQuestions.length > 0 ? { visibleQuestions: expectedQuestions } : {})
+      },
+      covers
+    })
+  }
+
+  const notAnalyzed = new Set(findings.filter(f => f.type === 'not-analyzed').map(f => f.nodeId))
+  const reasons = new Map(findings.filter(f => f.type === 'hidden' || f.type === 'unreachable').map(f => [f.nodeId, f.message]))
+  const describe = (node, reason) => ({ id: node.id, kind: node.kind, path: node.path, reason })
+
+  return {
+    conditional: targets.map(t => t.id),
+    scenarios,
+    neverVisible: nodes
+      .filter(n => n.reachable === false)
+      .map(n => describe(n, reasons.get(n.id) || `inside ${n.parent}, which is never visible`)),
+    uncovered: targets
+      .filter(t => !covered.has(t.id))
+      .map(t => describe(t, notAnalyzed.has(t.id)
+        ? `too many answer combinations to search (limit ${maxAssignments})`
+        : `no combination of answers made it visible: ${t.visibleIf}`))
+  }
+}
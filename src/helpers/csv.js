@@ -0,0 +1,282 @@
+/**
+ * CSV reader and writer (RFC 4180)
+ *
+ * The one CSV implementation for the app and the scripts. Fields may be quoted,
+ * with `""` for a quote, and quoted fields may span lines. A leading byte order
+ * mark is dropped, CRLF, LF and CR all end a record, and the delimiter is
+ * configurable (`;` from European Excel, `\t` for TSV). The parser takes the
+ * text in chunks, so a large file can be read as a stream; `parseCsv` is the
+ * same parser fed one string.
+ *
+ * Translation CSVs (extracted, Crowdin, the Crowdin bundle) share a header:
+ *
+ *   identifier, labels, <locales…>, source
+ *
+ * where Crowdin files carry the English as `text` or `en` instead of `source`.
+ * `validateTranslationCsvHeader` checks a header against that schema.
+ */
+
+/**
+ * @typedef {Object} CsvOptions
+ * @property {string} [delimiter]        one character (default `,`)
+ * @property {boolean} [skipEmptyLines]  drop lines with nothing on them (default true)
+ *
+ * @typedef {Object} CsvParser
+ * @property {(chunk: string) => void} write  feed the next piece of text
+ * @property {() => void} end                 flush the last record; throws on an unclosed quote
+ *
+ * @typedef {Object} CsvRecords
+ * @property {string[]} header
+ * @property {Record<string, string>[]} records   one object per row, keyed by header
+ * @property {{ line: number, expected: number, found: number }[]} malformed
+ *   rows whose field count differs from the header (left out of `records`)
+ *
+ * @typedef {Object} CsvSchema
+ * @property {string[]} required                 columns that must be present
+ * @property {string[]} [optional]               other known columns
+ * @property {(column: string) => boolean} [accepts]  further columns allowed (e.g. locales)
+ *
+ * @typedef {Object} CsvHeaderCheck
+ * @property {string[]} errors      missing required, duplicate or unknown columns
+ * @property {string[]} locales     locale columns, in file order
+ * @property {string | null} sourceColumn  English column (`source`, `text` or `en`)
+ */
+
+function checkDelimiter(delimiter) {
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || delimiter === '"' || delimiter === '\r' || delimiter === '\n') {
+    throw new Error(`Invalid CSV delimiter: ${JSON.stringify(delimiter)}`)
+  }
+}
+
+/**
+ * Incremental parser: records are passed to `onRow` as soon as they are complete
+ * @param {(row: string[], line: number) => void} onRow  `line`: 1-based line the record starts on
+ * @param {CsvOptions} [options]
+ * @returns {CsvParser}
+ */
+export function createCsvParser(onRow, { delimiter = ',', skipEmptyLines = true } = {}) {
+  checkDelimiter(delimiter)
+  let row = []
+  let field = ''
+  let quoted = false       // inside a quoted field
+  let quoteSeen = false    // the field was quoted (so an empty one still counts)
+  let pendingQuote = false // a quote inside a quoted field: closing, or the first of `""`
+  let pendingCR = false    // CR at the end of a chunk, LF may follow in the next
+  let first = true
+  let line = 1
+  let rowLine = 1
+
+  const endField = () => {
+    row.push(field)
+    field = ''
+    quoteSeen = false
+  }
+  const endRow = () => {
+    endField()
+    const empty = row.length === 1 && row[0] === '' && !quoteSeen
+    if (!(empty && skipEmptyLines)) onRow(row, rowLine)
+    row = []
+  }
+
+  return {
+    write(chunk) {
+      let text = String(chunk)
+      if (first && text.length > 0) {
+        text = text.replace(/^\uFEFF/, '')
+        first = false
+      }
+      for (let i = 0; i < text.length; i++) {
+        const ch = text[i]
+        if (pendingCR) {
+          pendingCR = false
+          if (ch === '\n') continue
+        }
+        if (pendingQuote) {
+          pendingQuote = false
+          if (ch === '"') {
+            field += '"'
+            continue
+          }
+          quoted = false
+        }
+        if (quoted) {
+          if (ch === '"') pendingQuote = true
+          else {
+            field += ch
+            if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++
+          }
+          continue
+        }
+        if (ch === '"' && field === '' && !quoteSeen) {
+          quoted = true
+          quoteSeen = true
+          continue
+        }
+        if (ch === delimiter) {
+          endField()
+          continue
+        }
+        if (ch === '\r' || ch === '\n') {
+          if (ch === '\r') pendingCR = true
+          endRow()
+          rowLine = ++line
+          continue
+        }
+        // Characters after a closing quote, or a stray quote in an unquoted
+        // field, are kept as written
+        field += ch
+      }
+    },
+    end() {
+      if (quoted && !pendingQuote) throw new Error(`Unclosed quoted field in CSV record starting on line ${rowLine}`)
+      if (field !== '' || row.length > 0 || quoteSeen) endRow()
+    }
+  }
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text
+ * @param {CsvOptions} [options]
+ * @returns {string[][]}
+ */
+export function parseCsv(text, options = {}) {
+  const rows = []
+  const parser = createCsvParser(row => rows.push(row), options)
+  parser.write(text)
+  parser.end()
+  return rows
+}
+
+/**
+ * Parse a stream of text or byte chunks (e.g. `fs.createReadStream(file)`),
+ * yielding rows as they complete
+ * @param {AsyncIterable<string | Uint8Array>} source  bytes are decoded as UTF-8
+ * @param {CsvOptions} [options]
+ * @returns {AsyncGenerator<string[]>}
+ */
+export async function* parseCsvStream(source, options = {}) {
+  const decoder = new TextDecoder('utf-8')
+  let ready = []
+  const parser = createCsvParser(row => ready.push(row), options)
+  for await (const chunk of source) {
+    parser.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }))
+    yield* ready
+    ready = []
+  }
+  parser.write(decoder.decode())
+  parser.end()
+  yield* ready
+}
+
+/**
+ * Rows to objects keyed by the header (the first row)
+ * @param {string[][]} rows
+ * @param {{ trimHeader?: boolean }} [options]  trim header names (default true)
+ * @returns {CsvRecords}
+ */
+export function rowsToRecords(rows, { trimHeader = true } = {}) {
+  const [first = [], ...data] = rows
+  const header = trimHeader ? first.map(h => h.trim()) : first
+  const records = []
+  const malformed = []
+  data.forEach((row, i) => {
+    if (row.length !== header.length) {
+      malformed.push({ line: i + 2, expected: header.length, found: row.length })
+      return
+    }
+    records.push(Object.fromEntries(header.map((h, j) => [h, row[j]])))
+  })
+  return { header, records, malformed }
+}
+
+/**
+ * Parse CSV text into objects keyed by its header
+ * @param {string} text
+ * @param {CsvOptions & { trimHeader?: boolean }} [options]
+ * @returns {CsvRecords}  `malformed[].line` is the row's position in the file (header = 1)
+ */
+export function parseCsvRecords(text, { trimHeader, ...options } = {}) {
+  return rowsToRecords(parseCsv(text, options), { trimHeader })
+}
+
+/**
+ * Check a header against a schema
+ * @param {string[]} header
+ * @param {CsvSchema} schema
+ * @returns {string[]} problems, empty when the header fits
+ */
+export function validateCsvHeader(header, { required, optional = [], accepts = () => false }) {
+  const errors = []
+  const seen = new Set()
+  for (const column of header) {
+    if (seen.has(column)) errors.push(`Duplicate column "${column}"`)
+    seen.add(column)
+  }
+  for (const column of required) {
+    if (!seen.has(column)) errors.push(`Missing required column "${column}"`)
+  }
+  for (const column of seen) {
+    if (!required.includes(column) && !optional.includes(column) && !accepts(column)) errors.push(`Unknown column "${column}"`)
+  }
+  return errors
+}
+
+/** Locale column names: `de`, `es-CO`, legacy `es_CO`, `zh-Hant` */
+export const LOCALE_COLUMN_PATTERN = /^[a-z]{2,3}(?:[-_](?:[A-Za-z]{2}|[A-Z][a-z]{3}|\d{3}))?$/
+
+/** Schema of translation CSVs: identifier, labels, locale columns and the English */
+export const TRANSLATION_CSV_SCHEMA = {
+  required: ['identifier', 'labels'],
+  optional: ['source', 'text'],
+  accepts: (column) => LOCALE_COLUMN_PATTERN.test(column)
+}
+
+/**
+ * Check a translation CSV header (`identifier, labels, <locales>, source`)
+ * @param {string[]} header
+ * @returns {CsvHeaderCheck}
+ */
+export function validateTranslationCsvHeader(header) {
+  const errors = validateCsvHeader(header, TRANSLATION_CSV_SCHEMA)
+  const locales = header.filter(column => LOCALE_COLUMN_PATTERN.test(column))
+  const sourceColumn = ['source', 'text', 'en'].find(column => header.includes(column)) || null
+  if (!sourceColumn) errors.push('No English column ("source", "text" or "en")')
+  return { errors, locales, sourceColumn }
+}
+
+/**
+ * Quote a field when it needs it (delimiter, quote, line break, or surrounding
+ * spaces), or always with `quoteAll`
+ * @param {any} value  null and undefined are written as empty fields
+ * @param {{ delimiter?: string, quoteAll?: boolean }} [options]
+ * @returns {string}
+ */
+export function formatCsvField(value, { delimiter = ',', quoteAll = false } = {}) {
+  const text = value === undefined || value === null ? '' : String(value)
+  const needsQuotes = quoteAll || text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text)
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * One CSV record (no line break)
+ * @param {any[]} values
+ * @param {{ delimiter?: string, quoteAll?: boolean }} [options]
+ * @returns {string}
+ */
+export function formatCsvRow(values, options = {}) {
+  return values.map(value => formatCsvField(value, options)).join(options.delimiter || ',')
+}
+
+/**
+ * CSV text for rows of values, one record per line, ending with a line break
+ * @param {any[][]} rows
+ * @param {{ delimiter?: string, quoteAll?: boolean, newline?: string, bom?: boolean }} [options]
+ *   `bom`: start with a byte order mark so Excel reads UTF-8
+ * @returns {string}
+ */
+export function stringifyCsv(rows, { newline = '\n', bom = false, ...options } = {}) {
+  if (options.delimiter !== undefined) checkDelimiter(options.delimiter)
+  const body = rows.map(row => formatCsvRow(row, options)).join(newline)
+  return `${bom ? '\uFEFF' : ''}${body}${rows.length > 0 ? newline : ''}`
+}
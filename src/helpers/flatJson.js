@@ -0,0 +1,62 @@
+/**
+ * Flat key → string JSON translation files
+ *
+ * One file per survey and locale, keyed by semantic id in document order, for
+ * partners who translate in spreadsheets or i18n tools:
+ *
+ *   {
+ *     "page1.q.favorite_color.title": "Deine Lieblingsfarbe",
+ *     "page1.q.favorite_color.choice.red.text": ""
+ *   }
+ *
+ * Untranslated strings have an empty value, so every key is there to fill in.
+ * Files that tools wrote back nested on the dots are flattened again. Keys
+ * convert to the units of xliff2.js, so a flat file matches (including former
+ * semantic ids and stable ids) and imports exactly like an XLIFF 2.0 file.
+ */
+
+import { surveyToXliff2Units } from './xliff2.js'
+
+/**
+ * Flat translations of a survey in one locale (omit for the English source)
+ * @param {any} survey
+ * @param {{ locale?: string | null }} [options]
+ * @returns {Record<string, string>}
+ */
+export function surveyToFlatJson(survey, { locale = null } = {}) {
+  /** @type {Record<string, string>} */
+  const flat = {}
+  for (const unit of surveyToXliff2Units(survey, { locale })) {
+    flat[unit.name] = locale ? (unit.target ?? '') : unit.source
+  }
+  return flat
+}
+
+/**
+ * Flatten nested objects on dots; non-string leaves are dropped
+ * @param {any} data
+ * @param {string} [prefix]
+ * @param {Record<string, string>} [out]
+ * @returns {Record<string, string>}
+ */
+export function flattenKeys(data, prefix = '', out = {}) {
+  if (data == null || typeof data !== 'object' || Array.isArray(data)) return out
+  for (const [key, value] of Object.entries(data)) {
+    const flatKey = prefix ? `${prefix}.${key}` : key
+    if (typeof value === 'string') out[flatKey] = value
+    else flattenKeys(value, flatKey, out)
+  }
+  return out
+}
+
+/**
+ * Units (xliff2.js) for the translated keys of a flat file, ready for
+ * applyXliff2Units. Empty values are left out.
+ * @param {any} data parsed JSON
+ * @returns {import('./xliff2.js').Xliff2Unit[]}
+ */
+export function flatJsonToUnits(data) {
+  return Object.entries(flattenKeys(data))
+    .filter(([, text]) => text !== '')
+    .map(([key, text]) => ({ id: key, name: key, source: '', target: text }))
+}
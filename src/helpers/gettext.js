@@ -0,0 +1,237 @@
+/**
+ * Gettext PO reader and writer
+ *
+ * One .po file per survey and locale (a .pot template for the English), one
+ * entry per translatable string, for translators working offline in Poedit:
+ *
+ *   #. Question: favorite_color
+ *   #: pages[0].elements[0].title
+ *   msgctxt "child_survey/page1.q.favorite_color.title"
+ *   msgid "Your favorite color"
+ *   msgstr "Deine Lieblingsfarbe"
+ *
+ * `msgctxt` is the survey name and the string's semantic id, so identical
+ * English in different questions stays separate; the extracted comment names
+ * the question and the reference is the JSON path. Translations flagged for
+ * review after an English edit are `fuzzy`, with the previous English as
+ * `#| msgid`. Entries convert to and from the units of xliff2.js, so a PO file
+ * matches and imports exactly like an XLIFF 2.0 file.
+ */
+
+import { collectMultilingualNodes } from './surveyTranslations.js'
+import { surveyToXliff2Units } from './xliff2.js'
+
+/**
+ * @typedef {Object} PoEntry
+ * @property {string | null} context     msgctxt
+ * @property {string} msgid
+ * @property {string} msgstr             '' when untranslated
+ * @property {string[]} comments         `# ` translator comments
+ * @property {string[]} extracted        `#.` comments
+ * @property {string[]} references       `#:` references
+ * @property {string[]} flags            `#,` flags (e.g. fuzzy)
+ * @property {string | null} previousMsgid  `#| msgid`
+ *
+ * @typedef {Object} PoDocument
+ * @property {Record<string, string>} headers  from the header entry
+ * @property {PoEntry[]} entries               without the header
+ */
+
+// ---------------------------------------------------------------------------
+// Strings
+// ---------------------------------------------------------------------------
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' }
+
+function quote(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\t/g, '\\t').replace(/\r/g, '\\r').replace(/\n/g, '\\n')}"`
+}
+
+function unquote(quoted) {
+  return quoted.slice(1, -1).replace(/\\(.)/g, (_, c) => ESCAPES[c] ?? c)
+}
+
+// A keyword and its string, one quoted line per text line
+function field(keyword, text) {
+  const lines = text.split(/(?<=\n)(?=.)/s)
+  if (lines.length === 1) return `${keyword} ${quote(text)}`
+  return [`${keyword} ""`, ...lines.map(quote)].join('\n')
+}
+
+// ---------------------------------------------------------------------------
+// Writer
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialize a PO file (or a .pot template when `language` is null)
+ * @param {{ project: string, language?: string | null, sourceLanguage?: string, entries: PoEntry[] }} doc
+ * @returns {string}
+ */
+export function buildPo({ project, language = null, sourceLanguage = 'en-US', entries }) {
+  const headers = [
+    `Project-Id-Version: ${project}`,
+    `Language: ${language || ''}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+    `X-Source-Language: ${sourceLanguage}`
+  ]
+  const blocks = [[
+    language ? `# ${project} translations (${language})` : `# ${project} translation template`,
+    'msgid ""',
+    'msgstr ""',
+    ...headers.map(h => quote(`${h}\n`))
+  ].join('\n')]
+
+  for (const entry of entries) {
+    const lines = [
+      ...entry.comments.map(c => `# ${c}`),
+      ...entry.extracted.map(c => `#. ${c}`),
+      ...(entry.references.length > 0 ? [`#: ${entry.references.join(' ')}`] : []),
+      ...(entry.flags.length > 0 ? [`#, ${entry.flags.join(', ')}`] : []),
+      ...(entry.previousMsgid !== null ? field('msgid', entry.previousMsgid).split('\n').map(l => `#| ${l}`) : []),
+      ...(entry.context !== null ? [field('msgctxt', entry.context)] : []),
+      field('msgid', entry.msgid),
+      field('msgstr', entry.msgstr)
+    ]
+    blocks.push(lines.join('\n'))
+  }
+  return blocks.join('\n\n') + '\n'
+}
+
+// ---------------------------------------------------------------------------
+// Reader
+// ---------------------------------------------------------------------------
+
+/** @returns {PoEntry} */
+function emptyEntry() {
+  return { context: null, msgid: null, msgstr: '', comments: [], extracted: [], references: [], flags: [], previousMsgid: null }
+}
+
+/**
+ * Parse a PO or POT file. Obsolete (`#~`) entries are skipped; for plural
+ * entries only `msgstr[0]` is kept.
+ * @param {string} text
+ * @returns {PoDocument}
+ */
+export function parsePo(text) {
+  /** @type {PoEntry[]} */
+  const entries = []
+  let entry = emptyEntry()
+  let current = null
+  const flush = () => {
+    if (entry.msgid !== null) entries.push(entry)
+    entry = emptyEntry()
+    current = null
+  }
+
+  for (const raw of String(text).replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = raw.trim()
+    if (line === '') {
+      flush()
+      continue
+    }
+    if (line.startsWith('#~')) continue
+    if (line.startsWith('#')) {
+      // A comment after a complete entry starts the next one
+      if (entry.msgid !== null) flush()
+      const body = line.slice(2).trim()
+      if (line.startsWith('#.')) entry.extracted.push(body)
+      else if (line.startsWith('#:')) entry.references.push(...body.split(/\s+/).filter(Boolean))
+      else if (line.startsWith('#,')) entry.flags.push(...body.split(',').map(f => f.trim()).filter(Boolean))
+      else if (line.startsWith('#|')) {
+        const match = body.match(/^(?:(msgctxt|msgid)\s+)?(".*")$/)
+        if (match && match[1] === 'msgid') {
+          entry.previousMsgid = unquote(match[2])
+          current = 'previous'
+        } else if (match && !match[1] && current === 'previous') {
+          entry.previousMsgid += unquote(match[2])
+        }
+      } else entry.comments.push(line.slice(1).trim())
+      continue
+    }
+
+    const match = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+(".*")$/)
+    if (match) {
+      const [, keyword, index, quoted] = match
+      // msgctxt or msgid after a complete entry starts the next one
+      if ((keyword === 'msgctxt' || keyword === 'msgid') && entry.msgid !== null) flush()
+      if (keyword === 'msgctxt') current = 'context'
+      else if (keyword === 'msgid') current = 'msgid'
+      else if (keyword.startsWith('msgstr') && (index === undefined || index === '0')) current = 'msgstr'
+      else current = null
+      if (current) entry[current] = unquote(quoted)
+      continue
+    }
+    if (line.startsWith('"') && current && current !== 'previous') entry[current] += unquote(line)
+  }
+  flush()
+
+  const headerIndex = entries.findIndex(e => e.context === null && e.msgid === '')
+  /** @type {Record<string, string>} */
+  const headers = {}
+  if (headerIndex !== -1) {
+    for (const h of entries[headerIndex].msgstr.split('\n')) {
+      const sep = h.indexOf(':')
+      if (sep > 0) headers[h.slice(0, sep).trim()] = h.slice(sep + 1).trim()
+    }
+    entries.splice(headerIndex, 1)
+  }
+  return { headers, entries }
+}
+
+// ---------------------------------------------------------------------------
+// Surveys
+// ---------------------------------------------------------------------------
+
+/**
+ * PO entries for every translatable string in a survey
+ * @param {any} survey
+ * @param {{ surveyName: string, locale?: string | null, stringIds?: any }} options
+ *   `locale`: target locale (omit for a template); `stringIds`: the survey's
+ *   string id map, for review flags
+ * @returns {PoEntry[]}
+ */
+export function surveyToPoEntries(survey, { surveyName, locale = null, stringIds = null }) {
+  const nodes = collectMultilingualNodes(survey)
+  return surveyToXliff2Units(survey, { locale, stringIds }).map((unit, i) => {
+    const previous = (unit.notes || []).find(n => n.category === 'previous-source')
+    return {
+      context: `${surveyName}/${unit.name}`,
+      msgid: unit.source,
+      msgstr: unit.target ?? '',
+      comments: [],
+      extracted: nodes[i].elementName ? [`Question: ${nodes[i].elementName}`] : [],
+      references: [nodes[i].path],
+      flags: previous ? ['fuzzy'] : [],
+      previousMsgid: previous ? previous.text : null
+    }
+  })
+}
+
+/**
+ * Units (xliff2.js) for the translated entries of a PO file, ready for
+ * applyXliff2Units. Empty and fuzzy translations are left out, as gettext does.
+ * @param {PoEntry[]} entries
+ * @returns {{ units: import('./xliff2.js').Xliff2Unit[], fuzzy: number, surveys: string[] }}
+ *   `fuzzy`: translated entries skipped as fuzzy; `surveys`: survey names found in msgctxt
+ */
+export function poEntriesToUnits(entries) {
+  const surveys = new Set()
+  let fuzzy = 0
+  const units = []
+  for (const entry of entries) {
+    const context = entry.context || ''
+    const slash = context.indexOf('/')
+    if (slash > 0) surveys.add(context.slice(0, slash))
+    if (entry.msgstr === '') continue
+    if (entry.flags.includes('fuzzy')) {
+      fuzzy++
+      continue
+    }
+    const name = slash > 0 ? context.slice(slash + 1) : context
+    const notes = entry.references.length > 0 ? [{ category: 'location', text: entry.references[0] }] : []
+    units.push({ id: name, name, source: entry.msgid, target: entry.msgstr, notes })
+  }
+  return { units, fuzzy, surveys: [...surveys] }
+}
@@ -0,0 +1,272 @@
+/**
+ * Inline markup protection
+ *
+ * Survey strings carry HTML (`<font face=Verdana size=4>`, `<b>`, `<br>`,
+ * `<block>`) that translators and tools tend to damage. On export each tag
+ * becomes an XLIFF 1.2 placeholder numbered from the English string: a start tag
+ * with its end tag becomes `<g id="1">…</g>`, any other tag `<x id="2"/>`. On
+ * import the placeholders are replaced by the English string's own tags again,
+ * so the HTML comes back exactly as written, and placeholders the translator
+ * dropped or invented are reported.
+ *
+ * Tags are compared by name and attribute values, so `<font face=Verdana>` and
+ * `<font face="Verdana">` count as the same tag but `<font face=\"Verdana\">`
+ * does not.
+ */
+
+import { collectMultilingualNodes, getTranslation, normalizeLanguageKey } from './surveyTranslations.js'
+
+/**
+ * @typedef {Object} MarkupToken
+ * @property {string} [text]       Text between tags (text tokens only)
+ * @property {string} [tag]        Tag as written
+ * @property {string} [name]       Tag name as written
+ * @property {boolean} [closing]   `</name>`
+ * @property {boolean} [paired]    Start or end tag of a matched pair
+ * @property {number} [id]         Placeholder id, shared by both tags of a pair
+ *
+ * @typedef {Object} MarkupMismatch
+ * @property {string} id           Semantic id of the string
+ * @property {string} path         JSON path
+ * @property {string} locale
+ * @property {string[]} missing    Tags in the English but not in the translation
+ * @property {string[]} extra      Tags in the translation but not in the English
+ */
+
+const HTML_TAG_RE = /<\/?([A-Za-z][A-Za-z0-9-]*)\b[^<>]*>/g
+const ATTR_RE = /([^\s=/>]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g
+
+/**
+ * Split a string into text and tags, pair start and end tags, and number the
+ * placeholders in document order
+ *
+ * An end tag written the canonical way (`</b>`) closes the innermost open start
+ * tag of that name; start tags left open inside it (like `<br>`) stay unpaired.
+ * @param {string} text
+ * @returns {MarkupToken[]}
+ */
+export function tokenizeMarkup(text) {
+  const source = String(text ?? '')
+  /** @type {MarkupToken[]} */
+  const tokens = []
+  let last = 0
+  for (const match of source.matchAll(HTML_TAG_RE)) {
+    if (match.index > last) tokens.push({ text: source.slice(last, match.index) })
+    tokens.push({ tag: match[0], name: match[1], closing: match[0].startsWith('</'), paired: false })
+    last = match.index + match[0].length
+  }
+  if (last < source.length) tokens.push({ text: source.slice(last) })
+
+  const open = []
+  for (const token of tokens) {
+    if (!token.tag || token.tag.endsWith('/>')) continue
+    if (!token.closing) {
+      open.push(token)
+      continue
+    }
+    const index = open.map(t => `</${t.name}>`).lastIndexOf(token.tag)
+    if (index === -1) continue
+    open[index].paired = true
+    token.paired = true
+    token.start = open[index]
+    open.length = index
+  }
+
+  let id = 0
+  for (const token of tokens) {
+    if (!token.tag) continue
+    if (token.paired && token.closing) {
+      token.id = token.start.id
+      delete token.start
+    } else {
+      token.id = ++id
+    }
+  }
+  return tokens
+}
+
+/**
+ * Comparable form of a tag: lowercase name, attribute values unquoted
+ * @param {string} tag
+ * @returns {string}
+ */
+export function tagSignature(tag) {
+  const match = String(tag).match(/^<(\/?)([A-Za-z][A-Za-z0-9-]*)([^>]*?)\/?>$/)
+  if (!match) return String(tag)
+  const [, slash, name, rest] = match
+  const attrs = [...rest.matchAll(ATTR_RE)].map(([, attr, value]) => {
+    const unquoted = value && /^(["']).*\1$/.test(value) ? value.slice(1, -1) : value
+    return unquoted === undefined ? attr.toLowerCase() : `${attr.toLowerCase()}="${unquoted}"`
+  })
+  return `<${slash}${name.toLowerCase()}${attrs.map(a => ` ${a}`).join('')}>`
+}
+
+/**
+ * Tags of one string missing from or added to another, by signature
+ * @param {string} source   English
+ * @param {string} target   translation
+ * @returns {{ missing: string[], extra: string[] }}
+ */
+export function compareMarkup(source, target) {
+  const count = (text) => tokenizeMarkup(text).filter(t => t.tag).reduce((m, t) => {
+    const sig = tagSignature(t.tag)
+    return m.set(sig, (m.get(sig) || 0) + 1)
+  }, new Map())
+  const expected = count(source)
+  const actual = count(target)
+  const diff = (a, b) => [...a].flatMap(([sig, n]) => Array(Math.max(0, n - (b.get(sig) || 0))).fill(sig))
+  return { missing: diff(expected, actual), extra: diff(actual, expected) }
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
+
+const ctypeOf = (token) => `x-html-${token.name.toLowerCase()}`
+
+/**
+ * Encode a string as XLIFF 1.2 inline content with `<g>`/`<x/>` placeholders
+ *
+ * Placeholder ids come from `reference` (the English; defaults to the string
+ * itself). A translation's tags take the id of the matching English tag; a tag
+ * with no counterpart in the English stays as escaped text, so it survives the
+ * round trip and shows up in the markup report.
+ * @param {string} text
+ * @param {string} [reference]
+ * @returns {string}
+ */
+export function protectMarkup(text, reference = text) {
+  const refTokens = tokenizeMarkup(reference).filter(t => t.tag && !(t.paired && t.closing))
+  const used = new Set()
+  const claim = (token) => {
+    const ref = refTokens.find(r => !used.has(r) && r.paired === token.paired && tagSignature(r.tag) === tagSignature(token.tag))
+    if (ref) used.add(ref)
+    return ref
+  }
+
+  const openIds = new Map()
+  return tokenizeMarkup(text).map(token => {
+    if (token.text !== undefined) return escapeXml(token.text)
+    if (token.paired && token.closing) return openIds.has(token.id) ? '</g>' : escapeXml(token.tag)
+    const ref = claim(token)
+    if (!ref) return escapeXml(token.tag)
+    if (token.paired) {
+      openIds.set(token.id, ref.id)
+      return `<g id="${ref.id}" ctype="${ctypeOf(ref)}">`
+    }
+    return `<x id="${ref.id}" ctype="${ctypeOf(ref)}"/>`
+  }).join('')
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, cdata) => cdata.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'))
+    .replace(/&(?:#x([0-9a-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi, (_, hex, dec, name) => {
+      if (hex) return String.fromCodePoint(parseInt(hex, 16))
+      if (dec) return String.fromCodePoint(Number(dec))
+      return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name.toLowerCase()]
+    })
+}
+
+/**
+ * Whether XLIFF 1.2 inline content contains placeholders
+ * @param {string} inline
+ * @returns {boolean}
+ */
+export function hasPlaceholders(inline) {
+  return /<(?:g|x|bx|ex)\b[^>]*\bid\s*=/.test(String(inline).replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, ''))
+}
+
+/**
+ * Replace `<g>`/`<x/>` (and `<bx/>`/`<ex/>`) placeholders with the English
+ * string's tags and decode the text
+ * @param {string} inline   XLIFF 1.2 inline content (e.g. a <target>'s inner XML)
+ * @param {string} reference  the English the placeholders were numbered from
+ * @returns {{ text: string, missing: string[], extra: string[] }}
+ *   `missing`: English tags with no placeholder; `extra`: placeholders the English
+ *   lacks (unknown id, or a ctype naming another tag), which are dropped
+ */
+export function restoreMarkup(inline, reference) {
+  const refTokens = tokenizeMarkup(reference).filter(t => t.tag)
+  const starts = new Map(refTokens.filter(t => !(t.paired && t.closing)).map(t => [String(t.id), t]))
+  const ends = new Map(refTokens.filter(t => t.paired && t.closing).map(t => [String(t.id), t]))
+  const seen = new Set()
+  const extra = []
+  const gStack = []
+  let text = ''
+
+  const placeholderRe = /<!\[CDATA\[[\s\S]*?\]\]>|<(\/?)(g|x|bx|ex)\b([^>]*?)(\/?)>/g
+  let last = 0
+  for (const match of String(inline).matchAll(placeholderRe)) {
+    const [whole, slash, element, attrs, selfClosing] = match
+    if (!element) continue
+    text += decodeXml(inline.slice(last, match.index))
+    last = match.index + whole.length
+    if (element === 'g' && slash) {
+      const id = gStack.pop()
+      text += id && ends.has(id) ? ends.get(id).tag : ''
+      continue
+    }
+    const id = (attrs.match(/\bid\s*=\s*["']([^"']*)["']/) || [])[1]
+    const isEnd = element === 'ex'
+    const ctype = (attrs.match(/\bctype\s*=\s*["']x-html-([^"']*)["']/) || [])[1]
+    let ref = isEnd ? ends.get(id) : starts.get(id)
+    // The English changed since export and the id now names another tag
+    if (ref && ctype && ctype !== ref.name.toLowerCase()) ref = undefined
+    if (element === 'g' && !selfClosing) gStack.push(ref && ref.paired ? id : null)
+    if (!ref) {
+      extra.push(`${element}#${id}`)
+      continue
+    }
+    seen.add(`${isEnd ? 'end' : 'start'}:${id}`)
+    text += ref.tag
+    // A self-closed <g/> stands for an empty element
+    if (element === 'g' && selfClosing && ends.has(id)) {
+      text += ends.get(id).tag
+      seen.add(`end:${id}`)
+    }
+  }
+  text += decodeXml(String(inline).slice(last))
+
+  // An end tag counts as kept when its <g> was (the end is implied by </g>)
+  const missing = refTokens
+    .filter(t => !(t.paired && t.closing))
+    .filter(t => !seen.has(`start:${t.id}`))
+    .map(t => t.tag)
+  return { text, missing, extra }
+}
+
+/**
+ * English a translation's placeholders are numbered from: en-US, then en, then
+ * default (the order the XLIFF exporter picks its source)
+ * @param {Record<string, any>} value multilingual object
+ * @returns {string|undefined}
+ */
+export function markupReference(value) {
+  return ['en-US', 'en', 'default'].map(key => getTranslation(value, key)).find(t => typeof t === 'string' && t !== '')
+}
+
+const SOURCE_LOCALES = new Set(['default', 'en', 'en-US'])
+
+/**
+ * Translations whose tags differ from the English, for the given locales or all
+ * @param {any} survey
+ * @param {{ locales?: string[] }} [options]
+ * @returns {MarkupMismatch[]}
+ */
+export function findMarkupMismatches(survey, { locales } = {}) {
+  const only = locales && locales.length > 0 ? new Set(locales.map(normalizeLanguageKey)) : null
+  /** @type {MarkupMismatch[]} */
+  const mismatches = []
+  for (const node of collectMultilingualNodes(survey)) {
+    const english = markupReference(node.value)
+    if (english === undefined) continue
+    for (const [key, target] of Object.entries(node.value)) {
+      const locale = normalizeLanguageKey(key)
+      if (SOURCE_LOCALES.has(locale) || typeof target !== 'string' || target === '' || (only && !only.has(locale))) continue
+      const { missing, extra } = compareMarkup(english, target)
+      if (missing.length > 0 || extra.length > 0) mismatches.push({ id: node.id, path: node.path, locale, missing, extra })
+    }
+  }
+  return mismatches
+}
@@ -0,0 +1,240 @@
+/**
+ * Offline language identification
+ *
+ * Checks that a stored translation is written in the language of its locale
+ * key: English left in a `de-CH` column, Spanish stored under `en-GH`. Each
+ * supported language has a profile built at load time from a short sample of
+ * survey-style text: character trigram frequencies (spelling, accents, `ß`,
+ * `ñ`, `ij`) and a list of common function words. A text is scored against
+ * every profile and the scores are turned into a confidence between 0 and 1.
+ *
+ * Short strings ("Yes", "Nie", "LEVANTE") carry too little evidence and are
+ * reported as not reliable rather than guessed. Languages without a profile
+ * are not checked.
+ */
+
+import { collectMultilingualNodes, discoverLanguages, isLanguageKey, normalizeLanguageKey } from './surveyTranslations.js'
+
+/**
+ * @typedef {Object} LanguageGuess
+ * @property {string | null} language  best matching language, null when the text has no words
+ * @property {number} confidence       share of the evidence for `language`, 0–1
+ * @property {Record<string, number>} scores  confidence per supported language
+ * @property {number} words            words the guess is based on
+ * @property {boolean} reliable        enough words to act on the guess
+ *
+ * @typedef {Object} LanguageCheckOptions
+ * @property {number} [minWords]       fewest words for a reliable guess (default 4)
+ * @property {number} [minConfidence]  lowest confidence to report a mismatch (default 0.8)
+ * @property {string[]} [locales]      locale keys to check (default: every key in the survey)
+ *
+ * @typedef {Object} LanguageMismatch
+ * @property {string} id            semantic id of the string
+ * @property {string} path          JSON path of the multilingual object
+ * @property {string} elementName
+ * @property {string} locale        locale key the text is stored under
+ * @property {string} expected      language of the locale key
+ * @property {string} detected      language the text is written in
+ * @property {number} confidence
+ * @property {string} text
+ */
+
+const DEFAULT_OPTIONS = { minWords: 4, minConfidence: 0.8 }
+
+// Weight of the function-word hit rate against the mean trigram log-probability,
+// and how sharply score differences become confidence
+const WORD_WEIGHT = 4
+const SHARPNESS = 3
+
+/** Sample text per language; profiles are built from these and the function words */
+const SAMPLES = {
+  en: `How often does your child feel happy at school? Please answer the following questions about your family and your home.
+    There are no right or wrong answers. Choose the answer that best describes what you think. Some of the time, most of the
+    time, all of the time, never. My teacher listens to me when I have something to say. I have friends in my class who help
+    me with my work. In the past week, how many days did your child sleep well? Which language do you speak with your child
+    at home? The students in this classroom work together and respect each other. Please tell us about the highest level of
+    education you have completed. What is the age of the child who lives with you? I feel safe on the way to school and in
+    the playground. We would like to know more about the things your child does after school, such as reading books, playing
+    sports or watching television. Thank you for taking the time to complete this survey. Select all that apply. Other,
+    please specify. Strongly agree, agree, neither agree nor disagree, disagree, strongly disagree.`,
+  de: `Wie oft fühlt sich Ihr Kind in der Schule wohl? Bitte beantworten Sie die folgenden Fragen über Ihre Familie und Ihr
+    Zuhause. Es gibt keine richtigen oder falschen Antworten. Wähle die Antwort, die am besten beschreibt, was du denkst.
+    Manchmal, meistens, immer, nie. Meine Lehrerin hört mir zu, wenn ich etwas sagen möchte. Ich habe Freunde in meiner
+    Klasse, die mir bei der Arbeit helfen. An wie vielen Tagen hat Ihr Kind in der letzten Woche gut geschlafen? Welche
+    Sprache sprechen Sie zu Hause mit Ihrem Kind? Die Schülerinnen und Schüler in dieser Klasse arbeiten zusammen und
+    respektieren einander. Bitte geben Sie den höchsten Bildungsabschluss an, den Sie erreicht haben. Wie alt ist das Kind,
+    das bei Ihnen wohnt? Ich fühle mich auf dem Schulweg und auf dem Pausenhof sicher. Wir möchten mehr über die Dinge
+    erfahren, die Ihr Kind nach der Schule macht, zum Beispiel Bücher lesen, Sport treiben oder fernsehen. Vielen Dank, dass
+    Sie sich die Zeit genommen haben, diese Umfrage auszufüllen. Wählen Sie alle zutreffenden Antworten aus. Andere, bitte
+    angeben. Stimme voll und ganz zu, stimme zu, weder noch, stimme nicht zu, stimme überhaupt nicht zu. Das ist für uns sehr
+    wichtig, weil wir die Entwicklung der Kinder besser verstehen wollen.`,
+  es: `¿Con qué frecuencia se siente feliz su hijo en la escuela? Por favor responda las siguientes preguntas sobre su familia
+    y su hogar. No hay respuestas correctas ni incorrectas. Elige la respuesta que mejor describa lo que piensas. Algunas
+    veces, la mayoría de las veces, todo el tiempo, nunca. Mi maestra me escucha cuando tengo algo que decir. Tengo amigos en
+    mi clase que me ayudan con mi trabajo. En la última semana, ¿cuántos días durmió bien su hijo o hija? ¿Qué idioma habla
+    con su niño en casa? Los estudiantes de este salón trabajan juntos y se respetan entre ellos. Por favor indique el nivel
+    de educación más alto que ha completado. ¿Cuál es la edad del niño que vive con usted? Me siento seguro en el camino a la
+    escuela y en el patio. Nos gustaría saber más sobre las cosas que hace su hijo después de la escuela, como leer libros,
+    hacer deportes o ver televisión. Gracias por tomarse el tiempo de completar esta encuesta. Seleccione todas las opciones
+    que correspondan. Otro, por favor especifique. Totalmente de acuerdo, de acuerdo, ni de acuerdo ni en desacuerdo, en
+    desacuerdo, totalmente en desacuerdo. Vos podés elegir más de una respuesta si querés.`,
+  fr: `À quelle fréquence votre enfant se sent-il heureux à l'école ? Veuillez répondre aux questions suivantes sur votre
+    famille et votre foyer. Il n'y a pas de bonnes ou de mauvaises réponses. Choisis la réponse qui décrit le mieux ce que tu
+    penses. Parfois, la plupart du temps, tout le temps, jamais. Mon enseignante m'écoute quand j'ai quelque chose à dire.
+    J'ai des amis dans ma classe qui m'aident dans mon travail. Au cours de la dernière semaine, combien de jours votre enfant
+    a-t-il bien dormi ? Quelle langue parlez-vous avec votre enfant à la maison ? Les élèves de cette classe travaillent
+    ensemble et se respectent les uns les autres. Veuillez indiquer le plus haut niveau d'études que vous avez terminé. Quel
+    est l'âge de l'enfant qui vit avec vous ? Je me sens en sécurité sur le chemin de l'école et dans la cour de récréation.
+    Nous aimerions en savoir plus sur les activités de votre enfant après l'école, comme lire des livres, faire du sport ou
+    regarder la télévision. Merci d'avoir pris le temps de répondre à ce questionnaire. Sélectionnez toutes les réponses qui
+    s'appliquent. Autre, veuillez préciser. Tout à fait d'accord, d'accord, ni d'accord ni pas d'accord, pas d'accord, pas du
+    tout d'accord.`,
+  nl: `Hoe vaak voelt uw kind zich gelukkig op school? Beantwoord de volgende vragen over uw gezin en uw thuis. Er zijn geen
+    goede of foute antwoorden. Kies het antwoord dat het best beschrijft wat je denkt. Soms, meestal, altijd, nooit. Mijn
+    leerkracht luistert naar mij als ik iets wil zeggen. Ik heb vrienden in mijn klas die mij helpen met mijn werk. Op hoeveel
+    dagen heeft uw kind in de afgelopen week goed geslapen? Welke taal spreekt u thuis met uw kind? De leerlingen in deze klas
+    werken samen en hebben respect voor elkaar. Geef het hoogste opleidingsniveau aan dat u hebt afgerond. Hoe oud is het kind
+    dat bij u woont? Ik voel me veilig op weg naar school en op het schoolplein. We willen graag meer weten over wat uw kind na
+    school doet, zoals boeken lezen, sporten of televisie kijken. Bedankt dat u de tijd hebt genomen om deze vragenlijst in te
+    vullen. Selecteer alles wat van toepassing is. Anders, namelijk. Helemaal mee eens, mee eens, niet mee eens en niet mee
+    oneens, mee oneens, helemaal mee oneens.`
+}
+
+/** Frequent function words per language */
+const FUNCTION_WORDS = {
+  en: `the and of to a in is you that it for your are with on as this be at or have how what do does not from by they we he she
+    his her their our my me was were has had will would can could often about when which who there if all any some many much
+    very more most other than then been into out up no yes`,
+  de: `der die das und ist nicht ein eine einen einem einer zu den dem des mit sich auf für von im es ich du sie er wir ihr ihre
+    ihres ihrem ihren wie oft was wenn oder auch noch nur sehr bei aus nach um über hat haben sind war wird werden kann können
+    dein deine mein meine ja nein manchmal immer nie welche wurde diese dieser zum zur als dass vom kein keine`,
+  es: `de la que el en y los las del se por un una con no su sus para es al lo como más pero le ya o este esta ha sí porque muy
+    sin sobre también me hasta hay donde quien desde todo nos durante todos uno les ni ese eso ellos esto antes algunos qué
+    cuál cómo cuántos cuántas usted tu tus veces nunca siempre mi mis está están son fue han hemos he puede pueden hace era ser`,
+  fr: `de la le les et des en un une du est que qui dans pour pas au aux sur avec ce cette ces il elle ils elles vous votre vos
+    nous tu ton ta tes son sa ses se ne plus par ou mais comme être avoir fait été sont quel quelle combien souvent jamais
+    toujours parfois oui non très aussi où leur à l d qu j n c`,
+  nl: `de het een en van in is dat op te zijn voor met niet aan er maar om ook als bij dan of uit wat naar wordt worden door je
+    jij jouw uw u hij zij ze we wij ons onze hoe vaak nooit altijd soms ja nee heeft hebt had kan kunt moet deze die dit welke
+    hoeveel geen mijn zich tot nog heel meer`
+}
+
+// Words a reader sees: tags, entities, {placeholders}, URLs and numbers removed
+function extractWords(text) {
+  const visible = String(text)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&[a-z]+;|&#\d+;/gi, ' ')
+    .replace(/\{[^{}]*\}/g, ' ')
+    .replace(/\b(?:https?:\/\/|www\.)\S+/gi, ' ')
+    .normalize('NFC')
+    .toLowerCase()
+  return visible.match(/\p{L}+/gu) || []
+}
+
+function* trigrams(words) {
+  for (const word of words) {
+    const padded = ` ${word} `
+    for (let i = 0; i + 3 <= padded.length; i++) yield padded.slice(i, i + 3)
+  }
+}
+
+// Trigram log-probabilities per language, add-one smoothed over the trigrams of all languages
+const PROFILES = (() => {
+  const counts = {}
+  const vocabulary = new Set()
+  for (const [language, sample] of Object.entries(SAMPLES)) {
+    const table = new Map()
+    for (const gram of trigrams([...extractWords(sample), ...extractWords(FUNCTION_WORDS[language])])) {
+      table.set(gram, (table.get(gram) || 0) + 1)
+      vocabulary.add(gram)
+    }
+    counts[language] = table
+  }
+  const size = vocabulary.size + 1
+  return Object.fromEntries(Object.entries(counts).map(([language, table]) => {
+    const total = [...table.values()].reduce((n, c) => n + c, 0)
+    const logProb = new Map([...table].map(([gram, c]) => [gram, Math.log((c + 1) / (total + size))]))
+    return [language, { logProb, unseen: Math.log(1 / (total + size)), words: new Set(extractWords(FUNCTION_WORDS[language])) }]
+  }))
+})()
+
+/** Languages with a profile */
+export const SUPPORTED_LANGUAGES = Object.keys(PROFILES)
+
+/**
+ * Language a locale key stands for (`default` and `en-*` are English)
+ * @param {string} locale
+ * @returns {string}
+ */
+export function languageOfLocale(locale) {
+  if (locale === 'default') return 'en'
+  return normalizeLanguageKey(locale).split('-')[0]
+}
+
+/**
+ * Guess the language of a text
+ * @param {string} text
+ * @param {{ minWords?: number, languages?: string[] }} [options]  `languages`: candidates (default: all supported)
+ * @returns {LanguageGuess}
+ */
+export function identifyLanguage(text, { minWords = DEFAULT_OPTIONS.minWords, languages = SUPPORTED_LANGUAGES } = {}) {
+  const words = extractWords(text)
+  const candidates = languages.filter(language => PROFILES[language])
+  if (words.length === 0 || candidates.length === 0) {
+    return { language: null, confidence: 0, scores: {}, words: words.length, reliable: false }
+  }
+
+  const grams = [...trigrams(words)]
+  const raw = candidates.map(language => {
+    const { logProb, unseen, words: functionWords } = PROFILES[language]
+    const meanLogProb = grams.reduce((sum, gram) => sum + (logProb.get(gram) ?? unseen), 0) / grams.length
+    const hitRate = words.filter(word => functionWords.has(word)).length / words.length
+    return meanLogProb + WORD_WEIGHT * hitRate
+  })
+
+  // Softmax over the scores
+  const best = Math.max(...raw)
+  const weights = raw.map(score => Math.exp(SHARPNESS * (score - best)))
+  const sum = weights.reduce((n, w) => n + w, 0)
+  const scores = Object.fromEntries(candidates.map((language, i) => [language, weights[i] / sum]))
+  const language = candidates[raw.indexOf(best)]
+  return { language, confidence: scores[language], scores, words: words.length, reliable: words.length >= minWords }
+}
+
+/**
+ * Check that a translation is in the language of its locale key
+ * @param {string} text
+ * @param {string} locale
+ * @param {Omit<LanguageCheckOptions, 'locales'>} [options]
+ * @returns {{ expected: string, detected: string, confidence: number } | null}
+ *   null when the text matches, is too short to tell, or the language has no profile
+ */
+export function checkTextLanguage(text, locale, { minWords = DEFAULT_OPTIONS.minWords, minConfidence = DEFAULT_OPTIONS.minConfidence } = {}) {
+  const expected = languageOfLocale(locale)
+  if (!PROFILES[expected] || typeof text !== 'string') return null
+  const guess = identifyLanguage(text, { minWords })
+  if (!guess.reliable || !guess.language || guess.language === expected || guess.confidence < minConfidence) return null
+  return { expected, detected: guess.language, confidence: guess.confidence }
+}
+
+/**
+ * Every translation in a survey that reads as another language than its locale key
+ * @param {any} survey
+ * @param {LanguageCheckOptions} [options]
+ * @returns {LanguageMismatch[]}
+ */
+export function findLanguageMismatches(survey, { locales, ...options } = {}) {
+  // Compared normalized, so `es_CO` keys are checked when `es-CO` is asked for
+  const keys = new Set((locales && locales.length > 0 ? locales : discoverLanguages(survey)).map(normalizeLanguageKey))
+  const mismatches = []
+  for (const node of collectMultilingualNodes(survey)) {
+    for (const [key, text] of Object.entries(node.value)) {
+      if (!isLanguageKey(key) || !keys.has(normalizeLanguageKey(key))) continue
+      const mismatch = checkTextLanguage(text, key, options)
+      if (mismatch) {
+        mismatches.push({ id: node.id, path: node.path, elementName: node.elementName, locale: key, ...mismatch, text })
+      }
+    }
+  }
+  return mismatches
+}
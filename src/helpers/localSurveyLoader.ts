@@ -1,13 +1,11 @@
 import type { SurveyFileKey } from '@/constants/bucket'
+import { getSurveyByKey, getSurveys } from '@/constants/surveys.js'
+import { discoverLanguages, hasMultilingualContent } from '@/helpers/surveyTranslations.js'
 
 // Local survey data mapping - we'll load these dynamically
-const LOCAL_SURVEY_FILES: Record<SurveyFileKey, string> = {
-  CHILD: '/surveys/child_survey_updated.json',
-  PARENT_FAMILY: '/surveys/parent_survey_family_updated.json',
-  PARENT_CHILD: '/surveys/parent_survey_child_updated.json',
-  TEACHER_GENERAL: '/surveys/teacher_survey_general_updated.json',
-  TEACHER_CLASSROOM: '/surveys/teacher_survey_classroom_updated.json'
-}
+const LOCAL_SURVEY_FILES = Object.fromEntries(
+  getSurveys('local').map(survey => [survey.key, `/surveys/${survey.versions.updated}`])
+) as Record<SurveyFileKey, string>
 
 // Cache for loaded surveys
 const surveyCache: Record<SurveyFileKey, any> = {}
@@ -134,43 +132,7 @@ export function getLocalSurveyMetadata(surveyKey: SurveyFileKey) {
  * Get the local file name for a survey key
  */
 function getLocalFileName(surveyKey: SurveyFileKey): string {
-  const fileNames: Record<SurveyFileKey, string> = {
-    CHILD: 'child_survey_updated.json',
-    PARENT_FAMILY: 'parent_survey_family_updated.json',
-    PARENT_CHILD: 'parent_survey_child_updated.json',
-    TEACHER_GENERAL: 'teacher_survey_general_updated.json',
-    TEACHER_CLASSROOM: 'teacher_survey_classroom_updated.json'
-  }
-
-  return fileNames[surveyKey] || `${surveyKey.toLowerCase()}_updated.json`
-}
-
-/**
- * Check if survey data contains multilingual content
- */
-function hasMultilingualContent(surveyData: any): boolean {
-  const checkForLanguages = (obj: any): boolean => {
-    if (!obj || typeof obj !== 'object') return false
-
-    // Check if this object has language keys
-    const languageKeys = ['en', 'es', 'de', 'fr', 'nl', 'es-CO', 'fr-CA', 'de-CH', 'es-AR', 'en-US', 'en-GH', 'default']
-    const hasLanguageKeys = languageKeys.some(key => key in obj)
-
-    if (hasLanguageKeys) return true
-
-    // Recursively check nested objects and arrays
-    for (const value of Object.values(obj)) {
-      if (Array.isArray(value)) {
-        if (value.some(item => checkForLanguages(item))) return true
-      } else if (typeof value === 'object' && value !== null) {
-        if (checkForLanguages(value)) return true
-      }
-    }
-
-    return false
-  }
-
-  return checkForLanguages(surveyData)
+  return getSurveyByKey(surveyKey)?.versions.updated || `${surveyKey.toLowerCase()}_updated.json`
 }
 
 /**
@@ -181,30 +143,5 @@ export function getAvailableLanguages(surveyKey: SurveyFileKey): string[] {
     return []
   }
 
-  const surveyData = LOCAL_SURVEYS[surveyKey]
-  const languages = new Set<string>()
-
-  const extractLanguages = (obj: any) => {
-    if (!obj || typeof obj !== 'object') return
-
-    // Check if this object has language keys
-    const languageKeys = ['en', 'es', 'de', 'fr', 'nl', 'es-CO', 'fr-CA', 'de-CH', 'es-AR', 'en-US', 'en-GH', 'default']
-    languageKeys.forEach(key => {
-      if (key in obj && obj[key]) {
-        languages.add(key)
-      }
-    })
-
-    // Recursively check nested objects and arrays
-    for (const value of Object.values(obj)) {
-      if (Array.isArray(value)) {
-        value.forEach(item => extractLanguages(item))
-      } else if (typeof value === 'object' && value !== null) {
-        extractLanguages(value)
-      }
-    }
-  }
-
-  extractLanguages(surveyData)
-  return Array.from(languages).sort()
+  return discoverLanguages(LOCAL_SURVEYS[surveyKey])
 }
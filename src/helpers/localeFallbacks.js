@@ -0,0 +1,134 @@
+/**
+ * Locale fallback chains
+ *
+ * Regional variants declared in LOCALE_FALLBACKS (src/constants/languages.js)
+ * store only the strings that differ from their parent locale. These helpers
+ * resolve a string through the chain (`es-AR → es-CO → default`), copy the
+ * inherited strings into the variant for consumers that only know SurveyJS's
+ * own fallback to `default` (materialize), and drop stored strings that are
+ * the same as what the variant would inherit anyway (prune).
+ *
+ * Used by the preview, the coverage report, the deploy pipeline and
+ * scripts/locale-fallbacks.js.
+ */
+
+import { LOCALE_FALLBACKS, getFallbackChain } from '../constants/languages.js'
+import { discoverLanguages, getTranslation, isMultilingualObject, iterObjects, normalizeLanguageKey, setTranslation } from './surveyTranslations.js'
+
+/**
+ * @typedef {Record<string, string>} FallbackMap   locale → parent locale
+ *
+ * @typedef {Object} ResolvedTranslation
+ * @property {string} text
+ * @property {string} from    locale the text is stored under (the requested one or an ancestor)
+ *
+ * @typedef {Object} MaterializeResult
+ * @property {any} survey                    copy of the survey with inherited strings filled in
+ * @property {Record<string, number>} filled strings copied into each locale
+ *
+ * @typedef {Object} PruneResult
+ * @property {number} removed                          total strings removed
+ * @property {Record<string, number>} removedByLocale
+ */
+
+// A stored string SurveyJS would show (not missing, not blank)
+const isUsable = (text) => typeof text === 'string' && text.trim() !== ''
+
+/**
+ * Text of a localizable value for a locale, following its fallback chain
+ * @param {any} value
+ * @param {string} locale
+ * @param {{ fallbacks?: FallbackMap }} [options]
+ * @returns {ResolvedTranslation | undefined}  undefined when no locale in the chain has text
+ */
+export function resolveTranslation(value, locale, { fallbacks = LOCALE_FALLBACKS } = {}) {
+  for (const from of getFallbackChain(normalizeLanguageKey(locale), fallbacks)) {
+    const text = getTranslation(value, from)
+    if (isUsable(text)) return { text, from }
+  }
+  return undefined
+}
+
+/**
+ * Text a locale inherits from its nearest ancestor other than `default`
+ * (SurveyJS falls back to `default` on its own)
+ * @param {any} value
+ * @param {string} locale
+ * @param {{ fallbacks?: FallbackMap }} [options]
+ * @returns {ResolvedTranslation | undefined}
+ */
+export function inheritedTranslation(value, locale, { fallbacks = LOCALE_FALLBACKS } = {}) {
+  const [, ...ancestors] = getFallbackChain(normalizeLanguageKey(locale), fallbacks)
+  for (const from of ancestors) {
+    if (from === 'default') break
+    const text = getTranslation(value, from)
+    if (isUsable(text)) return { text, from }
+  }
+  return undefined
+}
+
+/**
+ * Locales to fill in a survey: the ones it has, plus declared variants whose
+ * chain reaches one of them
+ * @param {any} survey
+ * @param {FallbackMap} [fallbacks]
+ * @returns {string[]}
+ */
+export function getInheritingLocales(survey, fallbacks = LOCALE_FALLBACKS) {
+  const present = discoverLanguages(survey).filter(locale => locale !== 'default')
+  const declared = Object.keys(fallbacks)
+    .filter(locale => getFallbackChain(locale, fallbacks).slice(1).some(ancestor => present.includes(ancestor)))
+  return Array.from(new Set([...present, ...declared])).sort()
+}
+
+/**
+ * Copy of a survey where every variant stores its inherited strings, so it
+ * renders the same in a consumer that does not know the chains
+ * @param {any} survey
+ * @param {{ locales?: string[], fallbacks?: FallbackMap }} [options]
+ *   `locales` defaults to getInheritingLocales
+ * @returns {MaterializeResult}
+ */
+export function materializeFallbacks(survey, { locales, fallbacks = LOCALE_FALLBACKS } = {}) {
+  const copy = structuredClone(survey)
+  const targets = locales && locales.length > 0 ? locales.map(normalizeLanguageKey) : getInheritingLocales(copy, fallbacks)
+  /** @type {Record<string, number>} */
+  const filled = {}
+  for (const obj of iterObjects(copy)) {
+    if (!isMultilingualObject(obj)) continue
+    for (const locale of targets) {
+      if (isUsable(getTranslation(obj, locale))) continue
+      const inherited = inheritedTranslation(obj, locale, { fallbacks })
+      if (!inherited) continue
+      setTranslation(obj, locale, inherited.text)
+      filled[locale] = (filled[locale] || 0) + 1
+    }
+  }
+  return { survey: copy, filled }
+}
+
+/**
+ * Remove variant strings identical to what the variant inherits (modifies the survey)
+ * @param {any} survey
+ * @param {{ fallbacks?: FallbackMap }} [options]
+ * @returns {PruneResult}
+ */
+export function pruneInheritedTranslations(survey, { fallbacks = LOCALE_FALLBACKS } = {}) {
+  /** @type {Record<string, number>} */
+  const removedByLocale = {}
+  let removed = 0
+  const variants = Object.keys(fallbacks)
+  for (const obj of iterObjects(survey)) {
+    if (!isMultilingualObject(obj)) continue
+    for (const key of Object.keys(obj)) {
+      const locale = normalizeLanguageKey(key)
+      if (!variants.includes(locale) || !isUsable(obj[key])) continue
+      const inherited = inheritedTranslation(obj, locale, { fallbacks })
+      if (!inherited || inherited.text !== obj[key]) continue
+      delete obj[key]
+      removedByLocale[locale] = (removedByLocale[locale] || 0) + 1
+      removed++
+    }
+  }
+  return { removed, removedByLocale }
+}
@@ -0,0 +1,179 @@
+/**
+ * Deep links into the Survey Preview Tool
+ *
+ * The preview keeps what it shows (environment or backup, survey, locale,
+ * page, answers, theme and tab) in the query string of `/survey-test`, so a
+ * link like `/survey-test?bucket=current-prod&survey=parent_survey_child&locale=fr-CA&page=7`
+ * opens that exact screen. Pages are 1-based in the URL. Answers are the
+ * SurveyJS `data` object as base64url-encoded JSON. Values equal to the
+ * preview's defaults are left out so links stay short.
+ *
+ * Parsing never throws: unknown or malformed values are dropped and reported
+ * in `ignored`, and the preview falls back to its default for them.
+ */
+
+import { normalizeLanguageKey } from './surveyTranslations.js'
+
+/** Query parameter of every piece of preview state */
+export const PREVIEW_QUERY_KEYS = {
+  bucket: 'bucket',
+  survey: 'survey',
+  locale: 'locale',
+  page: 'page',
+  answers: 'answers',
+  theme: 'theme',
+  tab: 'tab'
+}
+
+/** What the preview shows when the URL says nothing */
+export const PREVIEW_DEFAULTS = {
+  bucket: 'dev',
+  locale: 'default',
+  pageNo: 0,
+  theme: 'default-light',
+  tab: 'preview'
+}
+
+// Backup folders on dev are named backup_<timestamp>
+const BACKUP_PATTERN = /^backup:backup_[\w-]+$/
+
+/**
+ * @typedef {Object} PreviewLinkState
+ * @property {string} bucket              bucket key or `backup:<folder>`
+ * @property {string} [survey]            survey name, e.g. parent_survey_child
+ * @property {string} locale              survey locale (`default` is English)
+ * @property {number} pageNo              0-based page index
+ * @property {Record<string, any>} [answers]  SurveyJS data to prefill
+ * @property {string} theme               theme slug, e.g. default-light
+ * @property {string} tab                 view tab of the preview
+ *
+ * @typedef {Object} PreviewLinkOptions
+ * @property {string[]} [buckets]   accepted bucket keys (backups are checked by pattern)
+ * @property {string[]} [surveys]   accepted survey names
+ * @property {string[]} [themes]    accepted theme slugs
+ * @property {string[]} [tabs]      accepted tabs
+ *
+ * @typedef {Object} ParsedPreviewLink
+ * @property {PreviewLinkState} state
+ * @property {string[]} ignored     query parameters that were present but invalid
+ */
+
+/**
+ * Encode answers as base64url JSON (UTF-8 safe, works in the browser and Node)
+ * @param {Record<string, any>} answers
+ * @returns {string}
+ */
+export function encodeAnswers(answers) {
+  const bytes = new TextEncoder().encode(JSON.stringify(answers))
+  let binary = ''
+  for (const byte of bytes) binary += String.fromCharCode(byte)
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * Decode answers written by encodeAnswers
+ * @param {string} encoded
+ * @returns {Record<string, any> | undefined}  undefined when it is not an encoded object
+ */
+export function decodeAnswers(encoded) {
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'))
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0))
+    const answers = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(bytes))
+    return answers && typeof answers === 'object' && !Array.isArray(answers) ? answers : undefined
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * Slug of a SurveyJS theme object, e.g. `sharp-dark-panelless`
+ * @param {{ themeName?: string, colorPalette?: string, isPanelless?: boolean }} theme
+ * @returns {string}
+ */
+export function themeSlug(theme) {
+  return `${theme.themeName || 'default'}-${theme.colorPalette || 'light'}${theme.isPanelless ? '-panelless' : ''}`
+}
+
+// vue-router gives repeated parameters as arrays; the first one wins
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value)
+
+/**
+ * Read the preview state from a route query
+ * @param {Record<string, any>} query
+ * @param {PreviewLinkOptions} [options]
+ * @returns {ParsedPreviewLink}
+ */
+export function parsePreviewQuery(query, { buckets, surveys, themes, tabs } = {}) {
+  /** @type {PreviewLinkState} */
+  const state = { ...PREVIEW_DEFAULTS }
+  /** @type {string[]} */
+  const ignored = []
+  const read = (key) => {
+    const value = firstValue(query[PREVIEW_QUERY_KEYS[key]])
+    return typeof value === 'string' && value !== '' ? value : undefined
+  }
+  const accept = (key, value, valid) => {
+    if (value === undefined) return
+    if (valid) state[key] = value
+    else ignored.push(PREVIEW_QUERY_KEYS[key])
+  }
+
+  const bucket = read('bucket')
+  accept('bucket', bucket, bucket !== undefined && (BACKUP_PATTERN.test(bucket) || !buckets || buckets.includes(bucket)))
+
+  const survey = read('survey')
+  accept('survey', survey, survey !== undefined && (!surveys || surveys.includes(survey)))
+
+  // Locales are checked against the survey once it is loaded; `en` is stored as `default`
+  const locale = read('locale')
+  const isLocale = locale !== undefined && (locale === 'default' || /^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})?$/.test(locale))
+  const localeKey = isLocale ? normalizeLanguageKey(locale) : locale
+  accept('locale', localeKey === 'en' ? 'default' : localeKey, isLocale)
+
+  const page = read('page')
+  const pageNumber = page !== undefined && /^\d+$/.test(page) ? Number(page) : NaN
+  if (page !== undefined) {
+    if (pageNumber >= 1) state.pageNo = pageNumber - 1
+    else ignored.push(PREVIEW_QUERY_KEYS.page)
+  }
+
+  const answers = read('answers')
+  if (answers !== undefined) {
+    const decoded = decodeAnswers(answers)
+    if (decoded) state.answers = decoded
+    else ignored.push(PREVIEW_QUERY_KEYS.answers)
+  }
+
+  const theme = read('theme')
+  accept('theme', theme, theme !== undefined && (!themes || themes.includes(theme)))
+
+  const tab = read('tab')
+  accept('tab', tab, tab !== undefined && (!tabs || tabs.includes(tab)))
+
+  return { state, ignored }
+}
+
+/**
+ * Route query for a preview state, leaving out defaults
+ * @param {Partial<PreviewLinkState>} state
+ * @returns {Record<string, string>}
+ */
+export function buildPreviewQuery(state) {
+  /** @type {Record<string, string>} */
+  const query = {}
+  const set = (key, value, fallback) => {
+    if (value !== undefined && value !== null && value !== '' && value !== fallback) query[PREVIEW_QUERY_KEYS[key]] = String(value)
+  }
+  set('bucket', state.bucket, PREVIEW_DEFAULTS.bucket)
+  set('survey', state.survey)
+  // Without a survey there is no locale, page or answers to point at
+  if (state.survey) {
+    set('locale', state.locale, PREVIEW_DEFAULTS.locale)
+    if (typeof state.pageNo === 'number' && state.pageNo > 0) set('page', state.pageNo + 1)
+    if (state.answers && Object.keys(state.answers).length > 0) set('answers', encodeAnswers(state.answers))
+  }
+  set('theme', state.theme, PREVIEW_DEFAULTS.theme)
+  set('tab', state.tab, PREVIEW_DEFAULTS.tab)
+  return query
+}
@@ -0,0 +1,201 @@
+/**
+ * Release-readiness policy
+ *
+ * A declarative, per-environment policy for what may ship (see release-policy.json):
+ *
+ *   {
+ *     "environments": {
+ *       "PROD": {
+ *         "blocking": true,            // fail the deployment when a check fails
+ *         "allowForce": false,         // whether --force may override a failed gate
+ *         "maxLintErrors": 0,          // survey lint errors allowed per survey (null = not checked)
+ *         "forbiddenLocales": ["es"],  // locale keys that must not appear
+ *         "coverage": { "es-CO": 100 } // minimum translation coverage (%) per locale
+ *       }
+ *     }
+ *   }
+ *
+ * Evaluated by scripts/deploy-surveys.js before anything is uploaded.
+ */
+
+import { lintSurvey } from './surveyLint.js'
+import { discoverLanguages, normalizeLanguageKey } from './surveyTranslations.js'
+import { computeSurveyCoverage, getLocaleCoverage } from './translationCoverage.js'
+
+/**
+ * @typedef {Object} EnvironmentPolicy
+ * @property {boolean} blocking
+ * @property {boolean} allowForce
+ * @property {number | null} maxLintErrors
+ * @property {string[]} forbiddenLocales
+ * @property {Record<string, number>} coverage
+ *
+ * @typedef {Object} ReleaseCheck
+ * @property {string} survey
+ * @property {'coverage' | 'lint' | 'forbidden-locale'} check
+ * @property {string} [locale]
+ * @property {number | null} [required]
+ * @property {number | boolean} actual
+ * @property {boolean} passed
+ * @property {string} message
+ *
+ * @typedef {Object} ReleaseEvaluation
+ * @property {string} environment
+ * @property {EnvironmentPolicy} policy
+ * @property {boolean} passed
+ * @property {ReleaseCheck[]} checks
+ *
+ * @typedef {Object} ReleaseDecision
+ * @property {'passed' | 'warned' | 'blocked' | 'overridden'} outcome
+ * @property {boolean} proceed     whether the deployment may go ahead
+ * @property {string} reason
+ */
+
+/** Policy applied to environments the policy file does not mention */
+export const DEFAULT_ENVIRONMENT_POLICY = Object.freeze({
+  blocking: false,
+  allowForce: true,
+  maxLintErrors: null,
+  forbiddenLocales: [],
+  coverage: {}
+})
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Validate a policy document and fill in defaults for every environment
+ * @param {any} policy
+ * @returns {{ environments: Record<string, EnvironmentPolicy> }}
+ * @throws {Error} when the document is malformed
+ */
+export function normalizeReleasePolicy(policy) {
+  if (!isPlainObject(policy) || !isPlainObject(policy.environments)) {
+    throw new Error('Release policy must be an object with an "environments" object')
+  }
+  /** @type {Record<string, EnvironmentPolicy>} */
+  const environments = {}
+  for (const [env, raw] of Object.entries(policy.environments)) {
+    if (!isPlainObject(raw)) throw new Error(`Release policy for ${env} must be an object`)
+    const merged = { ...DEFAULT_ENVIRONMENT_POLICY, ...raw }
+    if (typeof merged.blocking !== 'boolean' || typeof merged.allowForce !== 'boolean') {
+      throw new Error(`Release policy for ${env}: "blocking" and "allowForce" must be booleans`)
+    }
+    if (merged.maxLintErrors !== null && !(Number.isInteger(merged.maxLintErrors) && merged.maxLintErrors >= 0)) {
+      throw new Error(`Release policy for ${env}: "maxLintErrors" must be a non-negative integer or null`)
+    }
+    if (!Array.isArray(merged.forbiddenLocales) || merged.forbiddenLocales.some(l => typeof l !== 'string')) {
+      throw new Error(`Release policy for ${env}: "forbiddenLocales" must be an array of locale keys`)
+    }
+    if (!isPlainObject(merged.coverage)) {
+      throw new Error(`Release policy for ${env}: "coverage" must map locales to percentages`)
+    }
+    const coverage = {}
+    for (const [locale, min] of Object.entries(merged.coverage)) {
+      if (typeof min !== 'number' || min < 0 || min > 100) {
+        throw new Error(`Release policy for ${env}: coverage for ${locale} must be a number between 0 and 100`)
+      }
+      coverage[normalizeLanguageKey(locale)] = min
+    }
+    environments[env.toUpperCase()] = {
+      blocking: merged.blocking,
+      allowForce: merged.allowForce,
+      maxLintErrors: merged.maxLintErrors,
+      forbiddenLocales: merged.forbiddenLocales.map(normalizeLanguageKey),
+      coverage
+    }
+  }
+  return { environments }
+}
+
+/**
+ * Get the policy for one environment (case-insensitive), falling back to the non-blocking default
+ * @param {{ environments: Record<string, EnvironmentPolicy> }} policy normalized policy
+ * @param {string} environment
+ * @returns {EnvironmentPolicy}
+ */
+export function getEnvironmentPolicy(policy, environment) {
+  return policy.environments[String(environment).toUpperCase()] || { ...DEFAULT_ENVIRONMENT_POLICY }
+}
+
+/**
+ * Evaluate surveys against one environment's policy
+ * @param {{ name: string, survey: any }[]} surveys
+ * @param {EnvironmentPolicy} policy
+ * @param {{ environment?: string, lintRules?: Record<string, string> }} [options]
+ * @returns {ReleaseEvaluation}
+ */
+export function evaluateReleaseReadiness(surveys, policy, { environment = '', lintRules = {} } = {}) {
+  /** @type {ReleaseCheck[]} */
+  const checks = []
+  const requiredLocales = Object.keys(policy.coverage)
+
+  for (const { name, survey } of surveys) {
+    if (requiredLocales.length > 0) {
+      // Only what is stored counts: deploy materializes inherited strings before the gate when asked to
+      const report = computeSurveyCoverage(survey, { survey: name, locales: requiredLocales, fallbacks: null })
+      for (const locale of requiredLocales) {
+        const required = policy.coverage[locale]
+        const actual = getLocaleCoverage(report, locale)?.percent ?? 0
+        checks.push({
+          survey: name,
+          check: 'coverage',
+          locale,
+          required,
+          actual,
+          passed: actual >= required,
+          message: `${locale} coverage ${actual}% (requires ${required}%)`
+        })
+      }
+    }
+
+    if (policy.maxLintErrors !== null) {
+      const { errorCount } = lintSurvey(survey, { rules: lintRules, file: name })
+      checks.push({
+        survey: name,
+        check: 'lint',
+        required: policy.maxLintErrors,
+        actual: errorCount,
+        passed: errorCount <= policy.maxLintErrors,
+        message: `${errorCount} lint error(s) (allows ${policy.maxLintErrors})`
+      })
+    }
+
+    if (policy.forbiddenLocales.length > 0) {
+      const present = new Set(discoverLanguages(survey))
+      for (const locale of policy.forbiddenLocales) {
+        const found = present.has(locale)
+        checks.push({
+          survey: name,
+          check: 'forbidden-locale',
+          locale,
+          actual: found,
+          passed: !found,
+          message: found ? `contains forbidden locale "${locale}"` : `no "${locale}" keys`
+        })
+      }
+    }
+  }
+
+  return { environment, policy, passed: checks.every(c => c.passed), checks }
+}
+
+/**
+ * Decide whether a deployment may proceed after the gate. A failed blocking
+ * gate can only be overridden with --force when the policy allows it, and
+ * only with the name of the person who signed off on shipping anyway.
+ * @param {ReleaseEvaluation} evaluation
+ * @param {{ force?: boolean, signedOffBy?: string | null }} [options]
+ * @returns {ReleaseDecision}
+ */
+export function decideRelease(evaluation, { force = false, signedOffBy = null } = {}) {
+  const { policy, passed } = evaluation
+  const failed = evaluation.checks.filter(c => !c.passed).length
+  if (passed) return { outcome: 'passed', proceed: true, reason: `All ${evaluation.checks.length} release checks passed` }
+  if (!policy.blocking) return { outcome: 'warned', proceed: true, reason: `${failed} release check(s) failed (not blocking)` }
+  if (!force) return { outcome: 'blocked', proceed: false, reason: `${failed} release check(s) failed` }
+  if (!policy.allowForce) return { outcome: 'blocked', proceed: false, reason: `${failed} release check(s) failed and the policy does not allow --force` }
+  if (!signedOffBy) return { outcome: 'blocked', proceed: false, reason: `${failed} release check(s) failed; overriding with --force needs --signed-off-by=<name>` }
+  return { outcome: 'overridden', proceed: true, reason: `${failed} release check(s) failed; overridden with --force, signed off by ${signedOffBy}` }
+}
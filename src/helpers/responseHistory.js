@@ -0,0 +1,155 @@
+/**
+ * Test response history of the preview tool
+ *
+ * Every survey a tester completes in the Survey Preview Tool is saved in the
+ * browser's IndexedDB (database `levante-survey-preview`, store `responses`)
+ * with the environment, locale and survey version it was given in, so it can
+ * be downloaded as JSON or CSV, or loaded back into the model to reproduce a
+ * bug. Nothing leaves the browser.
+ *
+ * The export helpers are plain functions; the store functions need IndexedDB
+ * and reject where it is not available.
+ */
+
+import { stringifyCsv } from './csv.js'
+
+const DB_NAME = 'levante-survey-preview'
+const DB_VERSION = 1
+const STORE = 'responses'
+
+/** Columns every CSV export starts with, before one column per answer */
+export const RESPONSE_CSV_COLUMNS = ['id', 'survey', 'version', 'bucket', 'locale', 'completedAt']
+
+/**
+ * @typedef {Object} SavedResponse
+ * @property {number} [id]                 assigned by IndexedDB
+ * @property {string} survey               survey name, e.g. parent_survey_child
+ * @property {string | null} version       release version of the survey JSON, when it has one
+ * @property {string} bucket               environment or `backup:<folder>` it was loaded from
+ * @property {string} locale               survey locale (`default` is English)
+ * @property {string} completedAt          ISO timestamp (empty for answers not completed yet)
+ * @property {Record<string, any>} data    SurveyJS data on completion
+ */
+
+/**
+ * Responses as a JSON document
+ * @param {SavedResponse[]} responses
+ * @returns {string}
+ */
+export function responsesToJson(responses) {
+  return JSON.stringify(responses, null, 2)
+}
+
+// Arrays and objects (checkbox, matrix, multiple text answers) are written as JSON
+const csvValue = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value)
+
+/**
+ * Responses as CSV: one row per response, one column per answered question
+ * (in order of first appearance), with a byte order mark so Excel reads UTF-8
+ * @param {SavedResponse[]} responses
+ * @returns {string}
+ */
+export function responsesToCsv(responses) {
+  const questions = []
+  for (const response of responses) {
+    for (const name of Object.keys(response.data || {})) {
+      if (!questions.includes(name)) questions.push(name)
+    }
+  }
+  const rows = responses.map(response => [
+    ...RESPONSE_CSV_COLUMNS.map(column => response[column]),
+    ...questions.map(name => csvValue(response.data?.[name]))
+  ])
+  return stringifyCsv([[...RESPONSE_CSV_COLUMNS, ...questions], ...rows], { bom: true })
+}
+
+/**
+ * Download file name, e.g. `parent_survey_child-responses-2026-10-19T14-05-00.csv`
+ * @param {string} survey
+ * @param {'json' | 'csv'} extension
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function responseFileName(survey, extension, date = new Date()) {
+  return `${survey || 'survey'}-responses-${date.toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`
+}
+
+function openHistory() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'))
+  }
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true })
+      store.createIndex('survey', 'survey')
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Run requests against the response store in one transaction
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest | void} run
+ * @returns {Promise<any>} result of the returned request, once the transaction is committed
+ */
+async function withStore(mode, run) {
+  const db = await openHistory()
+  try {
+    const transaction = db.transaction(STORE, mode)
+    const committed = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve(undefined)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+    const request = run(transaction.objectStore(STORE))
+    await committed
+    return request ? request.result : undefined
+  } finally {
+    db.close()
+  }
+}
+
+/**
+ * Save a completed response
+ * @param {Omit<SavedResponse, 'id'>} response
+ * @returns {Promise<number>} its id
+ */
+export function saveResponse(response) {
+  // Stored as plain JSON: survey-core data may hold reactive proxies
+  return withStore('readwrite', store => store.add(JSON.parse(JSON.stringify(response))))
+}
+
+/**
+ * Saved responses, newest first
+ * @param {{ survey?: string }} [filter]  only the responses to one survey
+ * @returns {Promise<SavedResponse[]>}
+ */
+export async function listResponses({ survey } = {}) {
+  const responses = await withStore('readonly', store => (survey ? store.index('survey').getAll(survey) : store.getAll()))
+  return responses.sort((a, b) => b.completedAt.localeCompare(a.completedAt) || b.id - a.id)
+}
+
+/**
+ * Delete one saved response
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export async function deleteResponse(id) {
+  await withStore('readwrite', store => store.delete(id))
+}
+
+/**
+ * Delete the saved responses to one survey, or all of them
+ * @param {{ survey?: string }} [filter]
+ * @returns {Promise<void>}
+ */
+export async function clearResponses({ survey } = {}) {
+  const ids = survey ? (await listResponses({ survey })).map(response => response.id) : null
+  await withStore('readwrite', store => {
+    if (!ids) return store.clear()
+    ids.forEach(id => store.delete(id))
+  })
+}
@@ -0,0 +1,168 @@
+/**
+ * Translation review workbook
+ *
+ * One sheet per survey for research coordinators who review translations in
+ * Excel: a row per translatable string, the English frozen at the left, then a
+ * translation column and a status column per locale, and a free comments
+ * column.
+ *
+ *   Key | Question | Context | English | de | de status | es-CO | es-CO status | Comments
+ *
+ * Translations flagged for review after an English edit (translationMemory.js)
+ * start as `needs review`. On import only cells whose status is `approved` are
+ * written back, and only when the survey still holds what was exported: a
+ * translation or English edited in the JSON since the export is reported as a
+ * conflict instead of being overwritten. The exported texts travel with the
+ * workbook as its baseline.
+ */
+
+import { collectMultilingualNodes, discoverLanguages, getAtPath, getTranslation, normalizeLanguageKey, setAtPath, setTranslation } from './surveyTranslations.js'
+import { approveReview, getSourceText, normalizeSourceText } from './translationMemory.js'
+import { indexStringIds } from './stringIds.js'
+
+/** Status a reviewer picks per translation; only `approved` is imported */
+export const REVIEW_STATUSES = ['approved', 'needs review', 'needs changes', 'rejected']
+
+/** Fixed columns before the locale columns */
+export const REVIEW_COLUMNS = ['Key', 'Question', 'Context', 'English']
+
+/** Column after the locale columns */
+export const COMMENTS_COLUMN = 'Comments'
+
+/**
+ * @typedef {Object} ReviewSheet
+ * @property {string[]} header
+ * @property {string[][]} rows
+ *
+ * @typedef {Record<string, Record<string, string>>} ReviewBaseline
+ *   exported texts by key, then by locale (`English` for the source)
+ *
+ * @typedef {Object} ReviewConflict
+ * @property {string} key
+ * @property {string} locale
+ * @property {'missing' | 'empty' | 'english-changed' | 'changed'} reason
+ *   `missing`: the string no longer exists; `empty`: approved without a
+ *   translation; `english-changed`: the English was edited since the export;
+ *   `changed`: the translation was edited in the JSON since the export
+ * @property {string} workbook   approved text
+ * @property {string} [exported] text at export
+ * @property {string} [current]  text in the survey now
+ *
+ * @typedef {Object} ReviewImport
+ * @property {{ key: string, locale: string, text: string }[]} applied
+ * @property {number} unchanged    approved translations the survey already had
+ * @property {ReviewConflict[]} conflicts
+ * @property {{ key: string, comment: string }[]} comments
+ */
+
+const isSourceLocale = (locale) => locale === 'default' || locale === 'en' || locale === 'en-US'
+const statusColumn = (locale) => `${locale} status`
+
+// Question text for strings that are not the question's own title
+function contextOf(survey, node, english) {
+  const elementPath = node.path.match(/^.*elements\[\d+\]/)?.[0]
+  const element = elementPath ? getAtPath(survey, elementPath) : null
+  const title = element ? getSourceText(element.title) : ''
+  return title && title !== english ? title : ''
+}
+
+/**
+ * Header and rows of a survey's review sheet, with the baseline to import against
+ * @param {any} survey
+ * @param {{ locales?: string[], stringIds?: any }} [options]
+ *   `locales`: translation columns (default: every locale the survey has);
+ *   `stringIds`: the survey's string id map, for review flags
+ * @returns {ReviewSheet & { baseline: ReviewBaseline }}
+ */
+export function surveyToReviewSheet(survey, { locales = [], stringIds = null } = {}) {
+  const targets = (locales.length > 0 ? locales.map(normalizeLanguageKey) : discoverLanguages(survey)).filter(l => !isSourceLocale(l))
+  const flagged = new Map(Object.values(stringIds?.strings || {}).filter(e => e.review).map(e => [e.semanticId, e.review.targets]))
+  const header = [...REVIEW_COLUMNS, ...targets.flatMap(l => [l, statusColumn(l)]), COMMENTS_COLUMN]
+  /** @type {ReviewBaseline} */
+  const baseline = {}
+
+  const rows = collectMultilingualNodes(survey).map(node => {
+    const english = getSourceText(node.value)
+    baseline[node.id] = { English: english }
+    const cells = targets.flatMap(locale => {
+      const text = getTranslation(node.value, locale) ?? ''
+      baseline[node.id][locale] = text
+      const needsReview = text !== '' && flagged.get(node.id)?.[locale] === text
+      return [text, needsReview ? 'needs review' : '']
+    })
+    return [node.id, node.elementName || '', contextOf(survey, node, english), english, ...cells, '']
+  })
+  return { header, rows, baseline }
+}
+
+/**
+ * Write the approved translations of a review sheet into the survey (in place)
+ *
+ * Rows are matched by semantic id, former semantic id or stable id (via
+ * `stringIds`). Approving a translation flagged for review clears its flag on
+ * `stringIds`.
+ * @param {any} survey
+ * @param {ReviewSheet} sheet  as read back from the workbook
+ * @param {{ baseline?: ReviewBaseline | null, stringIds?: any }} [options]
+ * @returns {ReviewImport}
+ */
+export function applyReviewSheet(survey, { header, rows }, { baseline = null, stringIds = null } = {}) {
+  const column = (name) => header.findIndex(h => String(h).trim() === name)
+  const keyColumn = column('Key')
+  const commentsColumn = column(COMMENTS_COLUMN)
+  const locales = header
+    .map((h, i) => ({ label: String(h).trim(), textAt: i, statusAt: column(statusColumn(String(h).trim())) }))
+    .filter(c => c.statusAt !== -1 && !REVIEW_COLUMNS.includes(c.label) && c.label !== COMMENTS_COLUMN)
+
+  const nodesById = new Map(collectMultilingualNodes(survey, { includeEmpty: true }).map(node => [node.id, node]))
+  const index = indexStringIds(stringIds)
+  /** @type {ReviewImport} */
+  const result = { applied: [], unchanged: 0, conflicts: [], comments: [] }
+  if (keyColumn === -1) return result
+
+  for (const row of rows) {
+    const key = String(row[keyColumn] ?? '').trim()
+    if (!key) continue
+    const comment = commentsColumn === -1 ? '' : String(row[commentsColumn] ?? '').trim()
+    if (comment) result.comments.push({ key, comment })
+
+    for (const { label, textAt, statusAt } of locales) {
+      if (String(row[statusAt] ?? '').trim().toLowerCase() !== 'approved') continue
+      const locale = normalizeLanguageKey(label)
+      const text = String(row[textAt] ?? '')
+      const node = nodesById.get(index.get(key) || key)
+      const exported = baseline?.[key]
+      if (!node) {
+        result.conflicts.push({ key, locale, reason: 'missing', workbook: text })
+        continue
+      }
+      if (text.trim() === '') {
+        result.conflicts.push({ key, locale, reason: 'empty', workbook: text })
+        continue
+      }
+      const english = getSourceText(node.value)
+      if (exported && normalizeSourceText(exported.English) !== normalizeSourceText(english)) {
+        result.conflicts.push({ key, locale, reason: 'english-changed', workbook: text, exported: exported.English, current: english })
+        continue
+      }
+      const current = getTranslation(node.value, locale) ?? ''
+      if (current === text) {
+        approveReview(stringIds, node.id, locale)
+        result.unchanged++
+        continue
+      }
+      if (exported && (exported[label] ?? '') !== current) {
+        result.conflicts.push({ key, locale, reason: 'changed', workbook: text, exported: exported[label] ?? '', current })
+        continue
+      }
+      const updated = setTranslation(node.value, locale, text)
+      if (updated !== node.value) {
+        setAtPath(survey, node.path, updated)
+        node.value = updated
+      }
+      approveReview(stringIds, node.id, locale)
+      result.applied.push({ key, locale, text })
+    }
+  }
+  return result
+}
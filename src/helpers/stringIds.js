@@ -0,0 +1,214 @@
+/**
+ * Stable string ids
+ *
+ * Semantic ids (`page1.q.favorite_color.title`) change when a question moves to
+ * another page or is renamed, which breaks the mapping of XLIFF units whose
+ * `resname` still carries the old id. Every translatable string therefore also
+ * gets a stable id (`s_1a2b3c4d`) that is assigned once, persisted in a sidecar
+ * map next to the survey, and carried to the string's new location on each sync:
+ *
+ * 1. same semantic id, or one the string had before (its aliases)
+ * 2. same place within its question, now on another page
+ * 3. same English text and property, unique on both sides (a renamed question)
+ *
+ * Anything else gets a new id. The id never depends on the text, so editing the
+ * English keeps it; such edits are reported so their translations can be
+ * flagged for review (translationMemory.js).
+ */
+
+import { collectMultilingualNodes } from './surveyTranslations.js'
+import { getSourceText, normalizeSourceText } from './translationMemory.js'
+
+/** Version of the string id map format */
+export const STRING_ID_MAP_VERSION = 1
+
+/**
+ * @typedef {Object} StringIdEntry
+ * @property {string} semanticId  Current semantic id
+ * @property {string} path        Current JSON path
+ * @property {string} source      English at the last sync
+ * @property {string[]} aliases   Semantic ids the string had before
+ * @property {StringReview} [review]  Translations waiting for review after an English edit
+ *
+ * @typedef {Object} StringReview
+ * @property {string} previousSource          English the flagged translations were made for
+ * @property {string} since                   ISO timestamp of the edit
+ * @property {Record<string, string>} targets flagged translation by locale
+ *
+ * @typedef {Object} StringIdMap
+ * @property {number} version
+ * @property {string} survey
+ * @property {Record<string, StringIdEntry>} strings  by stable id, in document order
+ *
+ * @typedef {Object} StringIdChanges
+ * @property {number} kept
+ * @property {{ id: string, from: string, to: string }[]} moved    found by position within the question
+ * @property {{ id: string, from: string, to: string }[]} renamed  found by English text
+ * @property {string[]} added
+ * @property {string[]} retired   ids whose string no longer exists
+ * @property {{ id: string, semanticId: string, previousSource: string, source: string }[]} edited
+ *   kept or moved strings whose English changed (beyond whitespace/HTML)
+ */
+
+/**
+ * 32-bit FNV-1a hash as 8 hex digits
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashString(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+/**
+ * New stable id for a string first seen at `semanticId`
+ * @param {string} surveyName
+ * @param {string} semanticId
+ * @param {Set<string>} taken ids already in use (the new id is added)
+ * @returns {string}
+ */
+export function createStringId(surveyName, semanticId, taken) {
+  let id = `s_${hashString(`${surveyName}:${semanticId}`)}`
+  for (let n = 2; taken.has(id); n++) id = `s_${hashString(`${surveyName}:${semanticId}#${n}`)}`
+  taken.add(id)
+  return id
+}
+
+/**
+ * Empty string id map for a survey
+ * @param {string} surveyName
+ * @returns {StringIdMap}
+ */
+export function createStringIdMap(surveyName) {
+  return { version: STRING_ID_MAP_VERSION, survey: surveyName, strings: {} }
+}
+
+// Semantic id without its page segment, for strings under pages[]
+function anchorOf(semanticId, jsonPath) {
+  return jsonPath.startsWith('pages[') ? semanticId.split('.').slice(1).join('.') : semanticId
+}
+
+function leafOf(semanticId) {
+  return semanticId.split('.').pop()
+}
+
+// Pair up keys that occur exactly once on both sides
+function uniquePairs(nodeKeys, entryKeys) {
+  const count = (keys) => keys.reduce((m, [key]) => m.set(key, (m.get(key) || 0) + 1), new Map())
+  const nodeCounts = count(nodeKeys)
+  const entryCounts = count(entryKeys)
+  const entriesByKey = new Map(entryKeys.filter(([key]) => entryCounts.get(key) === 1))
+  return nodeKeys
+    .filter(([key]) => nodeCounts.get(key) === 1 && entriesByKey.has(key))
+    .map(([key, nodeIndex]) => [nodeIndex, entriesByKey.get(key)])
+}
+
+/**
+ * Assign stable ids to every translatable string in a survey, carrying ids
+ * over from the previous map
+ * @param {any} survey
+ * @param {string} surveyName
+ * @param {StringIdMap | null} [previous]
+ * @returns {{ map: StringIdMap, changes: StringIdChanges }}
+ */
+export function syncStringIds(survey, surveyName, previous = null) {
+  const nodes = collectMultilingualNodes(survey)
+  const prevStrings = previous?.strings || {}
+  const assigned = new Array(nodes.length).fill(null)
+  const claimed = new Set()
+  /** @type {StringIdChanges} */
+  const changes = { kept: 0, moved: [], renamed: [], added: [], retired: [], edited: [] }
+
+  const claim = (nodeIndex, id) => {
+    assigned[nodeIndex] = id
+    claimed.add(id)
+  }
+  const openNodes = () => nodes.map((node, i) => [node, i]).filter(([, i]) => assigned[i] === null)
+  const openEntries = () => Object.entries(prevStrings).filter(([id]) => !claimed.has(id))
+
+  // 1. Same semantic id, current or former
+  const bySemanticId = new Map()
+  for (const [id, entry] of Object.entries(prevStrings)) {
+    for (const key of [entry.semanticId, ...(entry.aliases || [])]) {
+      if (!bySemanticId.has(key)) bySemanticId.set(key, id)
+    }
+  }
+  nodes.forEach((node, i) => {
+    const id = bySemanticId.get(node.id)
+    if (id && !claimed.has(id)) {
+      claim(i, id)
+      changes.kept++
+    }
+  })
+
+  // 2. Same place within the question, on another page
+  for (const [i, id] of uniquePairs(
+    openNodes().map(([node, i]) => [anchorOf(node.id, node.path), i]),
+    openEntries().map(([id, entry]) => [anchorOf(entry.semanticId, entry.path), id])
+  )) {
+    claim(i, id)
+    changes.moved.push({ id, from: prevStrings[id].semanticId, to: nodes[i].id })
+  }
+
+  // 3. Same English under the same property (renamed question)
+  for (const [i, id] of uniquePairs(
+    openNodes().map(([node, i]) => [`${leafOf(node.id)}\n${normalizeSourceText(getSourceText(node.value))}`, i]),
+    openEntries().map(([id, entry]) => [`${leafOf(entry.semanticId)}\n${normalizeSourceText(entry.source)}`, id])
+  ).filter(([i]) => normalizeSourceText(getSourceText(nodes[i].value)) !== '')) {
+    claim(i, id)
+    changes.renamed.push({ id, from: prevStrings[id].semanticId, to: nodes[i].id })
+  }
+
+  // 4. New strings
+  const taken = new Set(Object.keys(prevStrings))
+  for (const [node, i] of openNodes()) {
+    assigned[i] = createStringId(surveyName, node.id, taken)
+    changes.added.push(assigned[i])
+  }
+  changes.retired = Object.keys(prevStrings).filter(id => !claimed.has(id))
+
+  const map = createStringIdMap(surveyName)
+  nodes.forEach((node, i) => {
+    const id = assigned[i]
+    const prev = prevStrings[id]
+    const aliases = prev ? [...(prev.aliases || []), prev.semanticId].filter(a => a !== node.id) : []
+    const source = getSourceText(node.value)
+    map.strings[id] = {
+      semanticId: node.id,
+      path: node.path,
+      source,
+      aliases: Array.from(new Set(aliases)),
+      ...(prev?.review ? { review: prev.review } : {})
+    }
+    const previousSource = normalizeSourceText(prev?.source)
+    if (previousSource && previousSource !== normalizeSourceText(source)) {
+      changes.edited.push({ id, semanticId: node.id, previousSource: prev.source, source })
+    }
+  })
+  return { map, changes }
+}
+
+/**
+ * Index a string id map for lookups by stable id, current semantic id or alias
+ * @param {StringIdMap | null} map
+ * @returns {Map<string, string>} key → current semantic id
+ */
+export function indexStringIds(map) {
+  const index = new Map()
+  const entries = Object.entries(map?.strings || {})
+  // Current ids first so an alias never shadows a string that lives there now
+  for (const [id, entry] of entries) {
+    index.set(id, entry.semanticId)
+    index.set(entry.semanticId, entry.semanticId)
+  }
+  for (const [, entry] of entries) {
+    for (const alias of entry.aliases || []) {
+      if (!index.has(alias)) index.set(alias, entry.semanticId)
+    }
+  }
+  return index
+}
@@ -0,0 +1,366 @@
+/**
+ * Semantic survey diff
+ *
+ * Compares two versions of a survey by element `name` and item (choice, row,
+ * column, multiple-text item) `value`/`name` rather than by array index, so inserting a question does not
+ * show up as every following question changing. Shared by the survey-diff CLI
+ * and the Compare tab of the preview tool.
+ *
+ * Reported changes:
+ * - pages and elements added / removed / moved (page, parent panel or order)
+ * - logic: non-text element and item properties (visibleIf, type, choices, ...)
+ * - English source text (`default`) changes
+ * - per-locale translation changes
+ */
+
+import { collectSurveyElements } from './surveyLint.js'
+import { collectMultilingualNodes, isMultilingualObject, normalizeLanguageKey } from './surveyTranslations.js'
+
+/**
+ * @typedef {Object} ElementLocation
+ * @property {string} page
+ * @property {string | null} parent  Enclosing panel name (null at page level)
+ * @property {number} index          Position among the siblings both versions share
+ *
+ * @typedef {Object} ElementChange
+ * @property {string} name
+ * @property {string} type
+ * @property {string} path
+ * @property {string} page
+ *
+ * @typedef {Object} MoveChange
+ * @property {string} name
+ * @property {ElementLocation} from
+ * @property {ElementLocation} to
+ *
+ * @typedef {Object} LogicChange
+ * @property {string} name      Element name ('' for survey-level properties)
+ * @property {string} property  Property path relative to the element (e.g. `visibleIf`, `choices[2].visibleIf`)
+ * @property {any} before
+ * @property {any} after
+ *
+ * @typedef {Object} TextChange
+ * @property {string} key          Stable string key (element-relative, index-free)
+ * @property {string} elementName
+ * @property {string} path         JSON path in the newer version (older version for removals)
+ * @property {'added' | 'removed' | 'changed'} change
+ * @property {string} [before]
+ * @property {string} [after]
+ *
+ * @typedef {Object} SurveyDiff
+ * @property {{ added: string[], removed: string[] }} pages
+ * @property {{ added: ElementChange[], removed: ElementChange[], moved: MoveChange[] }} elements
+ * @property {LogicChange[]} logic
+ * @property {TextChange[]} english
+ * @property {Record<string, TextChange[]>} translations
+ * @property {{ pagesAdded: number, pagesRemoved: number, elementsAdded: number, elementsRemoved: number, elementsMoved: number, logicChanges: number, englishChanges: number, translationChanges: Record<string, number> }} summary
+ */
+
+/** Keys holding child elements or items; compared structurally, not as properties */
+const STRUCTURAL_KEYS = new Set(['name', 'elements', 'templateElements', 'pages'])
+/** Release metadata (see surveyRelease.js) changes on every publish and is not content */
+const IGNORED_KEYS = new Set(['levanteRelease'])
+const ITEM_ARRAYS = ['choices', 'rows', 'columns', 'items', 'rateValues']
+
+/** Properties that hold display text even when stored as a plain string */
+const TEXT_PROPERTIES = new Set([
+  'title', 'description', 'html', 'text', 'placeholder', 'otherText', 'noneText', 'commentText',
+  'labelTrue', 'labelFalse', 'minRateDescription', 'maxRateDescription', 'requiredErrorText',
+  'completedHtml', 'completedBeforeHtml', 'loadingHtml', 'pageNextText', 'pagePrevText',
+  'completeText', 'startSurveyText', 'otherPlaceholder', 'commentPlaceholder'
+])
+
+function isTextProperty(key, value) {
+  return TEXT_PROPERTIES.has(key) || isMultilingualObject(value)
+}
+
+function itemKey(item) {
+  if (item && typeof item === 'object') return String(item.value ?? item.name ?? '')
+  return String(item)
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Compare the non-text properties of two objects, excluding structural keys
+ * @param {any} a
+ * @param {any} b
+ * @param {string} prefix
+ * @param {string[]} [skip]
+ * @returns {{ property: string, before: any, after: any }[]}
+ */
+function diffProperties(a, b, prefix, skip = []) {
+  const out = []
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})])
+  for (const key of keys) {
+    if (STRUCTURAL_KEYS.has(key) || IGNORED_KEYS.has(key) || skip.includes(key)) continue
+    const before = a?.[key]
+    const after = b?.[key]
+    if (isTextProperty(key, before) || isTextProperty(key, after)) continue
+    if (!sameValue(before, after)) out.push({ property: `${prefix}${key}`, before, after })
+  }
+  return out
+}
+
+/**
+ * Compare choices/rows/columns/items by value (or name): additions, removals, order and item logic
+ */
+function diffItems(a, b, arrayKey) {
+  const out = []
+  const before = Array.isArray(a?.[arrayKey]) ? a[arrayKey] : []
+  const after = Array.isArray(b?.[arrayKey]) ? b[arrayKey] : []
+  const beforeByKey = new Map(before.map(item => [itemKey(item), item]))
+  const afterByKey = new Map(after.map(item => [itemKey(item), item]))
+
+  const removed = [...beforeByKey.keys()].filter(k => !afterByKey.has(k))
+  const added = [...afterByKey.keys()].filter(k => !beforeByKey.has(k))
+  if (removed.length > 0) out.push({ property: `${arrayKey} removed`, before: removed, after: null })
+  if (added.length > 0) out.push({ property: `${arrayKey} added`, before: null, after: added })
+
+  const commonBefore = [...beforeByKey.keys()].filter(k => afterByKey.has(k))
+  const commonAfter = [...afterByKey.keys()].filter(k => beforeByKey.has(k))
+  if (!sameValue(commonBefore, commonAfter)) {
+    out.push({ property: `${arrayKey} order`, before: commonBefore, after: commonAfter })
+  }
+
+  for (const key of commonBefore) {
+    const itemA = beforeByKey.get(key)
+    const itemB = afterByKey.get(key)
+    if (typeof itemA !== 'object' || typeof itemB !== 'object') continue
+    out.push(...diffProperties(itemA, itemB, `${arrayKey}[${key}].`, ['value']))
+  }
+  return out
+}
+
+function indexElements(survey) {
+  const byPath = new Map()
+  const entries = collectSurveyElements(survey)
+  for (const entry of entries) byPath.set(entry.path, entry.element?.name)
+
+  /** @type {Map<string, { element: any, path: string, page: string, parent: string | null, container: string }>} */
+  const byName = new Map()
+  for (const { element, path, pageName } of entries) {
+    if (!element?.name || byName.has(element.name)) continue
+    const containerPath = path.replace(/\[\d+\]$/, '')
+    const parentPath = path.replace(/\.(?:elements|templateElements)\[\d+\]$/, '')
+    const parent = /^pages\[\d+\]$/.test(parentPath) ? null : (byPath.get(parentPath) || null)
+    byName.set(element.name, { element, path, page: pageName, parent, container: containerPath })
+  }
+  return byName
+}
+
+function pageNames(survey) {
+  return (Array.isArray(survey?.pages) ? survey.pages : []).map((page, idx) => page?.name || `#${idx}`)
+}
+
+/**
+ * Element-relative string key: the semantic id from the innermost question
+ * onward, so text keeps its key when the question moves to another page
+ */
+function stringKey(node) {
+  const lastQuestion = node.semantic.map(s => s.startsWith('q.')).lastIndexOf(true)
+  return (lastQuestion >= 0 ? node.semantic.slice(lastQuestion) : node.semantic).concat(node.leaf).join('.')
+}
+
+/**
+ * Copy of a survey with plain-string display text as `{ default: text }`, so
+ * it is collected like translated text and keeps its key once translated
+ */
+function wrapPlainText(value) {
+  if (Array.isArray(value)) return value.map(wrapPlainText)
+  if (!value || typeof value !== 'object' || isMultilingualObject(value)) return value
+  return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+    key,
+    typeof child === 'string' && TEXT_PROPERTIES.has(key) ? { default: child } : wrapPlainText(child)
+  ]))
+}
+
+function indexStrings(survey) {
+  const out = new Map()
+  for (const node of collectMultilingualNodes(wrapPlainText(survey))) {
+    const key = stringKey(node)
+    if (!out.has(key)) out.set(key, node)
+  }
+  return out
+}
+
+function localeTexts(value) {
+  /** @type {Record<string, string>} */
+  const out = {}
+  if (typeof value === 'string') return { default: value }
+  if (!isMultilingualObject(value)) return out
+  for (const [key, text] of Object.entries(value)) out[normalizeLanguageKey(key)] = text
+  return out
+}
+
+function textChange(key, node, before, after) {
+  if (before === after) return null
+  const change = before === undefined ? 'added' : after === undefined ? 'removed' : 'changed'
+  /** @type {TextChange} */
+  const entry = { key, elementName: node.elementName, path: node.path, change }
+  if (before !== undefined) entry.before = before
+  if (after !== undefined) entry.after = after
+  return entry
+}
+
+/**
+ * Diff two versions of a survey
+ * @param {any} before older version
+ * @param {any} after newer version
+ * @param {{ locales?: string[] }} [options] limit translation changes to these locales
+ * @returns {SurveyDiff}
+ */
+export function diffSurveys(before, after, { locales } = {}) {
+  const localeFilter = locales && locales.length > 0 ? new Set(locales.map(normalizeLanguageKey)) : null
+
+  const pagesBefore = pageNames(before)
+  const pagesAfter = pageNames(after)
+  const pages = {
+    added: pagesAfter.filter(p => !pagesBefore.includes(p)),
+    removed: pagesBefore.filter(p => !pagesAfter.includes(p))
+  }
+
+  const elementsBefore = indexElements(before)
+  const elementsAfter = indexElements(after)
+  const describe = (name, entry) => ({ name, type: entry.element.type || '', path: entry.path, page: entry.page })
+
+  /** @type {SurveyDiff['elements']} */
+  const elements = { added: [], removed: [], moved: [] }
+  for (const [name, entry] of elementsAfter) {
+    if (!elementsBefore.has(name)) elements.added.push(describe(name, entry))
+  }
+  for (const [name, entry] of elementsBefore) {
+    if (!elementsAfter.has(name)) elements.removed.push(describe(name, entry))
+  }
+
+  // Order is compared among the siblings both versions share, so an insertion
+  // does not mark every following element as moved
+  const siblingIndex = (index, other, entry) => [...index.entries()]
+    .filter(([n, e]) => e.container === entry.container && other.has(n))
+    .map(([n]) => n)
+  for (const [name, a] of elementsBefore) {
+    const b = elementsAfter.get(name)
+    if (!b) continue
+    const indexA = siblingIndex(elementsBefore, elementsAfter, a).indexOf(name)
+    const indexB = siblingIndex(elementsAfter, elementsBefore, b).indexOf(name)
+    if (a.page !== b.page || a.parent !== b.parent || indexA !== indexB) {
+      elements.moved.push({
+        name,
+        from: { page: a.page, parent: a.parent, index: indexA },
+        to: { page: b.page, parent: b.parent, index: indexB }
+      })
+    }
+  }
+
+  /** @type {LogicChange[]} */
+  const logic = []
+  for (const change of diffProperties(before, after, '', [...ITEM_ARRAYS])) logic.push({ name: '', ...change })
+  for (const [name, a] of elementsBefore) {
+    const b = elementsAfter.get(name)
+    if (!b) continue
+    for (const change of diffProperties(a.element, b.element, '', ITEM_ARRAYS)) logic.push({ name, ...change })
+    for (const arrayKey of ITEM_ARRAYS) {
+      for (const change of diffItems(a.element, b.element, arrayKey)) logic.push({ name, ...change })
+    }
+  }
+
+  // Text inside added/removed elements is already covered by the element change
+  const skipped = new Set([...elements.added, ...elements.removed].map(e => e.name))
+  const stringsBefore = indexStrings(before)
+  const stringsAfter = indexStrings(after)
+  /** @type {TextChange[]} */
+  const english = []
+  /** @type {Record<string, TextChange[]>} */
+  const translations = {}
+  for (const key of new Set([...stringsBefore.keys(), ...stringsAfter.keys()])) {
+    const nodeA = stringsBefore.get(key)
+    const nodeB = stringsAfter.get(key)
+    const node = nodeB || nodeA
+    if (skipped.has(node.elementName)) continue
+    const textsA = localeTexts(nodeA?.value)
+    const textsB = localeTexts(nodeB?.value)
+    for (const locale of new Set([...Object.keys(textsA), ...Object.keys(textsB)])) {
+      if (locale !== 'default' && localeFilter && !localeFilter.has(locale)) continue
+      const change = textChange(key, node, textsA[locale], textsB[locale])
+      if (!change) continue
+      if (locale === 'default') {
+        english.push(change)
+      } else {
+        if (!translations[locale]) translations[locale] = []
+        translations[locale].push(change)
+      }
+    }
+  }
+
+  return {
+    pages,
+    elements,
+    logic,
+    english,
+    translations,
+    summary: {
+      pagesAdded: pages.added.length,
+      pagesRemoved: pages.removed.length,
+      elementsAdded: elements.added.length,
+      elementsRemoved: elements.removed.length,
+      elementsMoved: elements.moved.length,
+      logicChanges: logic.length,
+      englishChanges: english.length,
+      translationChanges: Object.fromEntries(Object.entries(translations).sort(([a], [b]) => a.localeCompare(b)).map(([l, c]) => [l, c.length]))
+    }
+  }
+}
+
+/**
+ * Whether a diff reports any change
+ * @param {SurveyDiff} diff
+ * @returns {boolean}
+ */
+export function hasChanges(diff) {
+  const s = diff.summary
+  return s.pagesAdded + s.pagesRemoved + s.elementsAdded + s.elementsRemoved + s.elementsMoved + s.logicChanges + s.englishChanges > 0 ||
+    Object.values(s.translationChanges).some(n => n > 0)
+}
+
+function formatValue(value) {
+  if (value === undefined) return '∅'
+  const s = typeof value === 'string' ? value : JSON.stringify(value)
+  return s.length > 120 ? `${s.slice(0, 117)}...` : s
+}
+
+function formatLocation(loc) {
+  return `${loc.page}${loc.parent ? ` > ${loc.parent}` : ''} #${loc.index + 1}`
+}
+
+/**
+ * Human-readable report of a diff
+ * @param {SurveyDiff} diff
+ * @returns {string}
+ */
+export function formatSurveyDiff(diff) {
+  if (!hasChanges(diff)) return 'No changes'
+  const lines = []
+  const section = (title, items) => {
+    if (items.length === 0) return
+    lines.push(title)
+    lines.push(...items.map(item => `  ${item}`))
+    lines.push('')
+  }
+  section('Pages', [
+    ...diff.pages.added.map(p => `+ ${p}`),
+    ...diff.pages.removed.map(p => `- ${p}`)
+  ])
+  section('Elements', [
+    ...diff.elements.added.map(e => `+ ${e.name} (${e.type}) on ${e.page}`),
+    ...diff.elements.removed.map(e => `- ${e.name} (${e.type}) from ${e.page}`),
+    ...diff.elements.moved.map(m => `~ ${m.name}: ${formatLocation(m.from)} → ${formatLocation(m.to)}`)
+  ])
+  section('Logic', diff.logic.map(c => `${c.name || '(survey)'}.${c.property}: ${formatValue(c.before)} → ${formatValue(c.after)}`))
+  section('English', diff.english.map(c => `${c.change.padEnd(7)} ${c.key}: ${formatValue(c.before)} → ${formatValue(c.after)}`))
+  for (const locale of Object.keys(diff.translations).sort()) {
+    section(`Translations (${locale})`, diff.translations[locale].map(c => `${c.change.padEnd(7)} ${c.key}: ${formatValue(c.before)} → ${formatValue(c.after)}`))
+  }
+  return lines.join('\n').trimEnd()
+}
@@ -0,0 +1,360 @@
+/**
+ * Survey lint engine
+ *
+ * Named, configurable rules over SurveyJS JSON. Shared by the `lint:surveys`
+ * CLI (scripts/lint-surveys.js) and the preview app.
+ *
+ * Each rule has an id, a description, a default severity and a `check`
+ * function that reports findings through `report(finding)`. Severities can be
+ * overridden per rule (`error`, `warning` or `off`).
+ */
+
+import { collectMultilingualNodes, getTranslation, isMultilingualObject } from './surveyTranslations.js'
+
+export const LINT_SEVERITIES = /** @type {const} */ (['error', 'warning', 'off'])
+
+/**
+ * @typedef {'error' | 'warning' | 'off'} LintSeverity
+ */
+
+/**
+ * @typedef {Object} SurveyElementEntry
+ * @property {any} element     The element JSON (live reference)
+ * @property {string} path     JSON path (e.g. `pages[0].elements[3]`)
+ * @property {string} pageName Name of the page containing the element
+ */
+
+/**
+ * @typedef {Object} LintFinding
+ * @property {string} ruleId
+ * @property {LintSeverity} severity
+ * @property {string} message
+ * @property {string} path        JSON path of the offending node
+ * @property {string} [elementName]
+ */
+
+/**
+ * @typedef {Object} LintResult
+ * @property {string} file
+ * @property {LintFinding[]} findings
+ * @property {number} errorCount
+ * @property {number} warningCount
+ */
+
+/** Variables SurveyJS provides to expressions without a matching question */
+const BUILTIN_VARIABLES = new Set(['locale', 'pageno', 'pagecount', 'visiblepageno', 'visiblepagecount', 'correctanswers', 'incorrectanswers', 'questioncount'])
+
+/** Prefixes that refer to the expression's own context rather than a survey question */
+const CONTEXT_PREFIXES = ['row', 'panel', 'parentPanel', 'composite', 'item', 'choice']
+
+const MATRIX_TYPES = new Set(['matrix', 'matrixdropdown'])
+
+/**
+ * Collect every element (questions and panels) with its JSON path, including
+ * nested panel `elements` and dynamic panel `templateElements`
+ * @param {any} survey
+ * @returns {SurveyElementEntry[]}
+ */
+export function collectSurveyElements(survey) {
+  /** @type {SurveyElementEntry[]} */
+  const out = []
+
+  function visit(elements, basePath, pageName) {
+    if (!Array.isArray(elements)) return
+    elements.forEach((element, idx) => {
+      if (!element || typeof element !== 'object') return
+      const p = `${basePath}[${idx}]`
+      out.push({ element, path: p, pageName })
+      visit(element.elements, `${p}.elements`, pageName)
+      visit(element.templateElements, `${p}.templateElements`, pageName)
+    })
+  }
+
+  const pages = Array.isArray(survey?.pages) ? survey.pages : []
+  pages.forEach((page, idx) => {
+    visit(page?.elements, `pages[${idx}].elements`, page?.name || `#${idx}`)
+  })
+  return out
+}
+
+/**
+ * Extract the `{...}` references used in a SurveyJS expression
+ * (e.g. `{Q1} = 'yes' and {Q2.item} > 1` → ['Q1', 'Q2.item'])
+ * @param {string} expression
+ * @returns {string[]}
+ */
+export function extractExpressionReferences(expression) {
+  if (typeof expression !== 'string') return []
+  return Array.from(expression.matchAll(/\{([^{}]+)\}/g), m => m[1].trim()).filter(Boolean)
+}
+
+/**
+ * Get the question name a reference points at (`Q2.item` → `Q2`, `Q3[0].a` → `Q3`),
+ * or null when the reference is a built-in variable or context value
+ * @param {string} reference
+ * @returns {string | null}
+ */
+export function referenceToQuestionName(reference) {
+  const base = reference.split(/[.[]/)[0].trim()
+  if (!base || BUILTIN_VARIABLES.has(base.toLowerCase())) return null
+  if (CONTEXT_PREFIXES.includes(base) && reference.length > base.length) return null
+  return base
+}
+
+function hasText(value) {
+  if (typeof value === 'string') return value.trim() !== ''
+  if (!isMultilingualObject(value)) return false
+  return Object.values(value).some(v => typeof v === 'string' && v.trim() !== '')
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)))
+}
+
+/** A valueTrue/valueFalse pair of labels such as "Yes"/"No" (as opposed to numeric scores) */
+function isLabelPair(valueTrue, valueFalse) {
+  return typeof valueTrue === 'string' && typeof valueFalse === 'string' && !(isNumeric(valueTrue) && isNumeric(valueFalse))
+}
+
+function describeValue(value) {
+  return value === undefined ? 'unset' : JSON.stringify(value)
+}
+
+/**
+ * Rule catalog
+ */
+export const LINT_RULES = [
+  {
+    id: 'duplicate-name',
+    description: 'Question and panel names must be unique within a survey',
+    defaultSeverity: 'error',
+    check({ elements }, report) {
+      const seen = new Map()
+      for (const { element, path } of elements) {
+        if (typeof element.name !== 'string' || element.name.trim() === '') continue
+        const first = seen.get(element.name)
+        if (first) {
+          report({ path, elementName: element.name, message: `Duplicate name "${element.name}" (first defined at ${first})` })
+        } else {
+          seen.set(element.name, path)
+        }
+      }
+    }
+  },
+  {
+    id: 'visible-if-unknown-reference',
+    description: 'visibleIf expressions must only reference questions that exist in the survey',
+    defaultSeverity: 'error',
+    check({ elements, knownNames }, report) {
+      for (const { element, path } of elements) {
+        for (const ref of extractExpressionReferences(element.visibleIf)) {
+          const name = referenceToQuestionName(ref)
+          if (name && !knownNames.has(name)) {
+            report({ path: `${path}.visibleIf`, elementName: element.name, message: `visibleIf references unknown question "{${ref}}"` })
+          }
+        }
+      }
+    }
+  },
+  {
+    id: 'choices-from-missing-question',
+    description: 'choicesFromQuestion must point at a question that exists in the survey',
+    defaultSeverity: 'error',
+    check({ elements, knownNames }, report) {
+      for (const { element, path } of elements) {
+        const source = element.choicesFromQuestion
+        if (typeof source !== 'string' || source === '') continue
+        if (!knownNames.has(source)) {
+          report({ path: `${path}.choicesFromQuestion`, elementName: element.name, message: `choicesFromQuestion points at missing question "${source}"` })
+        } else if (source === element.name) {
+          report({ path: `${path}.choicesFromQuestion`, elementName: element.name, message: 'choicesFromQuestion points at the question itself' })
+        }
+      }
+    }
+  },
+  {
+    id: 'matrix-item-without-text',
+    description: 'Matrix rows and columns must have non-empty text',
+    defaultSeverity: 'error',
+    check({ elements }, report) {
+      for (const { element, path } of elements) {
+        if (!MATRIX_TYPES.has(element.type)) continue
+        // matrixdropdown columns are cell editors (name/title), not choice items
+        const keys = element.type === 'matrix' ? ['rows', 'columns'] : ['rows']
+        for (const key of keys) {
+          const items = Array.isArray(element[key]) ? element[key] : []
+          items.forEach((item, idx) => {
+            const itemPath = `${path}.${key}[${idx}]`
+            if (item && typeof item === 'object') {
+              if (!hasText(item.text)) {
+                report({ path: itemPath, elementName: element.name, message: `Matrix ${key.slice(0, -1)} "${item.value}" has no text` })
+              }
+            } else {
+              report({ path: itemPath, elementName: element.name, message: `Matrix ${key.slice(0, -1)} "${item}" is a bare value with no translatable text` })
+            }
+          })
+        }
+      }
+    }
+  },
+  {
+    id: 'boolean-value-mismatch',
+    description: 'Boolean questions must set valueTrue/valueFalse as a distinct pair, consistently across the survey',
+    defaultSeverity: 'warning',
+    check({ elements }, report) {
+      const booleans = elements.filter(({ element }) => element.type === 'boolean')
+      const pairCounts = new Map()
+
+      for (const { element, path } of booleans) {
+        const { valueTrue, valueFalse } = element
+        if ((valueTrue === undefined) !== (valueFalse === undefined)) {
+          report({ path, elementName: element.name, message: `Boolean sets only one of valueTrue/valueFalse (valueTrue: ${describeValue(valueTrue)}, valueFalse: ${describeValue(valueFalse)})` })
+        } else if (valueTrue !== undefined && valueTrue === valueFalse) {
+          report({ path, elementName: element.name, message: `Boolean valueTrue and valueFalse are both ${describeValue(valueTrue)}` })
+        } else if (isLabelPair(valueTrue, valueFalse)) {
+          const pair = JSON.stringify([valueTrue, valueFalse])
+          pairCounts.set(pair, (pairCounts.get(pair) || 0) + 1)
+        }
+      }
+
+      // Compare against the survey's most common label pair; numeric pairs are scores and vary on purpose
+      const [majority] = [...pairCounts.entries()].sort((a, b) => b[1] - a[1])[0] || []
+      if (!majority) return
+      const [majorityTrue, majorityFalse] = JSON.parse(majority)
+      for (const { element, path } of booleans) {
+        const { valueTrue, valueFalse } = element
+        const usesDefaults = valueTrue === undefined && valueFalse === undefined
+        // An equal pair is reported above already
+        const usesOtherStrings = isLabelPair(valueTrue, valueFalse) && valueTrue !== valueFalse &&
+          (valueTrue !== majorityTrue || valueFalse !== majorityFalse)
+        if (usesDefaults || usesOtherStrings) {
+          report({
+            path,
+            elementName: element.name,
+            message: `Boolean uses ${usesDefaults ? 'true/false' : `"${valueTrue}"/"${valueFalse}"`} while other booleans use "${majorityTrue}"/"${majorityFalse}"`
+          })
+        }
+      }
+    }
+  },
+  {
+    id: 'empty-html',
+    description: 'html elements must have non-empty html content',
+    defaultSeverity: 'error',
+    check({ elements }, report) {
+      for (const { element, path } of elements) {
+        if (element.type !== 'html') continue
+        if (!hasText(element.html)) {
+          report({ path, elementName: element.name, message: 'html element has no content' })
+        } else if (isMultilingualObject(element.html) && !hasText(getTranslation(element.html, 'default'))) {
+          report({ path: `${path}.html`, elementName: element.name, message: 'html element has no default (English) content' })
+        }
+      }
+    }
+  },
+  {
+    id: 'no-base-es',
+    description: 'Base "es" keys are forbidden; use regional keys such as es-CO or es-AR',
+    defaultSeverity: 'error',
+    check({ survey }, report) {
+      for (const node of collectMultilingualNodes(survey)) {
+        if (Object.prototype.hasOwnProperty.call(node.value, 'es')) {
+          report({ path: node.path, elementName: node.elementName, message: 'Base "es" key found' })
+        }
+      }
+    }
+  }
+]
+
+/**
+ * Get a rule from the catalog by id
+ * @param {string} id
+ */
+export function getLintRule(id) {
+  return LINT_RULES.find(rule => rule.id === id) || null
+}
+
+/**
+ * Resolve the effective severity of every rule from per-rule overrides
+ * (e.g. `{ 'boolean-value-mismatch': 'error', 'empty-html': 'off' }`)
+ * @param {Record<string, string>} [overrides]
+ * @returns {Record<string, LintSeverity>}
+ */
+export function resolveRuleSeverities(overrides = {}) {
+  for (const [id, severity] of Object.entries(overrides)) {
+    if (!getLintRule(id)) throw new Error(`Unknown survey lint rule: ${id}`)
+    if (!LINT_SEVERITIES.includes(/** @type {any} */ (severity))) {
+      throw new Error(`Invalid severity "${severity}" for rule ${id} (expected ${LINT_SEVERITIES.join(', ')})`)
+    }
+  }
+  return Object.fromEntries(LINT_RULES.map(rule => [rule.id, /** @type {LintSeverity} */ (overrides[rule.id] || rule.defaultSeverity)]))
+}
+
+/**
+ * Lint one survey
+ * @param {any} survey
+ * @param {{ rules?: Record<string, string>, file?: string }} [options]
+ * @returns {LintResult}
+ */
+export function lintSurvey(survey, { rules = {}, file = '' } = {}) {
+  const severities = resolveRuleSeverities(rules)
+  const elements = collectSurveyElements(survey)
+  const knownNames = new Set(elements.map(({ element }) => element.name).filter(Boolean))
+  for (const calc of survey?.calculatedValues || []) {
+    if (calc?.name) knownNames.add(calc.name)
+  }
+  const context = { survey, elements, knownNames }
+
+  /** @type {LintFinding[]} */
+  const findings = []
+  for (const rule of LINT_RULES) {
+    const severity = severities[rule.id]
+    if (severity === 'off') continue
+    rule.check(context, finding => findings.push({ ruleId: rule.id, severity, ...finding }))
+  }
+
+  return {
+    file,
+    findings,
+    errorCount: findings.filter(f => f.severity === 'error').length,
+    warningCount: findings.filter(f => f.severity === 'warning').length
+  }
+}
+
+/**
+ * Convert lint results to a SARIF 2.1.0 log (for code scanning uploads)
+ * @param {LintResult[]} results
+ * @param {{ rules?: Record<string, string> }} [options]
+ */
+export function toSarif(results, { rules = {} } = {}) {
+  const severities = resolveRuleSeverities(rules)
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'levante-survey-lint',
+            rules: LINT_RULES.map(rule => ({
+              id: rule.id,
+              shortDescription: { text: rule.description },
+              defaultConfiguration: { level: severities[rule.id] === 'off' ? 'none' : severities[rule.id] }
+            }))
+          }
+        },
+        results: results.flatMap(result => result.findings.map(finding => ({
+          ruleId: finding.ruleId,
+          level: finding.severity,
+          message: { text: finding.elementName ? `${finding.elementName}: ${finding.message}` : finding.message },
+          locations: [
+            {
+              physicalLocation: { artifactLocation: { uri: result.file } },
+              logicalLocations: [{ fullyQualifiedName: finding.path, kind: 'member' }]
+            }
+          ]
+        })))
+      }
+    ]
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * Versioned survey releases
+ *
+ * Every published survey embeds a `levanteRelease` block with its semantic
+ * version and content hash, and each deployment writes a release manifest
+ * listing every survey with its version. Versions are bumped from the semantic
+ * diff against the previously published survey:
+ *
+ * - major: questions, pages or choices removed, or a question type changed
+ *          (previously collected data no longer maps one-to-one)
+ * - minor: questions or choices added, logic or English wording changed
+ * - patch: translation-only changes and moves
+ *
+ * Hashing is left to the caller (Node `crypto` in scripts) so this module stays
+ * importable from the preview app.
+ */
+
+import { diffSurveys, hasChanges } from './surveyDiff.js'
+
+/** Top-level survey JSON key holding the release metadata */
+export const RELEASE_METADATA_KEY = 'levanteRelease'
+
+/** Version given to a survey the first time it is released */
+export const INITIAL_VERSION = '1.0.0'
+
+/** File name of the release manifest written next to the surveys in a bucket */
+export const RELEASE_MANIFEST_FILE = 'release-manifest.json'
+
+/**
+ * @typedef {Object} SurveyReleaseInfo
+ * @property {string} version
+ * @property {string} contentHash    sha256 of the canonical survey JSON without this block
+ * @property {string} releasedAt     ISO timestamp
+ * @property {string | null} previousVersion
+ *
+ * @typedef {'major' | 'minor' | 'patch'} ReleaseLevel
+ */
+
+/**
+ * Get the embedded release metadata of a survey, if any
+ * @param {any} survey
+ * @returns {SurveyReleaseInfo | null}
+ */
+export function getSurveyRelease(survey) {
+  const info = survey && typeof survey === 'object' ? survey[RELEASE_METADATA_KEY] : null
+  return info && typeof info === 'object' && typeof info.version === 'string' ? info : null
+}
+
+/**
+ * Copy of a survey without its release metadata
+ * @param {any} survey
+ * @returns {any}
+ */
+export function stripSurveyRelease(survey) {
+  if (!survey || typeof survey !== 'object' || !(RELEASE_METADATA_KEY in survey)) return survey
+  const rest = { ...survey }
+  delete rest[RELEASE_METADATA_KEY]
+  return rest
+}
+
+/**
+ * Deterministic JSON (object keys sorted) of a survey without its release
+ * metadata; the input for the content hash
+ * @param {any} survey
+ * @returns {string}
+ */
+export function canonicalSurveyJson(survey) {
+  const sortKeys = (value) => {
+    if (Array.isArray(value)) return value.map(sortKeys)
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]))
+    }
+    return value
+  }
+  return JSON.stringify(sortKeys(stripSurveyRelease(survey)))
+}
+
+/**
+ * Parse a `major.minor.patch` version
+ * @param {string} version
+ * @returns {[number, number, number]}
+ * @throws {Error} when the version is not semantic
+ */
+export function parseVersion(version) {
+  const m = /^(\d+)\.(\d+)\.(\d+)$/.exec(String(version).trim())
+  if (!m) throw new Error(`Invalid survey version: ${version}`)
+  return [Number(m[1]), Number(m[2]), Number(m[3])]
+}
+
+/**
+ * Bump a version by release level
+ * @param {string} version
+ * @param {ReleaseLevel} level
+ * @returns {string}
+ */
+export function bumpVersion(version, level) {
+  const [major, minor, patch] = parseVersion(version)
+  if (level === 'major') return `${major + 1}.0.0`
+  if (level === 'minor') return `${major}.${minor + 1}.0`
+  return `${major}.${minor}.${patch + 1}`
+}
+
+/**
+ * Release level implied by a semantic diff, or null when nothing changed
+ * @param {ReturnType<typeof diffSurveys>} diff
+ * @returns {ReleaseLevel | null}
+ */
+export function classifyReleaseChange(diff) {
+  if (!hasChanges(diff)) return null
+  const s = diff.summary
+  const breakingLogic = diff.logic.some(c => c.property === 'type' || / removed$/.test(c.property))
+  if (s.pagesRemoved > 0 || s.elementsRemoved > 0 || breakingLogic) return 'major'
+  if (s.pagesAdded > 0 || s.elementsAdded > 0 || s.logicChanges > 0 || s.englishChanges > 0) return 'minor'
+  return 'patch'
+}
+
+/**
+ * Plan the release of one survey against the previously published version
+ * @param {any} previous previously published survey JSON (null for a first release)
+ * @param {any} next survey JSON about to be published
+ * @param {{ contentHash: string }} options hash of `canonicalSurveyJson(next)`
+ * @returns {{ version: string, previousVersion: string | null, level: ReleaseLevel | 'initial' | null, diff: ReturnType<typeof diffSurveys> | null }}
+ *   `level` is null when the content is unchanged (the previous version is kept)
+ */
+export function planSurveyRelease(previous, next, { contentHash }) {
+  const previousInfo = getSurveyRelease(previous)
+  if (!previous) {
+    return { version: INITIAL_VERSION, previousVersion: null, level: 'initial', diff: null }
+  }
+  const diff = diffSurveys(stripSurveyRelease(previous), stripSurveyRelease(next))
+  const level = classifyReleaseChange(diff)
+  // Surveys published before versioning existed start from INITIAL_VERSION
+  const base = previousInfo?.version || null
+  if (!base) return { version: INITIAL_VERSION, previousVersion: null, level: 'initial', diff }
+  if (!level && previousInfo?.contentHash === contentHash) {
+    return { version: base, previousVersion: base, level: null, diff }
+  }
+  return { version: bumpVersion(base, level || 'patch'), previousVersion: base, level: level || 'patch', diff }
+}
+
+/**
+ * Survey JSON with the release block set as its first key
+ * @param {any} survey
+ * @param {SurveyReleaseInfo} info
+ * @returns {any}
+ */
+export function stampSurveyRelease(survey, info) {
+  return { [RELEASE_METADATA_KEY]: { ...info }, ...stripSurveyRelease(survey) }
+}
+
+/**
+ * Build the release manifest for one deployment
+ * @param {{ name: string, fileName: string, version: string, previousVersion: string | null, level: string | null, contentHash: string, summary?: any }[]} surveys
+ * @param {{ environment: string, releasedAt: string, gitCommit?: string | null }} context
+ */
+export function buildReleaseManifest(surveys, { environment, releasedAt, gitCommit = null }) {
+  return {
+    manifestVersion: 1,
+    environment,
+    releasedAt,
+    gitCommit,
+    surveys: surveys.map(({ name, fileName, version, previousVersion, level, contentHash, summary }) => ({
+      name,
+      fileName,
+      version,
+      previousVersion,
+      change: level || 'unchanged',
+      contentHash,
+      ...(summary ? { summary } : {})
+    }))
+  }
+}
+
+/**
+ * Release manifest after a rollback that restored only some surveys: their
+ * entries take the version embedded in the restored file (the version they
+ * replace becomes `previousVersion`) and the manifest records the rollback.
+ * Entries of the other surveys are kept as published.
+ * @param {ReturnType<typeof buildReleaseManifest>} manifest currently published manifest
+ * @param {{ name: string, fileName: string, survey: any }[]} restored surveys as restored
+ * @param {{ backup: string, rolledBackAt: string }} context
+ */
+export function applyRollbackToManifest(manifest, restored, { backup, rolledBackAt }) {
+  const entryFor = (fileName, name, previousVersion) => {
+    const release = getSurveyRelease(restored.find(r => r.fileName === fileName)?.survey)
+    return {
+      name,
+      fileName,
+      version: release?.version || null,
+      previousVersion,
+      change: 'rollback',
+      contentHash: release?.contentHash || null
+    }
+  }
+  const listed = new Set(manifest.surveys.map(entry => entry.fileName))
+  return {
+    ...manifest,
+    surveys: [
+      ...manifest.surveys.map(entry => restored.some(r => r.fileName === entry.fileName)
+        ? entryFor(entry.fileName, entry.name, entry.version)
+        : entry),
+      ...restored.filter(r => !listed.has(r.fileName)).map(r => entryFor(r.fileName, r.name, null))
+    ],
+    rollback: { backup, rolledBackAt, surveys: restored.map(r => r.name) }
+  }
+}
+
+function changelogLines(diff) {
+  const lines = []
+  const list = (items, max = 15) => {
+    const shown = items.slice(0, max).join(', ')
+    return items.length > max ? `${shown} and ${items.length - max} more` : shown
+  }
+  if (diff.pages.added.length > 0) lines.push(`- Pages added: ${list(diff.pages.added)}`)
+  if (diff.pages.removed.length > 0) lines.push(`- Pages removed: ${list(diff.pages.removed)}`)
+  if (diff.elements.added.length > 0) lines.push(`- Questions added: ${list(diff.elements.added.map(e => `\`${e.name}\``))}`)
+  if (diff.elements.removed.length > 0) lines.push(`- Questions removed: ${list(diff.elements.removed.map(e => `\`${e.name}\``))}`)
+  if (diff.elements.moved.length > 0) lines.push(`- Questions moved: ${list(diff.elements.moved.map(m => `\`${m.name}\``))}`)
+  if (diff.logic.length > 0) lines.push(`- Logic changed: ${list(diff.logic.map(c => `\`${c.name ? `${c.name}.` : ''}${c.property}\``))}`)
+  if (diff.english.length > 0) lines.push(`- English text changed: ${list(Array.from(new Set(diff.english.map(c => c.elementName || c.key))).map(n => `\`${n}\``))}`)
+  const locales = Object.entries(diff.summary.translationChanges)
+  if (locales.length > 0) lines.push(`- Translations updated: ${locales.map(([locale, n]) => `${locale} (${n})`).join(', ')}`)
+  return lines
+}
+
+/**
+ * Markdown changelog for one deployment
+ * @param {{ name: string, version: string, previousVersion: string | null, level: string | null, diff: any }[]} surveys
+ * @param {{ environment: string, releasedAt: string }} context
+ * @returns {string}
+ */
+export function formatReleaseChangelog(surveys, { environment, releasedAt }) {
+  const lines = [`## ${releasedAt.slice(0, 10)} — ${environment}`, '']
+  for (const survey of surveys) {
+    if (!survey.level) {
+      lines.push(`### ${survey.name} ${survey.version} (unchanged)`, '')
+      continue
+    }
+    const from = survey.previousVersion ? ` (from ${survey.previousVersion}, ${survey.level})` : ' (initial release)'
+    lines.push(`### ${survey.name} ${survey.version}${from}`, '')
+    const details = survey.diff ? changelogLines(survey.diff) : []
+    lines.push(...(details.length > 0 ? details : ['- First versioned release']), '')
+  }
+  return lines.join('\n')
+}
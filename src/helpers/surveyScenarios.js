@@ -0,0 +1,220 @@
+/**
+ * Answer scenarios
+ *
+ * A scenario is a named set of answers for one survey, stored in the repo as
+ * `scenarios/<survey name>/<scenario>.json|yaml`. Applying it to a survey-core
+ * Model walks one branch of the skip logic without clicking through the pages:
+ * the answers are set in file order, as a respondent would give them, then the
+ * survey is completed. The result lists the pages and questions that ended up
+ * visible or hidden, the answers SurveyJS cleared because their question was
+ * hidden (`clearIfInvisible` / `clearInvisibleValues`) and the final data.
+ *
+ * An optional `expect` block turns a scenario into a check:
+ *
+ *   name: Four-year-old without a phone
+ *   answers:
+ *     ChildAgeYears: 4
+ *     ChildPhone: "No"
+ *   expect:
+ *     visiblePages: [page15]
+ *     hiddenQuestions: [ChildPhoneAge, HomeHOME25]
+ *     cleared: [HomeHOME25]
+ *     data: { ChildPhoneAge: null }   # null: must not be in the final data
+ *
+ * Answers use the values SurveyJS stores (choice values, a boolean's
+ * `valueTrue`/`valueFalse`), not the labels.
+ *
+ * Shared by scripts/run-scenarios.js, the Scenarios tab of the preview and
+ * cypress/e2e/survey-scenarios.cy.js.
+ */
+
+import yaml from 'js-yaml'
+import { Model } from 'survey-core'
+
+/** File extensions read as scenarios */
+export const SCENARIO_EXTENSIONS = ['.json', '.yaml', '.yml']
+
+/** Keys allowed in a scenario's `expect` block */
+export const SCENARIO_EXPECT_KEYS = ['visiblePages', 'hiddenPages', 'visibleQuestions', 'hiddenQuestions', 'cleared', 'data']
+
+// Display-only elements that never hold an answer
+const NON_INPUT_TYPES = new Set(['html', 'image'])
+
+/**
+ * @typedef {Object} ScenarioExpectations
+ * @property {string[]} [visiblePages]
+ * @property {string[]} [hiddenPages]
+ * @property {string[]} [visibleQuestions]
+ * @property {string[]} [hiddenQuestions]
+ * @property {string[]} [cleared]              question names whose answers must be cleared
+ * @property {Record<string, any>} [data]      final values to match; null means absent
+ *
+ * @typedef {Object} Scenario
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string} [locale]
+ * @property {Record<string, any>} answers
+ * @property {ScenarioExpectations} [expect]
+ *
+ * @typedef {Object} ClearedAnswer
+ * @property {string} name
+ * @property {any} value                     the answer the scenario gave
+ * @property {'hidden' | 'complete'} on      cleared when the question was hidden, or when the survey was completed
+ *
+ * @typedef {Object} ScenarioResult
+ * @property {string} name
+ * @property {string[]} visiblePages
+ * @property {string[]} hiddenPages
+ * @property {string[]} visibleQuestions
+ * @property {string[]} hiddenQuestions
+ * @property {ClearedAnswer[]} cleared
+ * @property {string[]} unknownQuestions    answer keys that are not a question of the survey
+ * @property {Record<string, any>} data     final data after completion
+ * @property {string[]} failures            unmet expectations (empty without an `expect` block)
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const isNameList = (value) => Array.isArray(value) && value.every(name => typeof name === 'string')
+
+// Key-order independent JSON, to compare answers
+const canonical = (value) => JSON.stringify(value, (_key, v) => (
+  isPlainObject(v) ? Object.fromEntries(Object.keys(v).sort().map(k => [k, v[k]])) : v
+))
+
+/**
+ * Parse and validate a scenario file
+ * @param {string} text
+ * @param {string} fileName   decides between JSON and YAML, and names errors
+ * @returns {Scenario}
+ */
+export function parseScenario(text, fileName) {
+  let raw
+  try {
+    raw = /\.ya?ml$/i.test(fileName) ? yaml.load(text) : JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Scenario ${fileName} is not valid ${/\.ya?ml$/i.test(fileName) ? 'YAML' : 'JSON'}: ${error.message}`)
+  }
+  if (!isPlainObject(raw)) throw new Error(`Scenario ${fileName} must be an object with "name" and "answers"`)
+  if (typeof raw.name !== 'string' || raw.name.trim() === '') throw new Error(`Scenario ${fileName}: "name" must be a non-empty string`)
+  if (!isPlainObject(raw.answers)) throw new Error(`Scenario ${fileName}: "answers" must map question names to values`)
+  if (raw.locale !== undefined && typeof raw.locale !== 'string') throw new Error(`Scenario ${fileName}: "locale" must be a string`)
+  if (raw.expect !== undefined) {
+    if (!isPlainObject(raw.expect)) throw new Error(`Scenario ${fileName}: "expect" must be an object`)
+    for (const [key, value] of Object.entries(raw.expect)) {
+      if (!SCENARIO_EXPECT_KEYS.includes(key)) {
+        throw new Error(`Scenario ${fileName}: unknown expectation "${key}" (expected ${SCENARIO_EXPECT_KEYS.join(', ')})`)
+      }
+      if (key === 'data' ? !isPlainObject(value) : !isNameList(value)) {
+        throw new Error(`Scenario ${fileName}: expectation "${key}" must be ${key === 'data' ? 'an object' : 'a list of names'}`)
+      }
+    }
+  }
+  return {
+    name: raw.name,
+    ...(typeof raw.description === 'string' ? { description: raw.description } : {}),
+    ...(raw.locale ? { locale: raw.locale } : {}),
+    answers: raw.answers,
+    ...(raw.expect ? { expect: raw.expect } : {})
+  }
+}
+
+/**
+ * Set a scenario's answers on a model, in file order
+ * @param {Model} model
+ * @param {Record<string, any>} answers
+ * @returns {{ unknownQuestions: string[] }}  answers stored anyway (they may feed expressions)
+ */
+export function applyScenarioAnswers(model, answers) {
+  const unknownQuestions = []
+  for (const [name, value] of Object.entries(answers)) {
+    if (!model.getQuestionByValueName(name)) unknownQuestions.push(name)
+    model.setValue(name, value)
+  }
+  return { unknownQuestions }
+}
+
+/**
+ * Names of the answering questions of a model, split by visibility
+ * (a question inside a hidden panel or page counts as hidden)
+ * @param {Model} model
+ */
+function questionVisibility(model) {
+  const visible = []
+  const hidden = []
+  for (const question of model.getAllQuestions()) {
+    if (NON_INPUT_TYPES.has(question.getType())) continue
+    const shown = question.isVisible && question.isParentVisible && question.page?.isVisible !== false
+    ;(shown ? visible : hidden).push(question.name)
+  }
+  return { visible, hidden }
+}
+
+/**
+ * Unmet expectations of a scenario result
+ * @param {Omit<ScenarioResult, 'failures'>} result
+ * @param {ScenarioExpectations} [expect]
+ * @returns {string[]}
+ */
+export function checkScenarioExpectations(result, expect = {}) {
+  const failures = []
+  const expectIn = (names, actual, describe) => {
+    for (const name of names || []) {
+      if (!actual.includes(name)) failures.push(describe(name))
+    }
+  }
+  const pages = [...result.visiblePages, ...result.hiddenPages]
+  const questions = [...result.visibleQuestions, ...result.hiddenQuestions]
+  const existence = (list, kind) => (name) => (list.includes(name) ? null : `${kind} ${name} is not in the survey`)
+  const pageExists = existence(pages, 'page')
+  const questionExists = existence(questions, 'question')
+
+  expectIn(expect.visiblePages, result.visiblePages, name => pageExists(name) || `page ${name} should be visible`)
+  expectIn(expect.hiddenPages, result.hiddenPages, name => pageExists(name) || `page ${name} should be hidden`)
+  expectIn(expect.visibleQuestions, result.visibleQuestions, name => questionExists(name) || `question ${name} should be visible`)
+  expectIn(expect.hiddenQuestions, result.hiddenQuestions, name => questionExists(name) || `question ${name} should be hidden`)
+  expectIn(expect.cleared, result.cleared.map(entry => entry.name), name => `answer to ${name} should be cleared`)
+
+  for (const [name, value] of Object.entries(expect.data || {})) {
+    const actual = result.data[name]
+    if (value === null) {
+      if (actual !== undefined) failures.push(`${name} should not be in the data, got ${JSON.stringify(actual)}`)
+    } else if (canonical(actual) !== canonical(value)) {
+      failures.push(`${name} should be ${JSON.stringify(value)}, got ${actual === undefined ? 'nothing' : JSON.stringify(actual)}`)
+    }
+  }
+  return failures
+}
+
+/**
+ * Answer a survey as the scenario describes, complete it and report what happened
+ * @param {any} surveyJson
+ * @param {Scenario} scenario
+ * @returns {ScenarioResult}
+ */
+export function runScenario(surveyJson, scenario) {
+  const model = new Model(surveyJson)
+  if (scenario.locale) model.locale = scenario.locale
+  const { unknownQuestions } = applyScenarioAnswers(model, scenario.answers)
+
+  // Visibility is read before completing: completion does not change it, but it clears values
+  const visiblePages = []
+  const hiddenPages = []
+  for (const page of model.pages) (page.isVisible ? visiblePages : hiddenPages).push(page.name)
+  const { visible: visibleQuestions, hidden: hiddenQuestions } = questionVisibility(model)
+
+  const beforeComplete = model.data
+  model.doComplete()
+  const data = model.data
+
+  /** @type {ClearedAnswer[]} */
+  const cleared = []
+  for (const [name, value] of Object.entries(scenario.answers)) {
+    if (name in data) continue
+    cleared.push({ name, value, on: name in beforeComplete ? 'complete' : 'hidden' })
+  }
+  model.dispose()
+
+  const result = { name: scenario.name, visiblePages, hiddenPages, visibleQuestions, hiddenQuestions, cleared, unknownQuestions, data }
+  return { ...result, failures: checkScenarioExpectations(result, scenario.expect) }
+}
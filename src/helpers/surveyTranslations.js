@@ -0,0 +1,303 @@
+/**
+ * Survey translation core
+ *
+ * Shared by the preview app (Vite) and the Node.js scripts so both agree on
+ * what counts as a translation in a SurveyJS JSON document.
+ *
+ * - Language key:       `default`, `xx`, `xx-YY` or legacy `xx_yy`
+ * - Multilingual object: a plain object whose keys are all language keys,
+ *                        e.g. `{ "default": "Yes", "es-CO": "Sí" }`
+ * - JSON path:          position in the document, e.g. `pages[0].elements[3].title`
+ * - Semantic id:        position by element name, e.g. `page_1.q.favorite_color.title`
+ *                       (stable across reordering; used as XLIFF unit ids)
+ */
+
+/**
+ * @typedef {Record<string, any>} MultilingualObject
+ */
+
+/**
+ * @typedef {Object} MultilingualNode
+ * @property {string} id           Semantic id (e.g. `page_1.q.favorite_color.title`)
+ * @property {string} resname      Closest question segment (e.g. `q.favorite_color`)
+ * @property {string} path         JSON path (e.g. `pages[0].elements[3].title`)
+ * @property {string[]} semantic   Semantic segments leading to the node
+ * @property {string} leaf         Property name the node is stored under (slugified)
+ * @property {string} elementName  Name of the closest named element
+ * @property {MultilingualObject} value  The multilingual object itself (live reference)
+ */
+
+const LANGUAGE_KEY_REGEX = /^[a-z]{2}(?:[-_][a-z]{2})?$/i
+
+/**
+ * Check if a key is a language key (`default`, `es`, `es-CO`, `es_co`)
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isLanguageKey(key) {
+  return key === 'default' || LANGUAGE_KEY_REGEX.test(key)
+}
+
+/**
+ * Normalize a language key to the hyphenated form used in survey JSON
+ * (e.g. `es_co` → `es-CO`, `EN` → `en`). `default` is left as-is.
+ * @param {string} key
+ * @returns {string}
+ */
+export function normalizeLanguageKey(key) {
+  if (!key || key === 'default') return key
+  const [lang, region] = String(key).split(/[-_]/)
+  return region ? `${lang.toLowerCase()}-${region.toUpperCase()}` : lang.toLowerCase()
+}
+
+/**
+ * Check if a value is a multilingual object
+ * @param {any} value
+ * @returns {value is MultilingualObject}
+ */
+export function isMultilingualObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false
+  const keys = Object.keys(value)
+  return keys.length > 0 && keys.every(isLanguageKey)
+}
+
+/**
+ * Yield every object and array in a JSON tree (depth-first, parents first)
+ * @param {any} node
+ * @returns {Generator<any>}
+ */
+export function* iterObjects(node) {
+  if (!node || typeof node !== 'object') return
+  yield node
+  for (const child of Array.isArray(node) ? node : Object.values(node)) {
+    yield* iterObjects(child)
+  }
+}
+
+/**
+ * Slugify a name for use in a semantic id segment (e.g. `Favorite Color` → `favorite_color`)
+ * @param {any} s
+ * @returns {string}
+ */
+export function slugify(s) {
+  return String(s)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/gi, '_')
+    .replace(/^_+|_+$/g, '')
+}
+
+function seg(kind, value) {
+  const v = slugify(value != null && value !== '' ? value : 'unnamed')
+  return `${kind}.${v}`
+}
+
+function arrayItemSegment(parentKey, item, idx) {
+  const hasName = item && typeof item === 'object' && typeof item.name === 'string' && item.name.trim() !== ''
+  const hasValue = item && typeof item === 'object' && (typeof item.value === 'string' || typeof item.value === 'number')
+  const byValue = hasValue ? String(item.value) : hasName ? item.name : `#${idx}`
+  // Pages use the bare page name (no `page.` prefix)
+  if (parentKey === 'pages') return slugify(hasName ? item.name : `#${idx}`)
+  if (parentKey === 'elements') return seg('q', hasName ? item.name : `#${idx}`)
+  if (parentKey === 'choices') return seg('choice', byValue)
+  if (parentKey === 'rows') return seg('row', byValue)
+  if (parentKey === 'columns') return seg('col', byValue)
+  return seg(parentKey || 'item', hasName ? item.name : (hasValue ? String(item.value) : `#${idx}`))
+}
+
+/**
+ * Collect every multilingual object in a survey with its JSON path and semantic id.
+ * Nodes are returned in document order; `value` is a live reference, so callers
+ * can read and write translations in place.
+ *
+ * With `includeEmpty`, empty objects (a localizable value whose text was all
+ * removed) are collected too; replace them with setAtPath rather than in place.
+ * @param {any} survey
+ * @param {{ includeEmpty?: boolean }} [options]
+ * @returns {MultilingualNode[]}
+ */
+export function collectMultilingualNodes(survey, { includeEmpty = false } = {}) {
+  /** @type {MultilingualNode[]} */
+  const out = []
+
+  function visit(obj, currentPath, semantic, parentKey, elementName) {
+    if (obj == null || typeof obj !== 'object') return
+    if (Array.isArray(obj)) {
+      obj.forEach((item, idx) => {
+        const name = item && typeof item === 'object' && typeof item.name === 'string' ? item.name : elementName
+        visit(item, `${currentPath}[${idx}]`, semantic.concat(arrayItemSegment(parentKey, item, idx)), parentKey, name)
+      })
+      return
+    }
+
+    if (isMultilingualObject(obj) || (includeEmpty && parentKey && Object.keys(obj).length === 0)) {
+      const leaf = parentKey ? slugify(parentKey) : 'value'
+      out.push({
+        id: semantic.concat(leaf).join('.'),
+        resname: semantic.find(s => s.startsWith('q.')) || semantic[semantic.length - 1] || '',
+        path: currentPath,
+        semantic: [...semantic],
+        leaf,
+        elementName,
+        value: obj
+      })
+      return
+    }
+
+    for (const [k, v] of Object.entries(obj)) {
+      const p = currentPath ? `${currentPath}.${k}` : k
+      // Structural arrays add their own segments; any other key becomes the leaf name
+      visit(v, p, semantic, k, elementName)
+    }
+  }
+
+  visit(survey, '', [], '', '')
+  return out
+}
+
+/**
+ * Check if a survey contains any multilingual text
+ * @param {any} survey
+ * @returns {boolean}
+ */
+export function hasMultilingualContent(survey) {
+  for (const obj of iterObjects(survey)) {
+    if (isMultilingualObject(obj)) return true
+  }
+  return false
+}
+
+/**
+ * Discover the normalized language keys used anywhere in a survey
+ * (includes `default`), sorted alphabetically
+ * @param {any} survey
+ * @returns {string[]}
+ */
+export function discoverLanguages(survey) {
+  const found = new Set()
+  for (const obj of iterObjects(survey)) {
+    if (!isMultilingualObject(obj)) continue
+    for (const key of Object.keys(obj)) found.add(normalizeLanguageKey(key))
+  }
+  return Array.from(found).sort()
+}
+
+/**
+ * Split a JSON path into property names and array indexes
+ * (e.g. `pages[0].elements[3].title` → ['pages', 0, 'elements', 3, 'title'])
+ * @param {string} jsonPath
+ * @returns {(string | number)[]}
+ */
+export function parseJsonPath(jsonPath) {
+  const tokens = []
+  const re = /([^.[\]]+)|\[(\d+)\]/g
+  let m
+  while ((m = re.exec(jsonPath)) !== null) {
+    if (m[1] !== undefined) tokens.push(m[1])
+    else tokens.push(Number(m[2]))
+  }
+  return tokens
+}
+
+/**
+ * Build a JSON path from property names and array indexes
+ * @param {(string | number)[]} tokens
+ * @returns {string}
+ */
+export function formatJsonPath(tokens) {
+  return tokens.reduce((acc, token) => (
+    typeof token === 'number' ? `${acc}[${token}]` : acc ? `${acc}.${token}` : String(token)
+  ), '')
+}
+
+/**
+ * Read the value at a JSON path (undefined when any segment is missing)
+ * @param {any} root
+ * @param {string} jsonPath
+ * @returns {any}
+ */
+export function getAtPath(root, jsonPath) {
+  let cur = root
+  for (const token of parseJsonPath(jsonPath)) {
+    if (cur == null) return undefined
+    cur = cur[token]
+  }
+  return cur
+}
+
+/**
+ * Write a value at an existing JSON path
+ * @param {any} root
+ * @param {string} jsonPath
+ * @param {any} value
+ * @returns {boolean} false when the parent does not exist
+ */
+export function setAtPath(root, jsonPath, value) {
+  const tokens = parseJsonPath(jsonPath)
+  if (tokens.length === 0) return false
+  const parent = getAtPath(root, formatJsonPath(tokens.slice(0, -1)))
+  if (parent == null || typeof parent !== 'object') return false
+  parent[tokens[tokens.length - 1]] = value
+  return true
+}
+
+/**
+ * Get the text for one locale from a localizable value.
+ * Plain strings are treated as the `default` text; legacy keys (`es_co`) match `es-CO`.
+ * @param {any} value
+ * @param {string} locale
+ * @returns {string | undefined}
+ */
+export function getTranslation(value, locale) {
+  const target = normalizeLanguageKey(locale)
+  if (typeof value === 'string') return target === 'default' ? value : undefined
+  if (!isMultilingualObject(value)) return undefined
+  if (Object.prototype.hasOwnProperty.call(value, target)) return value[target]
+  const key = Object.keys(value).find(k => normalizeLanguageKey(k) === target)
+  return key === undefined ? undefined : value[key]
+}
+
+/**
+ * Set the text for one locale on a localizable value.
+ * Plain strings are promoted to `{ default: <string> }`; legacy aliases of the
+ * locale are removed so only the normalized key remains.
+ * @param {any} value
+ * @param {string} locale
+ * @param {string} text
+ * @returns {MultilingualObject} the updated (or newly created) multilingual object
+ */
+export function setTranslation(value, locale, text) {
+  const target = normalizeLanguageKey(locale)
+  /** @type {MultilingualObject} */
+  const obj = isMultilingualObject(value) ? value : (typeof value === 'string' ? { default: value } : {})
+  for (const key of Object.keys(obj)) {
+    if (key !== target && normalizeLanguageKey(key) === target) delete obj[key]
+  }
+  obj[target] = text
+  return obj
+}
+
+/**
+ * Get the text for one locale at a JSON path in a survey
+ * @param {any} survey
+ * @param {string} jsonPath
+ * @param {string} locale
+ * @returns {string | undefined}
+ */
+export function getLocaleText(survey, jsonPath, locale) {
+  return getTranslation(getAtPath(survey, jsonPath), locale)
+}
+
+/**
+ * Set the text for one locale at a JSON path in a survey
+ * @param {any} survey
+ * @param {string} jsonPath
+ * @param {string} locale
+ * @param {string} text
+ * @returns {boolean} false when the path's parent does not exist
+ */
+export function setLocaleText(survey, jsonPath, locale, text) {
+  const current = getAtPath(survey, jsonPath)
+  const updated = setTranslation(current, locale, text)
+  return updated === current || setAtPath(survey, jsonPath, updated)
+}
@@ -0,0 +1,254 @@
+/**
+ * Translation coverage engine for survey JSON
+ *
+ * Computes, per survey and locale, how many English strings have a usable
+ * translation and lists the ones that are missing, empty or still identical to
+ * English, with their JSON paths and question names. Strings a regional variant
+ * inherits through its fallback chain (localeFallbacks.js) count as covered.
+ * Shared by the translation-coverage script and anything else that needs
+ * release-readiness numbers.
+ */
+
+import { LOCALE_FALLBACKS } from '../constants/languages.js'
+import { formatCsvRow } from './csv.js'
+import { inheritedTranslation } from './localeFallbacks.js'
+import { collectMultilingualNodes, discoverLanguages, getTranslation, normalizeLanguageKey } from './surveyTranslations.js'
+
+/**
+ * @typedef {'translated' | 'inherited' | 'missing' | 'empty' | 'identical'} CoverageStatus
+ *
+ * @typedef {Object} CoverageIssue
+ * @property {string} id           Semantic string id (same as the XLIFF trans-unit id)
+ * @property {string} path         JSON path of the multilingual object
+ * @property {string} elementName  Name of the enclosing question/panel/page ('' for survey-level text)
+ * @property {CoverageStatus} status
+ * @property {string} english
+ * @property {string} [text]       Current locale text (empty and identical only)
+ * @property {string} [from]       Locale an identical text is inherited from
+ *
+ * @typedef {Object} LocaleCoverage
+ * @property {string} locale
+ * @property {number} total
+ * @property {number} translated
+ * @property {number} inherited    not stored, inherited from a locale in the fallback chain
+ * @property {number} missing
+ * @property {number} empty
+ * @property {number} identical
+ * @property {number} percent      Translated and inherited share of total, 0-100 with one decimal
+ * @property {CoverageIssue[]} issues
+ *
+ * @typedef {Object} SurveyCoverage
+ * @property {string} survey
+ * @property {number} total        English strings considered
+ * @property {LocaleCoverage[]} locales
+ */
+
+export const COVERAGE_STATUSES = /** @type {const} */ (['translated', 'inherited', 'missing', 'empty', 'identical'])
+
+// Whitespace-only differences (including &nbsp;) don't count as a translation
+function normalizeText(text) {
+  return String(text).replace(/&nbsp;|\u00a0/g, ' ').replace(/\s+/g, ' ').trim()
+}
+
+// Strings without letters (numbers, punctuation, bare markup) read the same in every language
+function hasTranslatableText(text) {
+  return /\p{L}/u.test(String(text).replace(/<[^>]*>/g, ''))
+}
+
+function isEnglishVariant(locale) {
+  return locale === 'en' || locale.startsWith('en-')
+}
+
+/**
+ * Classify one locale's text against the English source
+ * @param {string} english
+ * @param {string | undefined} text
+ * @param {string} locale
+ * @returns {CoverageStatus}
+ */
+export function classifyTranslation(english, text, locale) {
+  if (text === undefined || text === null) return 'missing'
+  if (typeof text !== 'string' || normalizeText(text) === '') return 'empty'
+  // English variants (en-US, en-GH) are expected to match the source
+  if (!isEnglishVariant(locale) && hasTranslatableText(english) && normalizeText(text) === normalizeText(english)) {
+    return 'identical'
+  }
+  return 'translated'
+}
+
+/**
+ * Compute per-locale coverage for one survey
+ * @param {any} survey
+ * @param {{ survey?: string, locales?: string[], fallbacks?: Record<string, string> | null }} [options]
+ *   `locales` defaults to every locale found in the survey (excluding `default`);
+ *   `fallbacks` defaults to LOCALE_FALLBACKS, null counts stored strings only
+ * @returns {SurveyCoverage}
+ */
+export function computeSurveyCoverage(survey, { survey: surveyName = '', locales, fallbacks = LOCALE_FALLBACKS } = {}) {
+  const targetLocales = (locales && locales.length > 0 ? locales.map(normalizeLanguageKey) : discoverLanguages(survey))
+    .filter(locale => locale !== 'default')
+
+  const strings = collectMultilingualNodes(survey)
+    .map(node => ({ node, english: getTranslation(node.value, 'default') }))
+    .filter(({ english }) => typeof english === 'string' && normalizeText(english) !== '')
+
+  const coverage = targetLocales.map(locale => {
+    /** @type {LocaleCoverage} */
+    const entry = { locale, total: strings.length, translated: 0, inherited: 0, missing: 0, empty: 0, identical: 0, percent: 100, issues: [] }
+    for (const { node, english } of strings) {
+      let text = getTranslation(node.value, locale)
+      let status = classifyTranslation(english, text, locale)
+      const inherited = (status === 'missing' || status === 'empty') && fallbacks
+        ? inheritedTranslation(node.value, locale, { fallbacks })
+        : undefined
+      if (inherited) {
+        text = inherited.text
+        status = classifyTranslation(english, text, locale)
+        if (status === 'translated') status = 'inherited'
+      }
+      entry[status]++
+      if (status === 'translated' || status === 'inherited') continue
+      /** @type {CoverageIssue} */
+      const issue = { id: node.id, path: node.path, elementName: node.elementName, status, english }
+      if (status !== 'missing') issue.text = text
+      if (inherited) issue.from = inherited.from
+      entry.issues.push(issue)
+    }
+    if (entry.total > 0) entry.percent = Math.floor(((entry.translated + entry.inherited) / entry.total) * 1000) / 10
+    return entry
+  })
+
+  return { survey: surveyName, total: strings.length, locales: coverage }
+}
+
+/**
+ * Look up one locale's coverage in a survey report
+ * @param {SurveyCoverage} report
+ * @param {string} locale
+ * @returns {LocaleCoverage | undefined}
+ */
+export function getLocaleCoverage(report, locale) {
+  const target = normalizeLanguageKey(locale)
+  return report.locales.find(l => l.locale === target)
+}
+
+/**
+ * Survey × locale percentage matrix across several reports.
+ * Locales missing from a survey are reported as 0%.
+ * @param {SurveyCoverage[]} reports
+ * @returns {{ locales: string[], rows: { survey: string, total: number, percents: Record<string, number> }[] }}
+ */
+export function buildCoverageMatrix(reports) {
+  const locales = Array.from(new Set(reports.flatMap(r => r.locales.map(l => l.locale)))).sort()
+  const rows = reports.map(report => ({
+    survey: report.survey,
+    total: report.total,
+    percents: Object.fromEntries(locales.map(locale => [locale, getLocaleCoverage(report, locale)?.percent ?? 0]))
+  }))
+  return { locales, rows }
+}
+
+/**
+ * CSV report. The summary has one row per survey and locale; `details` lists
+ * every untranslated string instead.
+ * @param {SurveyCoverage[]} reports
+ * @param {{ details?: boolean }} [options]
+ * @returns {string}
+ */
+export function toCoverageCsv(reports, { details = false } = {}) {
+  if (details) {
+    const lines = [formatCsvRow(['survey', 'locale', 'status', 'elementName', 'path', 'id', 'english', 'text'])]
+    for (const report of reports) {
+      for (const l of report.locales) {
+        for (const issue of l.issues) {
+          lines.push(formatCsvRow([report.survey, l.locale, issue.status, issue.elementName, issue.path, issue.id, issue.english, issue.text]))
+        }
+      }
+    }
+    return lines.join('\n')
+  }
+  const lines = [formatCsvRow(['survey', 'locale', 'total', 'translated', 'inherited', 'missing', 'empty', 'identical', 'percent'])]
+  for (const report of reports) {
+    for (const l of report.locales) {
+      lines.push(formatCsvRow([report.survey, l.locale, l.total, l.translated, l.inherited, l.missing, l.empty, l.identical, l.percent]))
+    }
+  }
+  return lines.join('\n')
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function percentClass(percent) {
+  if (percent >= 100) return 'complete'
+  if (percent >= 90) return 'close'
+  return 'incomplete'
+}
+
+/**
+ * Self-contained HTML report: the survey × locale matrix followed by the
+ * untranslated strings of each survey, grouped by locale
+ * @param {SurveyCoverage[]} reports
+ * @param {{ title?: string, generatedAt?: string }} [options]
+ * @returns {string}
+ */
+export function toCoverageHtml(reports, { title = 'Translation coverage', generatedAt = new Date().toISOString() } = {}) {
+  const matrix = buildCoverageMatrix(reports)
+  const head = matrix.locales.map(locale => `<th>${escapeHtml(locale)}</th>`).join('')
+  const body = matrix.rows.map(row => {
+    const cells = matrix.locales.map(locale => {
+      const percent = row.percents[locale]
+      return `<td class="${percentClass(percent)}">${percent}%</td>`
+    }).join('')
+    return `<tr><th scope="row"><a href="#${escapeHtml(row.survey)}">${escapeHtml(row.survey)}</a></th><td>${row.total}</td>${cells}</tr>`
+  }).join('\n')
+
+  const sections = reports.map(report => {
+    const locales = report.locales.map(l => {
+      const items = l.issues.map(issue => `<tr><td class="status-${issue.status}">${issue.status}</td><td>${escapeHtml(issue.elementName)}</td><td><code>${escapeHtml(issue.path)}</code></td><td>${escapeHtml(issue.english)}</td><td>${escapeHtml(issue.text)}</td></tr>`).join('\n')
+      const inherited = l.inherited > 0 ? `, ${l.inherited} inherited` : ''
+      const summary = `${escapeHtml(l.locale)} — ${l.percent}% (${l.missing} missing, ${l.empty} empty, ${l.identical} identical${inherited})`
+      if (l.issues.length === 0) return `<p class="complete">✅ ${summary}</p>`
+      return `<details><summary>${summary}</summary><table><thead><tr><th>Status</th><th>Element</th><th>Path</th><th>English</th><th>Text</th></tr></thead><tbody>\n${items}\n</tbody></table></details>`
+    }).join('\n')
+    return `<section id="${escapeHtml(report.survey)}"><h2>${escapeHtml(report.survey)}</h2><p>${report.total} English strings</p>\n${locales}\n</section>`
+  }).join('\n')
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 24px; color: #2d3748; }
+table { border-collapse: collapse; margin: 8px 0 16px; }
+th, td { border: 1px solid #e2e8f0; padding: 4px 8px; text-align: left; vertical-align: top; font-size: 13px; }
+.complete { background: #f0fff4; color: #276749; }
+.close { background: #fffaf0; color: #975a16; }
+.incomplete { background: #fff5f5; color: #c53030; }
+.status-missing, .status-empty { color: #c53030; }
+.status-identical { color: #975a16; }
+details { margin: 4px 0; }
+summary { cursor: pointer; }
+code { font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(generatedAt)}</p>
+<table>
+<thead><tr><th>Survey</th><th>Strings</th>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+${sections}
+</body>
+</html>
+`
+}
@@ -0,0 +1,408 @@
+/**
+ * Translation memory
+ *
+ * Remembers every English → target pair seen per locale so a translation can be
+ * reapplied automatically wherever the English is unchanged or differs only in
+ * whitespace or HTML markup: after a question moves, a page is reordered, or
+ * SurveyJS re-exports the survey with reformatted markup.
+ *
+ * Lookups use the normalized English (tags stripped, entities decoded,
+ * whitespace collapsed). A pair recorded for the same stable string id (see
+ * stringIds.js) wins over one recorded for another string with the same
+ * English; otherwise the most recently recorded pair is used.
+ *
+ * When the English of a string is edited, its translations are kept but flagged
+ * for review (a `review` record on the string id map entry) until a new
+ * translation arrives. Fuzzy matches from the memory, scored by edit distance,
+ * are proposed for flagged and untranslated strings.
+ */
+
+import { collectMultilingualNodes, discoverLanguages, getTranslation, normalizeLanguageKey, setTranslation } from './surveyTranslations.js'
+
+/** Version of the per-locale memory file format */
+export const TRANSLATION_MEMORY_VERSION = 1
+
+/**
+ * @typedef {Object} MemoryEntry
+ * @property {string} source          English as last seen (not normalized)
+ * @property {string} target
+ * @property {string | null} stringId Stable string id the pair was recorded for
+ * @property {string | null} survey
+ * @property {string} updatedAt       ISO timestamp of the last change to `target`
+ *
+ * @typedef {Record<string, MemoryEntry[]>} TranslationMemory  entries by locale
+ *
+ * @typedef {Object} AppliedTranslation
+ * @property {string} id              Semantic id of the string
+ * @property {string | null} stringId
+ * @property {string} locale
+ * @property {string} target
+ * @property {'id' | 'source'} match  `id`: recorded for this string; `source`: same English elsewhere
+ *
+ * @typedef {MemoryEntry & { score: number }} FuzzyMatch  `score`: similarity of the English, 0–1
+ *
+ * @typedef {Object} ReviewFlag
+ * @property {string} id              Semantic id of the string
+ * @property {string} stringId
+ * @property {string} locale
+ * @property {string} target          Translation of the previous English
+ * @property {boolean} restored       The target had been dropped and was put back from memory
+ */
+
+const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+/**
+ * Normalize English for matching: decode entities, drop HTML tags and
+ * collapse whitespace (so `<p>Hello&nbsp; world</p>` matches `Hello world`)
+ * @param {any} text
+ * @returns {string}
+ */
+export function normalizeSourceText(text) {
+  if (text == null) return ''
+  return String(text)
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(nbsp|amp|lt|gt|quot|apos);/gi, (_, name) => ENTITIES[name.toLowerCase()])
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * English source text of a multilingual value (`default`, then `en-US`, then `en`)
+ * @param {any} value
+ * @returns {string}
+ */
+export function getSourceText(value) {
+  for (const locale of ['default', 'en-US', 'en']) {
+    const text = getTranslation(value, locale)
+    if (typeof text === 'string' && text.trim() !== '') return text
+  }
+  return ''
+}
+
+// Levenshtein distance; gives up with `max + 1` once every path exceeds `max`
+function editDistance(a, b, max = Infinity) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+      if (row[j] < rowMin) rowMin = row[j]
+    }
+    if (rowMin > max) return max + 1
+    prev = row
+  }
+  return prev[b.length]
+}
+
+/**
+ * Similarity of two English strings after normalization: 1 minus the edit
+ * distance over the length of the longer one
+ * @param {any} a
+ * @param {any} b
+ * @returns {number} 0–1
+ */
+export function sourceSimilarity(a, b) {
+  const x = normalizeSourceText(a)
+  const y = normalizeSourceText(b)
+  if (x === y) return 1
+  if (!x || !y) return 0
+  return 1 - editDistance(x, y) / Math.max(x.length, y.length)
+}
+
+// Per-locale index by normalized English, kept in sync by rememberTranslation
+const indexes = new WeakMap()
+
+function getIndex(entries) {
+  let index = indexes.get(entries)
+  if (!index) {
+    index = new Map()
+    for (const entry of entries) addToIndex(index, entry)
+    indexes.set(entries, index)
+  }
+  return index
+}
+
+function addToIndex(index, entry) {
+  const key = normalizeSourceText(entry.source)
+  if (index.has(key)) index.get(key).push(entry)
+  else index.set(key, [entry])
+}
+
+// Locales that hold the source rather than a translation
+function isSourceLocale(locale) {
+  return locale === 'default' || locale === 'en' || locale === 'en-US'
+}
+
+// Translation locales to work on: the requested ones, else those the survey has
+function resolveTargetLocales(survey, locales) {
+  return (locales && locales.length > 0 ? locales.map(normalizeLanguageKey) : discoverLanguages(survey))
+    .filter(locale => !isSourceLocale(locale))
+}
+
+/**
+ * Empty translation memory
+ * @returns {TranslationMemory}
+ */
+export function createTranslationMemory() {
+  return {}
+}
+
+/**
+ * Record one source → target pair
+ * @param {TranslationMemory} memory
+ * @param {string} locale
+ * @param {{ source: string, target: string, stringId?: string | null, survey?: string | null, updatedAt?: string }} pair
+ * @returns {'added' | 'updated' | 'unchanged' | 'skipped'}
+ *   `skipped` when either side is empty or the target is a copy of the English
+ */
+export function rememberTranslation(memory, locale, { source, target, stringId = null, survey = null, updatedAt = new Date().toISOString() }) {
+  const key = normalizeSourceText(source)
+  if (!key || typeof target !== 'string' || target.trim() === '' || normalizeSourceText(target) === key) return 'skipped'
+
+  const lang = normalizeLanguageKey(locale)
+  const entries = memory[lang] || (memory[lang] = [])
+  const index = getIndex(entries)
+  const existing = (index.get(key) || []).find(e => e.stringId === stringId)
+  if (!existing) {
+    const entry = { source, target, stringId, survey, updatedAt }
+    entries.push(entry)
+    addToIndex(index, entry)
+    return 'added'
+  }
+  if (existing.target === target) return 'unchanged'
+  Object.assign(existing, { source, target, survey: survey ?? existing.survey, updatedAt })
+  return 'updated'
+}
+
+/**
+ * Find the remembered translation of an English string
+ * @param {TranslationMemory} memory
+ * @param {string} locale
+ * @param {string} source
+ * @param {string | null} [stringId]
+ * @returns {(MemoryEntry & { match: 'id' | 'source' }) | null}
+ */
+export function lookupTranslation(memory, locale, source, stringId = null) {
+  const key = normalizeSourceText(source)
+  const all = memory[normalizeLanguageKey(locale)]
+  const entries = key && all ? getIndex(all).get(key) || [] : []
+  if (entries.length === 0) return null
+  const byId = stringId ? entries.find(e => e.stringId === stringId) : undefined
+  if (byId) return { ...byId, match: 'id' }
+  const latest = entries.reduce((a, b) => (b.updatedAt > a.updatedAt ? b : a))
+  return { ...latest, match: 'source' }
+}
+
+/**
+ * Remembered translations of similar English, best first
+ * @param {TranslationMemory} memory
+ * @param {string} locale
+ * @param {string} source
+ * @param {{ minScore?: number, limit?: number }} [options]
+ *   `minScore` defaults to 0.75; one match per distinct target
+ * @returns {FuzzyMatch[]}
+ */
+export function findFuzzyMatches(memory, locale, source, { minScore = 0.75, limit = 3 } = {}) {
+  const key = normalizeSourceText(source)
+  const all = memory[normalizeLanguageKey(locale)]
+  if (!key || !all) return []
+  const byTarget = new Map()
+  for (const [other, entries] of getIndex(all)) {
+    const longer = Math.max(key.length, other.length)
+    // The distance is at least the difference in length
+    if (Math.min(key.length, other.length) / longer < minScore) continue
+    const maxDistance = Math.floor((1 - minScore) * longer)
+    const score = other === key ? 1 : 1 - editDistance(key, other, maxDistance) / longer
+    if (score < minScore) continue
+    for (const entry of entries) {
+      const seen = byTarget.get(entry.target)
+      if (!seen || score > seen.score || (score === seen.score && entry.updatedAt > seen.updatedAt)) {
+        byTarget.set(entry.target, { ...entry, score })
+      }
+    }
+  }
+  return [...byTarget.values()]
+    .sort((a, b) => b.score - a.score || b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit)
+}
+
+// Latest pair recorded for a stable id, whatever its English
+function latestForStringId(memory, locale, stringId) {
+  const entries = (memory[normalizeLanguageKey(locale)] || []).filter(e => e.stringId === stringId)
+  return entries.length > 0 ? entries.reduce((a, b) => (b.updatedAt > a.updatedAt ? b : a)) : null
+}
+
+// semantic id → stable id, from a string id map (stringIds.js)
+function stableIdsBySemanticId(stringIds) {
+  const out = new Map()
+  for (const [stableId, entry] of Object.entries(stringIds?.strings || {})) out.set(entry.semanticId, stableId)
+  return out
+}
+
+/**
+ * Record every translation in a survey
+ * @param {TranslationMemory} memory
+ * @param {any} survey
+ * @param {{ surveyName?: string, stringIds?: any, locales?: string[], updatedAt?: string }} [options]
+ *   `stringIds`: the survey's string id map; `locales` defaults to every locale found.
+ *   Targets flagged for review are not recorded.
+ * @returns {{ added: number, updated: number }}
+ */
+export function harvestTranslations(memory, survey, { surveyName = null, stringIds = null, locales, updatedAt = new Date().toISOString() } = {}) {
+  const stableIds = stableIdsBySemanticId(stringIds)
+  const only = locales && locales.length > 0 ? new Set(locales.map(normalizeLanguageKey)) : null
+  const counts = { added: 0, updated: 0 }
+  for (const node of collectMultilingualNodes(survey)) {
+    const source = getSourceText(node.value)
+    if (!source) continue
+    for (const [key, target] of Object.entries(node.value)) {
+      const locale = normalizeLanguageKey(key)
+      if (isSourceLocale(locale) || (only && !only.has(locale))) continue
+      const stringId = stableIds.get(node.id) || null
+      // A flagged target translates the previous English, not this one
+      if (stringId && stringIds.strings[stringId].review?.targets[locale] === target) continue
+      const result = rememberTranslation(memory, locale, {
+        source,
+        target,
+        stringId,
+        survey: surveyName,
+        updatedAt
+      })
+      if (result === 'added' || result === 'updated') counts[result]++
+    }
+  }
+  return counts
+}
+
+/**
+ * Fill missing or empty translations in a survey from memory (in place)
+ * @param {any} survey
+ * @param {TranslationMemory} memory
+ * @param {{ stringIds?: any, locales?: string[], overwrite?: boolean }} [options]
+ *   `locales` defaults to the locales the survey already has (memory never adds
+ *   a language to a survey on its own); `overwrite` also replaces existing
+ *   translations that differ from the remembered one
+ * @returns {AppliedTranslation[]}
+ */
+export function applyTranslationMemory(survey, memory, { stringIds = null, locales, overwrite = false } = {}) {
+  const stableIds = stableIdsBySemanticId(stringIds)
+  const targetLocales = resolveTargetLocales(survey, locales)
+  /** @type {AppliedTranslation[]} */
+  const applied = []
+  for (const node of collectMultilingualNodes(survey)) {
+    const source = getSourceText(node.value)
+    if (!source) continue
+    const stringId = stableIds.get(node.id) || null
+    for (const locale of targetLocales) {
+      const current = getTranslation(node.value, locale)
+      const hasText = typeof current === 'string' && current.trim() !== ''
+      if (hasText && !overwrite) continue
+      const entry = lookupTranslation(memory, locale, source, stringId)
+      if (!entry || entry.target === current) continue
+      setTranslation(node.value, locale, entry.target)
+      applied.push({ id: node.id, stringId, locale, target: entry.target, match: entry.match })
+    }
+  }
+  return applied
+}
+
+/**
+ * Keep the translations of strings whose English was edited, flagged for review
+ * (in place, on both the survey and the string id map)
+ *
+ * A target that is still in the survey stays as it is; one that was dropped is
+ * put back from the pair last recorded for the same stable id. Either way the
+ * map entry gets `review: { previousSource, since, targets }`, which the XLIFF
+ * export turns into `needs-review-translation`. A string edited again before
+ * review keeps its original `previousSource`.
+ * @param {any} survey
+ * @param {any} stringIds  the survey's string id map
+ * @param {{ id: string, previousSource: string }[]} edited  from syncStringIds
+ * @param {{ memory?: TranslationMemory | null, locales?: string[], since?: string }} [options]
+ * @returns {ReviewFlag[]}
+ */
+export function markNeedsReview(survey, stringIds, edited, { memory = null, locales, since = new Date().toISOString() } = {}) {
+  const nodesById = new Map(collectMultilingualNodes(survey).map(node => [node.id, node]))
+  const targetLocales = resolveTargetLocales(survey, locales)
+  /** @type {ReviewFlag[]} */
+  const flagged = []
+  for (const { id: stringId, previousSource } of edited) {
+    const entry = stringIds.strings[stringId]
+    const node = entry && nodesById.get(entry.semanticId)
+    if (!node) continue
+    const review = entry.review || { previousSource, since, targets: {} }
+    for (const locale of targetLocales) {
+      let target = getTranslation(node.value, locale)
+      let restored = false
+      if (typeof target !== 'string' || target.trim() === '') {
+        const remembered = memory && latestForStringId(memory, locale, stringId)
+        if (!remembered) continue
+        target = remembered.target
+        setTranslation(node.value, locale, target)
+        restored = true
+      }
+      review.targets[locale] = target
+      flagged.push({ id: node.id, stringId, locale, target, restored })
+    }
+    if (Object.keys(review.targets).length > 0) entry.review = review
+  }
+  return flagged
+}
+
+/**
+ * Clear review flags whose target has since changed (a new translation was
+ * imported) or whose English is back to the previous text
+ * @param {any} survey
+ * @param {any} stringIds  the survey's string id map (updated in place)
+ * @returns {{ id: string, stringId: string, locale: string }[]} cleared flags
+ */
+export function resolveReviews(survey, stringIds) {
+  const nodesById = new Map(collectMultilingualNodes(survey).map(node => [node.id, node]))
+  const resolved = []
+  for (const [stringId, entry] of Object.entries(stringIds?.strings || {})) {
+    const review = entry.review
+    if (!review) continue
+    const node = nodesById.get(entry.semanticId)
+    const reverted = normalizeSourceText(review.previousSource) === normalizeSourceText(entry.source)
+    for (const [locale, target] of Object.entries(review.targets)) {
+      if (!reverted && node && getTranslation(node.value, locale) === target) continue
+      delete review.targets[locale]
+      resolved.push({ id: entry.semanticId, stringId, locale })
+    }
+    if (Object.keys(review.targets).length === 0) delete entry.review
+  }
+  return resolved
+}
+
+/**
+ * Clear the review flag of one translation a reviewer approved as it stands
+ * @param {any} stringIds  the survey's string id map (updated in place)
+ * @param {string} semanticId
+ * @param {string} locale
+ * @returns {boolean} whether a flag was cleared
+ */
+export function approveReview(stringIds, semanticId, locale) {
+  const entry = Object.values(stringIds?.strings || {}).find(e => e.semanticId === semanticId)
+  if (!entry?.review || !(locale in entry.review.targets)) return false
+  delete entry.review.targets[locale]
+  if (Object.keys(entry.review.targets).length === 0) delete entry.review
+  return true
+}
+
+/**
+ * Memory for one locale in its file format, entries sorted for stable diffs
+ * @param {TranslationMemory} memory
+ * @param {string} locale
+ * @returns {{ version: number, locale: string, entries: MemoryEntry[] }}
+ */
+export function serializeMemoryLocale(memory, locale) {
+  const entries = [...(memory[locale] || [])].sort((a, b) =>
+    normalizeSourceText(a.source).localeCompare(normalizeSourceText(b.source)) ||
+    String(a.stringId || '').localeCompare(String(b.stringId || ''))
+  )
+  return { version: TRANSLATION_MEMORY_VERSION, locale, entries }
+}
@@ -0,0 +1,324 @@
+/**
+ * Translation QA checks
+ *
+ * Per-locale checks on translations that exist but may still be wrong:
+ * English left untranslated, `{placeholders}` and HTML tags dropped or added,
+ * whitespace the English does not have, lengths that suggest truncation on a
+ * phone, letters from another script, doubled spaces and question marks that
+ * do not match the English (or an unpaired Spanish `¿`). Missing and empty
+ * translations are the coverage report's job (translationCoverage.js).
+ *
+ * Shared by the translation-qa script (scripts/translation-qa.js) and the QA
+ * tab of the preview tool. Like the lint rules (surveyLint.js), each check has
+ * an id, a description, a severity and a `check` function.
+ */
+
+import { formatCsvRow } from './csv.js'
+import { compareMarkup, markupReference } from './inlineMarkup.js'
+import { collectMultilingualNodes, discoverLanguages, getTranslation, normalizeLanguageKey } from './surveyTranslations.js'
+import { classifyTranslation } from './translationCoverage.js'
+
+/**
+ * @typedef {'error' | 'warning'} QaSeverity
+ *
+ * @typedef {Object} QaOptions
+ * @property {string[]} [checks]          check ids to run (default: all)
+ * @property {number} [minLengthRatio]    shortest translation, as a share of the English length (default 0.4)
+ * @property {number} [maxLengthRatio]    longest translation, as a multiple of the English length (default 2.2)
+ * @property {number} [minLength]         English length below which lengths are not compared (default 12)
+ *
+ * @typedef {Object} QaIssue
+ * @property {string} check        check id
+ * @property {QaSeverity} severity
+ * @property {string} message
+ *
+ * @typedef {QaIssue & {
+ *   id: string,
+ *   path: string,
+ *   elementName: string,
+ *   locale: string,
+ *   english: string,
+ *   text: string
+ * }} QaFinding
+ *
+ * @typedef {Object} LocaleQa
+ * @property {string} locale
+ * @property {number} checked      translations checked (missing and empty ones are skipped)
+ * @property {number} errors
+ * @property {number} warnings
+ * @property {Record<string, number>} counts  findings per check id
+ * @property {QaFinding[]} findings
+ *
+ * @typedef {Object} SurveyQa
+ * @property {string} survey
+ * @property {number} total        English strings
+ * @property {LocaleQa[]} locales
+ */
+
+const SOURCE_LOCALES = new Set(['default', 'en', 'en-US'])
+
+const DEFAULT_OPTIONS = { minLengthRatio: 0.4, maxLengthRatio: 2.2, minLength: 12 }
+
+/**
+ * Scripts a language is written in; languages not listed use Latin. Latin
+ * letters are accepted in every language (names, acronyms, URLs).
+ */
+const LANGUAGE_SCRIPTS = {
+  am: ['Ethiopic'],
+  ar: ['Arabic'],
+  be: ['Cyrillic'],
+  bg: ['Cyrillic'],
+  bn: ['Bengali'],
+  el: ['Greek'],
+  fa: ['Arabic'],
+  gu: ['Gujarati'],
+  he: ['Hebrew'],
+  hi: ['Devanagari'],
+  hy: ['Armenian'],
+  ja: ['Han', 'Hiragana', 'Katakana'],
+  ka: ['Georgian'],
+  kk: ['Cyrillic'],
+  km: ['Khmer'],
+  ko: ['Hangul', 'Han'],
+  mk: ['Cyrillic'],
+  mn: ['Cyrillic'],
+  mr: ['Devanagari'],
+  my: ['Myanmar'],
+  ne: ['Devanagari'],
+  pa: ['Gurmukhi'],
+  ru: ['Cyrillic'],
+  si: ['Sinhala'],
+  sr: ['Cyrillic'],
+  ta: ['Tamil'],
+  te: ['Telugu'],
+  th: ['Thai'],
+  uk: ['Cyrillic'],
+  ur: ['Arabic'],
+  zh: ['Han']
+}
+
+/** Characters that end a question, by language (Greek uses `;`) */
+const QUESTION_MARKS = {
+  ar: ['?', '؟'],
+  el: ['?', ';', '\u037e'],
+  fa: ['?', '؟'],
+  ja: ['?', '？'],
+  ur: ['?', '؟'],
+  zh: ['?', '？']
+}
+
+const languageOf = (locale) => locale.split(/[-_]/)[0].toLowerCase()
+
+// Text a reader sees: tags dropped, entities for spaces turned into spaces
+function visibleText(text) {
+  return String(text).replace(/<[^>]*>/g, '').replace(/&nbsp;|\u00a0/g, ' ')
+}
+
+// Compact length for ratios: whitespace runs count as one
+const visibleLength = (text) => visibleText(text).replace(/\s+/g, ' ').trim().length
+
+/**
+ * `{name}` placeholders SurveyJS replaces with answers and variables
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function extractPlaceholders(text) {
+  return Array.from(String(text).matchAll(/\{[^{}]+\}/g), m => m[0].replace(/\s+/g, ''))
+}
+
+// Items of `a` not matched in `b`, counting repeats
+function missingFrom(a, b) {
+  const left = [...b]
+  return a.filter(item => {
+    const i = left.indexOf(item)
+    if (i === -1) return true
+    left.splice(i, 1)
+    return false
+  })
+}
+
+// Runs of spaces between two words (indentation after a line break is not counted)
+const doubledSpaces = (text) => Array.from(visibleText(text).matchAll(/\S( {2,})\S/g)).length
+
+/**
+ * Check catalog
+ */
+export const QA_CHECKS = [
+  {
+    id: 'untranslated',
+    description: 'Translation is identical to the English (English variants excepted)',
+    severity: 'warning',
+    check({ english, text, locale }) {
+      return classifyTranslation(english, text, locale) === 'identical' ? 'Identical to the English' : null
+    }
+  },
+  {
+    id: 'placeholders',
+    description: 'Translation keeps the {placeholders} of the English',
+    severity: 'error',
+    check({ english, text }) {
+      const source = extractPlaceholders(english)
+      const target = extractPlaceholders(text)
+      const missing = missingFrom(source, target)
+      const extra = missingFrom(target, source)
+      if (missing.length === 0 && extra.length === 0) return null
+      return [missing.length > 0 && `missing ${missing.join(', ')}`, extra.length > 0 && `extra ${extra.join(', ')}`].filter(Boolean).join('; ')
+    }
+  },
+  {
+    id: 'markup',
+    description: 'Translation keeps the HTML tags of the English',
+    severity: 'error',
+    check({ english, text }) {
+      const { missing, extra } = compareMarkup(english, text)
+      if (missing.length === 0 && extra.length === 0) return null
+      return [missing.length > 0 && `missing ${missing.join(', ')}`, extra.length > 0 && `extra ${extra.join(', ')}`].filter(Boolean).join('; ')
+    }
+  },
+  {
+    id: 'whitespace',
+    description: 'Leading and trailing whitespace matches the English',
+    severity: 'warning',
+    check({ english, text }) {
+      const problems = []
+      if (/^\s/.test(english) !== /^\s/.test(text)) problems.push(/^\s/.test(text) ? 'starts with whitespace, the English does not' : 'the English starts with whitespace, the translation does not')
+      if (/\s$/.test(english) !== /\s$/.test(text)) problems.push(/\s$/.test(text) ? 'ends with whitespace, the English does not' : 'the English ends with whitespace, the translation does not')
+      return problems.length > 0 ? problems.join('; ') : null
+    }
+  },
+  {
+    id: 'length-ratio',
+    description: 'Translation length is close to the English (long text may be cut off on a phone, short text may be truncated)',
+    severity: 'warning',
+    check({ english, text }, { minLengthRatio, maxLengthRatio, minLength }) {
+      const source = visibleLength(english)
+      if (source < minLength) return null
+      const ratio = visibleLength(text) / source
+      if (ratio > maxLengthRatio) return `${ratio.toFixed(1)}× the English length`
+      if (ratio < minLengthRatio) return `only ${Math.round(ratio * 100)}% of the English length`
+      return null
+    }
+  },
+  {
+    id: 'wrong-script',
+    description: 'Letters belong to the script of the locale',
+    severity: 'error',
+    check({ text, language }) {
+      const scripts = [...new Set(['Latin', ...(LANGUAGE_SCRIPTS[language] || [])])]
+      const expected = new RegExp(scripts.map(s => `\\p{Script=${s}}`).join('|'), 'u')
+      const foreign = [...new Set(visibleText(text).match(/\p{L}/gu) || [])].filter(ch => !expected.test(ch))
+      if (foreign.length === 0) return null
+      return `letters outside ${scripts.join('/')}: ${foreign.slice(0, 8).join(' ')}${foreign.length > 8 ? ' …' : ''}`
+    }
+  },
+  {
+    id: 'double-space',
+    description: 'No doubled spaces between words that the English does not have',
+    severity: 'warning',
+    check({ english, text }) {
+      const extra = doubledSpaces(text) - doubledSpaces(english)
+      if (extra <= 0) return null
+      const at = visibleText(text).match(/\S+ {2,}\S+/)
+      return `${extra} doubled space(s)${at ? ` ("${at[0]}")` : ''}`
+    }
+  },
+  {
+    id: 'question-mark',
+    description: 'Question marks match the English; Spanish opens each question with ¿',
+    severity: 'warning',
+    check({ english, text, language }) {
+      const marks = QUESTION_MARKS[language] || ['?']
+      const asks = visibleText(english).includes('?')
+      const count = [...visibleText(text)].filter(ch => marks.includes(ch)).length
+      if (asks && count === 0) return 'the English asks a question, the translation has no question mark'
+      if (!asks && count > 0) return 'question mark the English does not have'
+      if (language === 'es') {
+        const opening = [...visibleText(text)].filter(ch => ch === '¿').length
+        if (opening !== count) return `${opening} ¿ for ${count} ?`
+      }
+      return null
+    }
+  }
+]
+
+/**
+ * Get a check from the catalog by id
+ * @param {string} id
+ */
+export function getQaCheck(id) {
+  return QA_CHECKS.find(check => check.id === id) || null
+}
+
+/**
+ * Run the checks on one translation
+ * @param {string} english
+ * @param {string} text       non-empty translation
+ * @param {string} locale
+ * @param {QaOptions} [options]
+ * @returns {QaIssue[]}
+ */
+export function checkTranslation(english, text, locale, { checks, ...thresholds } = {}) {
+  for (const id of checks || []) {
+    if (!getQaCheck(id)) throw new Error(`Unknown translation QA check: ${id}`)
+  }
+  const options = { ...DEFAULT_OPTIONS, ...thresholds }
+  const context = { english, text, locale, language: languageOf(locale) }
+  return QA_CHECKS
+    .filter(check => !checks || checks.length === 0 || checks.includes(check.id))
+    .flatMap(check => {
+      const message = check.check(context, options)
+      return message ? [{ check: check.id, severity: /** @type {QaSeverity} */ (check.severity), message }] : []
+    })
+}
+
+/**
+ * Run the checks on every translation of a survey, per locale
+ * @param {any} survey
+ * @param {QaOptions & { survey?: string, locales?: string[] }} [options]
+ *   `locales` defaults to every translation locale in the survey
+ * @returns {SurveyQa}
+ */
+export function runTranslationQa(survey, { survey: surveyName = '', locales, ...options } = {}) {
+  const targetLocales = (locales && locales.length > 0 ? locales.map(normalizeLanguageKey) : discoverLanguages(survey))
+    .filter(locale => !SOURCE_LOCALES.has(locale))
+
+  const strings = collectMultilingualNodes(survey)
+    .map(node => ({ node, english: markupReference(node.value) }))
+    .filter(({ english }) => english !== undefined && english.trim() !== '')
+
+  const results = targetLocales.map(locale => {
+    /** @type {LocaleQa} */
+    const entry = { locale, checked: 0, errors: 0, warnings: 0, counts: {}, findings: [] }
+    for (const { node, english } of strings) {
+      const text = getTranslation(node.value, locale)
+      if (typeof text !== 'string' || text.trim() === '') continue
+      entry.checked++
+      for (const issue of checkTranslation(english, text, locale, options)) {
+        entry.findings.push({ ...issue, id: node.id, path: node.path, elementName: node.elementName, locale, english, text })
+        entry.counts[issue.check] = (entry.counts[issue.check] || 0) + 1
+        if (issue.severity === 'error') entry.errors++
+        else entry.warnings++
+      }
+    }
+    return entry
+  })
+
+  return { survey: surveyName, total: strings.length, locales: results }
+}
+
+/**
+ * CSV report, one row per finding
+ * @param {SurveyQa[]} reports
+ * @returns {string}
+ */
+export function toQaCsv(reports) {
+  const lines = [formatCsvRow(['survey', 'locale', 'check', 'severity', 'elementName', 'path', 'id', 'message', 'english', 'text'])]
+  for (const report of reports) {
+    for (const l of report.locales) {
+      for (const f of l.findings) {
+        lines.push(formatCsvRow([report.survey, l.locale, f.check, f.severity, f.elementName, f.path, f.id, f.message, f.english, f.text]))
+      }
+    }
+  }
+  return lines.join('\n')
+}
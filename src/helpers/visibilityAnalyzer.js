@@ -0,0 +1,561 @@
+/**
+ * visibleIf analyzer
+ *
+ * Uses survey-core's expression parser and condition runner to check the
+ * visibility logic of a SurveyJS JSON document:
+ * - resolves every `{questionName}` reference
+ * - flags comparisons against values the referenced question cannot produce
+ *   (not in its `choices`, `valueTrue`/`valueFalse`, rating scale or matrix columns)
+ * - detects circular dependencies (through visibleIf and panel/page containment)
+ * - finds unreachable elements by enumerating the answer domains of referenced questions
+ * - builds a dependency graph (DOT/Mermaid output and a layered layout for the preview panel)
+ *
+ * Shared by scripts/analyze-visibility.js, the Logic tab in SurveyTestView.vue and
+ * the branch coverage explorer (branchCoverage.js).
+ */
+
+import { ConditionRunner, ConditionsParser } from 'survey-core'
+import { collectSurveyElements, referenceToQuestionName } from './surveyLint.js'
+import { parseJsonPath } from './surveyTranslations.js'
+
+/**
+ * @typedef {Object} VisibilityNode
+ * @property {string} id            Question/panel name, or `page:<name>` for pages
+ * @property {string} name
+ * @property {'page' | 'panel' | 'question'} kind
+ * @property {string} type          SurveyJS element type (`page` for pages)
+ * @property {string} path          JSON path
+ * @property {string | null} parent Id of the containing panel or page
+ * @property {string} visibleIf
+ * @property {string[]} references  Raw `{...}` references in visibleIf
+ * @property {boolean | null} reachable  null when the condition could not be evaluated
+ */
+
+/**
+ * @typedef {Object} VisibilityEdge
+ * @property {string} from       Dependent node id
+ * @property {string} to         Node id it depends on
+ * @property {'visibleIf' | 'container'} kind
+ * @property {string} [reference]
+ */
+
+/**
+ * @typedef {Object} VisibilityFinding
+ * @property {'parse-error' | 'unknown-reference' | 'impossible-comparison' | 'cycle' | 'unreachable' | 'hidden' | 'not-analyzed'} type
+ * @property {'error' | 'warning' | 'info'} severity
+ * @property {string} nodeId
+ * @property {string} path
+ * @property {string} message
+ */
+
+/** Binary operators whose right side is compared against the referenced question's value */
+const COMPARISON_OPERATORS = new Set(['equal', 'notequal', 'anyof', 'allof', 'noneof', 'contains', 'notcontains'])
+
+const CHOICE_TYPES = new Set(['radiogroup', 'dropdown', 'checkbox', 'tagbox', 'ranking', 'imagepicker', 'buttongroup'])
+const MULTI_VALUE_TYPES = new Set(['checkbox', 'tagbox', 'ranking'])
+const NUMERIC_INPUT_TYPES = new Set(['number', 'range'])
+
+/** Special choice items SurveyJS adds when the matching flag is set */
+const SPECIAL_ITEMS = [
+  { flags: ['showOtherItem', 'hasOther'], value: 'other' },
+  { flags: ['showNoneItem', 'hasNone'], value: 'none' },
+  { flags: ['showRefuseItem'], value: 'refused' },
+  { flags: ['showDontKnowItem'], value: 'dontknow' }
+]
+
+/** Stand-in answer for free-text questions that matches none of the compared constants */
+const OTHER_ANSWER = '__any_other_answer__'
+
+export const DEFAULT_MAX_ASSIGNMENTS = 4096
+
+/**
+ * Parse a SurveyJS condition with survey-core's parser
+ * @param {string} expression
+ * @returns {{ operand: any, error: string | null }}
+ */
+export function parseCondition(expression) {
+  const parser = new ConditionsParser()
+  const operand = parser.parseExpression(expression)
+  if (!operand) {
+    const at = parser.error?.at
+    return { operand: null, error: `Cannot parse expression${typeof at === 'number' ? ` at position ${at}` : ''}` }
+  }
+  return { operand, error: null }
+}
+
+function childOperands(operand) {
+  switch (operand?.getType()) {
+    case 'binary': return [operand.leftOperand, operand.rightOperand]
+    case 'unary': return [operand.expression]
+    case 'array': return operand.values || []
+    case 'function': return operand.paramValues || []
+    default: return []
+  }
+}
+
+function constValues(operand) {
+  const type = operand?.getType()
+  if (type === 'const') return [operand.correctValue]
+  if (type === 'array') return (operand.values || []).flatMap(constValues)
+  return []
+}
+
+/**
+ * Collect the variable references in a parsed condition
+ * @param {any} operand
+ * @returns {string[]}
+ */
+export function collectConditionReferences(operand) {
+  if (!operand) return []
+  if (operand.getType() === 'variable') return [operand.variable]
+  return childOperands(operand).flatMap(collectConditionReferences)
+}
+
+/**
+ * Collect `{ref} <op> <constant(s)>` comparisons in a parsed condition
+ * @param {any} operand
+ * @returns {{ reference: string, operator: string, values: any[] }[]}
+ */
+export function collectComparisons(operand) {
+  if (!operand) return []
+  const found = childOperands(operand).flatMap(collectComparisons)
+  if (operand.getType() === 'binary' && COMPARISON_OPERATORS.has(operand.operator)) {
+    const pairs = [[operand.leftOperand, operand.rightOperand], [operand.rightOperand, operand.leftOperand]]
+    for (const [variable, other] of pairs) {
+      if (variable?.getType() !== 'variable') continue
+      const values = constValues(other)
+      if (values.length > 0) found.push({ reference: variable.variable, operator: operand.operator, values })
+    }
+  }
+  return found
+}
+
+function itemValue(item) {
+  return item && typeof item === 'object' ? item.value : item
+}
+
+/**
+ * Get the answer values a question can produce, or null when the domain is open
+ * (free text, numbers, dynamic choices). For matrix questions referenced by row
+ * (`{matrix.row}`) the column values are returned.
+ * @param {any} element
+ * @param {Map<string, any>} elementsByName
+ * @param {string} [subPath] Reference remainder after the question name (e.g. `.row`)
+ * @returns {any[] | null}
+ */
+export function getAnswerValues(element, elementsByName, subPath = '') {
+  if (!element) return null
+  if (subPath) {
+    return element.type === 'matrix' && Array.isArray(element.columns) ? element.columns.map(itemValue) : null
+  }
+  if (element.type === 'boolean') {
+    return [element.valueTrue ?? true, element.valueFalse ?? false]
+  }
+  if (element.type === 'rating') {
+    if (Array.isArray(element.rateValues) && element.rateValues.length > 0) return element.rateValues.map(itemValue)
+    const min = Number(element.rateMin ?? 1)
+    const max = Number(element.rateMax ?? 5)
+    const step = Number(element.rateStep ?? 1) || 1
+    const values = []
+    for (let v = min; v <= max && values.length < 100; v += step) values.push(v)
+    return values
+  }
+  if (CHOICE_TYPES.has(element.type)) {
+    if (element.choicesByUrl) return null
+    let choices = element.choices
+    if (element.choicesFromQuestion) {
+      const source = elementsByName.get(element.choicesFromQuestion)
+      if (!source || source === element) return null
+      choices = source.choices
+    }
+    const values = (Array.isArray(choices) ? choices : []).map(itemValue)
+    for (const { flags, value } of SPECIAL_ITEMS) {
+      if (flags.some(flag => element[flag])) values.push(value)
+    }
+    return values
+  }
+  return null
+}
+
+/**
+ * Numeric `min`/`max` of a number or range input, or null for other questions
+ * (and for inputs without either bound)
+ * @param {any} element
+ * @returns {{ min: number, max: number } | null}
+ */
+function numericBounds(element) {
+  if (element?.type !== 'text' || !NUMERIC_INPUT_TYPES.has(element.inputType)) return null
+  const bound = (value) => (value === '' || value == null || !Number.isFinite(Number(value)) ? null : Number(value))
+  const min = bound(element.min)
+  const max = bound(element.max)
+  if (min === null && max === null) return null
+  return { min: min ?? -Infinity, max: max ?? Infinity }
+}
+
+/**
+ * Answers worth trying for a referenced question, starting with unanswered (undefined):
+ * every value it can produce (single items and all items together for multi-value
+ * questions), or for open domains the constants it is compared with, their numeric
+ * neighbours and one answer matching none of them. Number inputs with `min`/`max`
+ * are tried at their bounds instead, and never outside them.
+ * @param {any} element
+ * @param {Map<string, any>} elementsByName
+ * @param {string} [subPath]           Reference remainder after the question name
+ * @param {any[]} [comparedConstants]  Constants the reference is compared with in conditions
+ * @returns {any[]}
+ */
+export function getAnswerDomain(element, elementsByName, subPath = '', comparedConstants = []) {
+  const allowed = getAnswerValues(element, elementsByName, subPath)
+  if (allowed) {
+    const values = MULTI_VALUE_TYPES.has(element.type) && !subPath
+      ? [...allowed.map(v => [v]), allowed]
+      : allowed
+    return [undefined, ...values]
+  }
+  const extra = comparedConstants.flatMap(c => (typeof c === 'number' ? [c - 1, c, c + 1] : [c]))
+  const bounds = subPath ? null : numericBounds(element)
+  if (!bounds) return [undefined, OTHER_ANSWER, ...new Set(extra)]
+  const inRange = (v) => typeof v !== 'number' || (v >= bounds.min && v <= bounds.max)
+  const limits = [bounds.min, bounds.max].filter(Number.isFinite)
+  return [undefined, ...new Set([...limits, ...extra].filter(inRange))]
+}
+
+/** SurveyJS compares strings case-insensitively and numbers loosely ('1' equals 1) */
+function sameAnswer(a, b) {
+  if (a === b) return true
+  if (a == null || b == null) return false
+  return String(a).toLowerCase() === String(b).toLowerCase()
+}
+
+function splitReference(reference) {
+  const name = referenceToQuestionName(reference)
+  return { name, subPath: name ? reference.slice(reference.indexOf(name) + name.length) : '' }
+}
+
+/**
+ * Store a value at a `{...}` reference path (e.g. `matrix.row`) in a SurveyJS data object
+ * @param {Record<string, any>} values
+ * @param {string} reference
+ * @param {any} value
+ */
+export function setReferenceValue(values, reference, value) {
+  const tokens = parseJsonPath(reference)
+  let cur = values
+  tokens.forEach((token, idx) => {
+    if (idx === tokens.length - 1) {
+      cur[token] = value
+      return
+    }
+    if (cur[token] == null || typeof cur[token] !== 'object') {
+      cur[token] = typeof tokens[idx + 1] === 'number' ? [] : {}
+    }
+    cur = cur[token]
+  })
+}
+
+/**
+ * Analyze the visibleIf logic of a survey
+ * @param {any} survey
+ * @param {{ maxAssignments?: number }} [options]
+ * @returns {{ nodes: VisibilityNode[], edges: VisibilityEdge[], findings: VisibilityFinding[] }}
+ */
+export function analyzeVisibility(survey, { maxAssignments = DEFAULT_MAX_ASSIGNMENTS } = {}) {
+  /** @type {VisibilityNode[]} */
+  const nodes = []
+  /** @type {VisibilityEdge[]} */
+  const edges = []
+  /** @type {VisibilityFinding[]} */
+  const findings = []
+  const elementsByName = new Map()
+  const parsed = new Map()
+
+  const pages = Array.isArray(survey?.pages) ? survey.pages : []
+  const pageIds = new Map()
+  pages.forEach((page, idx) => {
+    const id = `page:${page?.name || `#${idx}`}`
+    pageIds.set(`pages[${idx}]`, id)
+    nodes.push({ id, name: page?.name || `#${idx}`, kind: 'page', type: 'page', path: `pages[${idx}]`, parent: null, visibleIf: page?.visibleIf || '', references: [], reachable: true, element: page })
+  })
+
+  for (const { element, path } of collectSurveyElements(survey)) {
+    const name = element.name || path
+    if (element.name && !elementsByName.has(element.name)) elementsByName.set(element.name, element)
+    // Parent is the closest enclosing element path (panel) or the page
+    const parentPath = path.replace(/\.(elements|templateElements)\[\d+\]$/, '')
+    const parentNode = nodes.find(n => n.path === parentPath)
+    nodes.push({
+      id: name,
+      name,
+      kind: element.type === 'panel' || element.type === 'paneldynamic' ? 'panel' : 'question',
+      type: element.type || 'unknown',
+      path,
+      parent: parentNode ? parentNode.id : null,
+      visibleIf: element.visibleIf || '',
+      references: [],
+      reachable: true,
+      element
+    })
+  }
+  const nodesById = new Map(nodes.map(n => [n.id, n]))
+
+  for (const node of nodes) {
+    if (node.parent) edges.push({ from: node.id, to: node.parent, kind: 'container' })
+    if (!node.visibleIf) continue
+    const { operand, error } = parseCondition(node.visibleIf)
+    if (error) {
+      findings.push({ type: 'parse-error', severity: 'error', nodeId: node.id, path: `${node.path}.visibleIf`, message: `${error}: ${node.visibleIf}` })
+      continue
+    }
+    parsed.set(node.id, operand)
+    node.references = Array.from(new Set(collectConditionReferences(operand)))
+    for (const reference of node.references) {
+      const { name } = splitReference(reference)
+      if (!name) continue
+      if (!elementsByName.has(name)) {
+        findings.push({ type: 'unknown-reference', severity: 'error', nodeId: node.id, path: `${node.path}.visibleIf`, message: `References unknown question {${reference}}` })
+        continue
+      }
+      if (!edges.some(e => e.from === node.id && e.to === name && e.kind === 'visibleIf')) {
+        edges.push({ from: node.id, to: name, kind: 'visibleIf', reference })
+      }
+    }
+  }
+
+  // Comparisons against values the referenced question cannot produce
+  const comparedConstants = new Map()
+  for (const [nodeId, operand] of parsed) {
+    const node = nodesById.get(nodeId)
+    for (const { reference, values } of collectComparisons(operand)) {
+      comparedConstants.set(reference, [...(comparedConstants.get(reference) || []), ...values])
+      const { name, subPath } = splitReference(reference)
+      const target = name ? elementsByName.get(name) : null
+      const allowed = getAnswerValues(target, elementsByName, subPath)
+      if (!allowed) continue
+      for (const value of values) {
+        if (value === '' || value == null) continue
+        if (!allowed.some(candidate => sameAnswer(candidate, value))) {
+          findings.push({
+            type: 'impossible-comparison',
+            severity: 'error',
+            nodeId,
+            path: `${node.path}.visibleIf`,
+            message: `{${reference}} is compared with ${JSON.stringify(value)}, which is not one of its values (${allowed.map(v => JSON.stringify(v)).join(', ')})`
+          })
+        }
+      }
+    }
+  }
+
+  // Circular dependencies (strongly connected components with more than one node, or self loops)
+  for (const cycle of findCycles(nodes.map(n => n.id), edges)) {
+    const node = nodesById.get(cycle[0])
+    findings.push({ type: 'cycle', severity: 'error', nodeId: cycle[0], path: node?.path || '', message: `Circular visibility dependency: ${cycle.join(' → ')} → ${cycle[0]}` })
+  }
+
+  // Reachability: start optimistic and narrow until stable (values only flip true → false)
+  function domainFor(reference) {
+    const { name, subPath } = splitReference(reference)
+    const target = name ? elementsByName.get(name) : null
+    if (!target || nodesById.get(name)?.reachable === false) return [undefined]
+    return getAnswerDomain(target, elementsByName, subPath, comparedConstants.get(reference))
+  }
+
+  function isSatisfiable(node) {
+    const operand = parsed.get(node.id)
+    if (!operand) return true
+    const references = node.references
+    const domains = references.map(domainFor)
+    const total = domains.reduce((acc, d) => acc * d.length, 1)
+    if (total > maxAssignments) return null
+    const runner = new ConditionRunner(node.visibleIf)
+    const indexes = references.map(() => 0)
+    for (let n = 0; n < total; n++) {
+      const values = {}
+      references.forEach((reference, i) => {
+        const value = domains[i][indexes[i]]
+        if (value !== undefined) setReferenceValue(values, reference, value)
+      })
+      if (runner.runValues(values)) return true
+      for (let i = 0; i < indexes.length; i++) {
+        indexes[i]++
+        if (indexes[i] < domains[i].length) break
+        indexes[i] = 0
+      }
+    }
+    return false
+  }
+
+  const notAnalyzed = new Set()
+  let changed = true
+  while (changed) {
+    changed = false
+    for (const node of nodes) {
+      if (node.reachable === false) continue
+      let reachable = true
+      if (node.element?.visible === false) reachable = false
+      else if (node.parent && nodesById.get(node.parent)?.reachable === false) reachable = false
+      else if (parsed.has(node.id)) {
+        const result = isSatisfiable(node)
+        if (result === null) notAnalyzed.add(node.id)
+        reachable = result !== false
+      }
+      if (!reachable) {
+        node.reachable = false
+        changed = true
+      }
+    }
+  }
+
+  for (const node of nodes) {
+    if (notAnalyzed.has(node.id) && node.reachable !== false) {
+      node.reachable = null
+      findings.push({ type: 'not-analyzed', severity: 'info', nodeId: node.id, path: `${node.path}.visibleIf`, message: `Too many answer combinations to check visibleIf (limit ${maxAssignments})` })
+    }
+    if (node.reachable !== false) continue
+    const parent = node.parent ? nodesById.get(node.parent) : null
+    if (node.element?.visible === false) {
+      findings.push({ type: 'hidden', severity: 'info', nodeId: node.id, path: node.path, message: `${node.kind} is hidden (visible: false)` })
+    } else if (parent?.reachable === false) {
+      // Reported on the outermost unreachable container only
+      continue
+    } else {
+      findings.push({ type: 'unreachable', severity: 'warning', nodeId: node.id, path: `${node.path}.visibleIf`, message: `${node.kind} can never become visible: ${node.visibleIf}` })
+    }
+  }
+
+  for (const node of nodes) delete node.element
+  return { nodes, edges, findings }
+}
+
+/**
+ * Find dependency cycles (Tarjan's strongly connected components)
+ * @param {string[]} ids
+ * @param {VisibilityEdge[]} edges
+ * @returns {string[][]}
+ */
+export function findCycles(ids, edges) {
+  const adjacency = new Map(ids.map(id => [id, []]))
+  for (const edge of edges) adjacency.get(edge.from)?.push(edge.to)
+
+  const index = new Map()
+  const low = new Map()
+  const stack = []
+  const onStack = new Set()
+  const cycles = []
+  let counter = 0
+
+  function strongConnect(id) {
+    index.set(id, counter)
+    low.set(id, counter)
+    counter++
+    stack.push(id)
+    onStack.add(id)
+    for (const next of adjacency.get(id) || []) {
+      if (!index.has(next)) {
+        strongConnect(next)
+        low.set(id, Math.min(low.get(id), low.get(next)))
+      } else if (onStack.has(next)) {
+        low.set(id, Math.min(low.get(id), index.get(next)))
+      }
+    }
+    if (low.get(id) === index.get(id)) {
+      const component = []
+      let member
+      do {
+        member = stack.pop()
+        onStack.delete(member)
+        component.push(member)
+      } while (member !== id)
+      const selfLoop = component.length === 1 && (adjacency.get(id) || []).includes(id)
+      if (component.length > 1 || selfLoop) cycles.push(component.reverse())
+    }
+  }
+
+  for (const id of ids) {
+    if (!index.has(id)) strongConnect(id)
+  }
+  return cycles
+}
+
+/**
+ * Nodes and edges of the visibleIf dependency graph (containment edges omitted)
+ * @param {{ nodes: VisibilityNode[], edges: VisibilityEdge[] }} analysis
+ */
+export function getDependencyGraph(analysis) {
+  const edges = analysis.edges.filter(e => e.kind === 'visibleIf')
+  const involved = new Set(edges.flatMap(e => [e.from, e.to]))
+  return { nodes: analysis.nodes.filter(n => involved.has(n.id)), edges }
+}
+
+/**
+ * Assign graph nodes to layers so every question sits to the right of the questions it depends on
+ * @param {{ nodes: VisibilityNode[], edges: VisibilityEdge[] }} analysis
+ * @returns {{ layers: VisibilityNode[][], edges: VisibilityEdge[] }}
+ */
+export function layoutDependencyGraph(analysis) {
+  const { nodes, edges } = getDependencyGraph(analysis)
+  const depth = new Map(nodes.map(n => [n.id, 0]))
+  // Longest-path layering; bounded passes so cycles cannot loop forever
+  for (let pass = 0; pass < nodes.length; pass++) {
+    let changed = false
+    for (const edge of edges) {
+      const next = depth.get(edge.to) + 1
+      if (next > depth.get(edge.from) && next < nodes.length) {
+        depth.set(edge.from, next)
+        changed = true
+      }
+    }
+    if (!changed) break
+  }
+  const layers = []
+  for (const node of nodes) {
+    const d = depth.get(node.id)
+    if (!layers[d]) layers[d] = []
+    layers[d].push(node)
+  }
+  return { layers: layers.filter(Boolean), edges }
+}
+
+function quoteDot(value) {
+  return `"${String(value).replace(/"/g, '\\"')}"`
+}
+
+/**
+ * Render the dependency graph as Graphviz DOT (edges point from a question to the elements it controls)
+ * @param {{ nodes: VisibilityNode[], edges: VisibilityEdge[] }} analysis
+ * @returns {string}
+ */
+export function toDot(analysis) {
+  const { nodes, edges } = getDependencyGraph(analysis)
+  const lines = ['digraph visibility {', '  rankdir=LR;', '  node [shape=box, fontname="Helvetica"];']
+  for (const node of nodes) {
+    const style = node.reachable === false ? ', style=dashed, color=red' : node.kind === 'panel' ? ', style=rounded' : ''
+    // DOT labels use a literal `\n` for line breaks
+    lines.push(`  ${quoteDot(node.id)} [label=${quoteDot(`${node.name}\\n(${node.type})`)}${style}];`)
+  }
+  for (const edge of edges) {
+    lines.push(`  ${quoteDot(edge.to)} -> ${quoteDot(edge.from)};`)
+  }
+  lines.push('}')
+  return lines.join('\n')
+}
+
+/**
+ * Render the dependency graph as a Mermaid flowchart
+ * @param {{ nodes: VisibilityNode[], edges: VisibilityEdge[] }} analysis
+ * @returns {string}
+ */
+export function toMermaid(analysis) {
+  const { nodes, edges } = getDependencyGraph(analysis)
+  const ids = new Map(nodes.map((n, i) => [n.id, `n${i}`]))
+  const lines = ['flowchart LR']
+  for (const node of nodes) {
+    const label = `${node.name} (${node.type})`.replace(/"/g, "'")
+    lines.push(`  ${ids.get(node.id)}["${label}"]`)
+    if (node.reachable === false) lines.push(`  style ${ids.get(node.id)} stroke:#dc2626,stroke-dasharray:4`)
+  }
+  for (const edge of edges) {
+    lines.push(`  ${ids.get(edge.to)} --> ${ids.get(edge.from)}`)
+  }
+  return lines.join('\n')
+}
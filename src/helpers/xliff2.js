@@ -0,0 +1,359 @@
+/**
+ * XLIFF 2.0 reader and writer
+ *
+ * One <file> per survey, one <unit> per translatable string and a single
+ * <segment> per unit holding the whole string, so nothing is split or joined:
+ *
+ *   <unit id="s_1a2b3c4d" name="page1.q.favorite_color.title">
+ *     <notes><note category="location">pages[0].elements[0].title</note></notes>
+ *     <segment state="translated">
+ *       <source xml:space="preserve">Your <mrk id="m1" type="html:element" value="&lt;b&gt;">favorite</mrk> color</source>
+ *       <target xml:space="preserve">…</target>
+ *     </segment>
+ *   </unit>
+ *
+ * The unit id is the stable string id when a string id map is given
+ * (stringIds.js), otherwise the semantic id; `name` is always the semantic id.
+ * Inline HTML becomes <mrk> annotations that carry the original tag text, so
+ * the HTML comes back byte for byte: a start tag with its matching end tag wraps
+ * its content (`html:element`), any other tag is an empty marker (`html:tag`).
+ * The reader also accepts <pc>/<ph>/<sc>/<ec> backed by <originalData> from
+ * other tools.
+ */
+
+import { collectMultilingualNodes, getAtPath, getTranslation, isMultilingualObject, normalizeLanguageKey, setAtPath, setTranslation } from './surveyTranslations.js'
+import { indexStringIds } from './stringIds.js'
+import { tokenizeMarkup } from './inlineMarkup.js'
+
+export const XLIFF2_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0'
+
+/** Segment sub-state for translations flagged for review (translationMemory.js) */
+export const NEEDS_REVIEW_SUBSTATE = 'levante:needs-review'
+
+/**
+ * @typedef {Object} Xliff2Note
+ * @property {string} category
+ * @property {string} text
+ *
+ * @typedef {Object} Xliff2Unit
+ * @property {string} id
+ * @property {string} [name]             Semantic id
+ * @property {string} source             Source text (HTML restored)
+ * @property {string | null} [target]    null when the unit has no <target>
+ * @property {'initial' | 'translated' | 'reviewed' | 'final'} [state]
+ * @property {string} [subState]
+ * @property {Xliff2Note[]} [notes]
+ *
+ * @typedef {Object} Xliff2File
+ * @property {string} id
+ * @property {string} [original]
+ * @property {Xliff2Unit[]} units
+ *
+ * @typedef {Object} Xliff2Document
+ * @property {string} version
+ * @property {string} sourceLanguage
+ * @property {string | null} targetLanguage
+ * @property {Xliff2File[]} files
+ */
+
+// ---------------------------------------------------------------------------
+// XML escaping and parsing
+// ---------------------------------------------------------------------------
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }
+
+function escapeText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r/g, '&#13;')
+}
+
+// Attribute values also keep their line breaks and tabs (parsers turn literal ones into spaces)
+function escapeAttr(text) {
+  return escapeText(text).replace(/"/g, '&quot;').replace(/\n/g, '&#10;').replace(/\t/g, '&#9;')
+}
+
+function decodeXml(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(amp|lt|gt|quot|apos));/gi, (match, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16))
+    if (dec) return String.fromCodePoint(Number(dec))
+    return XML_ENTITIES[name.toLowerCase()]
+  })
+}
+
+function localName(name) {
+  return name.includes(':') && !name.startsWith('xml:') ? name.slice(name.indexOf(':') + 1) : name
+}
+
+/**
+ * Minimal XML parser: elements, attributes, text and CDATA (comments,
+ * processing instructions and doctype are skipped). Names lose their namespace
+ * prefix, except `xml:*` attributes.
+ * @param {string} xml
+ * @returns {{ name: string, attrs: Record<string, string>, children: any[] }} document node
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attrs: {}, children: [] }
+  const stack = [root]
+  const tokenRe = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g
+  const attrRe = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+  let match
+  let last = 0
+  while ((match = tokenRe.exec(xml)) !== null) {
+    if (match.index !== last) throw new Error(`Malformed XML near offset ${last}`)
+    last = tokenRe.lastIndex
+    const [, cdata, closeName, openName, attrText, selfClosing, text] = match
+    const parent = stack[stack.length - 1]
+    if (cdata !== undefined) {
+      parent.children.push(cdata)
+    } else if (text !== undefined) {
+      parent.children.push(decodeXml(text))
+    } else if (closeName) {
+      const name = localName(closeName)
+      if (stack.length === 1 || parent.name !== name) throw new Error(`Malformed XML: unexpected </${closeName}>`)
+      stack.pop()
+    } else if (openName) {
+      const attrs = {}
+      for (const a of (attrText || '').matchAll(attrRe)) attrs[localName(a[1])] = decodeXml(a[2] ?? a[3])
+      const element = { name: localName(openName), attrs, children: [] }
+      parent.children.push(element)
+      if (!selfClosing) stack.push(element)
+    }
+  }
+  if (last !== xml.length) throw new Error(`Malformed XML near offset ${last}`)
+  if (stack.length > 1) throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`)
+  return root
+}
+
+const childElements = (node, name) => node.children.filter(c => typeof c === 'object' && c.name === name)
+const childElement = (node, name) => childElements(node, name)[0] || null
+const textContent = (node) => node.children.map(c => (typeof c === 'string' ? c : textContent(c))).join('')
+
+// ---------------------------------------------------------------------------
+// Inline HTML ↔ <mrk>
+// ---------------------------------------------------------------------------
+
+function tagName(tagText) {
+  return tagText.match(/^<\/?([A-Za-z][A-Za-z0-9-]*)/)[1]
+}
+
+/**
+ * Encode a string as XLIFF 2.0 inline content, HTML tags as <mrk>
+ * @param {string} text
+ * @returns {string}
+ */
+export function encodeInline(text) {
+  return tokenizeMarkup(text).map(token => {
+    if (token.text !== undefined) return escapeText(token.text)
+    if (token.paired && token.closing) return '</mrk>'
+    if (token.paired) return `<mrk id="m${token.id}" type="html:element" value="${escapeAttr(token.tag)}">`
+    return `<mrk id="m${token.id}" translate="no" type="html:tag" value="${escapeAttr(token.tag)}"/>`
+  }).join('')
+}
+
+/**
+ * Decode parsed inline content back to a string with the original HTML
+ * @param {any} node <source> or <target> element
+ * @param {Record<string, string>} originalData data by id, for <pc>/<ph>/<sc>/<ec>
+ * @returns {string}
+ */
+function decodeInline(node, originalData) {
+  return node.children.map(child => {
+    if (typeof child === 'string') return child
+    const inner = decodeInline(child, originalData)
+    const { type, value, dataRef, dataRefStart, dataRefEnd } = child.attrs
+    switch (child.name) {
+      case 'mrk':
+        if (type === 'html:element' && value) return `${value}${inner}</${tagName(value)}>`
+        if (type === 'html:tag' && value) return value
+        return inner
+      case 'pc':
+        return `${originalData[dataRefStart] ?? ''}${inner}${originalData[dataRefEnd] ?? ''}`
+      case 'ph':
+      case 'sc':
+      case 'ec':
+        return originalData[dataRef] ?? ''
+      default:
+        return inner
+    }
+  }).join('')
+}
+
+// ---------------------------------------------------------------------------
+// Documents
+// ---------------------------------------------------------------------------
+
+const UNIT_ID_RE = /^[A-Za-z_][\w.:-]*$/
+
+// Unit ids are NMTOKENs; semantic ids already are, anything else is made safe
+function toUnitId(id) {
+  return UNIT_ID_RE.test(id) ? id : `u_${String(id).replace(/[^\w.:-]/g, '_')}`
+}
+
+/**
+ * Write an XLIFF 2.0 document with one file
+ * @param {{ fileId: string, original?: string, sourceLanguage?: string, targetLanguage?: string | null, units: Xliff2Unit[] }} options
+ *   without `targetLanguage` the document is source-only
+ * @returns {string}
+ */
+export function buildXliff2({ fileId, original, sourceLanguage = 'en-US', targetLanguage = null, units }) {
+  const langs = targetLanguage ? `srcLang="${escapeAttr(sourceLanguage)}" trgLang="${escapeAttr(targetLanguage)}"` : `srcLang="${escapeAttr(sourceLanguage)}"`
+  const fileAttrs = `id="${escapeAttr(toUnitId(fileId))}"${original ? ` original="${escapeAttr(original)}"` : ''}`
+  const body = units.map(u => {
+    const nameAttr = u.name ? ` name="${escapeAttr(u.name)}"` : ''
+    const notes = (u.notes || []).length > 0
+      ? `\n      <notes>\n${u.notes.map(n => `        <note category="${escapeAttr(n.category)}">${escapeText(n.text)}</note>`).join('\n')}\n      </notes>`
+      : ''
+    const hasTarget = targetLanguage && u.target != null
+    const state = targetLanguage ? u.state || (hasTarget && u.target !== '' ? 'translated' : 'initial') : null
+    const stateAttrs = state ? ` state="${state}"${u.subState ? ` subState="${escapeAttr(u.subState)}"` : ''}` : ''
+    const target = hasTarget ? `\n        <target xml:space="preserve">${encodeInline(u.target)}</target>` : ''
+    return `    <unit id="${escapeAttr(toUnitId(u.id))}"${nameAttr}>${notes}
+      <segment${stateAttrs}>
+        <source xml:space="preserve">${encodeInline(u.source)}</source>${target}
+      </segment>
+    </unit>`
+  }).join('\n')
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<xliff xmlns="${XLIFF2_NAMESPACE}" version="2.0" ${langs}>\n  <file ${fileAttrs}>\n${body}\n  </file>\n</xliff>\n`
+}
+
+/**
+ * Whether a document is XLIFF 2.x (rather than 1.2)
+ * @param {string} xml
+ * @returns {boolean}
+ */
+export function isXliff2(xml) {
+  const root = String(xml).match(/<(?:[\w-]+:)?xliff\b[^>]*>/)
+  return Boolean(root && (/\bversion\s*=\s*["']2\./.test(root[0]) || root[0].includes(XLIFF2_NAMESPACE)))
+}
+
+/**
+ * Read an XLIFF 2.0 document. Units in <group>s are flattened; multiple
+ * segments (and <ignorable>s) of a unit are joined back into one string.
+ * @param {string} xml
+ * @returns {Xliff2Document}
+ */
+export function parseXliff2(xml) {
+  const xliff = childElement(parseXml(xml), 'xliff')
+  if (!xliff) throw new Error('Not an XLIFF document: no <xliff> root element')
+  if (!String(xliff.attrs.version || '').startsWith('2.')) throw new Error(`Unsupported XLIFF version: ${xliff.attrs.version || 'none'} (expected 2.x)`)
+
+  const collectUnits = (node) => node.children
+    .filter(c => typeof c === 'object' && (c.name === 'unit' || c.name === 'group'))
+    .flatMap(c => (c.name === 'group' ? collectUnits(c) : [c]))
+
+  const files = childElements(xliff, 'file').map(file => ({
+    id: file.attrs.id,
+    original: file.attrs.original,
+    units: collectUnits(file).map(unit => {
+      const originalData = Object.fromEntries(
+        childElements(childElement(unit, 'originalData') || { children: [] }, 'data').map(d => [d.attrs.id, textContent(d)])
+      )
+      const parts = unit.children.filter(c => typeof c === 'object' && (c.name === 'segment' || c.name === 'ignorable'))
+      const segments = parts.filter(p => p.name === 'segment')
+      const source = parts.map(p => decodeInline(childElement(p, 'source') || { children: [] }, originalData)).join('')
+      const hasTarget = parts.some(p => childElement(p, 'target'))
+      // Ignorables without a target keep their source text
+      const target = hasTarget
+        ? parts.map(p => {
+          const t = childElement(p, 'target')
+          return t ? decodeInline(t, originalData) : p.name === 'ignorable' ? decodeInline(childElement(p, 'source') || { children: [] }, originalData) : ''
+        }).join('')
+        : null
+      const notes = childElements(childElement(unit, 'notes') || { children: [] }, 'note')
+        .map(n => ({ category: n.attrs.category || '', text: textContent(n) }))
+      return {
+        id: unit.attrs.id,
+        name: unit.attrs.name,
+        source,
+        target,
+        state: segments[0]?.attrs.state,
+        subState: segments[0]?.attrs.subState,
+        notes
+      }
+    })
+  }))
+
+  return {
+    version: xliff.attrs.version,
+    sourceLanguage: xliff.attrs.srcLang,
+    targetLanguage: xliff.attrs.trgLang || null,
+    files
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Surveys
+// ---------------------------------------------------------------------------
+
+/**
+ * Units for every translatable string in a survey
+ * @param {any} survey
+ * @param {{ locale?: string | null, stringIds?: any }} [options]
+ *   `locale`: target locale (omit for source-only); `stringIds`: the survey's
+ *   string id map, for stable unit ids and review flags
+ * @returns {Xliff2Unit[]}
+ */
+export function surveyToXliff2Units(survey, { locale = null, stringIds = null } = {}) {
+  const lang = locale ? normalizeLanguageKey(locale) : null
+  const entries = Object.entries(stringIds?.strings || {})
+  const stableIds = new Map(entries.map(([id, entry]) => [entry.semanticId, id]))
+  const reviews = new Map(entries.filter(([, entry]) => entry.review).map(([, entry]) => [entry.semanticId, entry.review]))
+
+  return collectMultilingualNodes(survey).map(node => {
+    const source = ['default', 'en-US', 'en'].map(key => getTranslation(node.value, key)).find(text => typeof text === 'string') ?? ''
+    const notes = [{ category: 'location', text: node.path }]
+    /** @type {Xliff2Unit} */
+    const unit = { id: stableIds.get(node.id) || node.id, name: node.id, source, notes }
+    if (lang) {
+      const target = getTranslation(node.value, lang)
+      unit.target = typeof target === 'string' ? target : null
+      const review = reviews.get(node.id)
+      if (review && unit.target !== null && review.targets[lang] === unit.target) {
+        unit.state = 'initial'
+        unit.subState = NEEDS_REVIEW_SUBSTATE
+        notes.push({ category: 'previous-source', text: review.previousSource })
+      }
+    }
+    return unit
+  })
+}
+
+/**
+ * Write a survey's units in a locale into the survey (in place). Units are
+ * matched by semantic id, former semantic id or stable id (via `stringIds`),
+ * then by their `location` note as a JSON path. Units without a target are
+ * skipped.
+ * @param {any} survey
+ * @param {Xliff2Unit[]} units
+ * @param {string} locale
+ * @param {{ stringIds?: any }} [options]
+ * @returns {{ applied: number, unchanged: number, unmatched: string[] }}
+ */
+export function applyXliff2Units(survey, units, locale, { stringIds = null } = {}) {
+  const lang = normalizeLanguageKey(locale)
+  const nodesById = new Map(collectMultilingualNodes(survey, { includeEmpty: true }).map(node => [node.id, node]))
+  const index = indexStringIds(stringIds)
+  const result = { applied: 0, unchanged: 0, unmatched: [] }
+
+  for (const unit of units) {
+    if (unit.target == null) continue
+    const key = [unit.name, unit.id].map(k => k && (index.get(k) || k)).find(k => k && nodesById.has(k))
+    const location = (unit.notes || []).find(n => n.category === 'location')?.text
+    const atPath = !key && location ? getAtPath(survey, location) : null
+    // An empty object at the location is a localizable value whose text was all removed
+    const isEmptyObject = atPath && typeof atPath === 'object' && !Array.isArray(atPath) && Object.keys(atPath).length === 0
+    const value = key ? nodesById.get(key).value : isMultilingualObject(atPath) || isEmptyObject ? atPath : null
+    if (!value) {
+      result.unmatched.push(unit.name || unit.id)
+      continue
+    }
+    if (getTranslation(value, lang) === unit.target) {
+      result.unchanged++
+      continue
+    }
+    const updated = setTranslation(value, lang, unit.target)
+    if (updated !== value) setAtPath(survey, key ? nodesById.get(key).path : location, updated)
+    result.applied++
+  }
+  return result
+}
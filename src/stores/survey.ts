@@ -2,6 +2,7 @@ import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
 import type { SurveyModel } from 'survey-core'
 import type { SurveyFileKey } from '@/constants/bucket'
+import { getSurveys } from '@/constants/surveys.js'
 
 // Survey metadata for UI display
 interface SurveyInfo {
@@ -34,43 +35,13 @@ export const useSurveyStore = defineStore('survey', () => {
   const isCreatorMode = ref(false)
 
   // Getters
-  const surveyInfo = computed((): SurveyInfo[] => [
-    {
-      key: 'PARENT_FAMILY',
-      title: 'Parent-Family Survey',
-      description: 'Caregiver survey focusing on family dynamics and home environment',
-      fileName: 'parent_survey_family_updated.json',
-      icon: '👨‍👩‍👧‍👦'
-    },
-    {
-      key: 'PARENT_CHILD',
-      title: 'Parent-Child Survey',
-      description: 'Caregiver survey about specific child development and behavior',
-      fileName: 'parent_survey_child_updated.json',
-      icon: '👶'
-    },
-    {
-      key: 'CHILD',
-      title: 'Child Survey',
-      description: 'Direct assessment survey for children and students',
-      fileName: 'child_survey_updated.json',
-      icon: '🎓'
-    },
-    {
-      key: 'TEACHER_GENERAL',
-      title: 'Teacher General',
-      description: 'General teacher assessment and classroom observations',
-      fileName: 'teacher_survey_general_updated.json',
-      icon: '👨‍🏫'
-    },
-    {
-      key: 'TEACHER_CLASSROOM',
-      title: 'Teacher Classroom',
-      description: 'Specific classroom environment and teaching practice assessment',
-      fileName: 'teacher_survey_classroom_updated.json',
-      icon: '🏫'
-    }
-  ])
+  const surveyInfo = computed((): SurveyInfo[] => getSurveys().map(survey => ({
+    key: survey.key,
+    title: survey.title,
+    description: survey.description,
+    fileName: survey.versions.updated,
+    icon: survey.icon
+  })))
 
   const surveyList = computed(() => {
     return surveyInfo.value